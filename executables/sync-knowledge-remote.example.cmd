@@ -14,8 +14,8 @@ if "%ADMIN_API_TOKEN%"=="" (
   exit /b 1
 )
 
-echo == Calling %BASE%/admin/sync-knowledge ==
-curl.exe -s -i -X POST "%BASE%/admin/sync-knowledge" ^
+echo == Calling %BASE%/api/admin/sync-knowledge ==
+curl.exe -s -i -X POST "%BASE%/api/admin/sync-knowledge" ^
   -H "Authorization: Bearer %ADMIN_API_TOKEN%"
 
 endlocal
@@ -10,8 +10,8 @@ REM ------------------------------------------------------------
 REM cd to project root (this .cmd lives in root\executables)
 pushd "%~dp0.."
 
-if not exist "scripts\sync_knowledge_from_notion_files.mjs" (
-  echo [ERROR] Could not find scripts\sync_knowledge_from_notion_files.mjs in %CD%
+if not exist "scripts\sync.mjs" (
+  echo [ERROR] Could not find scripts\sync.mjs in %CD%
   goto :fail
 )
 
@@ -21,8 +21,8 @@ if errorlevel 1 (
   goto :fail
 )
 
-echo [INFO] Running Notion sync with dotenv...
-node -r dotenv/config "scripts\sync_knowledge_from_notion_files.mjs"
+echo [INFO] Running knowledge sync (local + Notion) with dotenv...
+node -r dotenv/config "scripts\sync.mjs"
 set EXITCODE=%ERRORLEVEL%
 
 if not "%EXITCODE%"=="0" (
@@ -0,0 +1,338 @@
+/**
+ * Error code and HTTP status for each way a run can end without completing.
+ * `timeout` is ours: the run outlived the runner's deadline and was cancelled.
+ */
+export const RUN_ERRORS = Object.freeze({
+  failed: { code: 'run_failed', status: 502 },
+  incomplete: { code: 'run_incomplete', status: 502 },
+  expired: { code: 'run_expired', status: 504 },
+  cancelled: { code: 'run_cancelled', status: 409 },
+  cancelling: { code: 'run_cancelling', status: 409 },
+  requires_action: { code: 'run_requires_action', status: 502 },
+  timeout: { code: 'run_timeout', status: 504 }
+});
+
+/**
+ * Raised when a run does not complete. `code` is one of RUN_ERRORS (or
+ * `run_stream_error`); `details` carries the run's `last_error` and
+ * `incomplete_details` so callers can tell a rate limit from a content
+ * filter or a token limit.
+ */
+export class RunError extends Error {
+  /**
+   * @param {string} message
+   * @param {Object} options
+   * @param {string} options.code
+   * @param {number} [options.status] - HTTP status to answer with
+   * @param {Object} [options.details] - {run_id, thread_id, run_status, last_error, incomplete_details}
+   */
+  constructor(message, { code, status = 500, details = {} }) {
+    super(message);
+    this.name = 'RunError';
+    this.code = code;
+    this.status = status;
+    this.details = details;
+  }
+
+  /**
+   * The error for a run that stopped in `run.status` (or `reason`).
+   * @param {Object} run
+   * @param {Object} [options]
+   * @param {string} [options.threadId]
+   * @param {string} [options.reason] - RUN_ERRORS key when it differs from run.status
+   * @param {string} [options.message]
+   * @returns {RunError}
+   */
+  static fromRun(run, { threadId, reason = run?.status, message } = {}) {
+    const { code, status } = RUN_ERRORS[reason] || { code: `run_${reason || 'unknown'}`, status: 502 };
+    const why = run?.last_error?.message || run?.incomplete_details?.reason;
+    return new RunError(message || `Run ${run?.status || 'ended without status'}${why ? `: ${why}` : ''}`, {
+      code,
+      status,
+      details: {
+        run_id: run?.id ?? null,
+        thread_id: threadId ?? run?.thread_id ?? null,
+        run_status: run?.status ?? null,
+        last_error: run?.last_error ?? null,
+        incomplete_details: run?.incomplete_details ?? null
+      }
+    });
+  }
+}
+
+const TERMINAL = new Set(['completed', 'failed', 'incomplete', 'expired', 'cancelled']);
+
+/**
+ * AssistantRunner drives Assistants API runs on a thread, either by polling
+ * until the run settles or by streaming events as they happen. Runs that stop
+ * in `requires_action` have their tool calls dispatched through the
+ * ToolRegistry and are resumed with the outputs. A run still going after
+ * `runTimeoutMs` is cancelled, so a stuck run can't hold a request open.
+ */
+export class AssistantRunner {
+  /**
+   * @param {Object} options
+   * @param {import('openai').default} options.openai - OpenAI client (injectable for tests)
+   * @param {import('./tools.mjs').ToolRegistry} [options.tools] - handles `requires_action`
+   * @param {number} [options.pollIntervalMs] - delay between runs.retrieve calls
+   * @param {number} [options.maxToolRounds] - tool-output submissions allowed per run
+   * @param {number} [options.runTimeoutMs] - deadline per run, tool calls included
+   */
+  constructor({ openai, tools, pollIntervalMs = 500, maxToolRounds = 10, runTimeoutMs = 120000 }) {
+    this.openai = openai;
+    this.tools = tools;
+    this.pollIntervalMs = pollIntervalMs;
+    this.maxToolRounds = maxToolRounds;
+    this.runTimeoutMs = runTimeoutMs;
+    this.filenames = new Map();
+  }
+
+  /**
+   * Ask OpenAI to cancel a run. The run moves to `cancelling`, then `cancelled`.
+   * @param {string} threadId
+   * @param {string} runId
+   * @returns {Promise<Object>} the run
+   */
+  async cancel(threadId, runId) {
+    return this.openai.beta.threads.runs.cancel(runId, { thread_id: threadId });
+  }
+
+  /**
+   * Pull text and file citations out of a thread message.
+   * @param {Object} message - thread message (or undefined)
+   * @returns {{text: string, citations: Array<{file_id: string, quote: string}>}}
+   */
+  static extractMessage(message) {
+    const parts = [];
+    const citations = [];
+    for (const c of message?.content || []) {
+      if (c.type !== 'text') continue;
+      parts.push(c.text.value);
+      for (const a of c.text.annotations || []) {
+        if (a.type === 'file_citation') citations.push({ file_id: a.file_citation.file_id, quote: a.text });
+      }
+    }
+    return { text: parts.join('\n').trim(), citations };
+  }
+
+  /**
+   * Add filenames to citations, de-duplicated by file id.
+   * Lookups are cached; a failed lookup leaves filename null.
+   * @param {Array<{file_id: string, quote: string}>} citations
+   */
+  async resolveCitations(citations) {
+    const seen = new Map();
+    for (const c of citations) {
+      if (seen.has(c.file_id)) continue;
+      if (!this.filenames.has(c.file_id)) {
+        const meta = await this.openai.files.retrieve(c.file_id).catch(() => null);
+        this.filenames.set(c.file_id, meta?.filename || null);
+      }
+      seen.set(c.file_id, { ...c, filename: this.filenames.get(c.file_id) });
+    }
+    return [...seen.values()];
+  }
+
+  /**
+   * Dispatch the tool calls of a run in `requires_action`.
+   * @param {Object} run
+   * @param {Object} context - passed to tool handlers
+   * @param {number} round - submissions made so far for this run
+   * @returns {Promise<Array<{tool_call_id: string, output: string}>>}
+   */
+  async #toolOutputs(run, context, round) {
+    const calls = run.required_action?.submit_tool_outputs?.tool_calls || [];
+    let message = null;
+    if (!this.tools || !calls.length) {
+      message = `Run requires_action (${calls.map((c) => c.function?.name).join(', ') || 'no tool calls'})`;
+    } else if (round >= this.maxToolRounds) {
+      message = `Run exceeded ${this.maxToolRounds} tool rounds`;
+    }
+    if (message) {
+      // Left in requires_action the run would block the thread until it expires
+      await this.#cancelQuietly(run.thread_id, run.id);
+      throw RunError.fromRun(run, { message });
+    }
+    return this.tools.dispatch(calls, { ...context, thread_id: run.thread_id, run_id: run.id });
+  }
+
+  async #cancelQuietly(threadId, runId) {
+    try {
+      return await this.cancel(threadId, runId);
+    } catch {
+      return null; // already finished, or cancelling
+    }
+  }
+
+  async #timeout(threadId, run) {
+    const cancelled = run?.id && !TERMINAL.has(run.status) ? await this.#cancelQuietly(threadId, run.id) : null;
+    return RunError.fromRun(cancelled || run, {
+      threadId,
+      reason: 'timeout',
+      message: `Run timed out after ${Math.round(this.runTimeoutMs / 1000)}s${cancelled ? ' and was cancelled' : ''}`
+    });
+  }
+
+  /**
+   * Post the user message, run the assistant and wait for it to finish.
+   * @param {Object} args
+   * @param {string} args.threadId
+   * @param {string} args.assistantId
+   * @param {string} args.message
+   * @param {string} [args.instructions]
+   * @param {Object} [args.context] - extra tool context, e.g. {tenant}
+   * @returns {Promise<{answer: string, citations: Array, usage: Object|null, thread_id: string, run_id: string, status: string}>}
+   */
+  async complete({ threadId, assistantId, message, instructions, context = {} }) {
+    const threads = this.openai.beta.threads;
+    await threads.messages.create(threadId, { role: 'user', content: message });
+    const run = await threads.runs.create(threadId, {
+      assistant_id: assistantId,
+      ...(instructions ? { instructions: String(instructions) } : {})
+    });
+
+    const deadline = Date.now() + this.runTimeoutMs;
+    let current = run;
+    let rounds = 0;
+    for (;;) {
+      if (current.status !== 'completed' && Date.now() >= deadline) {
+        throw await this.#timeout(threadId, { thread_id: threadId, ...current });
+      }
+      if (current.status === 'queued' || current.status === 'in_progress' || current.status === 'cancelling') {
+        await new Promise((r) => setTimeout(r, Math.min(this.pollIntervalMs, Math.max(deadline - Date.now(), 0))));
+        current = await threads.runs.retrieve(run.id, { thread_id: threadId });
+      } else if (current.status === 'requires_action') {
+        const tool_outputs = await this.#toolOutputs({ thread_id: threadId, ...current }, context, rounds++);
+        current = await threads.runs.submitToolOutputs(run.id, { thread_id: threadId, tool_outputs });
+      } else {
+        break;
+      }
+    }
+    if (current.status !== 'completed') {
+      throw RunError.fromRun(current, { threadId });
+    }
+
+    const messages = await threads.messages.list(threadId);
+    const latest = messages.data.find((m) => m.role === 'assistant');
+    const { text, citations } = AssistantRunner.extractMessage(latest);
+    return {
+      answer: text,
+      citations: await this.resolveCitations(citations),
+      usage: current.usage ?? null,
+      thread_id: threadId,
+      run_id: run.id,
+      status: current.status
+    };
+  }
+
+  /**
+   * Like complete(), but streams the run and reports progress through onEvent:
+   *   status   {status, run_id}
+   *   delta    {text}
+   *   citation {file_id, filename, quote}
+   *   tool     {name, tool_call_id}
+   *   tool_result {name, tool_call_id, ok}
+   * The resolved value matches complete(); callers send their own `done`.
+   * When `signal` aborts (the client went away) the stream is dropped and
+   * the run cancelled, as on timeout.
+   * @param {Object} args - as complete(), plus:
+   * @param {(event: string, data: Object) => void} args.onEvent
+   * @param {AbortSignal} [args.signal]
+   */
+  async stream({ threadId, assistantId, message, instructions, context = {}, onEvent, signal }) {
+    const threads = this.openai.beta.threads;
+    await threads.messages.create(threadId, { role: 'user', content: message });
+    let events = threads.runs.stream(threadId, {
+      assistant_id: assistantId,
+      ...(instructions ? { instructions: String(instructions) } : {})
+    });
+
+    const texts = [];
+    const citations = [];
+    let run = null;
+    let rounds = 0;
+    let stopped = null; // 'timeout' or 'cancelled'
+    const stop = (reason) => {
+      if (stopped) return;
+      stopped = reason;
+      events?.abort?.();
+    };
+    const timer = setTimeout(() => stop('timeout'), this.runTimeoutMs);
+    const onAbort = () => stop('cancelled');
+    if (signal?.aborted) onAbort();
+    signal?.addEventListener('abort', onAbort);
+    try {
+      while (events && !stopped) {
+        events = await this.#consume(events, {
+          threadId, context, texts, citations, onEvent,
+          nextRound: () => rounds++,
+          onRun: (r) => { run = r; },
+          // Stopped while tools ran: the resumed stream is dropped straight away
+          onResume: (resumed) => { events = resumed; if (stopped) resumed.abort?.(); }
+        });
+      }
+    } catch (e) {
+      if (!stopped) throw e;
+    } finally {
+      clearTimeout(timer);
+      signal?.removeEventListener('abort', onAbort);
+    }
+    if (stopped === 'timeout') throw await this.#timeout(threadId, run);
+    if (stopped) {
+      const cancelled = run?.id && !TERMINAL.has(run.status) ? await this.#cancelQuietly(threadId, run.id) : null;
+      throw RunError.fromRun(cancelled || run, { threadId, reason: 'cancelled', message: 'Run cancelled: the client disconnected' });
+    }
+
+    if (run?.status !== 'completed') {
+      throw RunError.fromRun(run, { threadId });
+    }
+    return {
+      answer: texts.join('\n').trim(),
+      citations,
+      usage: run.usage ?? null,
+      thread_id: threadId,
+      run_id: run.id,
+      status: run.status
+    };
+  }
+
+  // Read one event stream; returns the stream resumed after tool outputs, if any
+  async #consume(events, { threadId, context, texts, citations, onEvent, nextRound, onRun, onResume }) {
+    let resumed = null;
+    for await (const { event, data } of events) {
+      if (event === 'error') {
+        throw new RunError(data?.message || 'Stream error', { code: 'run_stream_error', status: 502, details: { thread_id: threadId } });
+      }
+      if (event.startsWith('thread.run.') && !event.startsWith('thread.run.step')) {
+        onRun(data);
+        onEvent('status', { status: data.status, run_id: data.id });
+        if (data.status === 'requires_action') {
+          for (const c of data.required_action?.submit_tool_outputs?.tool_calls || []) {
+            onEvent('tool', { name: c.function?.name, tool_call_id: c.id });
+          }
+          const tool_outputs = await this.#toolOutputs({ thread_id: threadId, ...data }, context, nextRound());
+          for (const o of tool_outputs) {
+            const call = data.required_action.submit_tool_outputs.tool_calls.find((c) => c.id === o.tool_call_id);
+            onEvent('tool_result', { name: call?.function?.name, tool_call_id: o.tool_call_id, ok: JSON.parse(o.output)?.ok !== false });
+          }
+          resumed = this.openai.beta.threads.runs.submitToolOutputsStream(data.id, { thread_id: threadId, tool_outputs });
+          onResume(resumed);
+        }
+      } else if (event === 'thread.message.delta') {
+        for (const c of data.delta?.content || []) {
+          if (c.type === 'text' && c.text?.value) onEvent('delta', { text: c.text.value });
+        }
+      } else if (event === 'thread.message.completed') {
+        const out = AssistantRunner.extractMessage(data);
+        if (out.text) texts.push(out.text);
+        for (const c of await this.resolveCitations(out.citations)) {
+          citations.push(c);
+          onEvent('citation', c);
+        }
+      }
+    }
+    return resumed;
+  }
+}
+
+export default AssistantRunner;
@@ -0,0 +1,80 @@
+import fs from 'node:fs';
+import path from 'node:path';
+
+/**
+ * Entry fields that may carry personal data (tool arguments and results hold
+ * recipient names, emails and addresses); left out of console echo.
+ */
+export const ECHO_REDACTED = Object.freeze(['arguments', 'result', 'to', 'email', 'recipient', 'address', 'phone', 'actor', 'approver']);
+
+/**
+ * AuditLog records security- and business-relevant events (tool calls,
+ * state transitions, …) as JSON lines. Entries are kept in a bounded
+ * in-memory buffer and, when a file is configured, appended to disk.
+ */
+export class AuditLog {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.file] - JSONL file to append to (e.g. AUDIT_LOG_FILE)
+   * @param {number} [options.limit] - entries kept in memory
+   * @param {boolean} [options.echo] - also log each entry to the console, ECHO_REDACTED fields masked
+   */
+  constructor({ file, limit = 500, echo = false } = {}) {
+    this.file = file || '';
+    this.limit = limit;
+    this.echo = echo;
+    this.entries = [];
+    if (this.file) fs.mkdirSync(path.dirname(path.resolve(this.file)), { recursive: true });
+  }
+
+  /**
+   * Append an entry.
+   * @param {string} type - e.g. "tool_call"
+   * @param {Object} data
+   * @returns {Object} the stored entry
+   */
+  record(type, data = {}) {
+    const entry = { ts: new Date().toISOString(), type, ...data };
+    this.entries.push(entry);
+    if (this.entries.length > this.limit) this.entries.shift();
+    if (this.echo) console.info(`[audit] ${type}`, JSON.stringify(AuditLog.redact(data)));
+    if (this.file) {
+      try {
+        fs.appendFileSync(this.file, JSON.stringify(entry) + '\n');
+      } catch (err) {
+        console.error('Audit log write failed', err);
+      }
+    }
+    return entry;
+  }
+
+  /**
+   * Copy of an entry's data with ECHO_REDACTED fields masked.
+   * @param {Object} data
+   * @returns {Object}
+   */
+  static redact(data) {
+    return Object.fromEntries(Object.entries(data).map(([k, v]) => [k, ECHO_REDACTED.includes(k) && v != null ? '[redacted]' : v]));
+  }
+
+  /**
+   * Most recent entries first.
+   * @param {Object} [filter]
+   * @param {string} [filter.type]
+   * @param {(entry: Object) => boolean} [filter.where]
+   * @param {number} [filter.limit]
+   * @returns {Object[]}
+   */
+  recent({ type, where, limit = 50 } = {}) {
+    const out = [];
+    for (let i = this.entries.length - 1; i >= 0 && out.length < limit; i--) {
+      const e = this.entries[i];
+      if (type && e.type !== type) continue;
+      if (where && !where(e)) continue;
+      out.push(e);
+    }
+    return out;
+  }
+}
+
+export default AuditLog;
@@ -0,0 +1,170 @@
+import crypto from 'node:crypto';
+import jwt from 'jsonwebtoken';
+
+/** Scopes carried in API tokens. `admin` implies every other scope. */
+export const SCOPES = Object.freeze({ CHAT: 'chat', APPROVER: 'approver', ADMIN: 'admin' });
+
+/**
+ * Auth issues and verifies the short-lived JWTs that guard the API.
+ *
+ * Token claims:
+ *   tenant - tenant id the token was minted for
+ *   scopes - array of SCOPES values
+ *   thread - optional thread id the bearer is bound to
+ *   act    - optional {sample, action} for single-purpose links (e.g. approve)
+ *   auth_time - when the session began; renewed tokens keep it, and never
+ *            outlive auth_time + maxSessionSeconds
+ */
+export class Auth {
+  /**
+   * @param {Object} options
+   * @param {string} [options.secret] - HMAC secret (JWT_SECRET); a random one is used when missing
+   * @param {number} [options.ttlSeconds] - lifetime of minted tokens
+   * @param {number} [options.maxSessionSeconds] - how long a session may be kept alive by renewal
+   * @param {boolean} [options.devTokens] - allow unauthenticated chat-scoped tokens (DEV_TOKEN_ENABLED; never in production)
+   */
+  constructor({ secret, ttlSeconds = 3600, maxSessionSeconds = 12 * 3600, devTokens = false } = {}) {
+    this.ephemeral = !secret;
+    this.secret = secret || crypto.randomBytes(32).toString('hex');
+    this.ttlSeconds = ttlSeconds;
+    this.maxSessionSeconds = maxSessionSeconds;
+    this.devTokens = !!devTokens;
+  }
+
+  /**
+   * Mint a token. Passing `authTime` continues an existing session: the
+   * token then expires by the end of that session at the latest.
+   * @param {{tenant?: string, scopes?: string[], thread?: string, sub?: string, act?: Object, authTime?: number}} claims
+   * @param {{ttlSeconds?: number}} [options]
+   * @returns {{token: string, expires_at: string, claims: Object}}
+   * @throws with status 401 when the session `authTime` began has ended
+   */
+  sign({ tenant = 'default', scopes = [SCOPES.CHAT], thread, sub, act, authTime } = {}, { ttlSeconds } = {}) {
+    const now = Math.floor(Date.now() / 1000);
+    let ttl = ttlSeconds || this.ttlSeconds;
+    if (authTime) {
+      const left = authTime + this.maxSessionSeconds - now;
+      if (left <= 0) throw Object.assign(new Error('Session expired'), { status: 401 });
+      ttl = Math.min(ttl, left);
+    }
+    const claims = {
+      tenant,
+      scopes: [...new Set(scopes)],
+      ...(thread ? { thread } : {}),
+      ...(act ? { act } : {}),
+      auth_time: authTime || now
+    };
+    const token = jwt.sign(claims, this.secret, {
+      expiresIn: ttl,
+      subject: sub || crypto.randomUUID()
+    });
+    return { token, expires_at: new Date(Date.now() + ttl * 1000).toISOString(), claims };
+  }
+
+  /**
+   * Mint a fresh token with the same claims, within the same session.
+   * Tokens from before auth_time was issued count their session from `iat`.
+   * @param {Object} claims - verified claims of the current token
+   * @returns {{token: string, expires_at: string, claims: Object}}
+   * @throws with status 401 when the session has reached maxSessionSeconds
+   */
+  renew({ tenant, scopes, thread, sub, act, auth_time, iat }) {
+    return this.sign({ tenant, scopes, thread, sub, act, authTime: auth_time || iat });
+  }
+
+  /**
+   * Verify a token and return its claims.
+   * @param {string} token
+   * @returns {Object}
+   * @throws when the token is missing, expired or tampered with
+   */
+  verify(token) {
+    if (!token) throw new Error('Missing token');
+    return jwt.verify(token, this.secret);
+  }
+
+  /**
+   * Read a token from `Authorization: Bearer …` or the `token` query parameter.
+   * @param {import('express').Request} req
+   * @returns {string}
+   */
+  static tokenFromRequest(req) {
+    const header = req.get?.('authorization') || '';
+    const m = /^Bearer\s+(.+)$/i.exec(header);
+    if (m) return m[1].trim();
+    return typeof req.query?.token === 'string' ? req.query.token : '';
+  }
+
+  /**
+   * @param {Object} claims
+   * @param {string} scope
+   * @returns {boolean}
+   */
+  static hasScope(claims, scope) {
+    const scopes = claims?.scopes || [];
+    return scopes.includes(SCOPES.ADMIN) || scopes.includes(scope);
+  }
+
+  /**
+   * Whether the bearer may read or write the given thread.
+   * @param {Object} claims
+   * @param {string} threadId
+   */
+  static canAccessThread(claims, threadId) {
+    return Auth.hasScope(claims, SCOPES.ADMIN) || (!!claims?.thread && claims.thread === threadId);
+  }
+
+  /**
+   * Whether the bearer may perform `action` on `sample`. Single-purpose link
+   * tokens (with an `act` claim) only allow exactly what they were signed for.
+   * @param {Object} claims
+   * @param {string} sample
+   * @param {string} action
+   */
+  static canAct(claims, sample, action) {
+    if (!Auth.hasScope(claims, SCOPES.APPROVER)) return false;
+    if (!claims.act) return true;
+    return claims.act.sample === sample && claims.act.action === action;
+  }
+
+  /**
+   * Express middleware that requires a valid token with `scope`, minted for
+   * the tenant resolved on `req.tenant`. Sets `req.auth` to the claims.
+   * @param {{scope?: string}} [options]
+   */
+  require({ scope = SCOPES.CHAT } = {}) {
+    return (req, res, next) => {
+      let claims;
+      try {
+        claims = req.auth || this.verify(Auth.tokenFromRequest(req));
+      } catch (e) {
+        return res.status(401).json({ ok: false, error: 'Unauthorized', details: { reason: e.message } });
+      }
+      if (!Auth.hasScope(claims, scope)) {
+        return res.status(403).json({ ok: false, error: 'Forbidden', details: { required_scope: scope } });
+      }
+      const tenantId = req.tenant?.id;
+      if (tenantId && claims.tenant !== tenantId && !Auth.hasScope(claims, SCOPES.ADMIN)) {
+        return res.status(403).json({ ok: false, error: 'Forbidden', details: { reason: 'token minted for another tenant' } });
+      }
+      req.auth = claims;
+      next();
+    };
+  }
+
+  /**
+   * Express middleware for `:threadId` routes: the token must be bound to
+   * that thread (admins may read any thread). Run after `require()`.
+   */
+  requireThread() {
+    return (req, res, next) => {
+      const { threadId } = req.params;
+      if (threadId && !Auth.canAccessThread(req.auth, threadId)) {
+        return res.status(403).json({ ok: false, error: 'Forbidden', details: { reason: 'token is not bound to this thread' } });
+      }
+      next();
+    };
+  }
+}
+
+export default Auth;
@@ -0,0 +1,167 @@
+import { ContactsDB } from './notionContacts.mjs';
+
+/**
+ * Why a callback is needed — one value per scenario in
+ * knowledge/contact_details.md, in the same order.
+ */
+export const CONTACT_REASONS = Object.freeze([
+  'contact_requested',   // 1. customer asks to be contacted
+  'unknown_question',    // 2. no knowledge loaded to answer
+  'health_question',     // 3. health question the assistant cannot answer
+  'symptom_advice',      // 4. personal advice based on symptoms
+  'advice_for_other',    // 5. personal advice on behalf of somebody else
+  'company_question',    // 6. question about Metamorphosis Skincare it cannot answer
+  'complaint'            // 7. complaint or dispute
+]);
+
+/** Arguments of the `submit_contact_request` tool and body of POST /api/contact. */
+export const CONTACT_REQUEST_PARAMETERS = {
+  type: 'object',
+  properties: {
+    first_name: { type: 'string', description: 'First name (required)' },
+    last_name: { type: 'string', description: 'Last name (required)' },
+    email: { type: 'string', description: 'Email address (email or phone required)' },
+    phone: { type: 'string', description: 'Phone number, including area/country code' },
+    reason: { type: 'string', enum: [...CONTACT_REASONS], description: 'Which contact scenario applies' },
+    summary: { type: 'string', description: 'Short summary of the conversation for the person calling back (required)' },
+    wants_sample: { type: 'boolean', description: 'Whether they would also like a sample' },
+    notes: { type: 'string' }
+  },
+  additionalProperties: false
+};
+
+const EMAIL_RE = /^[^\s@]+@[^\s@]+\.[^\s@]{2,}$/;
+
+/**
+ * Normalise a phone number; returns '' when it cannot be a real number.
+ * @param {string} raw
+ */
+export function normalisePhone(raw) {
+  const s = String(raw || '').trim();
+  if (!/^\+?[\d\s().-]+$/.test(s)) return '';
+  const digits = s.replace(/\D/g, '');
+  if (digits.length < 7 || digits.length > 15) return '';
+  return (s.startsWith('+') ? '+' : '') + digits;
+}
+
+/**
+ * Date `days` business days after `from` (weekends skipped), as YYYY-MM-DD.
+ * @param {Date} from
+ * @param {number} days
+ */
+export function addBusinessDays(from, days) {
+  const d = new Date(from);
+  let left = days;
+  while (left > 0) {
+    d.setUTCDate(d.getUTCDate() + 1);
+    const dow = d.getUTCDay();
+    if (dow !== 0 && dow !== 6) left--;
+  }
+  return d.toISOString().slice(0, 10);
+}
+
+/**
+ * Check a contact request payload.
+ * @param {Object} payload
+ * @returns {{ok: true, contact: Object} | {ok: false, error: string, missing: string[], invalid: string[], message: string}}
+ */
+export function validateContactRequest(payload = {}) {
+  const clean = (v) => (typeof v === 'string' ? v.trim() : '');
+  const contact = {
+    first_name: clean(payload.first_name),
+    last_name: clean(payload.last_name),
+    email: clean(payload.email).toLowerCase(),
+    phone: clean(payload.phone),
+    reason: clean(payload.reason) || 'contact_requested',
+    summary: clean(payload.summary),
+    wants_sample: payload.wants_sample === true || payload.wants_sample === 'true',
+    notes: clean(payload.notes)
+  };
+
+  const missing = [];
+  if (!contact.first_name) missing.push('first_name');
+  if (!contact.last_name) missing.push('last_name');
+  if (!contact.email && !contact.phone) missing.push('email_or_phone');
+  if (!contact.summary) missing.push('summary');
+
+  const invalid = [];
+  if (contact.email && !EMAIL_RE.test(contact.email)) invalid.push('email is not a valid address');
+  if (contact.phone) {
+    const phone = normalisePhone(contact.phone);
+    if (phone) contact.phone = phone;
+    else invalid.push('phone is not a valid number');
+  }
+  if (!CONTACT_REASONS.includes(contact.reason)) invalid.push(`reason must be one of: ${CONTACT_REASONS.join(', ')}`);
+
+  if (missing.length || invalid.length) {
+    const labels = { first_name: 'first name', last_name: 'last name', email_or_phone: 'email address or phone number', summary: 'a summary of the question' };
+    return {
+      ok: false,
+      error: missing.length ? 'missing_fields' : 'invalid_fields',
+      missing,
+      invalid,
+      message: [
+        missing.length ? `Ask for: ${missing.map((k) => labels[k]).join(', ')}.` : '',
+        invalid.length ? `Please correct: ${invalid.join('; ')}.` : ''
+      ].filter(Boolean).join(' ')
+    };
+  }
+  return { ok: true, contact };
+}
+
+/**
+ * Validate and store a contact request. Shared by the assistant tool and
+ * the POST /api/contact endpoint.
+ * @param {ContactsDB} contactsDb
+ * @param {Object} payload
+ * @param {Object} [meta] - {source, tenant, thread_id, now}
+ * @returns {Promise<Object>} tool-style result
+ */
+export async function submitContactRequest(contactsDb, payload, { source = 'assistant', tenant, thread_id, now = new Date() } = {}) {
+  const checked = validateContactRequest(payload);
+  if (!checked.ok) return checked;
+
+  const contact = {
+    ...checked.contact,
+    source,
+    tenant,
+    thread_id,
+    status: 'new',
+    callback_due: addBusinessDays(now, 2)
+  };
+  try {
+    const pageId = await contactsDb.upsert(contact);
+    return {
+      ok: true,
+      page_id: pageId,
+      url: ContactsDB.pageUrl(pageId),
+      callback_due: contact.callback_due,
+      message: 'Tell the customer someone from Metamorphosis Skincare NZ will contact them within 48 hours / 2 business days.'
+    };
+  } catch (e) {
+    return {
+      ok: false,
+      error: 'record_failed',
+      message: 'The contact request could not be saved. Offer hello@metamorphosisskincare.co.nz or 0800 223 288 instead.',
+      details: e.message
+    };
+  }
+}
+
+/**
+ * Build the `submit_contact_request` tool for the ToolRegistry.
+ * @param {Object} options
+ * @param {ContactsDB} options.contactsDb
+ */
+export function createContactRequestTool({ contactsDb }) {
+  return {
+    description:
+      'Submit the contact request form so Metamorphosis Skincare NZ can call the customer back. ' +
+      'Use for the scenarios in contact_details.md once names and an email or phone are collected.',
+    parameters: CONTACT_REQUEST_PARAMETERS,
+    handler: (args, context = {}) =>
+      submitContactRequest(contactsDb, args, { source: 'assistant', tenant: context.tenant, thread_id: context.thread_id })
+  };
+}
+
+export default createContactRequestTool;
@@ -0,0 +1,194 @@
+import crypto from 'node:crypto';
+
+/**
+ * Conversation backends put the Assistants API (threads and runs) and the
+ * Responses API (chained responses) behind the `/api/threads/*` contract:
+ * create a thread, post messages to it, run it, list its messages and
+ * cancel a run. Tenants pick a backend (BACKEND_<NAME>, see tenants.mjs);
+ * an existing thread stays on the backend that created it, so a tenant can
+ * switch without breaking conversations already under way.
+ *
+ * @typedef {Object} RunResult
+ * @property {string} answer
+ * @property {Array<{file_id: string, filename: string|null, quote: string}>} citations
+ * @property {Object|null} usage
+ * @property {string} thread_id
+ * @property {string} run_id
+ * @property {string} status
+ *
+ * @typedef {Object} ConversationBackend
+ * @property {string} name
+ * @property {(threadId: string) => boolean} owns - whether the thread id is one this backend issues
+ * @property {(tenant: Object) => Promise<{id: string}>} createThread
+ * @property {(threadId: string, text: string) => Promise<void>} addMessage - posted without running
+ * @property {(args: Object) => Promise<RunResult>} run - {threadId, tenant, message, instructions, context, onEvent, signal}
+ * @property {(threadId: string) => Promise<{data: Object[], has_more: boolean}>} messages - newest first, Assistants message shape
+ * @property {(threadId: string, runId: string) => Promise<{id: string, status: string}>} cancel
+ */
+
+/** Backend names accepted in tenant configuration. */
+export const BACKENDS = Object.freeze(['assistants', 'responses']);
+
+/** Prefix of the thread ids ResponsesBackend issues (Assistants threads are `thread_<id>`). */
+export const RESPONSES_THREAD_PREFIX = 'thread_resp_';
+
+/**
+ * Threads and runs of the Assistants API, answered by the tenant's assistant.
+ * @implements {ConversationBackend}
+ */
+export class AssistantsBackend {
+  /**
+   * @param {Object} options
+   * @param {import('openai').default} options.openai
+   * @param {import('./assistantRuns.mjs').AssistantRunner} options.runner
+   */
+  constructor({ openai, runner }) {
+    this.name = 'assistants';
+    this.openai = openai;
+    this.runner = runner;
+  }
+
+  owns(threadId) {
+    return !!threadId && !String(threadId).startsWith(RESPONSES_THREAD_PREFIX);
+  }
+
+  /** New thread, scoped to the tenant's vector store when one is configured. */
+  async createThread(tenant) {
+    return this.openai.beta.threads.create(
+      tenant.vectorStoreId ? { tool_resources: { file_search: { vector_store_ids: [tenant.vectorStoreId] } } } : {}
+    );
+  }
+
+  async addMessage(threadId, text) {
+    await this.openai.beta.threads.messages.create(threadId, { role: 'user', content: text });
+  }
+
+  async run({ threadId, tenant, message, instructions, context, onEvent, signal }) {
+    if (!tenant.assistantId) throw new Error(`No assistant configured for tenant '${tenant.id}'`);
+    const args = { threadId, assistantId: tenant.assistantId, message, instructions, context };
+    return onEvent ? this.runner.stream({ ...args, onEvent, signal }) : this.runner.complete(args);
+  }
+
+  async messages(threadId) {
+    const page = await this.openai.beta.threads.messages.list(threadId);
+    return { data: page.data, has_more: page.has_more };
+  }
+
+  async cancel(threadId, runId) {
+    return this.runner.cancel(threadId, runId);
+  }
+}
+
+/**
+ * The Responses API with file_search over the tenant's vector store. A
+ * thread is our own id (RESPONSES_THREAD_PREFIX) whose state lives in the
+ * conversation store: the latest response id, which chains the next run
+ * through previous_response_id, and messages posted since, which are sent
+ * with it. Messages are listed from the stored turns.
+ * @implements {ConversationBackend}
+ */
+export class ResponsesBackend {
+  /**
+   * @param {Object} options
+   * @param {import('./responsesRuns.mjs').ResponsesRunner} options.runner
+   * @param {import('./conversationStore.mjs').ConversationStore} options.store
+   */
+  constructor({ runner, store }) {
+    this.name = 'responses';
+    this.runner = runner;
+    this.store = store;
+  }
+
+  owns(threadId) {
+    return String(threadId || '').startsWith(RESPONSES_THREAD_PREFIX);
+  }
+
+  async createThread(tenant) {
+    const id = `${RESPONSES_THREAD_PREFIX}${crypto.randomUUID().replace(/-/g, '')}`;
+    await this.store.saveThread({ thread_id: id, tenant: tenant.id, backend: this.name });
+    return { id };
+  }
+
+  async addMessage(threadId, text) {
+    const thread = await this.#thread(threadId);
+    await this.store.saveThread({ ...thread, pending: [...thread.pending, text] });
+  }
+
+  async run({ threadId, tenant, message, instructions, context, onEvent, signal }) {
+    const thread = await this.#thread(threadId);
+    const input = [...thread.pending, message].filter(Boolean).map((text) => ({ role: 'user', content: text }));
+    const out = await this.runner.run({
+      input,
+      previousResponseId: thread.last_response_id,
+      vectorStoreId: tenant.vectorStoreId,
+      instructions,
+      threadId,
+      context,
+      onEvent,
+      signal
+    });
+    // Only a completed run moves the chain on; after a failure, queued messages go out with the next run
+    await this.store.saveThread({ ...thread, last_response_id: out.response_id, pending: [] });
+    return { answer: out.answer, citations: out.citations, usage: out.usage, thread_id: threadId, run_id: out.run_id, status: out.status };
+  }
+
+  async messages(threadId) {
+    await this.#thread(threadId);
+    const turns = await this.store.get(threadId);
+    const data = turns.map((t, i) => ({
+      id: `msg_${threadId.slice(RESPONSES_THREAD_PREFIX.length)}_${i + 1}`,
+      object: 'thread.message',
+      thread_id: threadId,
+      role: t.role,
+      run_id: t.run_id ?? null,
+      created_at: Math.floor(Date.parse(t.created_at) / 1000),
+      content: [{ type: 'text', text: { value: t.text, annotations: [] } }]
+    }));
+    return { data: data.reverse(), has_more: false };
+  }
+
+  async cancel(threadId, runId) {
+    return this.runner.cancel(runId, { threadId });
+  }
+
+  async #thread(threadId) {
+    const thread = await this.store.getThread(threadId);
+    if (!thread) throw Object.assign(new Error(`No such thread: ${threadId}`), { status: 404 });
+    return thread;
+  }
+}
+
+/**
+ * Pick the backend for a request: the one that issued `threadId`, else the
+ * tenant's (tenant.backend, default assistants).
+ */
+export class ConversationBackends {
+  /**
+   * @param {Object} options
+   * @param {AssistantsBackend} options.assistants
+   * @param {ResponsesBackend} [options.responses]
+   */
+  constructor({ assistants, responses }) {
+    this.assistants = assistants;
+    this.responses = responses;
+  }
+
+  /**
+   * @param {Object} tenant
+   * @param {string} [threadId]
+   * @returns {ConversationBackend}
+   */
+  for(tenant, threadId) {
+    if (threadId) {
+      if (this.responses?.owns(threadId)) return this.responses;
+      return this.assistants;
+    }
+    if (tenant?.backend === 'responses') {
+      if (!this.responses) throw new Error(`Tenant '${tenant.id}' uses the responses backend, which is not configured`);
+      return this.responses;
+    }
+    return this.assistants;
+  }
+}
+
+export default ConversationBackends;
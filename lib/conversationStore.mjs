@@ -0,0 +1,316 @@
+import fs from 'node:fs';
+import path from 'node:path';
+import sqlite3 from 'sqlite3';
+
+/**
+ * Local record of chat conversations: one row per turn (a user message or an
+ * assistant reply) with its thread, tenant, run, latency, token usage and
+ * citations, so we know what customers asked without going back to OpenAI.
+ *
+ * It also holds the state of threads that OpenAI doesn't keep for us: a
+ * Responses API thread is our own id pointing at its latest response, plus
+ * messages posted since, which go out with the next run.
+ *
+ * Two stores share one interface: SqliteConversationStore for the server
+ * and MemoryConversationStore for tests (or CONVERSATIONS_DB=memory).
+ *
+ * @typedef {Object} Turn
+ * @property {string} thread_id
+ * @property {string} [tenant]
+ * @property {'user'|'assistant'} role
+ * @property {string} text
+ * @property {string} [run_id]
+ * @property {number} [latency_ms]
+ * @property {Object} [usage] - {prompt_tokens, completion_tokens, total_tokens}
+ * @property {Object[]} [citations] - {file_id, filename, quote}
+ * @property {string} [created_at] - ISO time, defaults to now
+ *
+ * @typedef {Object} ThreadState
+ * @property {string} thread_id
+ * @property {string} [tenant]
+ * @property {string} backend - e.g. 'responses'
+ * @property {string|null} [last_response_id] - previous_response_id for the next run
+ * @property {string[]} [pending] - user messages not yet sent to the model
+ * @property {string} [created_at]
+ * @property {string} [updated_at]
+ *
+ * @typedef {Object} ConversationStore
+ * @property {(turn: Turn) => Promise<void>} record
+ * @property {(filter?: Object) => Promise<{conversations: Object[], has_more: boolean, next_offset: number|null}>} list
+ * @property {(threadId: string) => Promise<Turn[]>} get
+ * @property {(thread: ThreadState) => Promise<ThreadState>} saveThread
+ * @property {(threadId: string) => Promise<ThreadState|null>} getThread
+ * @property {() => Promise<void>} close
+ */
+
+const SCHEMA = `
+CREATE TABLE IF NOT EXISTS turns (
+  id          INTEGER PRIMARY KEY AUTOINCREMENT,
+  thread_id   TEXT NOT NULL,
+  tenant      TEXT,
+  role        TEXT NOT NULL,
+  text        TEXT NOT NULL,
+  run_id      TEXT,
+  latency_ms  INTEGER,
+  usage       TEXT,
+  citations   TEXT,
+  created_at  TEXT NOT NULL
+);
+CREATE INDEX IF NOT EXISTS turns_thread ON turns (thread_id, id);
+CREATE INDEX IF NOT EXISTS turns_created ON turns (created_at);
+CREATE TABLE IF NOT EXISTS threads (
+  thread_id         TEXT PRIMARY KEY,
+  tenant            TEXT,
+  backend           TEXT NOT NULL,
+  last_response_id  TEXT,
+  pending           TEXT NOT NULL,
+  created_at        TEXT NOT NULL,
+  updated_at        TEXT NOT NULL
+);
+`;
+
+const COLUMNS = ['thread_id', 'tenant', 'role', 'text', 'run_id', 'latency_ms', 'usage', 'citations', 'created_at'];
+const THREAD_COLUMNS = ['thread_id', 'tenant', 'backend', 'last_response_id', 'pending', 'created_at', 'updated_at'];
+
+/**
+ * Turn query parameters into a list() filter. `from` and `to` take ISO dates
+ * or times; a date-only `to` includes that whole day.
+ * @param {Object} params - {tenant, from, to, limit, offset}
+ * @returns {{filter: Object, errors: string[]}}
+ */
+export function parseConversationQuery(params = {}) {
+  const filter = {};
+  const errors = [];
+  if (params.tenant) filter.tenant = String(params.tenant);
+  for (const key of ['from', 'to']) {
+    const raw = params[key] ? String(params[key]) : '';
+    if (!raw) continue;
+    const date = new Date(raw);
+    if (Number.isNaN(date.getTime())) {
+      errors.push(`${key}: "${raw}" is not a date`);
+      continue;
+    }
+    if (key === 'to' && /^\d{4}-\d{2}-\d{2}$/.test(raw)) date.setUTCDate(date.getUTCDate() + 1);
+    filter[key] = date.toISOString();
+  }
+  filter.limit = Math.min(Math.max(Number(params.limit) || 50, 1), 500);
+  filter.offset = Math.max(Number(params.offset) || 0, 0);
+  return { filter, errors };
+}
+
+const normalise = (turn) => ({
+  thread_id: turn.thread_id,
+  tenant: turn.tenant ?? null,
+  role: turn.role,
+  text: String(turn.text ?? ''),
+  run_id: turn.run_id ?? null,
+  latency_ms: turn.latency_ms ?? null,
+  usage: turn.usage ?? null,
+  citations: turn.citations ?? [],
+  created_at: turn.created_at || new Date().toISOString()
+});
+
+function threadRow(thread, existing) {
+  if (!thread?.thread_id) throw new Error('thread_id is required');
+  if (!thread.backend) throw new Error('backend is required');
+  const now = new Date().toISOString();
+  return {
+    thread_id: thread.thread_id,
+    tenant: thread.tenant ?? null,
+    backend: thread.backend,
+    last_response_id: thread.last_response_id ?? null,
+    pending: (thread.pending || []).map(String),
+    created_at: existing?.created_at || thread.created_at || now,
+    updated_at: now
+  };
+}
+
+function check(turn) {
+  if (!turn?.thread_id) throw new Error('thread_id is required');
+  if (turn.role !== 'user' && turn.role !== 'assistant') throw new Error(`Unknown role: ${turn.role}`);
+}
+
+/**
+ * Conversations in memory, lost on restart.
+ * @implements {ConversationStore}
+ */
+export class MemoryConversationStore {
+  constructor() {
+    this.turns = [];
+    this.threads = new Map();
+  }
+
+  /** @param {Turn} turn */
+  async record(turn) {
+    check(turn);
+    this.turns.push({ id: this.turns.length + 1, ...normalise(turn) });
+  }
+
+  /**
+   * Conversations active between `from` (inclusive) and `to` (exclusive),
+   * most recent first.
+   * @param {Object} [filter] - see parseConversationQuery
+   */
+  async list({ tenant, from, to, limit = 50, offset = 0 } = {}) {
+    const byThread = new Map();
+    for (const t of this.turns) {
+      if (tenant && t.tenant !== tenant) continue;
+      const c = byThread.get(t.thread_id) || { thread_id: t.thread_id, tenant: t.tenant, started_at: t.created_at, last_at: t.created_at, turns: 0, first_message: null };
+      c.turns++;
+      if (t.created_at < c.started_at) c.started_at = t.created_at;
+      if (t.created_at > c.last_at) c.last_at = t.created_at;
+      if (c.first_message === null && t.role === 'user') c.first_message = t.text;
+      byThread.set(t.thread_id, c);
+    }
+    const all = [...byThread.values()]
+      .filter((c) => (!from || c.last_at >= from) && (!to || c.started_at < to))
+      .sort((a, b) => (a.last_at < b.last_at ? 1 : a.last_at > b.last_at ? -1 : 0));
+    const page = all.slice(offset, offset + limit);
+    const hasMore = all.length > offset + limit;
+    return { conversations: page, has_more: hasMore, next_offset: hasMore ? offset + limit : null };
+  }
+
+  /**
+   * A thread's turns in order.
+   * @param {string} threadId
+   * @returns {Promise<Turn[]>}
+   */
+  async get(threadId) {
+    return this.turns.filter((t) => t.thread_id === threadId).map(({ id, ...turn }) => turn);
+  }
+
+  /**
+   * Create or replace a thread's state; created_at is kept from the first save.
+   * @param {ThreadState} thread
+   * @returns {Promise<ThreadState>}
+   */
+  async saveThread(thread) {
+    const row = threadRow(thread, this.threads.get(thread.thread_id));
+    this.threads.set(row.thread_id, row);
+    return { ...row, pending: [...row.pending] };
+  }
+
+  /**
+   * @param {string} threadId
+   * @returns {Promise<ThreadState|null>}
+   */
+  async getThread(threadId) {
+    const row = this.threads.get(threadId);
+    return row ? { ...row, pending: [...row.pending] } : null;
+  }
+
+  async close() {}
+}
+
+/**
+ * Conversations in SQLite.
+ * @implements {ConversationStore}
+ */
+export class SqliteConversationStore {
+  /**
+   * @param {import('sqlite3').Database} db - use SqliteConversationStore.open()
+   */
+  constructor(db) {
+    this.db = db;
+  }
+
+  /**
+   * Open (creating when needed) a conversation database.
+   * @param {string} file - path, or ':memory:'
+   * @returns {Promise<SqliteConversationStore>}
+   */
+  static async open(file) {
+    if (file !== ':memory:') fs.mkdirSync(path.dirname(path.resolve(file)), { recursive: true });
+    const db = await new Promise((resolve, reject) => {
+      const d = new sqlite3.Database(file, (err) => (err ? reject(err) : resolve(d)));
+    });
+    await new Promise((resolve, reject) => db.exec(SCHEMA, (err) => (err ? reject(err) : resolve())));
+    return new SqliteConversationStore(db);
+  }
+
+  /** @param {Turn} turn */
+  async record(turn) {
+    check(turn);
+    const row = normalise(turn);
+    row.usage = row.usage ? JSON.stringify(row.usage) : null;
+    row.citations = JSON.stringify(row.citations);
+    await this.#run(`INSERT INTO turns (${COLUMNS.join(', ')}) VALUES (${COLUMNS.map(() => '?').join(', ')})`, COLUMNS.map((c) => row[c]));
+  }
+
+  /**
+   * Conversations active between `from` (inclusive) and `to` (exclusive),
+   * most recent first.
+   * @param {Object} [filter] - see parseConversationQuery
+   */
+  async list({ tenant, from, to, limit = 50, offset = 0 } = {}) {
+    const where = tenant ? 'WHERE tenant = ?' : '';
+    const having = [from && 'MAX(created_at) >= ?', to && 'MIN(created_at) < ?'].filter(Boolean);
+    const rows = await this.#all(
+      `SELECT thread_id, MIN(tenant) AS tenant, MIN(created_at) AS started_at, MAX(created_at) AS last_at, COUNT(*) AS turns,
+        (SELECT f.text FROM turns f WHERE f.thread_id = t.thread_id AND f.role = 'user' ORDER BY f.id LIMIT 1) AS first_message
+       FROM turns t ${where}
+       GROUP BY thread_id ${having.length ? `HAVING ${having.join(' AND ')}` : ''}
+       ORDER BY last_at DESC LIMIT ? OFFSET ?`,
+      [tenant, from, to].filter(Boolean).concat(limit + 1, offset)
+    );
+    const hasMore = rows.length > limit;
+    return { conversations: rows.slice(0, limit), has_more: hasMore, next_offset: hasMore ? offset + limit : null };
+  }
+
+  /**
+   * A thread's turns in order.
+   * @param {string} threadId
+   * @returns {Promise<Turn[]>}
+   */
+  async get(threadId) {
+    const rows = await this.#all(`SELECT ${COLUMNS.join(', ')} FROM turns WHERE thread_id = ? ORDER BY id`, [threadId]);
+    return rows.map((r) => ({ ...r, usage: r.usage ? JSON.parse(r.usage) : null, citations: JSON.parse(r.citations || '[]') }));
+  }
+
+  /**
+   * Create or replace a thread's state; created_at is kept from the first save.
+   * @param {ThreadState} thread
+   * @returns {Promise<ThreadState>}
+   */
+  async saveThread(thread) {
+    const row = threadRow(thread, await this.getThread(thread.thread_id));
+    await this.#run(
+      `INSERT OR REPLACE INTO threads (${THREAD_COLUMNS.join(', ')}) VALUES (${THREAD_COLUMNS.map(() => '?').join(', ')})`,
+      THREAD_COLUMNS.map((c) => (c === 'pending' ? JSON.stringify(row.pending) : row[c]))
+    );
+    return row;
+  }
+
+  /**
+   * @param {string} threadId
+   * @returns {Promise<ThreadState|null>}
+   */
+  async getThread(threadId) {
+    const [row] = await this.#all(`SELECT ${THREAD_COLUMNS.join(', ')} FROM threads WHERE thread_id = ?`, [threadId]);
+    return row ? { ...row, pending: JSON.parse(row.pending) } : null;
+  }
+
+  async close() {
+    await new Promise((resolve, reject) => this.db.close((err) => (err ? reject(err) : resolve())));
+  }
+
+  #run(sql, params = []) {
+    return new Promise((resolve, reject) => this.db.run(sql, params, (err) => (err ? reject(err) : resolve())));
+  }
+
+  #all(sql, params = []) {
+    return new Promise((resolve, reject) => this.db.all(sql, params, (err, rows) => (err ? reject(err) : resolve(rows))));
+  }
+}
+
+/**
+ * The store named by CONVERSATIONS_DB: "memory" for an in-memory store,
+ * otherwise a SQLite file.
+ * @param {string} file
+ * @returns {Promise<ConversationStore>}
+ */
+export async function openConversationStore(file) {
+  return file === 'memory' ? new MemoryConversationStore() : SqliteConversationStore.open(file);
+}
+
+export default SqliteConversationStore;
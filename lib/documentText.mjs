@@ -0,0 +1,164 @@
+import path from 'node:path';
+import Papa from 'papaparse';
+import mammoth from 'mammoth';
+import ExcelJS from 'exceljs';
+import { NodeHtmlMarkdown } from 'node-html-markdown';
+import { getDocument } from 'pdfjs-dist/legacy/build/pdf.mjs';
+
+/**
+ * Text extraction for uploaded documents, in-process: PDF text, DOCX, XLSX
+ * and CSV (as Markdown tables), HTML (as Markdown) and plain text. The format
+ * comes from the MIME type, then the file extension, then the first bytes.
+ */
+
+/**
+ * Raised when a document can't be turned into text.
+ */
+export class ExtractionError extends Error {
+  /**
+   * @param {string} message
+   * @param {string} code - unsupported_format or extraction_failed
+   * @param {Object} [details]
+   */
+  constructor(message, code, details = {}) {
+    super(message);
+    this.name = 'ExtractionError';
+    this.code = code;
+    this.details = details;
+  }
+}
+
+const MIME_TYPES = {
+  'application/pdf': 'pdf',
+  'application/vnd.openxmlformats-officedocument.wordprocessingml.document': 'docx',
+  'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet': 'xlsx',
+  'text/csv': 'csv',
+  'application/csv': 'csv',
+  'text/html': 'html',
+  'application/xhtml+xml': 'html',
+  'text/plain': 'text',
+  'text/markdown': 'text',
+  'application/json': 'text'
+};
+
+const EXTENSIONS = {
+  '.pdf': 'pdf',
+  '.docx': 'docx',
+  '.xlsx': 'xlsx',
+  '.csv': 'csv',
+  '.html': 'html',
+  '.htm': 'html',
+  '.txt': 'text',
+  '.md': 'text',
+  '.markdown': 'text',
+  '.json': 'text'
+};
+
+/**
+ * Work out a document's format.
+ * @param {{filename?: string, contentType?: string, content?: Buffer}} input
+ * @returns {string|null} pdf, docx, xlsx, csv, html, text, or null when unknown
+ */
+export function detectFormat({ filename = '', contentType = '', content } = {}) {
+  const mime = String(contentType).split(';')[0].trim().toLowerCase();
+  if (MIME_TYPES[mime]) return MIME_TYPES[mime];
+  const ext = EXTENSIONS[path.extname(filename.split('?')[0]).toLowerCase()];
+  if (ext) return ext;
+  if (content?.subarray(0, 5).toString('latin1') === '%PDF-') return 'pdf';
+  if (mime.startsWith('text/')) return 'text';
+  return null;
+}
+
+/**
+ * Extract a document's text.
+ * @param {Buffer} content
+ * @param {{filename?: string, contentType?: string}} [meta]
+ * @returns {Promise<string>} Markdown or plain text
+ * @throws {ExtractionError}
+ */
+export async function extractText(content, { filename = '', contentType = '' } = {}) {
+  const format = detectFormat({ filename, contentType, content });
+  if (!format) {
+    throw new ExtractionError(`Unsupported file type${contentType ? ` ${contentType}` : ''}${filename ? ` (${filename})` : ''}`, 'unsupported_format', { filename, contentType });
+  }
+  try {
+    return (await EXTRACTORS[format](content)).trim();
+  } catch (e) {
+    throw new ExtractionError(`Could not read ${format.toUpperCase()}${filename ? ` ${filename}` : ''}: ${e.message}`, 'extraction_failed', { filename, format });
+  }
+}
+
+/**
+ * Rows as a Markdown table; the first row is the header.
+ * @param {string[][]} rows
+ * @returns {string}
+ */
+export function markdownTable(rows) {
+  if (!rows.length) return '';
+  const width = Math.max(...rows.map((r) => r.length));
+  const cell = (s) => String(s ?? '').replace(/\|/g, '\\|').replace(/\r?\n/g, '<br>');
+  const line = (cells) => `| ${Array.from({ length: width }, (_, i) => cell(cells[i])).join(' | ')} |`;
+  return [line(rows[0]), `|${' --- |'.repeat(width)}`, ...rows.slice(1).map(line)].join('\n');
+}
+
+const EXTRACTORS = {
+  async pdf(content) {
+    const pdf = await getDocument({ data: new Uint8Array(content), isEvalSupported: false, useSystemFonts: false, verbosity: 0 }).promise;
+    try {
+      const pages = [];
+      for (let n = 1; n <= pdf.numPages; n++) {
+        const { items } = await (await pdf.getPage(n)).getTextContent();
+        let text = '';
+        let lastY = null;
+        for (const item of items) {
+          const y = item.transform?.[5];
+          if (lastY !== null && y !== lastY && !text.endsWith('\n')) text += '\n';
+          text += item.str;
+          if (item.hasEOL) text += '\n';
+          lastY = y;
+        }
+        pages.push(text.trim());
+      }
+      return pages.filter(Boolean).join('\n\n');
+    } finally {
+      await pdf.destroy();
+    }
+  },
+
+  async docx(content) {
+    const { value } = await mammoth.convertToHtml({ buffer: content });
+    return NodeHtmlMarkdown.translate(value);
+  },
+
+  async xlsx(content) {
+    const workbook = new ExcelJS.Workbook();
+    await workbook.xlsx.load(content);
+    const sheets = [];
+    workbook.eachSheet((sheet) => {
+      const rows = [];
+      sheet.eachRow((row) => {
+        const cells = [];
+        row.eachCell({ includeEmpty: true }, (c, col) => { cells[col - 1] = c.text; });
+        rows.push(cells);
+      });
+      const table = markdownTable(rows);
+      if (table) sheets.push(workbook.worksheets.length > 1 ? `## ${sheet.name}\n\n${table}` : table);
+    });
+    return sheets.join('\n\n');
+  },
+
+  async csv(content) {
+    const { data } = Papa.parse(utf8(content), { skipEmptyLines: 'greedy' });
+    return markdownTable(data);
+  },
+
+  async html(content) {
+    return NodeHtmlMarkdown.translate(utf8(content));
+  },
+
+  async text(content) {
+    return utf8(content);
+  }
+};
+
+const utf8 = (content) => content.toString('utf8').replace(/^\uFEFF/, '');
@@ -0,0 +1,138 @@
+import { spawn as spawnProcess } from 'node:child_process';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Run a Node script as a child process with the current Node binary.
+ * @param {string} script - path to the script
+ * @param {Object} [options]
+ * @param {string} [options.cwd]
+ * @param {Object} [options.env]
+ * @param {number} [options.timeoutMs] - kill the child after this long
+ * @param {(message: Object) => void} [options.onMessage] - opens an IPC channel; called for each
+ *   `process.send()` message from the script
+ * @param {Function} [options.spawn] - child_process.spawn, injectable for tests
+ * @returns {Promise<{code: number, output: string}>} the last few KB of stdout/stderr
+ * @throws when the script exits non-zero or times out
+ */
+export function runNodeScript(script, { cwd = process.cwd(), env = process.env, timeoutMs = 30 * 60 * 1000, onMessage, spawn = spawnProcess } = {}) {
+  return new Promise((resolve, reject) => {
+    const stdio = ['ignore', 'pipe', 'pipe', ...(onMessage ? ['ipc'] : [])];
+    const child = spawn(process.execPath, [script], { cwd, env, stdio });
+    if (onMessage) child.on('message', onMessage);
+    let output = '';
+    const keep = (chunk) => { output = (output + chunk).slice(-4000); };
+    child.stdout?.on('data', keep);
+    child.stderr?.on('data', keep);
+    const timer = setTimeout(() => child.kill('SIGTERM'), timeoutMs);
+    child.on('error', (e) => { clearTimeout(timer); reject(e); });
+    child.on('close', (code, signal) => {
+      clearTimeout(timer);
+      if (code === 0) return resolve({ code, output });
+      const err = new Error(signal ? `${script} was killed (${signal})` : `${script} exited with ${code}: ${output.trim().split('\n').pop() || ''}`);
+      err.output = output;
+      reject(err);
+    });
+  });
+}
+
+/**
+ * Job task that runs the Notion → vector store sync through the shared
+ * SyncJobs tracker, so scheduled and admin-started syncs never overlap.
+ * @param {Object} options
+ * @param {import('./syncJobs.mjs').SyncJobs} options.syncJobs
+ */
+export function createKnowledgeSyncJob({ syncJobs }) {
+  return async ({ trigger }) => {
+    const job = await syncJobs.start({ trigger: `scheduler:${trigger}` }).done;
+    if (job.status === 'failed') throw new Error(job.error);
+    return { job_id: job.id, ...job.progress };
+  };
+}
+
+/**
+ * Job task that emails ops a digest of samples dispatched more than `days`
+ * ago and still not marked fulfilled. Each sample is included once; the ids
+ * already reminded about are kept in the job's persisted `data`.
+ * @param {Object} options
+ * @param {import('./notionSamples.mjs').SamplesDB} options.samplesDb
+ * @param {import('./notifications.mjs').SampleNotifier} options.notifier
+ * @param {number} [options.days]
+ */
+export function createStaleSampleJob({ samplesDb, notifier, days = 5 }) {
+  return async ({ data, now }) => {
+    const dispatched = await samplesDb.listByStatus('dispatched');
+    const cutoff = now.getTime() - days * DAY_MS;
+    const open = new Set(dispatched.map((s) => s.id));
+    const reminded = (data.reminded || []).filter((id) => open.has(id));
+
+    const stale = dispatched
+      .filter((s) => !reminded.includes(s.id))
+      .filter((s) => new Date(s.timestamps?.dispatched || s.updated_at).getTime() <= cutoff)
+      .map((s) => {
+        const since = s.timestamps?.dispatched || s.updated_at;
+        return { ...s, dispatched_on: String(since).slice(0, 10), days: Math.floor((now - new Date(since)) / DAY_MS) };
+      });
+
+    if (stale.length && notifier.opsEmails.length) {
+      notifier.notify('stale_samples_reminder', notifier.opsEmails, { samples: stale, count: stale.length, days });
+      reminded.push(...stale.map((s) => s.id));
+    }
+    data.reminded = reminded;
+    return { dispatched: dispatched.length, stale: stale.length, notified: stale.length && notifier.opsEmails.length ? stale.map((s) => s.id) : [] };
+  };
+}
+
+/**
+ * Job task that emails a summary of the last 24 hours: new sample requests
+ * by status, the open approval/dispatch backlog and audit event counts.
+ * @param {Object} options
+ * @param {import('./notionSamples.mjs').SamplesDB} [options.samplesDb]
+ * @param {import('./auditLog.mjs').AuditLog} [options.audit]
+ * @param {import('./notifications.mjs').SampleNotifier} options.notifier
+ * @param {string[]} options.recipients
+ */
+export function createNightlyReportJob({ samplesDb, audit, notifier, recipients }) {
+  return async ({ now }) => {
+    const since = new Date(now.getTime() - DAY_MS);
+    const report = { date: now.toISOString().slice(0, 10), since: since.toISOString(), new_samples: 0, by_status: [], backlog: {}, events: [] };
+
+    if (samplesDb) {
+      const recent = await samplesDb.listSince(since);
+      report.new_samples = recent.length;
+      report.by_status = countBy(recent, (s) => s.status);
+      for (const status of ['needs_approval', 'approved', 'dispatched']) {
+        report.backlog[status] = (await samplesDb.listByStatus(status)).length;
+      }
+    }
+    if (audit) {
+      const entries = audit.recent({ where: (e) => new Date(e.ts) >= since, limit: audit.limit });
+      report.events = countBy(entries, (e) => e.type);
+    }
+
+    if (recipients.length) notifier.notify('nightly_report', recipients, { report });
+    return { ...report, sent_to: recipients.length };
+  };
+}
+
+/**
+ * Job task that emails last month's sample report (lib/sampleReports.mjs)
+ * as Markdown. Meant to run early on the 1st of each month.
+ * @param {Object} options
+ * @param {import('./sampleReports.mjs').SampleReports} options.reports
+ * @param {import('./notifications.mjs').SampleNotifier} options.notifier
+ * @param {string[]} options.recipients
+ */
+export function createMonthlySampleReportJob({ reports, notifier, recipients }) {
+  return async () => {
+    const { month, metrics, markdown } = await reports.monthly();
+    if (recipients.length) notifier.notify('monthly_sample_report', recipients, { month, report: metrics, markdown });
+    return { month, requests: metrics.requests, approval_rate: metrics.approval.rate, sent_to: recipients.length };
+  };
+}
+
+function countBy(items, key) {
+  const counts = new Map();
+  for (const item of items) counts.set(key(item), (counts.get(key(item)) || 0) + 1);
+  return [...counts].sort((a, b) => b[1] - a[1]).map(([name, count]) => ({ name, count }));
+}
@@ -0,0 +1,279 @@
+import crypto from 'node:crypto';
+import path from 'node:path';
+
+/**
+ * Content hash used for change detection everywhere in the sync.
+ * @param {Buffer|string} content
+ * @returns {string} "sha256:<hex>"
+ */
+export function hashContent(content) {
+  return `sha256:${crypto.createHash('sha256').update(content).digest('hex')}`;
+}
+
+/**
+ * Upload name for a version of a document: faq.md -> faq_v3.md.
+ * @param {string} filename
+ * @param {number} version
+ */
+export function versionedFilename(filename, version) {
+  const ext = path.extname(filename);
+  return `${filename.slice(0, filename.length - ext.length)}_v${version}${ext}`;
+}
+
+const PLAN_FORMAT = 1;
+
+/**
+ * KnowledgeSync copies documents from sources (local folder, Notion pages,
+ * Notion attachments, …) into a vector store target.
+ *
+ * One change model for every source: a document's id is looked up in the
+ * target's state, and it is uploaded only when the sha256 of its content
+ * differs from the recorded `content_hash`. A changed document gets the next
+ * version; the previous vector-store file is detached once the new one is
+ * indexed.
+ *
+ * With a manifest (lib/syncManifest.mjs) the recorded hash and file of each
+ * document come from it, as long as that file is still in the store; the
+ * store's file attributes fill in documents the manifest doesn't know (a new
+ * machine, a lost manifest). Every outcome is recorded back into it.
+ *
+ * A sync is a plan (what would change; touches nothing) followed by apply
+ * (executes exactly that plan). Plans are plain JSON so they can be reviewed
+ * and applied later; apply refuses items whose content or vector-store file
+ * changed in between.
+ */
+export class KnowledgeSync {
+  /**
+   * @param {Object} options
+   * @param {Object[]} options.sources - see lib/syncSources.mjs
+   * @param {import('./vectorStoreTarget.mjs').VectorStoreTarget} options.target
+   * @param {import('./syncManifest.mjs').SyncManifest} [options.manifest]
+   * @param {(event: string, data: Object) => void} [options.onProgress]
+   *   'source' {source, documents}, 'document' {id, title, outcome, error?}
+   */
+  constructor({ sources, target, manifest, onProgress = () => {} }) {
+    this.sources = sources;
+    this.target = target;
+    this.manifest = manifest;
+    this.onProgress = onProgress;
+  }
+
+  /**
+   * Plan and apply in one go.
+   * @returns {Promise<{totals: Object, results: Object[]}>} see apply()
+   */
+  async run() {
+    return this.apply(await this.plan());
+  }
+
+  /**
+   * Work out what a sync would do without changing anything.
+   * @returns {Promise<Object>} plan: {format, created_at, vector_store_id, sources,
+   *   items: [{id, source, title, action, ...}], orphans, totals}; `action` is
+   *   upload, replace, unchanged, skip or error
+   */
+  async plan() {
+    const files = await this.target.files();
+    const state = await this.#state(files);
+    const items = [];
+    const docs = new Map();
+    const bodies = new Map();
+
+    for (const source of this.sources) {
+      const listed = await source.documents();
+      this.onProgress('source', { source: source.name, documents: listed.length });
+      for (const doc of listed) {
+        if (docs.has(doc.id)) continue;
+        docs.set(doc.id, { doc, source });
+        const { item, body } = await this.#planDocument(doc, state.get(doc.id));
+        if (body) bodies.set(doc.id, body);
+        items.push(item);
+      }
+    }
+
+    // Files from these sources whose document is gone, and files the sync never uploaded
+    const names = new Set(this.sources.map((s) => s.name));
+    const current = new Set([...state.values()].map((f) => f.file_id));
+    const orphans = files
+      .filter((f) => !f.source_id || (names.has(f.source) && !docs.has(f.source_id) && current.has(f.file_id)))
+      .map((f) => ({ file_id: f.file_id, source_id: f.source_id, filename: f.filename || null, reason: f.source_id ? 'source_missing' : 'unmanaged' }));
+
+    const totals = { upload: 0, replace: 0, unchanged: 0, skip: 0, error: 0, orphaned: orphans.length };
+    for (const item of items) totals[item.action]++;
+    const plan = {
+      format: PLAN_FORMAT,
+      created_at: new Date().toISOString(),
+      vector_store_id: this.target.vectorStoreId,
+      sources: [...names],
+      items,
+      orphans,
+      totals
+    };
+    // Loaded documents and content stay with the plan object for an in-process apply
+    Object.defineProperties(plan, { docs: { value: docs }, bodies: { value: bodies } });
+    return plan;
+  }
+
+  /**
+   * Execute a plan: upload and replace exactly the planned items and record
+   * every outcome with the sources.
+   * @param {Object} plan - from plan(), possibly round-tripped through JSON
+   * @returns {Promise<{totals: Object, results: Object[]}>} totals per outcome
+   *   (scanned, uploaded, replaced, unchanged, skipped, errored) and one
+   *   result per document
+   * @throws when the plan is for another vector store or format
+   */
+  async apply(plan) {
+    if (plan?.format !== PLAN_FORMAT) throw new Error('Unsupported sync plan format');
+    if (plan.vector_store_id !== this.target.vectorStoreId) {
+      throw new Error(`Plan is for vector store ${plan.vector_store_id}, not ${this.target.vectorStoreId}`);
+    }
+    const docs = plan.docs || await this.#documents();
+    const state = await this.#state(await this.target.files());
+    const totals = { scanned: 0, uploaded: 0, replaced: 0, unchanged: 0, skipped: 0, errored: 0 };
+    const results = [];
+
+    for (const item of plan.items) {
+      const entry = docs.get(item.id);
+      totals.scanned++;
+      const result = entry
+        ? await this.#applyItem(item, entry.doc, state.get(item.id), plan.bodies?.get(item.id))
+        : { id: item.id, source: item.source, title: item.title, outcome: 'error', error: 'No longer provided by its source' };
+      totals[result.outcome === 'error' ? 'errored' : result.outcome]++;
+      results.push(result);
+      if (entry && result.file_id) await this.#record(result, item, state.get(item.id));
+      await entry?.source.report?.(entry.doc, result);
+      this.onProgress('document', { ...result, totals });
+    }
+    return { totals, results };
+  }
+
+  async #state(files) {
+    const state = this.target.state(files);
+    if (!this.manifest) return state;
+    const present = new Map(files.map((f) => [f.file_id, f]));
+    for (const row of await this.manifest.all(this.target.vectorStoreId)) {
+      const file = present.get(row.vs_file_id);
+      const live = state.get(row.source_id);
+      if (!file || (live && (live.version || 0) > row.version)) continue;
+      state.set(row.source_id, { ...file, source_id: row.source_id, content_hash: row.content_hash, version: row.version, filename: row.filename });
+    }
+    return state;
+  }
+
+  async #record(result, item, current) {
+    if (!this.manifest) return;
+    const previous = result.outcome === 'unchanged' ? await this.manifest.get(this.target.vectorStoreId, result.id) : null;
+    await this.manifest.record({
+      vector_store_id: this.target.vectorStoreId,
+      source_id: result.id,
+      source: result.source,
+      filename: result.filename || previous?.filename || item.filename,
+      content_hash: result.content_hash,
+      file_id: result.file_id,
+      version: result.version,
+      bytes: item.bytes ?? previous?.bytes,
+      uploaded_at: result.outcome === 'unchanged' ? previous?.uploaded_at ?? current?.created_at : new Date().toISOString()
+    });
+  }
+
+  async #documents() {
+    const docs = new Map();
+    for (const source of this.sources) {
+      for (const doc of await source.documents()) if (!docs.has(doc.id)) docs.set(doc.id, { doc, source });
+    }
+    return docs;
+  }
+
+  async #planDocument(doc, previous) {
+    const item = { id: doc.id, source: doc.source, title: doc.title };
+    if (doc.skip) return { item: { ...item, action: 'skip', reason: doc.skip } };
+    try {
+      const body = await loadBody(doc);
+      const contentHash = hashContent(body);
+      if (previous?.content_hash === contentHash) {
+        return { item: { ...item, action: 'unchanged', content_hash: contentHash, file_id: previous.file_id, version: previous.version, bytes: body.length } };
+      }
+      const version = (previous?.version || 0) + 1;
+      return {
+        body,
+        item: {
+          ...item,
+          action: previous ? 'replace' : 'upload',
+          content_hash: contentHash,
+          version,
+          filename: versionedFilename(doc.filename, version),
+          bytes: body.length,
+          ...(previous ? { previous_file_id: previous.file_id, previous_version: previous.version } : {})
+        }
+      };
+    } catch (e) {
+      return { item: { ...item, action: 'error', error: e.message } };
+    }
+  }
+
+  async #applyItem(item, doc, current, body) {
+    const base = { id: item.id, source: item.source, title: item.title };
+    if (item.action === 'skip') return { ...base, outcome: 'skipped', reason: item.reason };
+    if (item.action === 'error') return { ...base, outcome: 'error', error: item.error };
+    if (item.action === 'unchanged') {
+      return { ...base, outcome: 'unchanged', content_hash: item.content_hash, file_id: item.file_id, version: item.version };
+    }
+    try {
+      if ((current?.file_id || null) !== (item.previous_file_id || null)) {
+        throw new Error('Vector store changed since the plan was made');
+      }
+      const content = body || await loadBody(doc);
+      if (hashContent(content) !== item.content_hash) throw new Error('Content changed since the plan was made');
+
+      const upload = doc.render ? doc.render(content, { version: item.version }) : content;
+      const { file_id } = await this.target.upload({ ...doc, filename: item.filename }, upload, { content_hash: item.content_hash, version: item.version });
+      if (item.previous_file_id) await this.target.remove(item.previous_file_id);
+      return {
+        ...base,
+        outcome: item.previous_file_id ? 'replaced' : 'uploaded',
+        content_hash: item.content_hash,
+        file_id,
+        version: item.version,
+        filename: item.filename,
+        ...(item.previous_file_id ? { replaced_file_id: item.previous_file_id } : {})
+      };
+    } catch (e) {
+      return { ...base, outcome: 'error', error: e.message };
+    }
+  }
+}
+
+async function loadBody(doc) {
+  const loaded = await doc.load();
+  const body = Buffer.isBuffer(loaded) ? loaded : Buffer.from(String(loaded ?? ''), 'utf8');
+  if (!body.toString('utf8').trim()) throw new Error('No text content extracted');
+  return body;
+}
+
+const label = (item) => `${item.id}${item.title && item.title !== item.id ? ` "${item.title}"` : ''}`;
+
+/**
+ * Human-readable plan for the terminal.
+ * @param {Object} plan
+ * @returns {string}
+ */
+export function formatPlan(plan) {
+  const by = (action) => plan.items.filter((i) => i.action === action);
+  const section = (title, rows) => (rows.length ? [`${title} (${rows.length})`, ...rows.map((r) => `  ${r}`), ''] : []);
+  const t = plan.totals;
+  return [
+    `Sync plan for vector store ${plan.vector_store_id} (${plan.created_at})`,
+    `Sources: ${plan.sources.join(', ')}`,
+    '',
+    ...section('Upload', by('upload').map((i) => `+ ${label(i)} → ${i.filename}`)),
+    ...section('Replace', by('replace').map((i) => `~ ${label(i)} → ${i.filename} (removes ${i.previous_file_id})`)),
+    ...section('Skipped', by('skip').map((i) => `- ${label(i)} (${i.reason})`)),
+    ...section('Errors', by('error').map((i) => `! ${label(i)}: ${i.error}`)),
+    ...section('Orphaned in vector store', plan.orphans.map((o) =>
+      `? ${[o.file_id, o.source_id || o.filename].filter(Boolean).join(' ')} (${o.reason === 'unmanaged' ? 'not uploaded by the sync' : 'source document is gone'})`)),
+    `${t.upload} to upload, ${t.replace} to replace, ${t.unchanged} unchanged, ${t.skip} skipped, ${t.error} errors, ${t.orphaned} orphaned`
+  ].join('\n');
+}
+
+export default KnowledgeSync;
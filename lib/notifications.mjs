@@ -0,0 +1,347 @@
+import fs from 'node:fs';
+import path from 'node:path';
+import crypto from 'node:crypto';
+import { sendMail, buildMime, createMessageId } from './smtp.mjs';
+
+/**
+ * Outbound notifications: transports that deliver a rendered message, a
+ * retrying queue in front of them, and SampleNotifier, which turns sample
+ * lifecycle transitions into ops / customer / approver messages.
+ *
+ * Message shape: {from, to, cc?, replyTo?, subject, text, template?, sample_id?}
+ * Every transport resolves to {message_id, ...} or throws; errors with
+ * `transient === false` are not retried.
+ */
+
+/** Sends through an SMTP server (SMTP_HOST, SMTP_PORT, SMTP_USER, SMTP_PASS). */
+export class SmtpTransport {
+  /**
+   * @param {Object} options - see smtp.sendMail
+   * @param {Function} [options.send] - injectable for tests
+   */
+  constructor({ send = sendMail, ...options }) {
+    this.name = 'smtp';
+    this.options = options;
+    this.sendImpl = send;
+  }
+
+  async send(message) {
+    const { messageId, response } = await this.sendImpl(this.options, message);
+    return { message_id: messageId, response };
+  }
+}
+
+/**
+ * Posts the message as JSON to a Make.com (or any) webhook, which does the
+ * actual delivery. The scenario may answer with its own `message_id`.
+ */
+export class WebhookTransport {
+  /**
+   * @param {Object} options
+   * @param {string} options.url
+   * @param {string} [options.token] - sent as a Bearer token
+   * @param {typeof fetch} [options.fetch] - injectable for tests
+   * @param {number} [options.timeoutMs]
+   */
+  constructor({ url, token = '', fetch: fetchImpl, timeoutMs = 15000 }) {
+    this.name = 'webhook';
+    this.url = url;
+    this.token = token;
+    this.fetch = fetchImpl || globalThis.fetch;
+    this.timeoutMs = timeoutMs;
+  }
+
+  async send(message) {
+    const messageId = createMessageId(message.from);
+    const res = await this.fetch(this.url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        ...(this.token ? { Authorization: `Bearer ${this.token}` } : {})
+      },
+      body: JSON.stringify({ event: 'notification', message_id: messageId, ...message }),
+      signal: AbortSignal.timeout(this.timeoutMs)
+    });
+    const text = await res.text();
+    if (!res.ok) {
+      const err = new Error(`Webhook responded ${res.status}: ${text.slice(0, 200)}`);
+      err.status = res.status;
+      err.transient = res.status >= 500 || res.status === 429;
+      throw err;
+    }
+    let body = {};
+    try { body = text ? JSON.parse(text) : {}; } catch { /* Make answers "Accepted" as text */ }
+    return { message_id: body.message_id || body.id || messageId };
+  }
+}
+
+/**
+ * Writes each message as an .eml file into a directory instead of sending
+ * it, for local development and tests.
+ */
+export class OutboxTransport {
+  /**
+   * @param {Object} options
+   * @param {string} options.dir
+   */
+  constructor({ dir }) {
+    this.name = 'outbox';
+    this.dir = dir;
+  }
+
+  async send(message) {
+    const { raw, messageId } = buildMime(message);
+    await fs.promises.mkdir(this.dir, { recursive: true });
+    const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+    const file = path.join(this.dir, `${stamp}-${message.template || 'message'}-${crypto.randomBytes(3).toString('hex')}.eml`);
+    await fs.promises.writeFile(file, raw);
+    return { message_id: messageId, file };
+  }
+}
+
+/**
+ * Pick a transport from the environment: NOTIFY_TRANSPORT=smtp|webhook|outbox,
+ * otherwise SMTP when SMTP_HOST is set, the webhook when NOTIFY_WEBHOOK_URL is
+ * set, and the outbox directory as the fallback.
+ * @param {Object} env
+ * @returns {SmtpTransport|WebhookTransport|OutboxTransport}
+ */
+export function createTransport(env = process.env) {
+  const kind = (env.NOTIFY_TRANSPORT || (env.SMTP_HOST ? 'smtp' : env.NOTIFY_WEBHOOK_URL ? 'webhook' : 'outbox')).toLowerCase();
+  if (kind === 'smtp') {
+    if (!env.SMTP_HOST) throw new Error('NOTIFY_TRANSPORT=smtp needs SMTP_HOST');
+    return new SmtpTransport({
+      host: env.SMTP_HOST,
+      port: Number(env.SMTP_PORT) || 587,
+      secure: env.SMTP_SECURE ? /^(1|true|yes)$/i.test(env.SMTP_SECURE) : undefined,
+      user: env.SMTP_USER,
+      pass: env.SMTP_PASS
+    });
+  }
+  if (kind === 'webhook') {
+    if (!env.NOTIFY_WEBHOOK_URL) throw new Error('NOTIFY_TRANSPORT=webhook needs NOTIFY_WEBHOOK_URL');
+    return new WebhookTransport({ url: env.NOTIFY_WEBHOOK_URL, token: env.NOTIFY_WEBHOOK_TOKEN || env.BOT_APP_TOKEN || '' });
+  }
+  if (kind === 'outbox') return new OutboxTransport({ dir: env.OUTBOX_DIR || 'outbox' });
+  throw new Error(`Unknown NOTIFY_TRANSPORT '${kind}' (smtp, webhook or outbox)`);
+}
+
+/**
+ * NotificationQueue sends messages one at a time through a transport,
+ * retrying failures with exponential backoff. Jobs live in memory; the
+ * result (message id or last error) is kept for the admin view.
+ */
+export class NotificationQueue {
+  /**
+   * @param {Object} options
+   * @param {Object} options.transport - {name, send(message)}
+   * @param {import('./auditLog.mjs').AuditLog} [options.audit]
+   * @param {number} [options.maxAttempts]
+   * @param {number} [options.baseDelayMs] - first retry delay, doubled each attempt
+   * @param {number} [options.keep] - finished jobs kept for list()
+   */
+  constructor({ transport, audit, maxAttempts = 4, baseDelayMs = 2000, keep = 200 }) {
+    this.transport = transport;
+    this.audit = audit;
+    this.maxAttempts = maxAttempts;
+    this.baseDelayMs = baseDelayMs;
+    this.keep = keep;
+    this.jobs = [];
+    this.pending = [];
+    this.running = false;
+    this.timers = 0;
+    this.idleWaiters = [];
+  }
+
+  /**
+   * Queue a message.
+   * @param {Object} message
+   * @returns {{id: string, status: string, done: Promise<Object>}} job; `done`
+   *   resolves with the transport result or rejects after the last attempt
+   */
+  enqueue(message) {
+    let settle;
+    const done = new Promise((resolve, reject) => { settle = { resolve, reject }; });
+    done.catch(() => {}); // callers may ignore failures; they are audited
+    const job = {
+      id: crypto.randomUUID(),
+      status: 'queued',
+      attempts: 0,
+      template: message.template,
+      sample_id: message.sample_id,
+      to: message.to,
+      subject: message.subject,
+      queued_at: new Date().toISOString()
+    };
+    // Kept off the enumerable fields so list() stays JSON-friendly
+    Object.defineProperties(job, { message: { value: message }, done: { value: done }, settle: { value: settle } });
+
+    this.jobs.unshift(job);
+    if (this.jobs.length > this.keep) this.jobs.length = this.keep;
+    this.pending.push(job);
+    this.#drain();
+    return job;
+  }
+
+  /**
+   * Recent jobs, newest first.
+   * @param {{status?: string, limit?: number}} [options]
+   */
+  list({ status, limit = 50 } = {}) {
+    return this.jobs.filter((j) => !status || j.status === status).slice(0, limit);
+  }
+
+  /** Resolves once nothing is queued, sending or waiting to retry. */
+  idle() {
+    if (!this.running && !this.pending.length && !this.timers) return Promise.resolve();
+    return new Promise((resolve) => this.idleWaiters.push(resolve));
+  }
+
+  async #drain() {
+    if (this.running) return;
+    this.running = true;
+    while (this.pending.length) await this.#attempt(this.pending.shift());
+    this.running = false;
+    if (!this.timers) this.idleWaiters.splice(0).forEach((fn) => fn());
+  }
+
+  async #attempt(job) {
+    job.attempts++;
+    job.status = 'sending';
+    try {
+      const result = await this.transport.send(job.message);
+      Object.assign(job, { status: 'sent', message_id: result.message_id, sent_at: new Date().toISOString(), error: undefined });
+      this.audit?.record('notification_sent', {
+        job: job.id, template: job.template, sample: job.sample_id, to: job.to,
+        transport: this.transport.name, message_id: result.message_id, attempts: job.attempts
+      });
+      job.settle.resolve(result);
+    } catch (e) {
+      job.error = e.message;
+      if (e.transient !== false && job.attempts < this.maxAttempts) {
+        job.status = 'retrying';
+        const delay = this.baseDelayMs * 2 ** (job.attempts - 1);
+        this.timers++;
+        setTimeout(() => {
+          this.timers--;
+          this.pending.push(job);
+          this.#drain();
+        }, delay);
+        return;
+      }
+      job.status = 'failed';
+      this.audit?.record('notification_failed', {
+        job: job.id, template: job.template, sample: job.sample_id, to: job.to,
+        transport: this.transport.name, error: e.message, attempts: job.attempts
+      });
+      job.settle.reject(e);
+    }
+  }
+}
+
+/**
+ * SampleNotifier sends the message templates for sample lifecycle events and
+ * records each delivered message id on the sample (`Message IDs`):
+ *
+ *   needs_approval -> approver_notice to every approver (with their own links)
+ *   approved       -> ops_email to the warehouse, customer_confirmation to the requester
+ */
+export class SampleNotifier {
+  /**
+   * @param {Object} options
+   * @param {import('./templates.mjs').TemplateStore} options.templates
+   * @param {NotificationQueue} options.queue
+   * @param {import('./notionSamples.mjs').SamplesDB} [options.samplesDb] - where message ids are recorded
+   * @param {string} options.from - sender address
+   * @param {string} [options.replyTo]
+   * @param {string[]} [options.opsEmails]
+   * @param {string[]} [options.approverEmails]
+   * @param {(sample: Object, options: {approver?: string, actions: string[]}) => Object} [options.links]
+   *   - builds {action: url} links for a sample
+   * @param {Object} [options.data] - extra template data (e.g. link_ttl_days)
+   */
+  constructor({ templates, queue, samplesDb, from, replyTo, opsEmails = [], approverEmails = [], links = () => ({}), data = {} }) {
+    this.templates = templates;
+    this.queue = queue;
+    this.samplesDb = samplesDb;
+    this.from = from;
+    this.replyTo = replyTo;
+    this.opsEmails = opsEmails;
+    this.approverEmails = approverEmails;
+    this.links = links;
+    this.data = data;
+    this.recording = Promise.resolve(); // message id writes run one at a time per notifier
+    this.onTransition = this.onTransition.bind(this);
+  }
+
+  /**
+   * SampleLifecycle hook.
+   * @param {Object} sample - sample after the transition
+   * @param {{to: string}} transition
+   * @returns {Object[]} queued jobs
+   */
+  onTransition(sample, { to }) {
+    if (to === 'needs_approval') {
+      return this.approverEmails.map((approver) =>
+        this.send('approver_notice', sample, approver, this.links(sample, { approver, actions: ['approve', 'reject'] })));
+    }
+    if (to === 'approved') {
+      const jobs = [];
+      if (this.opsEmails.length) jobs.push(this.send('ops_email', sample, this.opsEmails, this.links(sample, { actions: ['dispatch', 'packing_slip'] })));
+      if (sample.email) jobs.push(this.send('customer_confirmation', sample, sample.email));
+      return jobs;
+    }
+    return [];
+  }
+
+  /**
+   * Render and queue one template for a sample.
+   * @param {string} template
+   * @param {Object} sample
+   * @param {string|string[]} to
+   * @param {Object} [links]
+   * @returns {Object} queued job
+   */
+  send(template, sample, to, links = {}) {
+    return this.notify(template, to, { sample, links }, { sampleId: sample.id });
+  }
+
+  /**
+   * Render and queue any template (digests, reports, …).
+   * @param {string} template
+   * @param {string|string[]} to
+   * @param {Object} data - template data (merged over the notifier's `data`)
+   * @param {{sampleId?: string}} [options] - record the message id on this sample
+   * @returns {Object} queued job
+   */
+  notify(template, to, data, { sampleId } = {}) {
+    const { subject, text } = this.templates.render(template, { ...this.data, ...data });
+    const job = this.queue.enqueue({
+      from: this.from,
+      replyTo: this.replyTo,
+      to,
+      subject,
+      text,
+      template,
+      sample_id: sampleId
+    });
+    if (this.samplesDb && sampleId) {
+      job.done
+        .then((result) => { this.recording = this.recording.then(() => this.#record(sampleId, template, result.message_id)); })
+        .catch(() => {});
+    }
+    return job;
+  }
+
+  async #record(sampleId, template, messageId) {
+    try {
+      const current = await this.samplesDb.get(sampleId);
+      const line = `${new Date().toISOString()} ${template} ${messageId}`;
+      await this.samplesDb.update(sampleId, { message_ids: [current.message_ids, line].filter(Boolean).join('\n') });
+    } catch (e) {
+      console.error('Recording message id failed', sampleId, e.message);
+    }
+  }
+}
+
+export default NotificationQueue;
@@ -0,0 +1,113 @@
+import crypto from 'node:crypto';
+import { Client } from '@notionhq/client';
+
+/**
+ * ContactsDB handles creating or updating contact (callback) requests in Notion.
+ */
+export class ContactsDB {
+  /**
+   * @param {Object} options
+   * @param {string} options.token - Notion API token
+   * @param {string} options.databaseId - Notion database ID for contact requests
+   * @param {Client} [options.client] - optional Notion client instance for testing
+   * @param {typeof fetch} [options.fetch] - fetch for the Notion client, e.g. a ServiceLimiter's (lib/retry.mjs)
+   */
+  constructor({ token, databaseId, client, fetch }) {
+    this.notion = client || new Client({ auth: token, fetch });
+    this.databaseId = databaseId;
+  }
+
+  /**
+   * Compute a stable hash of the contact request for de-duplication.
+   * Only who is asking and why is hashed, so a re-submitted form with a
+   * reworded summary updates the same page instead of creating another.
+   * @param {Object} contact
+   * @returns {string}
+   */
+  static hash(contact) {
+    const key = {
+      email: (contact.email || '').toLowerCase(),
+      phone: (contact.phone || '').replace(/[^\d+]/g, ''),
+      first_name: (contact.first_name || '').toLowerCase(),
+      last_name: (contact.last_name || '').toLowerCase(),
+      reason: contact.reason || ''
+    };
+    const json = JSON.stringify(key, Object.keys(key).sort());
+    return crypto.createHash('sha256').update(json).digest('hex');
+  }
+
+  /**
+   * Public Notion URL for a page id.
+   * @param {string} pageId
+   * @returns {string}
+   */
+  static pageUrl(pageId) {
+    return `https://www.notion.so/${String(pageId).replace(/-/g, '')}`;
+  }
+
+  /**
+   * Create or update a contact request in Notion.
+   * @param {Object} contact
+   * @returns {Promise<string>} page ID
+   */
+  async upsert(contact) {
+    const contentHash = ContactsDB.hash(contact);
+    const existing = await this.#findByHash(contentHash);
+
+    if (existing) {
+      console.info('Updating Notion contact page', existing.id);
+      await this.notion.pages.update({
+        page_id: existing.id,
+        properties: this.#buildProperties(contact, contentHash)
+      });
+      return existing.id;
+    }
+
+    console.info('Creating Notion contact page');
+    const res = await this.notion.pages.create({
+      parent: { database_id: this.databaseId },
+      properties: this.#buildProperties(contact, contentHash)
+    });
+    return res.id;
+  }
+
+  async #findByHash(hash) {
+    try {
+      const res = await this.notion.databases.query({
+        database_id: this.databaseId,
+        filter: {
+          property: 'Content Hash',
+          rich_text: { equals: hash }
+        }
+      });
+      return res.results[0];
+    } catch (err) {
+      console.error('Notion query failed', err);
+      throw err;
+    }
+  }
+
+  #buildProperties(contact, hash) {
+    const text = (v) => ({ rich_text: [{ text: { content: String(v).slice(0, 2000) } }] });
+    const name = [contact.first_name, contact.last_name].filter(Boolean).join(' ');
+    return {
+      'Name': { title: [{ text: { content: name || 'Unknown' } }] },
+      'First Name': text(contact.first_name || ''),
+      'Last Name': text(contact.last_name || ''),
+      'Email': { email: contact.email || null },
+      'Phone': { phone_number: contact.phone || null },
+      'Reason': { select: { name: contact.reason || 'contact_requested' } },
+      'Summary': text(contact.summary || ''),
+      'Status': { select: { name: contact.status || 'new' } },
+      'Source': { select: { name: contact.source || 'assistant' } },
+      'Sample Interest': { checkbox: !!contact.wants_sample },
+      'Callback Due': contact.callback_due ? { date: { start: contact.callback_due } } : undefined,
+      'Tenant': contact.tenant ? text(contact.tenant) : undefined,
+      'Thread': contact.thread_id ? text(contact.thread_id) : undefined,
+      'Notes': contact.notes ? text(contact.notes) : undefined,
+      'Content Hash': text(hash)
+    };
+  }
+}
+
+export default ContactsDB;
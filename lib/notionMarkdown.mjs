@@ -0,0 +1,273 @@
+import { markdownTable } from './documentText.mjs';
+
+/**
+ * Notion blocks to Markdown.
+ *
+ * NotionMarkdown fetches a page's block tree (children, synced blocks and the
+ * rows of child databases) and blocksToMarkdown() renders such a tree. Every
+ * block type the API returns is handled: text blocks keep their bold, italic,
+ * strikethrough, code and link annotations; lists nest and number properly;
+ * to-dos, toggles, quotes, callouts, code, equations, tables, media,
+ * bookmarks and columns all have a Markdown form; child databases become
+ * Markdown tables. Blocks without a textual form (table of contents,
+ * breadcrumbs, unsupported) are dropped.
+ */
+
+const LIST_ITEMS = new Set(['bulleted_list_item', 'numbered_list_item', 'to_do', 'toggle']);
+
+/**
+ * Rich text (a Notion rich_text array) as inline Markdown.
+ * @param {Object[]} [rich]
+ * @returns {string}
+ */
+export function richTextToMarkdown(rich = []) {
+  const merged = [];
+  for (const r of rich || []) {
+    const prev = merged.at(-1);
+    if (prev && r.type !== 'equation' && prev.type !== 'equation' && styleKey(prev) === styleKey(r)) {
+      merged[merged.length - 1] = { ...prev, plain_text: textOf(prev) + textOf(r) };
+    } else {
+      merged.push(r);
+    }
+  }
+  return merged.map(segment).join('');
+}
+
+/**
+ * Render a fetched block tree (blocks carrying `children`, child databases
+ * carrying `database`) as Markdown.
+ * @param {Object[]} blocks
+ * @returns {string}
+ */
+export function blocksToMarkdown(blocks = []) {
+  const out = [];
+  let number = 0;
+  let prevList = false;
+  for (const block of blocks) {
+    number = block.type === 'numbered_list_item' ? number + 1 : 0;
+    const md = renderBlock(block, number);
+    if (!md) {
+      prevList = false; // an empty block still ends the list
+      continue;
+    }
+    const list = LIST_ITEMS.has(block.type);
+    if (out.length) out.push(list && prevList ? '\n' : '\n\n');
+    out.push(md);
+    prevList = list;
+  }
+  return out.join('');
+}
+
+/**
+ * Fetches Notion pages as block trees and renders them.
+ */
+export class NotionMarkdown {
+  /**
+   * @param {Object} options
+   * @param {import('@notionhq/client').Client} options.client
+   */
+  constructor({ client }) {
+    this.notion = client;
+  }
+
+  /**
+   * A page's content as Markdown.
+   * @param {string} pageId
+   * @returns {Promise<string>}
+   */
+  async pageToMarkdown(pageId) {
+    return blocksToMarkdown(await this.fetchBlocks(pageId));
+  }
+
+  /**
+   * The children of a block (or page), recursively.
+   * @param {string} blockId
+   * @returns {Promise<Object[]>} blocks with `children`, and `database` for child databases
+   */
+  async fetchBlocks(blockId) {
+    const blocks = [];
+    let cursor;
+    do {
+      const r = await this.notion.blocks.children.list({ block_id: blockId, start_cursor: cursor, page_size: 100 });
+      blocks.push(...r.results);
+      cursor = r.has_more ? r.next_cursor : undefined;
+    } while (cursor);
+
+    for (const block of blocks) {
+      if (block.type === 'child_database') {
+        block.database = await this.#database(block);
+      } else if (block.type === 'synced_block' && block.synced_block?.synced_from?.block_id) {
+        block.children = await this.fetchBlocks(block.synced_block.synced_from.block_id);
+      } else if (block.has_children && block.type !== 'child_page') {
+        block.children = await this.fetchBlocks(block.id);
+      }
+    }
+    return blocks;
+  }
+
+  async #database(block) {
+    try {
+      const db = await this.notion.databases.retrieve({ database_id: block.id });
+      const rows = [];
+      let cursor;
+      do {
+        const r = await this.notion.databases.query({ database_id: block.id, start_cursor: cursor, page_size: 100 });
+        rows.push(...r.results);
+        cursor = r.has_more ? r.next_cursor : undefined;
+      } while (cursor);
+      const names = Object.keys(db.properties || {});
+      const title = names.find((n) => db.properties[n].type === 'title');
+      return { columns: title ? [title, ...names.filter((n) => n !== title)] : names, rows };
+    } catch (e) {
+      throw new Error(`Child database "${block.child_database?.title || block.id}": ${e.message}`);
+    }
+  }
+}
+
+function propertyToMarkdown(prop) {
+  if (!prop) return '';
+  const v = prop[prop.type];
+  switch (prop.type) {
+    case 'title':
+    case 'rich_text': return richTextToMarkdown(v);
+    case 'number': return v == null ? '' : String(v);
+    case 'select':
+    case 'status': return v?.name || '';
+    case 'multi_select': return (v || []).map((o) => o.name).join(', ');
+    case 'date': return v ? [v.start, v.end].filter(Boolean).join(' → ') : '';
+    case 'checkbox': return v ? 'Yes' : 'No';
+    case 'url':
+    case 'email':
+    case 'phone_number': return v || '';
+    case 'people': return (v || []).map((p) => p.name || p.id).join(', ');
+    case 'files': return (v || []).map((f) => f.name || fileUrl(f)).join(', ');
+    case 'relation': return (v || []).map((r) => r.id).join(', ');
+    case 'formula': return v ? propertyToMarkdown({ type: v.type, [v.type]: v[v.type] }) : '';
+    case 'rollup': return v?.type === 'array' ? v.array.map(propertyToMarkdown).filter(Boolean).join(', ') : v ? propertyToMarkdown({ type: v.type, [v.type]: v[v.type] }) : '';
+    case 'unique_id': return v ? `${v.prefix ? `${v.prefix}-` : ''}${v.number}` : '';
+    case 'created_time':
+    case 'last_edited_time': return v || '';
+    case 'created_by':
+    case 'last_edited_by': return v?.name || v?.id || '';
+    case 'string': return v || '';
+    case 'boolean': return v ? 'Yes' : 'No';
+    default: return '';
+  }
+}
+
+function renderBlock(block, number) {
+  const data = block[block.type] || {};
+  const text = richTextToMarkdown(data.rich_text);
+  const children = blocksToMarkdown(block.children);
+  const caption = richTextToMarkdown(data.caption);
+
+  switch (block.type) {
+    case 'paragraph':
+      return joinBlocks(text, children);
+    case 'heading_1':
+    case 'heading_2':
+    case 'heading_3':
+      return joinBlocks(text && `${'#'.repeat(Number(block.type.slice(-1)))} ${text}`, children);
+    case 'bulleted_list_item':
+    case 'toggle':
+      return listItem('- ', text, block);
+    case 'numbered_list_item':
+      return listItem(`${number}. `, text, block);
+    case 'to_do':
+      return listItem(`- [${data.checked ? 'x' : ' '}] `, text, block);
+    case 'quote':
+      return quote(joinBlocks(text, children));
+    case 'callout': {
+      const icon = data.icon?.type === 'emoji' ? `${data.icon.emoji} ` : '';
+      return quote(joinBlocks(text && `${icon}${text}`, children));
+    }
+    case 'code': {
+      const code = (data.rich_text || []).map(textOf).join('');
+      const lang = data.language && data.language !== 'plain text' ? data.language : '';
+      return joinBlocks(`\`\`\`${lang}\n${code}\n\`\`\``, caption);
+    }
+    case 'equation':
+      return data.expression ? `$$\n${data.expression}\n$$` : '';
+    case 'divider':
+      return '---';
+    case 'image':
+      return `![${caption.replace(/[[\]]/g, '')}](${fileUrl(data)})`;
+    case 'video':
+    case 'audio':
+    case 'file':
+    case 'pdf':
+      return `[${caption || data.name || block.type}](${fileUrl(data)})`;
+    case 'bookmark':
+    case 'embed':
+    case 'link_preview':
+      return data.url ? `[${caption || data.url}](${data.url})` : '';
+    case 'link_to_page': {
+      const id = data.page_id || data.database_id;
+      return id ? `[Linked ${data.type === 'database_id' ? 'database' : 'page'}](${notionUrl(id)})` : '';
+    }
+    case 'child_page':
+      return `[${data.title || 'Untitled'}](${notionUrl(block.id)})`;
+    case 'child_database':
+      return joinBlocks(data.title && `**${data.title}**`, block.database ? databaseTable(block.database) : '');
+    case 'table':
+      return markdownTable((block.children || []).filter((r) => r.type === 'table_row').map((r) => r.table_row.cells.map(richTextToMarkdown)));
+    case 'column_list':
+    case 'column':
+    case 'synced_block':
+      return children;
+    default:
+      // table_of_contents, breadcrumb, template, unsupported, …
+      return text;
+  }
+}
+
+function listItem(marker, text, block) {
+  const children = blocksToMarkdown(block.children);
+  if (!children) return `${marker}${text}`;
+  // A nested list stays tight; other content needs a blank line to belong to the item
+  const gap = LIST_ITEMS.has(block.children[0].type) ? '\n' : '\n\n';
+  return `${marker}${text}${gap}${indent(children, ' '.repeat(marker.length))}`;
+}
+
+function quote(md) {
+  return md ? md.split('\n').map((l) => (l ? `> ${l}` : '>')).join('\n') : '';
+}
+
+function databaseTable({ columns, rows }) {
+  if (!columns.length) return '';
+  return markdownTable([columns, ...rows.map((row) => columns.map((c) => propertyToMarkdown(row.properties?.[c])))]);
+}
+
+const joinBlocks = (...parts) => parts.filter(Boolean).join('\n\n');
+
+const indent = (md, pad) => md.split('\n').map((l) => (l ? pad + l : l)).join('\n');
+
+const fileUrl = (f) => f?.[f?.type]?.url || f?.external?.url || f?.file?.url || '';
+
+const notionUrl = (id) => `https://www.notion.so/${String(id).replace(/-/g, '')}`;
+
+const textOf = (r) => r.plain_text ?? r.text?.content ?? '';
+
+const hrefOf = (r) => r.href || r.text?.link?.url || null;
+
+function styleKey(r) {
+  const a = r.annotations || {};
+  return JSON.stringify([!!a.bold, !!a.italic, !!a.strikethrough, !!a.code, hrefOf(r)]);
+}
+
+function segment(r) {
+  if (r.type === 'equation') return `$${r.equation?.expression ?? textOf(r)}$`;
+  const text = textOf(r);
+  const a = r.annotations || {};
+  const href = hrefOf(r);
+  // Markers must hug the text: "** bold **" is not bold, so whitespace stays outside
+  const [, lead, core, trail] = /^(\s*)([\s\S]*?)(\s*)$/.exec(text);
+  if (!core) return text;
+  let md = core;
+  if (a.code) md = `\`${md}\``;
+  if (a.bold) md = `**${md}**`;
+  if (a.italic) md = `*${md}*`;
+  if (a.strikethrough) md = `~~${md}~~`;
+  if (href) md = `[${md}](${href})`;
+  return `${lead}${md}${trail}`;
+}
@@ -1,6 +1,15 @@
 import crypto from 'node:crypto';
 import { Client } from '@notionhq/client';
 
+/** Date property recording when a sample entered each lifecycle state. */
+export const TIMESTAMP_PROPS = Object.freeze({
+  needs_approval: 'Needs Approval At',
+  approved: 'Approved At',
+  rejected: 'Rejected At',
+  dispatched: 'Dispatched At',
+  fulfilled: 'Fulfilled At'
+});
+
 /**
  * SamplesDB handles creating or updating sample request pages in Notion.
  */
@@ -10,9 +19,10 @@ export class SamplesDB {
    * @param {string} options.token - Notion API token
    * @param {string} options.databaseId - Notion database ID for samples
    * @param {Client} [options.client] - optional Notion client instance for testing
+   * @param {typeof fetch} [options.fetch] - fetch for the Notion client, e.g. a ServiceLimiter's (lib/retry.mjs)
    */
-  constructor({ token, databaseId, client }) {
-    this.notion = client || new Client({ auth: token });
+  constructor({ token, databaseId, client, fetch }) {
+    this.notion = client || new Client({ auth: token, fetch });
     this.databaseId = databaseId;
   }
 
@@ -27,7 +37,18 @@ export class SamplesDB {
   }
 
   /**
-   * Create or update a sample request in Notion.
+   * Public Notion URL for a page id.
+   * @param {string} pageId
+   * @returns {string}
+   */
+  static pageUrl(pageId) {
+    return `https://www.notion.so/${String(pageId).replace(/-/g, '')}`;
+  }
+
+  /**
+   * Create a sample request in Notion. A request with the same content as an
+   * existing page (a resubmission) returns that page unchanged, so its status
+   * and lifecycle timestamps are never reset; status changes go through update().
    * @param {Object} sample
    * @returns {Promise<string>} page ID
    */
@@ -36,11 +57,7 @@ export class SamplesDB {
     const existing = await this.#findByHash(contentHash);
 
     if (existing) {
-      console.info('Updating Notion sample page', existing.id);
-      await this.notion.pages.update({
-        page_id: existing.id,
-        properties: this.#buildProperties(sample, contentHash)
-      });
+      console.info('Sample page already exists', existing.id);
       return existing.id;
     }
 
@@ -52,6 +69,102 @@ export class SamplesDB {
     return res.id;
   }
 
+  /**
+   * Fetch a sample request page.
+   * @param {string} pageId
+   * @returns {Promise<Object>} sample (see SamplesDB.fromPage)
+   */
+  async get(pageId) {
+    const page = await this.notion.pages.retrieve({ page_id: pageId });
+    return SamplesDB.fromPage(page);
+  }
+
+  /**
+   * Update some fields of a sample request page. Only the keys present in
+   * `patch` are written; the content hash is left untouched.
+   * @param {string} pageId
+   * @param {Object} patch - sample fields, plus `timestamps` ({[state]: iso}), `history` and `message_ids`
+   * @returns {Promise<void>}
+   */
+  async update(pageId, patch) {
+    await this.notion.pages.update({
+      page_id: pageId,
+      properties: this.#buildPatch(patch)
+    });
+  }
+
+  /**
+   * All sample requests created on or after `since`, oldest first.
+   * @param {Date|string} since
+   * @returns {Promise<Object[]>} samples (see SamplesDB.fromPage)
+   */
+  async listSince(since) {
+    return this.#queryAll({ timestamp: 'created_time', created_time: { on_or_after: new Date(since).toISOString() } });
+  }
+
+  /**
+   * All sample requests created in [from, to), oldest first.
+   * @param {Date|string} from
+   * @param {Date|string} to
+   * @returns {Promise<Object[]>} samples (see SamplesDB.fromPage)
+   */
+  async listBetween(from, to) {
+    return this.#queryAll({
+      and: [
+        { timestamp: 'created_time', created_time: { on_or_after: new Date(from).toISOString() } },
+        { timestamp: 'created_time', created_time: { before: new Date(to).toISOString() } }
+      ]
+    });
+  }
+
+  /**
+   * All sample requests currently in `status`, oldest first.
+   * @param {string} status
+   * @returns {Promise<Object[]>} samples (see SamplesDB.fromPage)
+   */
+  async listByStatus(status) {
+    return this.#queryAll({ property: 'Status', select: { equals: status } });
+  }
+
+  /**
+   * Read a Notion page into a plain sample object.
+   * @param {Object} page - Notion page object
+   * @returns {Object}
+   */
+  static fromPage(page) {
+    const p = page.properties || {};
+    const text = (name) => (p[name]?.rich_text || p[name]?.title || []).map((t) => t.plain_text ?? t.text?.content ?? '').join('');
+    const timestamps = {};
+    for (const [state, prop] of Object.entries(TIMESTAMP_PROPS)) {
+      const start = p[prop]?.date?.start;
+      if (start) timestamps[state] = start;
+    }
+    return {
+      id: page.id,
+      url: page.url || SamplesDB.pageUrl(page.id),
+      status: p['Status']?.select?.name || 'intake',
+      requester: text('Requester'),
+      product: text('Product'),
+      qty: p['Qty']?.number ?? 1,
+      recipient: text('Recipient'),
+      email: p['Email']?.email || '',
+      address: text('Address'),
+      purpose: text('Purpose'),
+      deadline: p['Deadline']?.date?.start || '',
+      policy_result: text('Policy Result'),
+      approval_needed: !!p['Approval Needed']?.checkbox,
+      approver: text('Approver'),
+      notes: text('Notes'),
+      carrier: text('Carrier'),
+      tracking: text('Tracking'),
+      history: text('History'),
+      message_ids: text('Message IDs'),
+      timestamps,
+      created_at: page.created_time,
+      updated_at: page.last_edited_time
+    };
+  }
+
   async #findByHash(hash) {
     try {
       const res = await this.notion.databases.query({
@@ -68,6 +181,41 @@ export class SamplesDB {
     }
   }
 
+  async #queryAll(filter) {
+    const samples = [];
+    let cursor;
+    do {
+      const res = await this.notion.databases.query({
+        database_id: this.databaseId,
+        filter,
+        sorts: [{ timestamp: 'created_time', direction: 'ascending' }],
+        start_cursor: cursor,
+        page_size: 100
+      });
+      samples.push(...res.results.map((page) => SamplesDB.fromPage(page)));
+      cursor = res.has_more ? res.next_cursor : undefined;
+    } while (cursor);
+    return samples;
+  }
+
+  #buildPatch(patch) {
+    const text = (v) => ({ rich_text: [{ text: { content: String(v ?? '').slice(0, 2000) } }] });
+    const props = {};
+    if ('status' in patch) props['Status'] = { select: { name: patch.status } };
+    if ('policy_result' in patch) props['Policy Result'] = text(patch.policy_result);
+    if ('approval_needed' in patch) props['Approval Needed'] = { checkbox: !!patch.approval_needed };
+    if ('approver' in patch) props['Approver'] = text(patch.approver);
+    if ('notes' in patch) props['Notes'] = text(patch.notes);
+    if ('carrier' in patch) props['Carrier'] = text(patch.carrier);
+    if ('tracking' in patch) props['Tracking'] = text(patch.tracking);
+    if ('history' in patch) props['History'] = text(String(patch.history).slice(-2000)); // keep the newest lines
+    if ('message_ids' in patch) props['Message IDs'] = text(String(patch.message_ids).slice(-2000));
+    for (const [state, at] of Object.entries(patch.timestamps || {})) {
+      if (TIMESTAMP_PROPS[state]) props[TIMESTAMP_PROPS[state]] = { date: { start: at } };
+    }
+    return props;
+  }
+
   #buildProperties(sample, hash) {
     return {
       'Status': { select: { name: sample.status || 'intake' } },
@@ -75,6 +223,7 @@ export class SamplesDB {
       'Product': { rich_text: [{ text: { content: sample.product || '' } }] },
       'Qty': { number: sample.qty || 1 },
       'Recipient': { rich_text: [{ text: { content: sample.recipient || '' } }] },
+      'Email': sample.email ? { email: sample.email } : undefined,
       'Address': { rich_text: [{ text: { content: sample.address || '' } }] },
       'Purpose': { rich_text: [{ text: { content: sample.purpose || '' } }] },
       'Deadline': sample.deadline ? { date: { start: sample.deadline } } : undefined,
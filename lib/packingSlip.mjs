@@ -0,0 +1,103 @@
+import { PdfDocument } from './pdf.mjs';
+import { drawCode128 } from './barcode.mjs';
+
+const MARGIN = 50;
+
+/**
+ * Barcode payload for a sample: the Notion page id without dashes, which is
+ * what warehouse scanners look up.
+ * @param {Object} sample
+ */
+export function requestCode(sample) {
+  return String(sample.id || '').replace(/-/g, '');
+}
+
+/**
+ * Notes meant for the packer: assistant bookkeeping lines (`thread: …`) are dropped.
+ * @param {string} notes
+ */
+function packerNotes(notes) {
+  return String(notes || '').split(/\r?\n/).filter((l) => l.trim() && !/^thread:/i.test(l.trim())).join('\n');
+}
+
+function drawSlip(doc, sample, { catalog, brand, returnAddress, date }) {
+  const right = doc.width - MARGIN;
+  const width = right - MARGIN;
+  const product = catalog?.find(sample.product);
+
+  doc.addPage();
+  doc.text(brand, MARGIN, 60, { size: 14, font: 'bold' });
+  doc.text('PACKING SLIP', right, 60, { size: 18, font: 'bold', align: 'right' });
+  if (returnAddress) doc.paragraph(returnAddress, MARGIN, 76, width / 2, { size: 8 });
+
+  drawCode128(doc, requestCode(sample), MARGIN, 110, { height: 42, module: 0.8 });
+  doc.text(`Date: ${date}`, right, 122, { size: 9, align: 'right' });
+  doc.text(`Status: ${sample.status || ''}`, right, 136, { size: 9, align: 'right' });
+  if (sample.deadline) doc.text(`Needed by: ${sample.deadline}`, right, 150, { size: 9, font: 'bold', align: 'right' });
+
+  // Ship to
+  let y = 200;
+  doc.rect(MARGIN, y - 14, width, 110, { fill: false });
+  doc.text('SHIP TO', MARGIN + 10, y, { size: 8, font: 'bold' });
+  y = doc.paragraph(sample.recipient || '', MARGIN + 10, y + 18, width - 20, { size: 12, font: 'bold' });
+  doc.paragraph(sample.address || '', MARGIN + 10, y + 16, width - 20, { size: 11 });
+
+  // Items
+  y = 330;
+  doc.text('SKU', MARGIN, y, { size: 9, font: 'bold' });
+  doc.text('PRODUCT', MARGIN + 110, y, { size: 9, font: 'bold' });
+  doc.text('QTY', right, y, { size: 9, font: 'bold', align: 'right' });
+  doc.line(MARGIN, y + 6, right, y + 6);
+  y += 22;
+  doc.text(product?.sku || '-', MARGIN, y, { size: 11 });
+  const nameEnd = doc.paragraph(product?.name || sample.product || '', MARGIN + 110, y, width - 170, { size: 11 });
+  doc.text(String(sample.qty ?? 1), right, y, { size: 11, font: 'bold', align: 'right' });
+  if (product?.size_ml) doc.text(`${product.size_ml} ml`, MARGIN + 110, nameEnd + 14, { size: 8 });
+  y = nameEnd + 24;
+  doc.line(MARGIN, y, right, y);
+
+  // Details
+  y += 24;
+  if (sample.purpose) {
+    doc.text('Purpose', MARGIN, y, { size: 9, font: 'bold' });
+    y = doc.paragraph(sample.purpose, MARGIN + 110, y, width - 110, { size: 10 }) + 18;
+  }
+  const notes = packerNotes(sample.notes);
+  if (notes) {
+    doc.text('Notes', MARGIN, y, { size: 9, font: 'bold' });
+    y = doc.paragraph(notes, MARGIN + 110, y, width - 110, { size: 10 }) + 18;
+  }
+  doc.text('Request', MARGIN, y, { size: 9, font: 'bold' });
+  doc.text(sample.id || '', MARGIN + 110, y, { size: 9 });
+
+  // Sign-off
+  const foot = doc.height - 80;
+  doc.line(MARGIN, foot - 20, right, foot - 20);
+  doc.text('Packed by: ____________________', MARGIN, foot, { size: 10 });
+  doc.text('Date: ____________', MARGIN + 220, foot, { size: 10 });
+  doc.text('Checked: ____________', right, foot, { size: 10, align: 'right' });
+}
+
+/**
+ * Render one packing slip page per sample into a single PDF.
+ * @param {Object[]} samples - SamplesDB records
+ * @param {Object} [options]
+ * @param {import('./productCatalog.mjs').ProductCatalog} [options.catalog] - resolves SKU and product name
+ * @param {string} [options.brand]
+ * @param {string} [options.returnAddress]
+ * @param {Date} [options.now]
+ * @returns {Buffer}
+ */
+export function renderPackingSlips(samples, { catalog, brand = 'Metamorphosis Skincare NZ', returnAddress, now = new Date() } = {}) {
+  const date = now.toISOString().slice(0, 10);
+  const doc = new PdfDocument({ title: samples.length === 1 ? `Packing slip ${requestCode(samples[0])}` : `Packing slips ${date}` });
+  for (const sample of samples) drawSlip(doc, sample, { catalog, brand, returnAddress, date });
+  if (!samples.length) {
+    doc.addPage();
+    doc.text(brand, MARGIN, 60, { size: 14, font: 'bold' });
+    doc.text(`No approved sample requests are waiting for dispatch (${date}).`, MARGIN, 100, { size: 11 });
+  }
+  return doc.toBuffer();
+}
+
+export default renderPackingSlips;
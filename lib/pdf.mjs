@@ -0,0 +1,222 @@
+import zlib from 'node:zlib';
+
+/**
+ * Minimal PDF writer: A4 pages, the built-in Helvetica / Helvetica-Bold fonts
+ * (WinAnsi encoding), text, lines and filled rectangles. Enough for packing
+ * slips without a native or hosted renderer.
+ *
+ * Coordinates are in points from the top-left corner of the page.
+ */
+
+/** A4 in points. */
+export const A4 = Object.freeze([595.28, 841.89]);
+
+// Glyph widths (1/1000 em) for ASCII 32..126, from the standard Helvetica AFMs
+const WIDTHS = {
+  regular: [
+    278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278,
+    556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 278, 278, 584, 584, 584, 556,
+    1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556, 833, 722, 778,
+    667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278, 278, 278, 469, 556,
+    333, 556, 556, 500, 556, 556, 278, 556, 556, 222, 222, 500, 222, 833, 556, 556,
+    556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500, 334, 260, 334, 584
+  ],
+  bold: [
+    278, 333, 474, 556, 556, 889, 722, 238, 333, 333, 389, 584, 278, 333, 278, 278,
+    556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 333, 333, 584, 584, 584, 611,
+    975, 722, 722, 722, 722, 667, 611, 778, 722, 278, 556, 722, 611, 833, 722, 778,
+    667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 333, 278, 333, 584, 556,
+    333, 556, 611, 556, 611, 556, 333, 611, 611, 278, 278, 556, 278, 889, 611, 611,
+    611, 611, 389, 556, 333, 611, 556, 778, 556, 556, 500, 389, 280, 389, 584
+  ]
+};
+
+const FONTS = { regular: { ref: 'F1', base: 'Helvetica' }, bold: { ref: 'F2', base: 'Helvetica-Bold' } };
+
+// Unicode characters WinAnsi places in 0x80..0x9F
+const WIN_ANSI = {
+  '€': 0x80, '‚': 0x82, 'ƒ': 0x83, '„': 0x84, '…': 0x85, '†': 0x86, '‡': 0x87, 'ˆ': 0x88,
+  '‰': 0x89, 'Š': 0x8a, '‹': 0x8b, 'Œ': 0x8c, 'Ž': 0x8e, '‘': 0x91, '’': 0x92, '“': 0x93,
+  '”': 0x94, '•': 0x95, '–': 0x96, '—': 0x97, '˜': 0x98, '™': 0x99, 'š': 0x9a, '›': 0x9b,
+  'œ': 0x9c, 'ž': 0x9e, 'Ÿ': 0x9f
+};
+
+/**
+ * Encode a string as WinAnsi bytes. Letters outside the encoding lose their
+ * accents (ā -> a); anything else becomes '?'.
+ * @param {string} text
+ * @returns {number[]}
+ */
+export function winAnsi(text) {
+  const bytes = [];
+  for (const ch of String(text ?? '')) {
+    const code = ch.codePointAt(0);
+    if (code >= 32 && code < 127) bytes.push(code);
+    else if (code >= 160 && code < 256) bytes.push(code);
+    else if (WIN_ANSI[ch]) bytes.push(WIN_ANSI[ch]);
+    else if (ch === '\t') bytes.push(32);
+    else {
+      const base = ch.normalize('NFD').replace(/[\u0300-\u036f]/g, '');
+      bytes.push(base && base.codePointAt(0) < 127 ? base.codePointAt(0) : 63);
+    }
+  }
+  return bytes;
+}
+
+/**
+ * Width of `text` in points.
+ * @param {string} text
+ * @param {number} size
+ * @param {'regular'|'bold'} [font]
+ */
+export function textWidth(text, size, font = 'regular') {
+  const widths = WIDTHS[font] || WIDTHS.regular;
+  return winAnsi(text).reduce((w, b) => w + (b >= 32 && b < 127 ? widths[b - 32] : 556), 0) * size / 1000;
+}
+
+/**
+ * Break text into lines no wider than `maxWidth` (existing newlines are kept).
+ * @param {string} text
+ * @param {number} maxWidth
+ * @param {number} size
+ * @param {'regular'|'bold'} [font]
+ * @returns {string[]}
+ */
+export function wrapText(text, maxWidth, size, font = 'regular') {
+  const lines = [];
+  for (const para of String(text ?? '').split(/\r?\n/)) {
+    let line = '';
+    for (const word of para.split(/\s+/).filter(Boolean)) {
+      const next = line ? `${line} ${word}` : word;
+      if (!line || textWidth(next, size, font) <= maxWidth) line = next;
+      else { lines.push(line); line = word; }
+    }
+    lines.push(line);
+  }
+  return lines;
+}
+
+const num = (n) => (Math.round(n * 100) / 100).toString();
+
+function pdfString(text) {
+  return `(${winAnsi(text).map((b) => {
+    if (b === 0x28 || b === 0x29 || b === 0x5c) return `\\${String.fromCharCode(b)}`;
+    return b < 127 ? String.fromCharCode(b) : `\\${b.toString(8).padStart(3, '0')}`;
+  }).join('')})`;
+}
+
+/**
+ * PdfDocument collects drawing operations page by page and serialises them
+ * with toBuffer().
+ */
+export class PdfDocument {
+  /**
+   * @param {Object} [options]
+   * @param {number[]} [options.size] - [width, height] in points
+   * @param {string} [options.title]
+   */
+  constructor({ size = A4, title } = {}) {
+    this.width = size[0];
+    this.height = size[1];
+    this.title = title;
+    this.pages = [];
+  }
+
+  /** Start a new page; drawing calls go to the newest page. */
+  addPage() {
+    this.pages.push([]);
+    return this;
+  }
+
+  #ops() {
+    if (!this.pages.length) this.addPage();
+    return this.pages[this.pages.length - 1];
+  }
+
+  /**
+   * Draw one line of text with its baseline at `y`.
+   * @param {string} text
+   * @param {number} x
+   * @param {number} y
+   * @param {{size?: number, font?: 'regular'|'bold', align?: 'left'|'right'|'center'}} [options]
+   */
+  text(text, x, y, { size = 10, font = 'regular', align = 'left' } = {}) {
+    const w = align === 'left' ? 0 : textWidth(text, size, font);
+    const left = align === 'right' ? x - w : align === 'center' ? x - w / 2 : x;
+    this.#ops().push(`BT /${FONTS[font].ref} ${num(size)} Tf ${num(left)} ${num(this.height - y)} Td ${pdfString(text)} Tj ET`);
+    return this;
+  }
+
+  /**
+   * Draw wrapped text starting at baseline `y`.
+   * @returns {number} baseline y after the last line
+   */
+  paragraph(text, x, y, maxWidth, { size = 10, font = 'regular', leading = size * 1.3 } = {}) {
+    const lines = wrapText(text, maxWidth, size, font);
+    lines.forEach((line, i) => this.text(line, x, y + i * leading, { size, font }));
+    return y + (lines.length - 1) * leading;
+  }
+
+  line(x1, y1, x2, y2, { width = 0.5 } = {}) {
+    this.#ops().push(`${num(width)} w ${num(x1)} ${num(this.height - y1)} m ${num(x2)} ${num(this.height - y2)} l S`);
+    return this;
+  }
+
+  /** Rectangle with its top-left corner at (x, y); filled black by default. */
+  rect(x, y, w, h, { fill = true, width = 0.5 } = {}) {
+    const box = `${num(x)} ${num(this.height - y - h)} ${num(w)} ${num(h)} re`;
+    this.#ops().push(fill ? `${box} f` : `${num(width)} w ${box} S`);
+    return this;
+  }
+
+  /**
+   * Serialise the document.
+   * @returns {Buffer}
+   */
+  toBuffer() {
+    if (!this.pages.length) this.addPage();
+    const objects = [];
+    const add = (body) => objects.push(body); // returns the new object's number
+
+    add('<< /Type /Catalog /Pages 2 0 R >>');
+    add(null); // pages tree, filled in below
+    const fontRefs = Object.values(FONTS).map((f) =>
+      [f.ref, add(`<< /Type /Font /Subtype /Type1 /BaseFont /${f.base} /Encoding /WinAnsiEncoding >>`)]);
+    const resources = `<< /Font << ${fontRefs.map(([ref, n]) => `/${ref} ${n} 0 R`).join(' ')} >> >>`;
+
+    const kids = [];
+    for (const ops of this.pages) {
+      const stream = zlib.deflateSync(Buffer.from(ops.join('\n'), 'latin1'));
+      const content = add({ dict: `<< /Length ${stream.length} /Filter /FlateDecode >>`, stream });
+      kids.push(add(`<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${num(this.width)} ${num(this.height)}] /Resources ${resources} /Contents ${content} 0 R >>`));
+    }
+    objects[1] = `<< /Type /Pages /Kids [${kids.map((n) => `${n} 0 R`).join(' ')}] /Count ${kids.length} >>`;
+    const info = this.title ? add(`<< /Title ${pdfString(this.title)} /Producer (metlifebot) >>`) : null;
+
+    const chunks = [Buffer.from('%PDF-1.4\n%\xe2\xe3\xcf\xd3\n', 'latin1')];
+    let offset = chunks[0].length;
+    const offsets = [];
+    objects.forEach((obj, i) => {
+      offsets.push(offset);
+      const parts = typeof obj === 'string'
+        ? [Buffer.from(`${i + 1} 0 obj\n${obj}\nendobj\n`, 'latin1')]
+        : [Buffer.from(`${i + 1} 0 obj\n${obj.dict}\nstream\n`, 'latin1'), obj.stream, Buffer.from('\nendstream\nendobj\n', 'latin1')];
+      for (const p of parts) { chunks.push(p); offset += p.length; }
+    });
+    const xref = [
+      'xref',
+      `0 ${objects.length + 1}`,
+      '0000000000 65535 f ',
+      ...offsets.map((o) => `${String(o).padStart(10, '0')} 00000 n `),
+      'trailer',
+      `<< /Size ${objects.length + 1} /Root 1 0 R${info ? ` /Info ${info} 0 R` : ''} >>`,
+      'startxref',
+      String(offset),
+      '%%EOF\n'
+    ].join('\n');
+    chunks.push(Buffer.from(xref, 'latin1'));
+    return Buffer.concat(chunks);
+  }
+}
+
+export default PdfDocument;
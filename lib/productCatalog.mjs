@@ -0,0 +1,376 @@
+import fs from 'node:fs';
+import path from 'node:path';
+import Papa from 'papaparse';
+
+const norm = (v) => String(v ?? '').trim().toLowerCase().replace(/\s+/g, ' ');
+
+/**
+ * Columns of the product CSVs. `columns` lists other header names accepted
+ * for the field (products_enriched.csv says skin_type). Lists are split on
+ * `;` or `|`; booleans accept true/false, yes/no, y/n and 1/0; an empty cell
+ * is null (unknown).
+ */
+export const PRODUCT_SCHEMA = Object.freeze({
+  sku: { type: 'string', required: true, pattern: /^[A-Za-z0-9][A-Za-z0-9-]*$/ },
+  name: { type: 'string', required: true },
+  aliases: { type: 'list' },
+  category: { type: 'string' },
+  skin_types: { type: 'list', columns: ['skin_type'] },
+  key_ingredients: { type: 'list' },
+  claims: { type: 'list' },
+  fragrance_free: { type: 'boolean' },
+  oil_based: { type: 'boolean', required: true },
+  condom_compatible: { type: 'boolean', required: true },
+  size_ml: { type: 'number', min: 0 },
+  price: { type: 'number', min: 0 },
+  usage: { type: 'text' },
+  contraindications: { type: 'text' },
+  notes: { type: 'text' }
+});
+
+/**
+ * Cross-field rules, checked on each merged product.
+ * @type {ReadonlyArray<{id: string, field: string, message: string, test: (p: Object) => boolean}>}
+ */
+export const PRODUCT_RULES = Object.freeze([
+  {
+    id: 'oil_based_not_condom_compatible',
+    field: 'condom_compatible',
+    message: 'oil_based products must be condom_compatible=false (oil degrades latex)',
+    test: (p) => p.oil_based !== true || p.condom_compatible === false
+  },
+  {
+    id: 'fragrance_free_ingredients',
+    field: 'fragrance_free',
+    message: 'fragrance_free products cannot list fragrance or parfum in key_ingredients',
+    test: (p) => !(p.fragrance_free === true && (p.key_ingredients || []).some((i) => /\b(fragrance|parfum)\b/i.test(i)))
+  }
+]);
+
+const COLUMN_FIELDS = new Map(Object.entries(PRODUCT_SCHEMA).flatMap(([field, def]) => [[field, field], ...(def.columns || []).map((c) => [c, field])]));
+const TRUE = new Set(['true', 'yes', 'y', '1']);
+const FALSE = new Set(['false', 'no', 'n', '0']);
+
+/**
+ * Raised when product data fails validation; `details.errors` has one entry
+ * per problem ({file, row, sku, field, message}).
+ */
+export class CatalogValidationError extends Error {
+  /**
+   * @param {Object[]} errors
+   */
+  constructor(errors) {
+    super(`Product catalogue has ${errors.length} error(s):\n${errors.map(formatCatalogError).join('\n')}`);
+    this.name = 'CatalogValidationError';
+    this.code = 'invalid_product_data';
+    this.details = { errors };
+  }
+}
+
+/**
+ * "products.csv row 3 (OLB-15) price: must be a number"
+ * @param {Object} error - {file, row, sku, field, message}
+ * @returns {string}
+ */
+export function formatCatalogError({ file, row, sku, field, message }) {
+  const where = [file && path.basename(file), row && `row ${row}`].filter(Boolean).join(' ');
+  return `${where}${sku ? ` (${sku})` : ''}${where || sku ? ' ' : ''}${field ? `${field}: ` : ''}${message}`;
+}
+
+/**
+ * Parse one product CSV against PRODUCT_SCHEMA.
+ * @param {string} text
+ * @param {{file?: string}} [options]
+ * @returns {{rows: Object[], errors: Object[]}} typed rows (only the cells
+ *   present, each with its data `row` number) and problems found
+ */
+export function parseProductCsv(text, { file } = {}) {
+  const errors = [];
+  const { data, meta, errors: csvErrors } = Papa.parse(text.replace(/^\uFEFF/, ''), {
+    header: true,
+    delimiter: ',',
+    skipEmptyLines: 'greedy',
+    transformHeader: (h) => h.trim().toLowerCase()
+  });
+  for (const e of csvErrors) errors.push({ file, row: e.row == null ? undefined : e.row + 1, message: e.message });
+
+  const fields = meta.fields || [];
+  for (const column of fields) {
+    if (!COLUMN_FIELDS.has(column)) errors.push({ file, field: column, message: 'unknown column' });
+  }
+  // Other required fields may come from another file; they're checked after the merge
+  if (!fields.some((c) => COLUMN_FIELDS.get(c) === 'sku')) errors.push({ file, field: 'sku', message: 'required column is missing' });
+
+  const rows = [];
+  for (const [i, raw] of data.entries()) {
+    const row = { row: i + 1 };
+    for (const [column, value] of Object.entries(raw)) {
+      const field = COLUMN_FIELDS.get(column);
+      if (!field || value == null || String(value).trim() === '') continue;
+      const { value: typed, error } = coerce(PRODUCT_SCHEMA[field], String(value).trim());
+      if (error) {
+        errors.push({ file, row: row.row, sku: String(raw.sku || '').trim() || undefined, field, message: error });
+        if (field === 'sku') row.sku = String(value).trim(); // still merged, then left out as invalid
+      } else if (Array.isArray(typed) && Array.isArray(row[field])) row[field] = [...new Set([...row[field], ...typed])];
+      else row[field] = typed;
+    }
+    rows.push(row);
+  }
+  return { rows, errors };
+}
+
+/**
+ * Merge parsed rows by SKU (later rows override fields of earlier ones) and
+ * check required fields, duplicate SKUs within a file, the cross-field rules
+ * and aliases that would resolve to two products. A product with any error,
+ * including its parse errors, is left out.
+ * @param {{file?: string, rows: Object[], errors?: Object[]}[]} sources - parseProductCsv() results in merge order
+ * @returns {{products: Object[], errors: Object[]}} products that passed, all problems
+ */
+export function validateProducts(sources) {
+  const errors = sources.flatMap((s) => s.errors || []);
+  const bySku = new Map();
+  const origin = new Map();
+  for (const { file, rows } of sources) {
+    const seen = new Set();
+    for (const { row, ...fields } of rows) {
+      const at = { file, row, sku: fields.sku };
+      if (!fields.sku) {
+        errors.push({ ...at, field: 'sku', message: 'is required' });
+        continue;
+      }
+      const key = norm(fields.sku);
+      if (seen.has(key)) errors.push({ ...at, field: 'sku', message: 'is duplicated in this file' });
+      seen.add(key);
+      bySku.set(key, { ...bySku.get(key), ...fields });
+      origin.set(key, at);
+    }
+  }
+
+  const products = [...bySku.values()];
+  for (const [key, product] of bySku) {
+    const at = origin.get(key);
+    for (const [field, def] of Object.entries(PRODUCT_SCHEMA)) {
+      if (def.required && product[field] == null) errors.push({ ...at, sku: product.sku, field, message: 'is required' });
+    }
+    for (const rule of PRODUCT_RULES) {
+      if (!rule.test(product)) errors.push({ ...at, sku: product.sku, field: rule.field, rule: rule.id, message: rule.message });
+    }
+  }
+
+  // A name or alias must lead to one product
+  const owners = new Map();
+  for (const p of products) {
+    for (const name of [p.name, ...(p.aliases || [])]) {
+      const k = norm(name);
+      if (!k) continue;
+      const other = owners.get(k);
+      if (other && other.sku !== p.sku && k !== norm(p.sku)) {
+        errors.push({ ...origin.get(norm(p.sku)), sku: p.sku, field: 'aliases', message: `"${name}" also names ${other.sku}` });
+      } else {
+        owners.set(k, p);
+      }
+    }
+  }
+  const invalid = new Set(errors.filter((e) => e.sku).map((e) => norm(e.sku)));
+  return { products: products.filter((p) => !invalid.has(norm(p.sku))), errors };
+}
+
+/**
+ * ProductCatalog indexes the product CSVs in knowledge/ by SKU, name and
+ * alias so free-text product mentions ("the lip balm") resolve to a SKU.
+ * Products loaded from files are typed per PRODUCT_SCHEMA and validated.
+ */
+export class ProductCatalog {
+  /**
+   * @param {Object[]} products - rows with at least `sku` and `name`
+   * @param {{errors?: Object[], sources?: string[]}} [options] - validation problems, kept for
+   *   reporting, and the files the products came from (cited by lookup_product)
+   */
+  constructor(products = [], { errors = [], sources = [] } = {}) {
+    this.products = products.filter((p) => p.sku);
+    this.errors = errors;
+    this.sources = sources;
+    this.index = new Map();
+    for (const p of this.products) {
+      for (const key of [p.sku, p.name, ...ProductCatalog.aliases(p)]) {
+        const k = norm(key);
+        if (k && !this.index.has(k)) this.index.set(k, p);
+      }
+    }
+  }
+
+  /**
+   * Aliases column split on `;` or `|`.
+   * @param {Object} product
+   * @returns {string[]}
+   */
+  static aliases(product) {
+    const raw = product.aliases;
+    if (Array.isArray(raw)) return raw;
+    return String(raw || '').split(/[;|]/).map((s) => s.trim()).filter(Boolean);
+  }
+
+  /**
+   * Load, validate and merge CSV files; later files override fields of
+   * earlier ones for the same SKU. Missing files are skipped. Products with
+   * errors are left out and the errors kept in `errors`.
+   * @param {string[]} files
+   * @param {{strict?: boolean}} [options] - throw on any error instead
+   * @returns {ProductCatalog}
+   * @throws {CatalogValidationError} in strict mode
+   */
+  static fromFiles(files, { strict = false } = {}) {
+    const sources = files
+      .filter((file) => fs.existsSync(file))
+      .map((file) => ({ file, ...parseProductCsv(fs.readFileSync(file, 'utf8'), { file }) }));
+    const { products, errors } = validateProducts(sources);
+    if (strict && errors.length) throw new CatalogValidationError(errors);
+    return new ProductCatalog(products, { errors, sources: sources.map((s) => path.basename(s.file)) });
+  }
+
+  /**
+   * Product for a SKU, name or alias (case-insensitive), or null.
+   * @param {string} query
+   * @returns {Object|null}
+   */
+  find(query) {
+    return this.index.get(norm(query)) || null;
+  }
+
+  /**
+   * Products matching a filter (see parseProductQuery), in catalogue order.
+   * `q` that names a product (SKU, name or alias) returns just that product;
+   * otherwise every word of `q` must appear in the name, aliases, category,
+   * key ingredients or claims. A product whose attribute is unknown never
+   * matches a filter on that attribute.
+   * @param {Object} [filter]
+   * @returns {Object[]}
+   */
+  search({ q, category, skin_types: skinTypes, fragrance_free: fragranceFree, oil_based: oilBased, condom_compatible: condomCompatible, min_price: minPrice, max_price: maxPrice } = {}) {
+    let found = this.products;
+    if (q) {
+      const exact = this.find(q);
+      const words = norm(q).split(' ');
+      found = exact ? [exact] : found.filter((p) => {
+        const text = norm([p.sku, p.name, p.category, ...ProductCatalog.aliases(p), ...(p.key_ingredients || []), ...(p.claims || [])].join(' '));
+        return words.every((w) => text.includes(w));
+      });
+    }
+    const is = (value, wanted) => wanted == null || value === wanted;
+    return found.filter((p) =>
+      (!category || norm(p.category) === norm(category))
+      && (!skinTypes?.length || (p.skin_types || []).some((t) => skinTypes.some((w) => norm(w) === norm(t))))
+      && is(p.fragrance_free, fragranceFree)
+      && is(p.oil_based, oilBased)
+      && is(p.condom_compatible, condomCompatible)
+      && (minPrice == null || (p.price != null && p.price >= minPrice))
+      && (maxPrice == null || (p.price != null && p.price <= maxPrice)));
+  }
+}
+
+const QUERY_FIELDS = {
+  q: { type: 'text' },
+  category: { type: 'string' },
+  skin_types: { type: 'list' },
+  fragrance_free: { type: 'boolean' },
+  oil_based: { type: 'boolean' },
+  condom_compatible: { type: 'boolean' },
+  min_price: { type: 'number', min: 0 },
+  max_price: { type: 'number', min: 0 }
+};
+
+/**
+ * Turn query parameters (strings from a URL, or typed values from a tool
+ * call) into a ProductCatalog#search filter. `skin_type` is accepted for
+ * `skin_types`; other keys are ignored.
+ * @param {Object} params
+ * @returns {{filter: Object, errors: string[]}}
+ */
+export function parseProductQuery(params = {}) {
+  const filter = {};
+  const errors = [];
+  for (const [field, def] of Object.entries(QUERY_FIELDS)) {
+    let value = params[field] ?? (field === 'skin_types' ? params.skin_type : undefined);
+    if (value == null || value === '') continue;
+    if (typeof value === 'boolean' || typeof value === 'number') value = String(value);
+    if (Array.isArray(value)) value = value.join(';');
+    const text = String(value).trim();
+    const { value: typed, error } = coerce(def, def.type === 'list' ? text.replace(/,/g, ';') : text);
+    if (error) errors.push(`${field}: ${error}`);
+    else filter[field] = typed;
+  }
+  if (filter.min_price != null && filter.max_price != null && filter.min_price > filter.max_price) {
+    errors.push('min_price: must not be more than max_price');
+  }
+  return { filter, errors };
+}
+
+/**
+ * Assistant function tool answering product questions ("is it condom
+ * compatible?", "what's fragrance free?") from the catalogue instead of
+ * retrieval. Results carry the source file names for citation.
+ * @param {{catalog: ProductCatalog}} deps
+ * @returns {{description: string, parameters: Object, handler: Function}}
+ */
+export function createProductLookupTool({ catalog }) {
+  const flag = (description) => ({ type: 'boolean', description });
+  return {
+    description:
+      'Look up Metamorphosis products by SKU, name or alias, or list products matching attributes. ' +
+      'Use it for product facts (ingredients, skin types, fragrance-free, oil-based, condom compatibility, size, price) ' +
+      'and cite the returned source. A null attribute is unknown: say so rather than guessing.',
+    parameters: {
+      type: 'object',
+      properties: {
+        product: { type: 'string', description: 'SKU, product name or alias, e.g. "OLB-15" or "the lip balm"' },
+        query: { type: 'string', description: 'Free-text search over names, aliases, ingredients and claims' },
+        category: { type: 'string' },
+        skin_types: { type: 'array', items: { type: 'string' } },
+        fragrance_free: flag('Only products that are (true) or are not (false) fragrance free'),
+        oil_based: flag('Only oil-based (true) or water/silicone-based (false) products'),
+        condom_compatible: flag('Only products that are (true) or are not (false) safe with latex condoms'),
+        min_price: { type: 'number', minimum: 0 },
+        max_price: { type: 'number', minimum: 0 },
+        limit: { type: 'integer', minimum: 1, maximum: 20 }
+      },
+      additionalProperties: false
+    },
+    async handler({ product, query, limit = 10, ...params }) {
+      const source = catalog.sources.join(', ') || 'product catalogue';
+      if (product) {
+        const match = catalog.find(product);
+        if (match) return { ok: true, product: match, source };
+      }
+      const { filter, errors } = parseProductQuery({ ...params, q: query ?? product });
+      if (errors.length) return { ok: false, error: errors.join('; ') };
+      const products = catalog.search(filter);
+      if (!products.length) return { ok: false, error: product ? `No product matches "${product}"` : 'No products match', source };
+      return { ok: true, count: products.length, products: products.slice(0, limit), source };
+    }
+  };
+}
+
+function coerce(def, value) {
+  switch (def.type) {
+    case 'boolean': {
+      const v = value.toLowerCase();
+      if (TRUE.has(v)) return { value: true };
+      if (FALSE.has(v)) return { value: false };
+      return { error: `"${value}" is not true/false` };
+    }
+    case 'number': {
+      const n = Number(value.replace(/^\$/, '').replace(/,/g, ''));
+      if (!Number.isFinite(n)) return { error: `"${value}" is not a number` };
+      if (def.min != null && n < def.min) return { error: `must be at least ${def.min}` };
+      return { value: n };
+    }
+    case 'list':
+      return { value: value.split(/[;|]/).map((s) => s.trim()).filter(Boolean) };
+    default:
+      if (def.pattern && !def.pattern.test(value)) return { error: `"${value}" is not valid` };
+      return { value };
+  }
+}
+
+export default ProductCatalog;
@@ -0,0 +1,210 @@
+import { RunError } from './assistantRuns.mjs';
+
+/**
+ * ResponsesRunner answers a turn with the Responses API: `file_search` over
+ * the tenant's vector store plus the ToolRegistry's function tools, with the
+ * conversation carried by `previous_response_id`. Function calls are
+ * dispatched and sent back as `function_call_output` items until the model
+ * answers. Results match AssistantRunner's, so callers needn't care which
+ * API answered; a run that doesn't complete raises the same RunError codes.
+ */
+export class ResponsesRunner {
+  /**
+   * @param {Object} options
+   * @param {import('openai').default} options.openai - OpenAI client (injectable for tests)
+   * @param {string} options.model
+   * @param {string} [options.instructions] - system instructions, sent with every request
+   * @param {import('./tools.mjs').ToolRegistry} [options.tools]
+   * @param {number} [options.maxToolRounds] - function-call rounds allowed per run
+   * @param {number} [options.runTimeoutMs] - deadline per run, tool calls included
+   */
+  constructor({ openai, model, instructions = '', tools, maxToolRounds = 10, runTimeoutMs = 120000 }) {
+    this.openai = openai;
+    this.model = model;
+    this.instructions = instructions;
+    this.tools = tools;
+    this.maxToolRounds = maxToolRounds;
+    this.runTimeoutMs = runTimeoutMs;
+    this.active = new Map(); // response id -> {controller, threadId} of the run it belongs to
+  }
+
+  /**
+   * Stop a run in progress. Responses aren't cancellable server-side unless
+   * created in background mode, so the run's requests are aborted; the
+   * caller waiting on it gets `run_cancelled`.
+   * @param {string} responseId - any response of the run (the `run_id` of its status events)
+   * @param {Object} [options]
+   * @param {string} [options.threadId] - when given, the run must belong to this thread
+   * @returns {{id: string, status: string}}
+   */
+  cancel(responseId, { threadId } = {}) {
+    const run = this.active.get(responseId);
+    if (!run || (threadId !== undefined && run.threadId !== threadId)) {
+      throw Object.assign(new Error(`No run in progress: ${responseId}`), { status: 404 });
+    }
+    run.controller.abort('cancelled');
+    return { id: responseId, status: 'cancelling' };
+  }
+
+  /**
+   * Run one turn.
+   * @param {Object} args
+   * @param {Array<Object>|string} args.input - input items for the first request
+   * @param {string} [args.previousResponseId] - the conversation so far
+   * @param {string} [args.vectorStoreId] - searched with file_search when set
+   * @param {string} [args.instructions] - replaces the default instructions for this run
+   * @param {string} [args.threadId] - our thread id, for tool context and errors
+   * @param {Object} [args.context] - extra tool context, e.g. {tenant}
+   * @param {(event: string, data: Object) => void} [args.onEvent] - streams the run (same events as AssistantRunner.stream)
+   * @param {AbortSignal} [args.signal] - cancels the run when aborted (the client went away)
+   * @returns {Promise<{answer: string, citations: Array, usage: Object|null, run_id: string, response_id: string, status: string}>}
+   */
+  async run({ input, previousResponseId, vectorStoreId, instructions, threadId, context = {}, onEvent, signal }) {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort('timeout'), this.runTimeoutMs);
+    const onAbort = () => controller.abort('cancelled');
+    if (signal?.aborted) onAbort();
+    signal?.addEventListener('abort', onAbort);
+    const ids = [];
+    const track = (id) => {
+      if (!id || this.active.has(id)) return;
+      ids.push(id);
+      this.active.set(id, { controller, threadId });
+    };
+
+    const texts = [];
+    const citations = new Map();
+    const usage = { input_tokens: 0, output_tokens: 0, total_tokens: 0 };
+    let previous = previousResponseId;
+    let response = null;
+    try {
+      for (let round = 0; ; round++) {
+        const body = {
+          model: this.model,
+          input,
+          instructions: instructions ? String(instructions) : this.instructions || undefined,
+          tools: this.#toolDefinitions(vectorStoreId),
+          ...(previous ? { previous_response_id: previous } : {}),
+          store: true
+        };
+        response = await this.#create(body, { signal: controller.signal, onEvent, track, threadId });
+        track(response.id);
+        if (response.status !== 'completed') throw RunError.fromRun(asRun(response), { threadId });
+
+        for (const key of Object.keys(usage)) usage[key] += response.usage?.[key] || 0;
+        const out = ResponsesRunner.extractOutput(response);
+        if (out.text) texts.push(out.text);
+        for (const c of out.citations) {
+          if (citations.has(c.file_id)) continue;
+          citations.set(c.file_id, c);
+          onEvent?.('citation', c);
+        }
+
+        const calls = (response.output || []).filter((item) => item.type === 'function_call');
+        if (!calls.length) break;
+        input = await this.#toolOutputs(response, calls, { ...context, thread_id: threadId, run_id: response.id }, round, { onEvent, threadId });
+        previous = response.id;
+      }
+    } catch (e) {
+      if (!controller.signal.aborted) throw e;
+      const reason = controller.signal.reason;
+      const run = { id: ids[0] ?? response?.id ?? null, status: 'cancelled' };
+      throw reason === 'timeout'
+        ? RunError.fromRun(run, { threadId, reason: 'timeout', message: `Run timed out after ${Math.round(this.runTimeoutMs / 1000)}s and was cancelled` })
+        : RunError.fromRun(run, { threadId });
+    } finally {
+      clearTimeout(timer);
+      signal?.removeEventListener('abort', onAbort);
+      for (const id of ids) this.active.delete(id);
+    }
+
+    return {
+      answer: texts.join('\n').trim(),
+      citations: [...citations.values()],
+      usage: usage.total_tokens ? usage : response.usage ?? null,
+      run_id: ids[0],
+      response_id: response.id,
+      status: response.status
+    };
+  }
+
+  /**
+   * Pull the text and file citations out of a response's output messages.
+   * Responses cite a file by id and filename, without the quoted passage.
+   * @param {Object} response
+   * @returns {{text: string, citations: Array<{file_id: string, filename: string|null, quote: string}>}}
+   */
+  static extractOutput(response) {
+    const parts = [];
+    const citations = [];
+    for (const item of response?.output || []) {
+      if (item.type !== 'message') continue;
+      for (const c of item.content || []) {
+        if (c.type !== 'output_text') continue;
+        parts.push(c.text);
+        for (const a of c.annotations || []) {
+          if (a.type === 'file_citation') citations.push({ file_id: a.file_id, filename: a.filename || null, quote: '' });
+        }
+      }
+    }
+    return { text: parts.join('\n').trim(), citations };
+  }
+
+  #toolDefinitions(vectorStoreId) {
+    const functions = (this.tools?.definitions() || []).map(({ function: f }) => ({
+      type: 'function',
+      name: f.name,
+      description: f.description,
+      parameters: f.parameters,
+      strict: false
+    }));
+    return [...(vectorStoreId ? [{ type: 'file_search', vector_store_ids: [vectorStoreId] }] : []), ...functions];
+  }
+
+  // One request; streamed (reporting status/delta/tool events) when onEvent is given
+  async #create(body, { signal, onEvent, track, threadId }) {
+    if (!onEvent) return this.openai.responses.create(body, { signal });
+    const events = await this.openai.responses.create({ ...body, stream: true }, { signal });
+    let final = null;
+    for await (const event of events) {
+      if (event.type === 'error') {
+        throw new RunError(event.message || 'Stream error', { code: 'run_stream_error', status: 502, details: { thread_id: threadId ?? null } });
+      }
+      if (event.response && /^response\.(created|queued|in_progress|completed|failed|incomplete)$/.test(event.type)) {
+        track(event.response.id);
+        onEvent('status', { status: event.response.status, run_id: event.response.id });
+        if (/^response\.(completed|failed|incomplete)$/.test(event.type)) final = event.response;
+      } else if (event.type === 'response.output_text.delta' && event.delta) {
+        onEvent('delta', { text: event.delta });
+      } else if (event.type === 'response.output_item.added' && event.item?.type === 'function_call') {
+        onEvent('tool', { name: event.item.name, tool_call_id: event.item.call_id });
+      }
+    }
+    if (!final) throw new RunError('Stream ended without a response', { code: 'run_stream_error', status: 502, details: { thread_id: threadId ?? null } });
+    return final;
+  }
+
+  async #toolOutputs(response, calls, context, round, { onEvent, threadId }) {
+    const names = calls.map((c) => c.name).join(', ');
+    if (!this.tools || round >= this.maxToolRounds) {
+      const message = this.tools ? `Run exceeded ${this.maxToolRounds} tool rounds` : `Run requires_action (${names})`;
+      throw RunError.fromRun({ ...asRun(response), status: 'requires_action' }, { threadId, message });
+    }
+    const outputs = await this.tools.dispatch(
+      calls.map((c) => ({ id: c.call_id, function: { name: c.name, arguments: c.arguments } })),
+      context
+    );
+    return outputs.map((o) => {
+      const call = calls.find((c) => c.call_id === o.tool_call_id);
+      onEvent?.('tool_result', { name: call?.name, tool_call_id: o.tool_call_id, ok: JSON.parse(o.output)?.ok !== false });
+      return { type: 'function_call_output', call_id: o.tool_call_id, output: o.output };
+    });
+  }
+}
+
+// A response in the shape RunError.fromRun reads
+function asRun(response) {
+  return { id: response.id, status: response.status, last_error: response.error ?? null, incomplete_details: response.incomplete_details ?? null };
+}
+
+export default ResponsesRunner;
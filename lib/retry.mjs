@@ -0,0 +1,284 @@
+/**
+ * Retries and rate limiting for outbound API calls (OpenAI, Notion).
+ *
+ * Each service gets a ServiceLimiter that caps how many requests run at
+ * once, retries retryable failures with exponential backoff and full jitter
+ * (or after the server's Retry-After), and counts what it did. SDK clients
+ * use it through `limiter.fetch`:
+ *
+ *   new OpenAI({ apiKey, fetch: limiters.for('openai').fetch, maxRetries: 0 })
+ *   new Client({ auth, fetch: limiters.for('notion').fetch })
+ */
+
+/** HTTP statuses worth another attempt: timeouts, conflicts, rate limits and gateway errors. */
+export const RETRYABLE_STATUS = new Set([408, 409, 425, 429, 500, 502, 503, 504]);
+
+/**
+ * Statuses retried for calls that aren't idempotent (POST, PATCH): the
+ * server turned the request away rather than (perhaps) processing it.
+ */
+export const UNPROCESSED_STATUS = new Set([425, 429, 503]);
+
+// Network failures (Node and undici codes) that a new connection may get past
+const RETRYABLE_CODES = new Set([
+  'ECONNRESET', 'ECONNREFUSED', 'ECONNABORTED', 'ETIMEDOUT', 'EPIPE', 'EAI_AGAIN', 'ENETUNREACH',
+  'UND_ERR_SOCKET', 'UND_ERR_CONNECT_TIMEOUT', 'UND_ERR_HEADERS_TIMEOUT', 'UND_ERR_BODY_TIMEOUT'
+]);
+
+// The subset where no connection was made, so the request never reached the server
+const UNSENT_CODES = new Set(['ECONNREFUSED', 'EAI_AGAIN', 'ENETUNREACH', 'UND_ERR_CONNECT_TIMEOUT']);
+
+// Methods whose requests may have taken effect even when the reply was an error
+const NON_IDEMPOTENT_METHODS = new Set(['POST', 'PATCH']);
+
+/**
+ * Whether a failed call is worth retrying. `failure` is a Response (or
+ * anything with a numeric `status`, like SDK errors) or a thrown error.
+ * Aborts are fatal: the caller gave up. A call that isn't idempotent is only
+ * retried when it can't have taken effect (UNPROCESSED_STATUS, or no connection).
+ * @param {Object} failure
+ * @param {{idempotent?: boolean}} [options]
+ * @returns {'retryable'|'fatal'}
+ */
+export function classify(failure, { idempotent = true } = {}) {
+  if (!failure || failure.name === 'AbortError') return 'fatal';
+  if (typeof failure.status === 'number') {
+    return (idempotent ? RETRYABLE_STATUS : UNPROCESSED_STATUS).has(failure.status) ? 'retryable' : 'fatal';
+  }
+  const code = failure.code || failure.cause?.code;
+  if ((idempotent ? RETRYABLE_CODES : UNSENT_CODES).has(code)) return 'retryable';
+  // fetch() rejects with a bare TypeError('fetch failed') when the connection drops
+  if (idempotent && failure instanceof TypeError && /fetch failed|network/i.test(failure.message)) return 'retryable';
+  return 'fatal';
+}
+
+/**
+ * How long the server asked us to wait: `retry-after-ms` (OpenAI), else
+ * `Retry-After` in seconds or as an HTTP date. Null when absent or invalid.
+ * @param {Headers|Object} [headers]
+ * @param {number} [now]
+ * @returns {number|null} milliseconds
+ */
+export function retryAfterMs(headers, now = Date.now()) {
+  const get = (name) => (typeof headers?.get === 'function' ? headers.get(name) : headers?.[name]);
+  const ms = Number(get('retry-after-ms'));
+  if (get('retry-after-ms') != null && Number.isFinite(ms) && ms >= 0) return ms;
+  const value = get('retry-after');
+  if (value == null || value === '') return null;
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) return seconds >= 0 ? seconds * 1000 : null;
+  const at = Date.parse(value);
+  return Number.isNaN(at) ? null : Math.max(at - now, 0);
+}
+
+/**
+ * Exponential backoff with full jitter: a random delay up to
+ * baseDelayMs * 2^attempt, capped at maxDelayMs.
+ * @param {number} attempt - retries made so far (0 for the first)
+ * @param {{baseDelayMs: number, maxDelayMs: number, random?: () => number}} options
+ * @returns {number} milliseconds
+ */
+export function backoffDelay(attempt, { baseDelayMs, maxDelayMs, random = Math.random }) {
+  return Math.round(random() * Math.min(maxDelayMs, baseDelayMs * 2 ** attempt));
+}
+
+/**
+ * ServiceLimiter runs calls to one service: at most `maxConcurrent` at a
+ * time (the rest wait their turn), retrying retryable failures up to
+ * `maxRetries` times. A call's slot is released while it waits to retry.
+ */
+export class ServiceLimiter {
+  /**
+   * @param {Object} options
+   * @param {string} options.service - name used in logs and stats
+   * @param {number} [options.maxConcurrent]
+   * @param {number} [options.maxRetries] - retries after the first attempt
+   * @param {number} [options.baseDelayMs] - backoff before the first retry (before jitter)
+   * @param {number} [options.maxDelayMs] - backoff cap
+   * @param {number} [options.maxRetryAfterMs] - longest Retry-After we'll honour; longer waits give up
+   * @param {typeof fetch} [options.fetch] - wrapped by this.fetch
+   * @param {(ms: number) => Promise<void>} [options.sleep] - injectable for tests
+   * @param {() => number} [options.random] - injectable for tests
+   * @param {{warn: Function}} [options.logger]
+   */
+  constructor({
+    service,
+    maxConcurrent = 4,
+    maxRetries = 4,
+    baseDelayMs = 500,
+    maxDelayMs = 20000,
+    maxRetryAfterMs = 60000,
+    fetch = globalThis.fetch,
+    sleep = (ms) => new Promise((r) => setTimeout(r, ms)),
+    random = Math.random,
+    logger = console
+  }) {
+    this.service = service;
+    this.maxConcurrent = maxConcurrent;
+    this.maxRetries = maxRetries;
+    this.baseDelayMs = baseDelayMs;
+    this.maxDelayMs = maxDelayMs;
+    this.maxRetryAfterMs = maxRetryAfterMs;
+    this.sleep = sleep;
+    this.random = random;
+    this.logger = logger;
+    this.active = 0;
+    this.waiting = [];
+    this.counts = { requests: 0, retries: 0, throttled: 0, gave_up: 0, fatal: 0 };
+
+    /**
+     * fetch() through this limiter, for SDK clients' `fetch` option. Retryable
+     * statuses are retried; the last response is returned as-is once retries
+     * run out, so the SDK raises its usual error. POST and PATCH are retried
+     * only when the server can't have processed them (see classify), so a
+     * create is never sent twice. Streamed request bodies can't be replayed
+     * and get a single attempt.
+     * @type {typeof fetch}
+     */
+    this.fetch = (url, init = {}) => {
+      const target = new URL(String(url?.url ?? url));
+      const method = String(init.method || 'GET').toUpperCase();
+      const replayable = !(init.body instanceof ReadableStream);
+      return this.run(() => fetch(url, init), {
+        label: `${method} ${target.pathname}`,
+        retries: replayable ? this.maxRetries : 0,
+        idempotent: !NON_IDEMPOTENT_METHODS.has(method)
+      });
+    };
+  }
+
+  /**
+   * Run `fn` in a concurrency slot, retrying it on retryable errors and on
+   * resolved values with a retryable `status` (fetch Responses).
+   * @template T
+   * @param {(attempt: number) => Promise<T>} fn
+   * @param {{label?: string, retries?: number, idempotent?: boolean}} [options] - `idempotent: false`
+   *   retries only failures that can't have taken effect
+   * @returns {Promise<T>}
+   */
+  async run(fn, { label = 'call', retries = this.maxRetries, idempotent = true } = {}) {
+    const statuses = idempotent ? RETRYABLE_STATUS : UNPROCESSED_STATUS;
+    this.counts.requests++;
+    for (let attempt = 0; ; attempt++) {
+      await this.#acquire();
+      let result, error;
+      try {
+        result = await fn(attempt);
+      } catch (e) {
+        error = e;
+      } finally {
+        this.#release();
+      }
+
+      const failure = error ?? (statuses.has(result?.status) ? result : null);
+      if (!failure) {
+        if (result?.status >= 400) this.counts.fatal++;
+        return result;
+      }
+      if (classify(failure, { idempotent }) === 'fatal') {
+        this.counts.fatal++;
+        if (error) throw error;
+        return result;
+      }
+      if (failure.status === 429) this.counts.throttled++;
+
+      const asked = retryAfterMs(failure.headers);
+      const delay = asked ?? backoffDelay(attempt, { baseDelayMs: this.baseDelayMs, maxDelayMs: this.maxDelayMs, random: this.random });
+      const reason = failure.status ? `HTTP ${failure.status}` : failure.code || failure.cause?.code || failure.message;
+      if (attempt >= retries || delay > this.maxRetryAfterMs) {
+        this.counts.gave_up++;
+        this.logger.warn(`[retry] ${this.service} ${label}: ${reason}; giving up after ${attempt + 1} attempt(s)`);
+        if (error) throw error;
+        return result;
+      }
+
+      this.counts.retries++;
+      this.logger.warn(`[retry] ${this.service} ${label}: ${reason}; retry ${attempt + 1}/${retries} in ${delay}ms${asked != null ? ' (Retry-After)' : ''}`);
+      await result?.body?.cancel?.().catch(() => {}); // free the connection
+      await this.sleep(delay);
+    }
+  }
+
+  /**
+   * Counters since start, plus what's running and queued now.
+   * @returns {{service: string, requests: number, retries: number, throttled: number, gave_up: number, fatal: number, in_flight: number, queued: number, max_concurrent: number}}
+   */
+  stats() {
+    return { service: this.service, ...this.counts, in_flight: this.active, queued: this.waiting.length, max_concurrent: this.maxConcurrent };
+  }
+
+  async #acquire() {
+    if (this.active < this.maxConcurrent) {
+      this.active++;
+      return;
+    }
+    await new Promise((resolve) => this.waiting.push(resolve));
+  }
+
+  #release() {
+    const next = this.waiting.shift();
+    if (next) next(); // hand the slot straight over
+    else this.active--;
+  }
+}
+
+/**
+ * ServiceLimiters hands out one ServiceLimiter per service, so every client
+ * of a service in the process shares its concurrency cap and counters.
+ */
+export class ServiceLimiters {
+  /**
+   * @param {Object} [options]
+   * @param {Object} [options.defaults] - ServiceLimiter options for every service
+   * @param {Record<string, Object>} [options.services] - per-service overrides, e.g. {notion: {maxConcurrent: 3}}
+   */
+  constructor({ defaults = {}, services = {} } = {}) {
+    this.defaults = defaults;
+    this.services = services;
+    this.limiters = new Map();
+  }
+
+  /**
+   * Build from process.env style variables:
+   *   RETRY_MAX_RETRIES (4), RETRY_BASE_DELAY_MS (500), RETRY_MAX_DELAY_MS (20000)
+   *   OPENAI_MAX_CONCURRENCY (8), NOTION_MAX_CONCURRENCY (3; Notion allows ~3 requests/s)
+   * @param {Record<string, string|undefined>} env
+   * @returns {ServiceLimiters}
+   */
+  static fromEnv(env = process.env) {
+    const num = (name, fallback) => (env[name] != null && env[name] !== '' && Number.isFinite(Number(env[name])) ? Number(env[name]) : fallback);
+    return new ServiceLimiters({
+      defaults: {
+        maxRetries: num('RETRY_MAX_RETRIES', 4),
+        baseDelayMs: num('RETRY_BASE_DELAY_MS', 500),
+        maxDelayMs: num('RETRY_MAX_DELAY_MS', 20000)
+      },
+      services: {
+        openai: { maxConcurrent: num('OPENAI_MAX_CONCURRENCY', 8) },
+        notion: { maxConcurrent: num('NOTION_MAX_CONCURRENCY', 3) }
+      }
+    });
+  }
+
+  /**
+   * The limiter for a service, created on first use.
+   * @param {string} service
+   * @returns {ServiceLimiter}
+   */
+  for(service) {
+    if (!this.limiters.has(service)) {
+      this.limiters.set(service, new ServiceLimiter({ ...this.defaults, ...this.services[service], service }));
+    }
+    return this.limiters.get(service);
+  }
+
+  /**
+   * Stats of every limiter used so far.
+   * @returns {Record<string, Object>}
+   */
+  stats() {
+    return Object.fromEntries([...this.limiters].map(([name, limiter]) => [name, limiter.stats()]));
+  }
+}
+
+export default ServiceLimiters;
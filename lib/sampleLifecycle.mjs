@@ -0,0 +1,157 @@
+/**
+ * Sample request lifecycle:
+ *
+ *   intake ─┬─> needs_approval ─┬─> approved ──> dispatched ──> fulfilled
+ *           │                   └─> rejected
+ *           ├─> approved   (auto-approved by policy)
+ *           └─> rejected   (denied by policy)
+ */
+
+export const SAMPLE_STATES = Object.freeze(['intake', 'needs_approval', 'approved', 'rejected', 'dispatched', 'fulfilled']);
+
+export const TRANSITIONS = Object.freeze({
+  intake: ['needs_approval', 'approved', 'rejected'],
+  needs_approval: ['approved', 'rejected'],
+  approved: ['dispatched'],
+  rejected: [],
+  dispatched: ['fulfilled'],
+  fulfilled: []
+});
+
+/** Action verbs (as used in URLs) and the state each one moves to. */
+export const ACTIONS = Object.freeze({
+  submit: 'needs_approval',
+  approve: 'approved',
+  reject: 'rejected',
+  dispatch: 'dispatched',
+  fulfil: 'fulfilled'
+});
+
+/**
+ * Raised when a transition is not allowed from the sample's current state.
+ */
+export class TransitionError extends Error {
+  /**
+   * @param {string} message
+   * @param {Object} details - {from, to, allowed}
+   */
+  constructor(message, details = {}) {
+    super(message);
+    this.name = 'TransitionError';
+    this.code = 'invalid_transition';
+    this.status = 409;
+    this.details = details;
+  }
+}
+
+/**
+ * @param {string} from
+ * @param {string} to
+ * @returns {boolean}
+ */
+export function canTransition(from, to) {
+  return (TRANSITIONS[from] || []).includes(to);
+}
+
+/**
+ * SampleLifecycle applies guarded transitions to sample records, writing the
+ * new status, the per-state timestamp and a history line back to Notion and
+ * recording each transition in the audit log. Transitions of one sample run
+ * one at a time, so of two concurrent approvals (a double-clicked link) the
+ * second sees the first's result and fails its guard instead of notifying
+ * twice. The lock is per process; one server instance is assumed.
+ */
+export class SampleLifecycle {
+  /**
+   * @param {Object} options
+   * @param {import('./notionSamples.mjs').SamplesDB} options.samplesDb
+   * @param {import('./auditLog.mjs').AuditLog} [options.audit]
+   * @param {() => Date} [options.now] - clock, injectable for tests
+   * @param {(sample: Object, transition: Object) => void} [options.onTransition] - called after
+   *   each write (e.g. SampleNotifier); errors are logged, not thrown
+   */
+  constructor({ samplesDb, audit, now = () => new Date(), onTransition }) {
+    this.samplesDb = samplesDb;
+    this.audit = audit;
+    this.now = now;
+    this.onTransition = onTransition;
+    this.pending = new Map(); // page id -> tail of the transitions queued for it
+  }
+
+  /**
+   * Actions that are valid from a state.
+   * @param {string} state
+   * @returns {string[]}
+   */
+  static allowedActions(state) {
+    return Object.entries(ACTIONS)
+      .filter(([, to]) => canTransition(state, to))
+      .map(([action]) => action);
+  }
+
+  /**
+   * Apply an action to a sample.
+   * @param {string} pageId
+   * @param {keyof ACTIONS} action
+   * @param {Object} [input]
+   * @param {string} [input.actor] - who performed it (approver email, "policy", …)
+   * @param {string} [input.reason] - rejection reason or note
+   * @param {string} [input.carrier] - dispatch only
+   * @param {string} [input.tracking] - dispatch only
+   * @returns {Promise<Object>} the updated sample
+   * @throws {TransitionError}
+   */
+  async transition(pageId, action, input = {}) {
+    const to = ACTIONS[action];
+    if (!to) throw new TransitionError(`Unknown action '${action}'`, { action, actions: Object.keys(ACTIONS) });
+
+    const previous = this.pending.get(pageId) || Promise.resolve();
+    const current = previous.catch(() => {}).then(() => this.#apply(pageId, action, to, input));
+    const tail = current.catch(() => {});
+    this.pending.set(pageId, tail);
+    try {
+      return await current;
+    } finally {
+      if (this.pending.get(pageId) === tail) this.pending.delete(pageId);
+    }
+  }
+
+  async #apply(pageId, action, to, { actor = 'unknown', reason, carrier, tracking }) {
+    const sample = await this.samplesDb.get(pageId);
+    const from = sample.status;
+    if (!canTransition(from, to)) {
+      throw new TransitionError(`Cannot ${action} a sample that is ${from}`, {
+        from,
+        to,
+        allowed: SampleLifecycle.allowedActions(from)
+      });
+    }
+
+    const at = this.now().toISOString();
+    const line = `${at} ${from} -> ${to} by ${actor}${reason ? `: ${reason}` : ''}`;
+    const patch = {
+      status: to,
+      timestamps: { [to]: at },
+      history: [sample.history, line].filter(Boolean).join('\n')
+    };
+    if (to === 'needs_approval') patch.approval_needed = true;
+    if (to === 'approved' || to === 'rejected') patch.approver = actor;
+    if (to === 'dispatched') {
+      if (carrier) patch.carrier = carrier;
+      if (tracking) patch.tracking = tracking;
+    }
+
+    await this.samplesDb.update(pageId, patch);
+    this.audit?.record('sample_transition', { sample: pageId, action, from, to, actor, reason, carrier, tracking });
+
+    const updated = { ...sample, ...patch, timestamps: { ...sample.timestamps, [to]: at } };
+    try {
+      this.onTransition?.(updated, { action, from, to, actor });
+    } catch (e) {
+      console.error('onTransition failed', pageId, e);
+    }
+    return updated;
+  }
+}
+
+export default SampleLifecycle;
@@ -0,0 +1,261 @@
+import fs from 'node:fs';
+
+/** Possible decisions, least to most restrictive. */
+export const DECISIONS = Object.freeze(['allowed', 'needs_approval', 'denied']);
+
+const RULE_TYPES = ['product_excluded', 'country', 'max_qty', 'recipient_limit', 'purpose'];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const norm = (v) => String(v ?? '').trim().toLowerCase().replace(/\s+/g, ' ');
+
+/**
+ * Fill `{name}` placeholders in a rule's reason text.
+ * @param {string} template
+ * @param {Object} values
+ */
+function fill(template, values) {
+  return String(template || '').replace(/\{(\w+)\}/g, (m, k) => (values[k] ?? m));
+}
+
+/**
+ * Practice (or company) a recipient belongs to: the part after the first
+ * comma in "Dr Jane Smith, Harbour Medical", else the whole recipient.
+ * @param {string} recipient
+ * @returns {string}
+ */
+export function practiceOf(recipient) {
+  const s = String(recipient || '');
+  const i = s.indexOf(',');
+  return norm(i >= 0 ? s.slice(i + 1) : s);
+}
+
+/**
+ * Country code for a shipping address, from the aliases in the policy.
+ * Line/comma segments are matched as whole words, last segment first, so
+ * "Auckland" is not read as "AU". An address without a recognised country
+ * is not assumed to be domestic.
+ * @param {string} address
+ * @param {Object} countries - policy.countries
+ * @returns {string|null} null when no segment names a known country
+ */
+export function countryOf(address, countries = {}) {
+  const patterns = Object.entries(countries.aliases || {}).map(([code, aliases]) => {
+    const names = [code, ...aliases].map((a) => norm(a).replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+    return [code, new RegExp(`\\b(${names.join('|')})\\b`)];
+  });
+  const segments = String(address || '').split(/[,\n]/).map(norm).filter(Boolean).reverse();
+  for (const segment of segments) {
+    for (const [code, re] of patterns) if (re.test(segment)) return code;
+  }
+  return null;
+}
+
+/**
+ * Check a policy document and return it. Throws on anything the engine
+ * would otherwise silently ignore.
+ * @param {Object} policy
+ * @returns {Object}
+ */
+export function validatePolicy(policy) {
+  const errors = [];
+  if (!policy || typeof policy !== 'object') throw new Error('Sample policy must be an object');
+  if (!policy.version) errors.push('version is required');
+  if (!Array.isArray(policy.rules)) errors.push('rules must be an array');
+  if (policy.countries?.default) errors.push('countries.default is not supported (addresses without a recognised country need approval)');
+  const seen = new Set();
+  for (const [i, rule] of (policy.rules || []).entries()) {
+    const at = `rules[${i}]`;
+    if (!rule.id) errors.push(`${at}.id is required`);
+    else if (seen.has(rule.id)) errors.push(`${at}.id '${rule.id}' is duplicated`);
+    seen.add(rule.id);
+    if (!RULE_TYPES.includes(rule.type)) errors.push(`${at}.type must be one of: ${RULE_TYPES.join(', ')}`);
+    if (!DECISIONS.includes(rule.decision) || rule.decision === 'allowed') {
+      errors.push(`${at}.decision must be needs_approval or denied`);
+    }
+  }
+  if (errors.length) throw new Error(`Invalid sample policy: ${errors.join('; ')}`);
+  return policy;
+}
+
+/**
+ * Read and validate a policy file.
+ * @param {string} file
+ * @returns {Object}
+ */
+export function loadPolicy(file) {
+  return validatePolicy(JSON.parse(fs.readFileSync(file, 'utf8')));
+}
+
+/**
+ * Evaluate a sample request against a policy. Pure: the same policy, sample,
+ * history and clock always give the same result.
+ *
+ * @param {Object} policy - see knowledge/sample_policy.json
+ * @param {Object} sample - {product, qty, recipient, address, purpose, country?}
+ * @param {Object} [options]
+ * @param {Object[]} [options.history] - earlier samples ({recipient, qty, status, created_at})
+ * @param {Date} [options.now]
+ * @returns {{decision: string, reasons: string[], rule_ids: string[], policy_version: string}}
+ */
+export function evaluatePolicy(policy, sample, { history = [], now = new Date() } = {}) {
+  const qty = Number(sample.qty) || 1;
+  const facts = {
+    product: sample.product,
+    qty,
+    recipient: sample.recipient,
+    practice: practiceOf(sample.recipient),
+    country: sample.country ? String(sample.country).toUpperCase() : countryOf(sample.address, policy.countries),
+    purpose: norm(sample.purpose)
+  };
+
+  const hits = [];
+  for (const rule of policy.rules) {
+    const hit = matchRule(rule, facts, { history, now });
+    if (hit) hits.push({ rule, decision: hit.decision || rule.decision, reason: fill(hit.reason ?? rule.reason, { ...rule, ...facts, ...hit.values }) });
+  }
+
+  const decision = hits.reduce(
+    (d, h) => (DECISIONS.indexOf(h.decision) > DECISIONS.indexOf(d) ? h.decision : d),
+    'allowed'
+  );
+  return {
+    decision,
+    reasons: hits.map((h) => h.reason),
+    rule_ids: hits.map((h) => h.rule.id),
+    policy_version: String(policy.version)
+  };
+}
+
+/**
+ * @returns {null | {decision?: string, reason?: string, values?: Object}}
+ */
+function matchRule(rule, facts, { history, now }) {
+  switch (rule.type) {
+    case 'product_excluded': {
+      const product = norm(facts.product);
+      return (rule.products || []).some((p) => norm(p) === product) ? {} : null;
+    }
+    case 'country': {
+      if (!facts.country) {
+        return { decision: 'needs_approval', reason: rule.unknown_reason || 'Samples to an address without a recognised country need approval.' };
+      }
+      if ((rule.approval || []).includes(facts.country)) {
+        return { decision: 'needs_approval', reason: rule.approval_reason || rule.reason };
+      }
+      return (rule.allowed || []).includes(facts.country) ? null : {};
+    }
+    case 'max_qty':
+      return facts.qty > rule.max ? {} : null;
+    case 'recipient_limit': {
+      const key = rule.key === 'recipient' ? norm : practiceOf;
+      const mine = key(facts.recipient);
+      const since = now.getTime() - (rule.period_days || 365) * DAY_MS;
+      const used = history
+        .filter((s) => s.status !== 'rejected' && key(s.recipient) === mine)
+        .filter((s) => !s.created_at || Date.parse(s.created_at) >= since)
+        .reduce((n, s) => n + (Number(s.qty) || 1), 0);
+      const total = used + facts.qty;
+      return total > rule.max_units ? { values: { used, total } } : null;
+    }
+    case 'purpose':
+      return (rule.purposes || []).map(norm).includes(facts.purpose) ? {} : null;
+    default:
+      return null;
+  }
+}
+
+/**
+ * One-line summary for the Samples DB `Policy Result` field, e.g.
+ * "needs_approval (policy 2026-10-19) [qty.approval_threshold] Requests over 5 units need approval."
+ * @param {ReturnType<typeof evaluatePolicy>} result
+ * @returns {string}
+ */
+export function formatPolicyResult(result) {
+  return [
+    `${result.decision} (policy ${result.policy_version})`,
+    result.rule_ids.length ? `[${result.rule_ids.join(', ')}]` : '',
+    result.reasons.join(' ')
+  ].filter(Boolean).join(' ');
+}
+
+/**
+ * SamplePolicy evaluates sample requests against the policy file, pulling
+ * earlier requests from the Samples DB for the per-practice limits.
+ */
+export class SamplePolicy {
+  /**
+   * @param {Object} options
+   * @param {Object} options.policy - parsed policy (see loadPolicy)
+   * @param {import('./notionSamples.mjs').SamplesDB} [options.samplesDb] - history source
+   * @param {() => Date} [options.now] - clock, injectable for tests
+   */
+  constructor({ policy, samplesDb, now = () => new Date() }) {
+    this.policy = validatePolicy(policy);
+    this.samplesDb = samplesDb;
+    this.now = now;
+  }
+
+  get version() {
+    return String(this.policy.version);
+  }
+
+  /** Longest look-back any rule needs, in days. */
+  get periodDays() {
+    return Math.max(0, ...this.policy.rules.filter((r) => r.type === 'recipient_limit').map((r) => r.period_days || 365));
+  }
+
+  /**
+   * Evaluate a sample request, including its recipient's history.
+   * @param {Object} sample
+   * @returns {Promise<ReturnType<typeof evaluatePolicy>>}
+   */
+  async check(sample) {
+    const now = this.now();
+    let history = [];
+    if (this.samplesDb && this.periodDays) {
+      history = await this.samplesDb.listSince(new Date(now.getTime() - this.periodDays * DAY_MS));
+    }
+    return evaluatePolicy(this.policy, sample, { history, now });
+  }
+
+  /**
+   * Samples DB fields for a result.
+   * @param {ReturnType<typeof evaluatePolicy>} result
+   * @returns {{policy_result: string, approval_needed: boolean}}
+   */
+  static toFields(result) {
+    return { policy_result: formatPolicyResult(result), approval_needed: result.decision === 'needs_approval' };
+  }
+}
+
+/**
+ * Build the `check_sample_eligibility` tool, so the assistant quotes the
+ * engine's decision instead of working one out from the FAQ.
+ * @param {Object} options
+ * @param {SamplePolicy} options.policy
+ */
+export function createEligibilityTool({ policy }) {
+  return {
+    description:
+      'Check whether a sample request is within policy before recording it. ' +
+      'Returns allowed, needs_approval or denied with the reasons to explain to the requester.',
+    parameters: {
+      type: 'object',
+      properties: {
+        product: { type: 'string', description: 'Product SKU or name' },
+        qty: { type: 'integer', minimum: 1 },
+        recipient: { type: 'string', description: 'Recipient name and practice/company' },
+        address: { type: 'string', description: 'Shipping address, including the country' },
+        purpose: { type: 'string' }
+      },
+      required: ['product', 'recipient'],
+      additionalProperties: false
+    },
+    async handler(args) {
+      const result = await policy.check(args);
+      return { ok: true, ...result };
+    }
+  };
+}
+
+export default SamplePolicy;
@@ -0,0 +1,291 @@
+import Papa from 'papaparse';
+import { countryOf } from './samplePolicy.mjs';
+import { markdownTable } from './documentText.mjs';
+
+/**
+ * Sample request analytics (step 8 of knowledge/sample_request_process.md):
+ * lead times, approval rate, denials and their reasons, per-SKU counts and
+ * cost, and geography over a date range, plus the monthly Markdown report.
+ * Requests are counted in the range they were created in; dates are UTC.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const APPROVED = new Set(['approved', 'dispatched', 'fulfilled']);
+const NO_REASON = '(no reason given)';
+
+const norm = (v) => String(v ?? '').trim().toLowerCase().replace(/\s+/g, ' ');
+
+/**
+ * Turn `from`/`to` query parameters into a range. Defaults to the current
+ * month so far; a date-only `to` includes that whole day.
+ * @param {{from?: string, to?: string}} params
+ * @param {Date} [now]
+ * @returns {{range: {from: string, to: string}, errors: string[]}}
+ */
+export function parseReportRange({ from, to } = {}, now = new Date()) {
+  const errors = [];
+  const range = {
+    from: new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), 1)).toISOString(),
+    to: now.toISOString()
+  };
+  for (const [key, raw] of Object.entries({ from, to })) {
+    if (!raw) continue;
+    const date = new Date(String(raw));
+    if (Number.isNaN(date.getTime())) {
+      errors.push(`${key}: "${raw}" is not a date`);
+      continue;
+    }
+    if (key === 'to' && /^\d{4}-\d{2}-\d{2}$/.test(String(raw))) date.setUTCDate(date.getUTCDate() + 1);
+    range[key] = date.toISOString();
+  }
+  if (!errors.length && range.from >= range.to) errors.push('from: must be before to');
+  return { range, errors };
+}
+
+/**
+ * The range covering a calendar month.
+ * @param {string} month - YYYY-MM
+ * @returns {{from: string, to: string}}
+ */
+export function monthRange(month) {
+  const m = /^(\d{4})-(\d{2})$/.exec(String(month || ''));
+  if (!m || m[2] < '01' || m[2] > '12') throw new Error(`Invalid month "${month}" (expected YYYY-MM)`);
+  return {
+    from: new Date(Date.UTC(Number(m[1]), Number(m[2]) - 1, 1)).toISOString(),
+    to: new Date(Date.UTC(Number(m[1]), Number(m[2]), 1)).toISOString()
+  };
+}
+
+/**
+ * The month before `now`, as YYYY-MM.
+ * @param {Date} now
+ * @returns {string}
+ */
+export function previousMonth(now) {
+  return new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth() - 1, 1)).toISOString().slice(0, 7);
+}
+
+/**
+ * Who rejected a sample and why, from its history line
+ * ("<at> needs_approval -> rejected by <actor>: <reason>").
+ * @param {Object} sample
+ * @returns {{by: string, reason: string}}
+ */
+export function rejectionOf(sample) {
+  const line = String(sample.history || '').split('\n').find((l) => / -> rejected by /.test(l));
+  const m = line && / -> rejected by (.+?)(?::\s+(.*))?$/.exec(line);
+  return { by: m?.[1] || sample.approver || 'unknown', reason: m?.[2]?.trim() || '' };
+}
+
+/**
+ * Compute the metrics for samples created in a range.
+ * @param {Object[]} samples - SamplesDB.fromPage() objects
+ * @param {Object} options
+ * @param {string} options.from - ISO time, inclusive
+ * @param {string} options.to - ISO time, exclusive
+ * @param {import('./productCatalog.mjs').ProductCatalog} [options.catalog] - SKU, name and price per product
+ * @param {Object} [options.countries] - sample policy `countries` (aliases)
+ * @returns {Object}
+ */
+export function sampleMetrics(samples, { from, to, catalog, countries } = {}) {
+  const inRange = samples.filter((s) => (!from || s.created_at >= from) && (!to || s.created_at < to));
+  const qty = (s) => Number(s.qty) || 1;
+  const approved = inRange.filter((s) => APPROVED.has(s.status) || s.timestamps?.approved);
+  const rejected = inRange.filter((s) => s.status === 'rejected' || s.timestamps?.rejected);
+  const rejections = rejected.map(rejectionOf);
+  const decided = approved.length + rejected.length;
+
+  const skus = new Map();
+  let cost = 0;
+  let unpriced = 0;
+  for (const s of inRange) {
+    const product = catalog?.find(s.product);
+    const key = product?.sku || norm(s.product) || '(unspecified)';
+    const row = skus.get(key) || { sku: product?.sku || null, name: product?.name || String(s.product || '').trim() || '(unspecified)', requests: 0, units: 0, cost: null };
+    row.requests++;
+    row.units += qty(s);
+    if (product?.price != null) {
+      row.cost = round((row.cost || 0) + product.price * qty(s));
+      cost += product.price * qty(s);
+    } else {
+      unpriced += qty(s);
+    }
+    skus.set(key, row);
+  }
+
+  const geography = new Map();
+  for (const s of inRange) {
+    const country = countryOf(s.address, countries) || '(unknown)';
+    const row = geography.get(country) || { country, requests: 0, units: 0 };
+    row.requests++;
+    row.units += qty(s);
+    geography.set(country, row);
+  }
+
+  return {
+    from,
+    to,
+    requests: inRange.length,
+    units: inRange.reduce((n, s) => n + qty(s), 0),
+    by_status: countBy(inRange, (s) => s.status),
+    approval: {
+      decided,
+      approved: approved.length,
+      rejected: rejected.length,
+      rate: decided ? round(approved.length / decided, 3) : null,
+      auto_approved: approved.filter((s) => !s.timestamps?.needs_approval && !s.approval_needed).length,
+      reviewed: inRange.filter((s) => s.timestamps?.needs_approval || s.approval_needed).length
+    },
+    denials: {
+      count: rejected.length,
+      by_policy: rejections.filter((r) => r.by === 'policy').length,
+      by_approver: rejections.filter((r) => r.by !== 'policy').length,
+      reasons: countBy(rejections, (r) => r.reason || NO_REASON)
+    },
+    lead_time_days: {
+      approval: leadTime(inRange, 'approved'),
+      dispatch: leadTime(inRange, 'dispatched'),
+      delivery: leadTime(inRange, 'fulfilled')
+    },
+    skus: [...skus.values()].sort((a, b) => b.requests - a.requests || b.units - a.units || a.name.localeCompare(b.name)),
+    geography: [...geography.values()].sort((a, b) => b.requests - a.requests || a.country.localeCompare(b.country)),
+    cost: { total: round(cost), unpriced_units: unpriced }
+  };
+}
+
+/**
+ * Metrics as CSV rows of metric, key, value (one row per number).
+ * @param {Object} metrics - sampleMetrics()
+ * @returns {string}
+ */
+export function metricsToCsv(metrics) {
+  const rows = [
+    ['range', 'from', metrics.from],
+    ['range', 'to', metrics.to],
+    ['requests', '', metrics.requests],
+    ['units', '', metrics.units],
+    ...metrics.by_status.map((s) => ['status', s.name, s.count]),
+    ...Object.entries(metrics.approval).map(([k, v]) => ['approval', k, v]),
+    ['denials', 'by_policy', metrics.denials.by_policy],
+    ['denials', 'by_approver', metrics.denials.by_approver],
+    ...metrics.denials.reasons.map((r) => ['denial_reason', r.name, r.count]),
+    ...Object.entries(metrics.lead_time_days).flatMap(([stage, stats]) =>
+      Object.entries(stats).map(([k, v]) => [`lead_time_days.${stage}`, k, v])),
+    ...metrics.skus.flatMap((s) => [
+      ['sku_requests', s.sku || s.name, s.requests],
+      ['sku_units', s.sku || s.name, s.units],
+      ['sku_cost', s.sku || s.name, s.cost]
+    ]),
+    ...metrics.geography.flatMap((g) => [['country_requests', g.country, g.requests], ['country_units', g.country, g.units]]),
+    ['cost', 'total', metrics.cost.total],
+    ['cost', 'unpriced_units', metrics.cost.unpriced_units]
+  ];
+  return Papa.unparse({ fields: ['metric', 'key', 'value'], data: rows.map(([m, k, v]) => [m, k, v ?? '']) });
+}
+
+/**
+ * The monthly report in Markdown: summary, top SKUs, denial reasons, lead
+ * times and geography.
+ * @param {Object} metrics - sampleMetrics() for the month
+ * @param {{month: string, top?: number}} options
+ * @returns {string}
+ */
+export function renderMonthlyReport(metrics, { month, top = 10 }) {
+  const title = new Date(`${month}-01T00:00:00Z`).toLocaleString('en-NZ', { month: 'long', year: 'numeric', timeZone: 'UTC' });
+  const { approval, denials } = metrics;
+  const pct = (v) => (v == null ? 'n/a' : `${Math.round(v * 100)}%`);
+  const days = (s) => (s.count ? `${s.median} (mean ${s.mean}, p90 ${s.p90}, n=${s.count})` : 'n/a');
+  const money = (v) => (v == null ? '–' : `$${v.toFixed(2)}`);
+  const section = (heading, body) => `## ${heading}\n\n${body}`;
+
+  return [
+    `# Sample requests: ${title}`,
+    [
+      `- Requests: ${metrics.requests} (${metrics.units} units)`,
+      `- Approval rate: ${pct(approval.rate)} of ${approval.decided} decided (${approval.auto_approved} auto-approved, ${approval.reviewed} reviewed)`,
+      `- Denials: ${denials.count} (${denials.by_policy} by policy, ${denials.by_approver} by approvers)`,
+      `- Estimated product cost: ${money(metrics.cost.total)}${metrics.cost.unpriced_units ? ` (${metrics.cost.unpriced_units} unit(s) without a catalogue price)` : ''}`
+    ].join('\n'),
+    section('Top SKUs', metrics.skus.length
+      ? markdownTable([['SKU', 'Product', 'Requests', 'Units', 'Cost'], ...metrics.skus.slice(0, top).map((s) => [s.sku || '–', s.name, s.requests, s.units, money(s.cost)])])
+      : 'No requests.'),
+    section('Denial reasons', denials.reasons.length
+      ? markdownTable([['Reason', 'Count'], ...denials.reasons.map((r) => [r.name, r.count])])
+      : 'No denials.'),
+    section('Lead times (days from request)', [
+      `- To approval: ${days(metrics.lead_time_days.approval)}`,
+      `- To dispatch: ${days(metrics.lead_time_days.dispatch)}`,
+      `- To delivery: ${days(metrics.lead_time_days.delivery)}`
+    ].join('\n')),
+    section('Geography', metrics.geography.length
+      ? markdownTable([['Country', 'Requests', 'Units'], ...metrics.geography.map((g) => [g.country, g.requests, g.units])])
+      : 'No requests.')
+  ].join('\n\n') + '\n';
+}
+
+/**
+ * SampleReports reads sample requests from the Samples DB and computes
+ * metrics and monthly reports over them.
+ */
+export class SampleReports {
+  /**
+   * @param {Object} options
+   * @param {import('./notionSamples.mjs').SamplesDB} options.samplesDb
+   * @param {import('./productCatalog.mjs').ProductCatalog} [options.catalog]
+   * @param {Object} [options.countries] - sample policy `countries`
+   * @param {() => Date} [options.now]
+   */
+  constructor({ samplesDb, catalog, countries, now = () => new Date() }) {
+    this.samplesDb = samplesDb;
+    this.catalog = catalog;
+    this.countries = countries;
+    this.now = now;
+  }
+
+  /**
+   * Metrics for requests created in a range.
+   * @param {{from: string, to: string}} range - see parseReportRange
+   * @returns {Promise<Object>}
+   */
+  async metrics({ from, to }) {
+    const samples = await this.samplesDb.listBetween(from, to);
+    return sampleMetrics(samples, { from, to, catalog: this.catalog, countries: this.countries });
+  }
+
+  /**
+   * Metrics and Markdown report for a month (the previous month by default).
+   * @param {string} [month] - YYYY-MM
+   * @returns {Promise<{month: string, metrics: Object, markdown: string}>}
+   */
+  async monthly(month = previousMonth(this.now())) {
+    const metrics = await this.metrics(monthRange(month));
+    return { month, metrics, markdown: renderMonthlyReport(metrics, { month }) };
+  }
+}
+
+function leadTime(samples, state) {
+  const values = samples
+    .filter((s) => s.timestamps?.[state] && s.created_at)
+    .map((s) => (new Date(s.timestamps[state]) - new Date(s.created_at)) / DAY_MS)
+    .filter((d) => d >= 0)
+    .sort((a, b) => a - b);
+  if (!values.length) return { count: 0, mean: null, median: null, p90: null, max: null };
+  const at = (q) => values[Math.min(values.length - 1, Math.ceil(q * values.length) - 1)];
+  return {
+    count: values.length,
+    mean: round(values.reduce((a, b) => a + b, 0) / values.length, 1),
+    median: round(values.length % 2 ? values[(values.length - 1) / 2] : (values[values.length / 2 - 1] + values[values.length / 2]) / 2, 1),
+    p90: round(at(0.9), 1),
+    max: round(values[values.length - 1], 1)
+  };
+}
+
+function countBy(items, key) {
+  const counts = new Map();
+  for (const item of items) counts.set(key(item), (counts.get(key(item)) || 0) + 1);
+  return [...counts].sort((a, b) => b[1] - a[1]).map(([name, count]) => ({ name, count }));
+}
+
+const round = (n, places = 2) => Math.round(n * 10 ** places) / 10 ** places;
+
+export default SampleReports;
@@ -0,0 +1,164 @@
+import { SamplesDB } from './notionSamples.mjs';
+import { SamplePolicy } from './samplePolicy.mjs';
+
+/** Lifecycle action applied after the policy decision. */
+const POLICY_ACTIONS = { allowed: 'approve', needs_approval: 'submit', denied: 'reject' };
+
+/**
+ * Arguments of the `submit_sample_request` assistant tool. Nothing is marked
+ * `required` on purpose: the model should call with what it has and ask the
+ * requester for whatever `missing` lists, rather than invent an address.
+ */
+export const SAMPLE_REQUEST_PARAMETERS = {
+  type: 'object',
+  properties: {
+    product: { type: 'string', description: 'Product SKU or name from the catalogue, see lookup_product (required)' },
+    qty: { type: 'integer', minimum: 1, maximum: 100, description: 'Number of units, default 1' },
+    recipient: { type: 'string', description: 'Recipient name and company/practice (required)' },
+    email: { type: 'string', description: 'Recipient email, for the dispatch confirmation' },
+    address: { type: 'string', description: 'Full shipping address, including the country (required)' },
+    purpose: { type: 'string', description: 'Reason, e.g. GP practice, sales prospect, influencer, QA, warranty' },
+    deadline: { type: 'string', description: 'Needed-by date, YYYY-MM-DD' },
+    requester: { type: 'string', description: 'Person asking, if different from the recipient' },
+    notes: { type: 'string', description: 'Special handling, contact details, budget/cost centre' }
+  },
+  additionalProperties: false
+};
+
+const REQUIRED = {
+  product: 'product or SKU',
+  recipient: 'recipient name',
+  address: 'shipping address'
+};
+
+/**
+ * Check a sample request payload. With a catalogue that has products, the
+ * product must be one of its SKUs, names or aliases, and is recorded as the
+ * SKU; an empty catalogue (no product data loaded) accepts any product.
+ * @param {Object} payload
+ * @param {{catalog?: import('./productCatalog.mjs').ProductCatalog}} [options]
+ * @returns {{ok: true, sample: Object} | {ok: false, error: string, missing: string[], invalid: string[], message: string, suggestions?: string[]}}
+ */
+export function validateSampleRequest(payload = {}, { catalog } = {}) {
+  const clean = (v) => (typeof v === 'string' ? v.trim() : v);
+  const sample = {
+    product: clean(payload.product) || '',
+    qty: payload.qty === undefined || payload.qty === null || payload.qty === '' ? 1 : Number(payload.qty),
+    recipient: clean(payload.recipient) || '',
+    email: (clean(payload.email) || '').toLowerCase(),
+    address: clean(payload.address) || '',
+    purpose: clean(payload.purpose) || '',
+    deadline: clean(payload.deadline) || '',
+    requester: clean(payload.requester) || clean(payload.recipient) || '',
+    notes: clean(payload.notes) || ''
+  };
+
+  const missing = Object.keys(REQUIRED).filter((k) => !sample[k]);
+  const invalid = [];
+  if (!Number.isInteger(sample.qty) || sample.qty < 1) invalid.push('qty must be a whole number of at least 1');
+  if (sample.deadline && (!/^\d{4}-\d{2}-\d{2}$/.test(sample.deadline) || Number.isNaN(Date.parse(sample.deadline)))) {
+    invalid.push('deadline must be a date in YYYY-MM-DD format');
+  }
+  if (sample.email && !/^[^\s@]+@[^\s@]+\.[^\s@]{2,}$/.test(sample.email)) invalid.push('email is not a valid address');
+  if (sample.address && sample.address.length < 10) invalid.push('address looks incomplete (street, town and postcode needed)');
+  let suggestions;
+  if (catalog?.products.length && sample.product) {
+    const product = catalog.find(sample.product);
+    if (product) {
+      sample.product = product.sku;
+    } else {
+      invalid.push(`product "${sample.product}" is not in the product catalogue`);
+      suggestions = catalog.search({ q: sample.product }).slice(0, 5).map((p) => `${p.sku} (${p.name})`);
+    }
+  }
+
+  if (missing.length || invalid.length) {
+    const ask = missing.map((k) => REQUIRED[k]);
+    return {
+      ok: false,
+      error: missing.length ? 'missing_fields' : 'invalid_fields',
+      missing,
+      invalid,
+      message: [
+        ask.length ? `Ask the requester for: ${ask.join(', ')}.` : '',
+        invalid.length ? `Please correct: ${invalid.join('; ')}.` : '',
+        suggestions?.length ? `Products that may be meant: ${suggestions.join(', ')}.` : ''
+      ].filter(Boolean).join(' '),
+      ...(suggestions ? { suggestions } : {})
+    };
+  }
+
+  if (!sample.deadline) delete sample.deadline;
+  if (!sample.email) delete sample.email;
+  return { ok: true, sample };
+}
+
+/**
+ * Build the `submit_sample_request` tool for the ToolRegistry.
+ *
+ * With a `policy`, each request is evaluated before it is written and the
+ * decision is stored in `Policy Result` / `Approval Needed`; with a
+ * `lifecycle` as well, the record then moves to approved, needs_approval or
+ * rejected accordingly.
+ *
+ * @param {Object} options
+ * @param {SamplesDB} options.samplesDb - where records are written
+ * @param {import('./productCatalog.mjs').ProductCatalog} options.catalog - products that may be requested (any while it is empty)
+ * @param {SamplePolicy} [options.policy] - eligibility rules
+ * @param {import('./sampleLifecycle.mjs').SampleLifecycle} [options.lifecycle]
+ * @returns {{description: string, parameters: Object, handler: Function}}
+ */
+export function createSampleRequestTool({ samplesDb, catalog, policy, lifecycle }) {
+  if (!catalog) throw new Error('createSampleRequestTool: catalog is required');
+  return {
+    description:
+      'Record a product sample request in the Samples database once the requester has confirmed the intake summary. ' +
+      'Returns the record id and link to share, or the fields still missing.',
+    parameters: SAMPLE_REQUEST_PARAMETERS,
+    async handler(args, context = {}) {
+      const checked = validateSampleRequest(args, { catalog });
+      if (!checked.ok) return checked;
+
+      const sample = {
+        ...checked.sample,
+        status: 'intake',
+        notes: [checked.sample.notes, context.thread_id ? `thread: ${context.thread_id}` : '']
+          .filter(Boolean).join('\n')
+      };
+      let decision;
+      try {
+        if (policy) {
+          decision = await policy.check(sample);
+          Object.assign(sample, SamplePolicy.toFields(decision));
+        }
+        const pageId = await samplesDb.upsert(sample);
+        let status = sample.status;
+        if (decision && lifecycle) {
+          // A resubmission returns the existing page, which may already be past intake
+          const moved = await lifecycle
+            .transition(pageId, POLICY_ACTIONS[decision.decision], { actor: 'policy', reason: decision.reasons.join(' ') })
+            .catch((e) => (e.code === 'invalid_transition' ? { status: e.details.from } : console.error('Policy transition failed', e)));
+          if (moved) status = moved.status;
+        }
+        return {
+          ok: true,
+          page_id: pageId,
+          url: SamplesDB.pageUrl(pageId),
+          status,
+          summary: `${sample.qty} × ${sample.product} to ${sample.recipient}`,
+          ...(decision ? { policy: decision } : {})
+        };
+      } catch (e) {
+        return {
+          ok: false,
+          error: 'record_failed',
+          message: 'The sample request could not be saved. Tell the requester and keep the draft.',
+          details: e.message,
+          draft: sample
+        };
+      }
+    }
+  };
+}
+
+export default createSampleRequestTool;
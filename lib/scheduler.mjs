@@ -0,0 +1,164 @@
+import fs from 'node:fs';
+import path from 'node:path';
+import nodeCron from 'node-cron';
+
+/**
+ * Scheduler runs named background jobs on cron expressions (node-cron) or on
+ * demand. A job never runs twice at once, and each job's last run, outcome
+ * and small `data` blob (e.g. which reminders were already sent) are persisted
+ * to a JSON state file so they survive restarts.
+ */
+export class Scheduler {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.stateFile] - JSON file for last-run state; in memory only when unset
+   * @param {string} [options.timezone] - e.g. Pacific/Auckland
+   * @param {import('./auditLog.mjs').AuditLog} [options.audit]
+   * @param {Object} [options.cron] - node-cron compatible module, injectable for tests
+   * @param {() => Date} [options.now]
+   */
+  constructor({ stateFile, timezone, audit, cron = nodeCron, now = () => new Date() } = {}) {
+    this.stateFile = stateFile;
+    this.timezone = timezone;
+    this.audit = audit;
+    this.cron = cron;
+    this.now = now;
+    this.jobs = new Map();
+    this.state = Scheduler.#read(stateFile);
+  }
+
+  static #read(file) {
+    if (!file) return {};
+    try {
+      return JSON.parse(fs.readFileSync(file, 'utf8')).jobs || {};
+    } catch (e) {
+      if (e.code !== 'ENOENT') console.warn(`[scheduler] ignoring unreadable state file ${file}: ${e.message}`);
+      return {};
+    }
+  }
+
+  #save() {
+    if (!this.stateFile) return;
+    try {
+      fs.mkdirSync(path.dirname(path.resolve(this.stateFile)), { recursive: true });
+      const tmp = `${this.stateFile}.tmp`;
+      fs.writeFileSync(tmp, JSON.stringify({ jobs: this.state }, null, 2));
+      fs.renameSync(tmp, this.stateFile);
+    } catch (e) {
+      console.error('[scheduler] could not save state', e.message);
+    }
+  }
+
+  /**
+   * Add a job.
+   * @param {string} name
+   * @param {Object} job
+   * @param {string|null} job.schedule - cron expression; null/'' for manual-only
+   * @param {string} [job.description]
+   * @param {(ctx: {trigger: string, data: Object, now: Date}) => Promise<Object>} job.task
+   *   resolves with a small JSON summary; may mutate `data` to persist it
+   * @returns {this}
+   */
+  register(name, { schedule, description = '', task }) {
+    if (this.jobs.has(name)) throw new Error(`Job '${name}' is already registered`);
+    if (schedule && !this.cron.validate(schedule)) throw new Error(`Job '${name}': invalid cron expression '${schedule}'`);
+    this.jobs.set(name, { name, schedule: schedule || null, description, task, running: null, handle: null });
+    return this;
+  }
+
+  /** @param {string} name */
+  has(name) {
+    return this.jobs.has(name);
+  }
+
+  /** Schedule every job that has a cron expression. */
+  start() {
+    for (const job of this.jobs.values()) {
+      if (!job.schedule || job.handle) continue;
+      job.handle = this.cron.schedule(
+        job.schedule,
+        () => this.run(job.name, { trigger: 'cron' }).catch((e) => console.error(`[scheduler] ${job.name}`, e)),
+        { timezone: this.timezone, name: job.name }
+      );
+    }
+    return this;
+  }
+
+  /** Stop all cron timers (running jobs finish). */
+  stop() {
+    for (const job of this.jobs.values()) {
+      job.handle?.stop();
+      job.handle = null;
+    }
+  }
+
+  /**
+   * Jobs with their schedule and last/next run.
+   * @returns {Object[]}
+   */
+  list() {
+    return [...this.jobs.values()].map((job) => {
+      const { data, ...last } = this.state[job.name] || {};
+      return {
+        name: job.name,
+        description: job.description,
+        schedule: job.schedule,
+        timezone: this.timezone || null,
+        scheduled: !!job.handle,
+        running: !!job.running,
+        running_since: job.running?.started_at || null,
+        next_run_at: job.handle?.getNextRun?.()?.toISOString() || null,
+        ...last
+      };
+    });
+  }
+
+  /**
+   * Run a job now unless it is already running.
+   * @param {string} name
+   * @param {{trigger?: string}} [options]
+   * @returns {Promise<{ok: boolean, status: string, result?: Object, error?: string, duration_ms?: number}>}
+   * @throws when the job does not exist
+   */
+  async run(name, { trigger = 'manual' } = {}) {
+    const job = this.jobs.get(name);
+    if (!job) throw new Error(`Unknown job '${name}'`);
+    if (job.running) {
+      this.audit?.record('job_skipped', { job: name, trigger, reason: 'already_running' });
+      return { ok: false, status: 'skipped', error: 'already_running', running_since: job.running.started_at };
+    }
+
+    const started = this.now();
+    job.running = { started_at: started.toISOString(), trigger };
+    const entry = this.state[name] || (this.state[name] = { runs: 0 });
+    entry.data = entry.data || {};
+    let outcome;
+    try {
+      const result = await job.task({ trigger, data: entry.data, now: started });
+      outcome = { ok: true, status: 'ok', result: result ?? null };
+    } catch (e) {
+      outcome = { ok: false, status: 'failed', error: e.message };
+    } finally {
+      job.running = null;
+    }
+
+    const finished = this.now();
+    outcome.duration_ms = finished - started;
+    Object.assign(entry, {
+      runs: (entry.runs || 0) + 1,
+      last_trigger: trigger,
+      last_run_at: started.toISOString(),
+      last_finished_at: finished.toISOString(),
+      last_status: outcome.status,
+      last_error: outcome.error || null,
+      last_result: outcome.result ?? null,
+      last_duration_ms: outcome.duration_ms
+    });
+    if (outcome.ok) entry.last_success_at = finished.toISOString();
+    this.#save();
+    this.audit?.record('job_run', { job: name, trigger, status: outcome.status, error: outcome.error, duration_ms: outcome.duration_ms });
+    return outcome;
+  }
+}
+
+export default Scheduler;
@@ -0,0 +1,204 @@
+import net from 'node:net';
+import tls from 'node:tls';
+import os from 'node:os';
+import crypto from 'node:crypto';
+
+/**
+ * Small SMTP client for sending plain-text notifications: implicit TLS
+ * (port 465) or STARTTLS, AUTH PLAIN/LOGIN, one message per connection.
+ */
+
+/** Raised for SMTP replies outside the expected code; 4xx replies are `transient`. */
+export class SmtpError extends Error {
+  constructor(message, { code, response } = {}) {
+    super(message);
+    this.name = 'SmtpError';
+    this.code = code;
+    this.response = response;
+    this.transient = code >= 400 && code < 500;
+  }
+}
+
+/**
+ * RFC 2047 encode a header value when it is not plain ASCII.
+ * @param {string} value
+ */
+export function encodeHeader(value) {
+  const s = String(value ?? '').replace(/[\r\n]+/g, ' ');
+  return /^[\x20-\x7e]*$/.test(s) ? s : `=?UTF-8?B?${Buffer.from(s, 'utf8').toString('base64')}?=`;
+}
+
+/**
+ * New Message-ID, e.g. `<uuid@example.com>`.
+ * @param {string} [from] - sender address; its domain is used
+ */
+export function createMessageId(from) {
+  const domain = /@([^>\s]+)/.exec(from || '')?.[1] || os.hostname() || 'localhost';
+  return `<${crypto.randomUUID()}@${domain}>`;
+}
+
+const list = (v) => (Array.isArray(v) ? v : String(v || '').split(',')).map((s) => s.trim()).filter(Boolean);
+const bare = (addr) => (/<([^>]+)>/.exec(addr)?.[1] || addr).trim();
+
+/**
+ * Build a text/plain MIME message.
+ * @param {{from: string, to: string|string[], cc?: string|string[], replyTo?: string, subject: string, text: string, messageId?: string, headers?: Object}} message
+ * @returns {{raw: string, messageId: string}}
+ */
+export function buildMime(message) {
+  const messageId = message.messageId || createMessageId(message.from);
+  const headers = {
+    'From': message.from,
+    'To': list(message.to).join(', '),
+    ...(list(message.cc).length ? { 'Cc': list(message.cc).join(', ') } : {}),
+    ...(message.replyTo ? { 'Reply-To': message.replyTo } : {}),
+    'Subject': encodeHeader(message.subject),
+    'Date': new Date().toUTCString(),
+    'Message-ID': messageId,
+    'MIME-Version': '1.0',
+    'Content-Type': 'text/plain; charset=utf-8',
+    'Content-Transfer-Encoding': 'base64',
+    ...(message.headers || {})
+  };
+  const body = Buffer.from(String(message.text || ''), 'utf8').toString('base64').replace(/.{1,76}/g, '$&\r\n');
+  const head = Object.entries(headers).map(([k, v]) => `${k}: ${String(v).replace(/[\r\n]+/g, ' ')}`).join('\r\n');
+  return { raw: `${head}\r\n\r\n${body}`, messageId };
+}
+
+/**
+ * Line-oriented SMTP conversation over a socket.
+ */
+class SmtpConnection {
+  constructor(socket, timeoutMs) {
+    this.timeoutMs = timeoutMs;
+    this.attach(socket);
+  }
+
+  attach(socket) {
+    this.socket = socket;
+    this.buffer = '';
+    this.lines = [];
+    this.waiting = null;
+    socket.setEncoding('utf8');
+    socket.setTimeout(this.timeoutMs, () => socket.destroy(new Error('SMTP timeout')));
+    socket.on('data', (chunk) => {
+      this.buffer += chunk;
+      let i;
+      while ((i = this.buffer.indexOf('\n')) >= 0) {
+        this.lines.push(this.buffer.slice(0, i).replace(/\r$/, ''));
+        this.buffer = this.buffer.slice(i + 1);
+      }
+      this.flush();
+    });
+    socket.on('error', (e) => this.fail(e));
+    socket.on('close', () => this.fail(new Error('SMTP connection closed')));
+  }
+
+  fail(err) {
+    this.error = this.error || err;
+    if (this.waiting) {
+      const { reject } = this.waiting;
+      this.waiting = null;
+      reject(err);
+    }
+  }
+
+  flush() {
+    if (!this.waiting) return;
+    // A reply ends at the first "NNN " line; "NNN-" lines continue it.
+    const end = this.lines.findIndex((l) => /^\d{3}(?: |$)/.test(l));
+    if (end < 0) return;
+    const lines = this.lines.splice(0, end + 1);
+    const { resolve } = this.waiting;
+    this.waiting = null;
+    resolve({ code: Number(lines[end].slice(0, 3)), text: lines.map((l) => l.slice(4)).join('\n') });
+  }
+
+  read() {
+    if (this.error) return Promise.reject(this.error);
+    return new Promise((resolve, reject) => {
+      this.waiting = { resolve, reject };
+      this.flush();
+    });
+  }
+
+  /**
+   * Send a command (or nothing, for the greeting) and check the reply code.
+   * @param {string|null} line
+   * @param {number|number[]} expect
+   * @param {string} [label] - shown in errors instead of the line (credentials, message data)
+   */
+  async command(line, expect, label) {
+    if (line !== null) this.socket.write(`${line}\r\n`);
+    const reply = await this.read();
+    if (![].concat(expect).includes(reply.code)) {
+      throw new SmtpError(`SMTP ${label || line || 'greeting'} failed: ${reply.code} ${reply.text}`, { code: reply.code, response: reply.text });
+    }
+    return reply;
+  }
+}
+
+function connect({ host, port, secure, timeoutMs }) {
+  return new Promise((resolve, reject) => {
+    const socket = secure
+      ? tls.connect({ host, port, servername: host }, () => resolve(socket))
+      : net.connect({ host, port }, () => resolve(socket));
+    socket.once('error', reject);
+    socket.setTimeout(timeoutMs, () => socket.destroy(new Error('SMTP connect timeout')));
+  });
+}
+
+/**
+ * Send one message.
+ * @param {Object} options
+ * @param {string} options.host
+ * @param {number} [options.port] - 465 implies implicit TLS, otherwise STARTTLS when offered
+ * @param {boolean} [options.secure] - force implicit TLS
+ * @param {string} [options.user]
+ * @param {string} [options.pass]
+ * @param {number} [options.timeoutMs]
+ * @param {Object} message - see buildMime
+ * @returns {Promise<{messageId: string, response: string}>}
+ */
+export async function sendMail({ host, port = 587, secure, user, pass, timeoutMs = 20000, name = os.hostname() }, message) {
+  const implicitTls = secure ?? Number(port) === 465;
+  const { raw, messageId } = buildMime(message);
+  const conn = new SmtpConnection(await connect({ host, port, secure: implicitTls, timeoutMs }), timeoutMs);
+  try {
+    await conn.command(null, 220);
+    let ehlo = await conn.command(`EHLO ${name}`, 250);
+    if (!implicitTls && /^STARTTLS$/mi.test(ehlo.text)) {
+      await conn.command('STARTTLS', 220);
+      const secured = await new Promise((resolve, reject) => {
+        const s = tls.connect({ socket: conn.socket, servername: host }, () => resolve(s));
+        s.once('error', reject);
+      });
+      conn.socket.removeAllListeners('data');
+      conn.socket.setTimeout(0);
+      conn.attach(secured);
+      ehlo = await conn.command(`EHLO ${name}`, 250);
+    }
+    if (user) {
+      if (/^AUTH\b.*\bPLAIN\b/mi.test(ehlo.text)) {
+        await conn.command(`AUTH PLAIN ${Buffer.from(`\0${user}\0${pass || ''}`).toString('base64')}`, 235, 'AUTH PLAIN');
+      } else {
+        await conn.command('AUTH LOGIN', 334);
+        await conn.command(Buffer.from(user).toString('base64'), 334, 'AUTH LOGIN user');
+        await conn.command(Buffer.from(pass || '').toString('base64'), 235, 'AUTH LOGIN password');
+      }
+    }
+    await conn.command(`MAIL FROM:<${bare(message.from)}>`, 250);
+    for (const rcpt of [...list(message.to), ...list(message.cc)]) {
+      await conn.command(`RCPT TO:<${bare(rcpt)}>`, [250, 251]);
+    }
+    await conn.command('DATA', 354);
+    // Dot-stuff lines starting with "." (base64 bodies never do, headers might)
+    const reply = await conn.command(`${raw.replace(/\r\n\./g, '\r\n..')}\r\n.`, 250, 'message data');
+    await conn.command('QUIT', 221).catch(() => {});
+    return { messageId, response: reply.text };
+  } finally {
+    conn.socket.destroy();
+  }
+}
+
+export default sendMail;
@@ -0,0 +1,54 @@
+/**
+ * Minimal Server-Sent Events helpers for Express responses.
+ */
+
+/**
+ * Whether the client asked for an event stream (`stream: true` in the body or
+ * `Accept: text/event-stream`).
+ * @param {import('express').Request} req
+ * @param {Object} [body] - parsed request body
+ * @returns {boolean}
+ */
+export function wantsEventStream(req, body = req.body) {
+  if (body && typeof body === 'object' && (body.stream === true || body.stream === 'true')) return true;
+  return /text\/event-stream/i.test(req.get?.('accept') || '');
+}
+
+/**
+ * Switch a response into SSE mode.
+ * @param {import('express').Response} res
+ * @param {Object} [options]
+ * @param {number} [options.heartbeatMs] - interval of keep-alive comments (0 disables)
+ * @returns {{send: (event: string, data: Object) => void, close: () => void, readonly closed: boolean}}
+ */
+export function openEventStream(res, { heartbeatMs = 15000 } = {}) {
+  let closed = false;
+  res.status(200);
+  res.set({
+    'Content-Type': 'text/event-stream; charset=utf-8',
+    'Cache-Control': 'no-cache, no-transform',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders?.();
+
+  const heartbeat = heartbeatMs ? setInterval(() => { if (!closed) res.write(': ping\n\n'); }, heartbeatMs) : null;
+  heartbeat?.unref?.();
+
+  const close = () => {
+    if (closed) return;
+    closed = true;
+    if (heartbeat) clearInterval(heartbeat);
+    res.end();
+  };
+  res.on?.('close', () => { closed = true; if (heartbeat) clearInterval(heartbeat); });
+
+  return {
+    send(event, data) {
+      if (closed) return;
+      res.write(`event: ${event}\ndata: ${JSON.stringify(data ?? {})}\n\n`);
+    },
+    close,
+    get closed() { return closed; }
+  };
+}
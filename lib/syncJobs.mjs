@@ -0,0 +1,145 @@
+import crypto from 'node:crypto';
+import { EventEmitter } from 'node:events';
+import { runNodeScript } from './jobs.mjs';
+
+/**
+ * Raised when a knowledge sync is requested while another one is running.
+ */
+export class SyncBusyError extends Error {
+  /**
+   * @param {Object} running - the job in progress
+   */
+  constructor(running) {
+    super(`A knowledge sync is already running (job ${running.id})`);
+    this.name = 'SyncBusyError';
+    this.code = 'sync_in_progress';
+    this.status = 409;
+    this.details = { job_id: running.id, started_at: running.started_at };
+  }
+}
+
+/**
+ * SyncJobs runs the knowledge sync CLI (scripts/sync.mjs) as tracked
+ * background jobs, one at a time. Progress messages the script sends over
+ * IPC (`{type: 'sync', event, totals, retries, ...}`) update the job and are
+ * re-emitted to subscribers (the SSE endpoint). `retries` holds the script's
+ * per-service API call counters (lib/retry.mjs).
+ */
+export class SyncJobs {
+  /**
+   * @param {Object} options
+   * @param {string} options.script - e.g. scripts/sync.mjs
+   * @param {string} [options.cwd]
+   * @param {number} [options.timeoutMs]
+   * @param {import('./auditLog.mjs').AuditLog} [options.audit]
+   * @param {number} [options.keep] - finished jobs kept for list()/get()
+   * @param {typeof runNodeScript} [options.run] - injectable for tests
+   */
+  constructor({ script, cwd, timeoutMs, audit, keep = 20, run = runNodeScript }) {
+    this.script = script;
+    this.cwd = cwd;
+    this.timeoutMs = timeoutMs;
+    this.audit = audit;
+    this.keep = keep;
+    this.run = run;
+    this.jobs = [];
+    this.current = null;
+    this.events = new EventEmitter();
+    this.events.setMaxListeners(0);
+  }
+
+  /**
+   * Start a sync.
+   * @param {{trigger?: string, actor?: string}} [options]
+   * @returns {Object} job; its non-enumerable `done` resolves with the finished job
+   * @throws {SyncBusyError} when a sync is already running
+   */
+  start({ trigger = 'manual', actor } = {}) {
+    if (this.current) throw new SyncBusyError(this.current);
+    const job = {
+      id: crypto.randomUUID(),
+      status: 'running',
+      trigger,
+      actor,
+      started_at: new Date().toISOString(),
+      finished_at: null,
+      progress: { scanned: 0, uploaded: 0, replaced: 0, unchanged: 0, skipped: 0, errored: 0 },
+      current: null,
+      errors: [],
+      retries: null,
+      error: null,
+      output_tail: ''
+    };
+    this.current = job;
+    this.jobs.unshift(job);
+    if (this.jobs.length > this.keep) this.jobs.length = this.keep;
+    this.audit?.record('knowledge_sync_started', { job: job.id, trigger, actor });
+
+    const done = this.run(this.script, { cwd: this.cwd, timeoutMs: this.timeoutMs, onMessage: (m) => this.#progress(job, m) })
+      .then(({ output }) => this.#finish(job, null, output), (e) => this.#finish(job, e, e.output));
+    Object.defineProperty(job, 'done', { value: done });
+    return job;
+  }
+
+  /** @returns {Object|null} the running job */
+  get running() {
+    return this.current;
+  }
+
+  /**
+   * @param {string} id
+   * @returns {Object|null}
+   */
+  get(id) {
+    return this.jobs.find((j) => j.id === id) || null;
+  }
+
+  /**
+   * Recent jobs, newest first.
+   * @param {{limit?: number}} [options]
+   */
+  list({ limit = 20 } = {}) {
+    return this.jobs.slice(0, limit);
+  }
+
+  /**
+   * Follow one job's progress. The listener gets ('progress', job) on each
+   * update and ('done', job) once; nothing after that.
+   * @param {string} id
+   * @param {(event: string, job: Object) => void} listener
+   * @returns {() => void} unsubscribe
+   */
+  subscribe(id, listener) {
+    const handler = (event, job) => { if (job.id === id) listener(event, job); };
+    this.events.on('job', handler);
+    return () => this.events.off('job', handler);
+  }
+
+  #progress(job, message) {
+    if (message?.type !== 'sync') return;
+    if (message.totals) Object.assign(job.progress, message.totals);
+    if (message.retries) job.retries = message.retries;
+    if (message.event === 'source') job.current = { source: message.source, documents: message.documents };
+    if (message.event === 'document' && message.outcome === 'error' && job.errors.length < 50) {
+      job.errors.push({ id: message.id, title: message.title, error: message.error });
+    }
+    this.events.emit('job', 'progress', job);
+  }
+
+  #finish(job, error, output = '') {
+    Object.assign(job, {
+      status: error ? 'failed' : 'succeeded',
+      finished_at: new Date().toISOString(),
+      current: null,
+      error: error ? error.message : null,
+      output_tail: String(output || '').trim().split('\n').slice(-10).join('\n')
+    });
+    this.current = null;
+    const retries = Object.values(job.retries || {}).reduce((n, s) => n + s.retries, 0);
+    this.audit?.record('knowledge_sync_finished', { job: job.id, status: job.status, error: job.error, ...job.progress, retries });
+    this.events.emit('job', 'done', job);
+    return job;
+  }
+}
+
+export default SyncJobs;
@@ -0,0 +1,207 @@
+import fs from 'node:fs';
+import path from 'node:path';
+import sqlite3 from 'sqlite3';
+
+const SCHEMA = [`
+CREATE TABLE IF NOT EXISTS documents (
+  vector_store_id TEXT NOT NULL,
+  source_id       TEXT NOT NULL,
+  source          TEXT,
+  filename        TEXT,
+  content_hash    TEXT NOT NULL,
+  file_id         TEXT NOT NULL,
+  vs_file_id      TEXT NOT NULL,
+  version         INTEGER NOT NULL,
+  bytes           INTEGER,
+  uploaded_at     TEXT,
+  synced_at       TEXT NOT NULL,
+  PRIMARY KEY (vector_store_id, source_id)
+)`, `
+CREATE TABLE IF NOT EXISTS uploads (
+  vector_store_id TEXT NOT NULL,
+  file_id         TEXT NOT NULL,
+  source_id       TEXT NOT NULL,
+  version         INTEGER NOT NULL,
+  filename        TEXT,
+  uploaded_at     TEXT,
+  PRIMARY KEY (vector_store_id, file_id)
+)`,
+// Manifests from before the uploads table: their current files were uploaded by the sync
+`INSERT OR IGNORE INTO uploads (vector_store_id, file_id, source_id, version, filename, uploaded_at)
+  SELECT vector_store_id, file_id, source_id, version, filename, uploaded_at FROM documents`];
+
+const COLUMNS = ['vector_store_id', 'source_id', 'source', 'filename', 'content_hash', 'file_id', 'vs_file_id', 'version', 'bytes', 'uploaded_at', 'synced_at'];
+
+/**
+ * SyncManifest is the knowledge sync's local record of what it put in each
+ * vector store: one row per source document with its content hash, uploaded
+ * file, vector-store file, version, size and timestamps (SQLite).
+ *
+ * It is a cache of the vector store, not a second source of truth: the
+ * store's file attributes carry the same facts, so the manifest can always be
+ * rebuilt from them (rebuild()). The one thing only the manifest knows is
+ * which files the sync uploaded for a store over time (uploads()): once a
+ * replaced version is detached, the store no longer lists it.
+ */
+export class SyncManifest {
+  /**
+   * @param {import('sqlite3').Database} db - use SyncManifest.open()
+   */
+  constructor(db) {
+    this.db = db;
+  }
+
+  /**
+   * Open (creating when needed) a manifest database.
+   * @param {string} file - path, or ':memory:'
+   * @returns {Promise<SyncManifest>}
+   */
+  static async open(file) {
+    if (file !== ':memory:') fs.mkdirSync(path.dirname(path.resolve(file)), { recursive: true });
+    const db = await new Promise((resolve, reject) => {
+      const d = new sqlite3.Database(file, (err) => (err ? reject(err) : resolve(d)));
+    });
+    const manifest = new SyncManifest(db);
+    for (const sql of SCHEMA) await manifest.#run(sql);
+    return manifest;
+  }
+
+  /**
+   * @param {string} vectorStoreId
+   * @param {string} sourceId
+   * @returns {Promise<Object|null>}
+   */
+  async get(vectorStoreId, sourceId) {
+    return (await this.#all('SELECT * FROM documents WHERE vector_store_id = ? AND source_id = ?', [vectorStoreId, sourceId]))[0] || null;
+  }
+
+  /**
+   * All documents recorded for a store, by source id.
+   * @param {string} vectorStoreId
+   * @returns {Promise<Object[]>}
+   */
+  async all(vectorStoreId) {
+    return this.#all('SELECT * FROM documents WHERE vector_store_id = ? ORDER BY source_id', [vectorStoreId]);
+  }
+
+  /**
+   * Insert or update a document's row.
+   * @param {Object} entry - {vector_store_id, source_id, content_hash, file_id, version, ...};
+   *   `vs_file_id` defaults to `file_id` and `synced_at` to now
+   */
+  async record(entry) {
+    const row = { vs_file_id: entry.file_id, synced_at: new Date().toISOString(), ...entry };
+    await this.#run(
+      `INSERT OR REPLACE INTO documents (${COLUMNS.join(', ')}) VALUES (${COLUMNS.map(() => '?').join(', ')})`,
+      COLUMNS.map((c) => row[c] ?? null)
+    );
+    await this.#recordUpload(row);
+  }
+
+  /**
+   * Every file the sync uploaded for a store, current and replaced versions
+   * alike (files since deleted from Files storage included).
+   * @param {string} vectorStoreId
+   * @returns {Promise<Object[]>} {file_id, source_id, version, filename, uploaded_at}
+   */
+  async uploads(vectorStoreId) {
+    return this.#all(
+      'SELECT file_id, source_id, version, filename, uploaded_at FROM uploads WHERE vector_store_id = ? ORDER BY source_id, version DESC',
+      [vectorStoreId]
+    );
+  }
+
+  /**
+   * @param {string} vectorStoreId
+   * @param {string} sourceId
+   */
+  async remove(vectorStoreId, sourceId) {
+    await this.#run('DELETE FROM documents WHERE vector_store_id = ? AND source_id = ?', [vectorStoreId, sourceId]);
+  }
+
+  /**
+   * Replace everything recorded for a store with what the store itself says:
+   * the newest synced file of each source document (files without sync
+   * attributes are not recorded).
+   * @param {string} vectorStoreId
+   * @param {Object[]} files - VectorStoreTarget#files()
+   * @returns {Promise<number>} rows written
+   */
+  async rebuild(vectorStoreId, files) {
+    const newest = new Map();
+    for (const f of files) {
+      if (!f.source_id || !f.content_hash) continue;
+      await this.#recordUpload({ vector_store_id: vectorStoreId, source_id: f.source_id, file_id: f.file_id, version: f.version || 1, filename: f.filename, uploaded_at: f.created_at });
+      const prev = newest.get(f.source_id);
+      if (!prev || (f.version || 0) > (prev.version || 0)) newest.set(f.source_id, f);
+    }
+    const now = new Date().toISOString();
+    await this.#run('BEGIN');
+    try {
+      await this.#run('DELETE FROM documents WHERE vector_store_id = ?', [vectorStoreId]);
+      for (const f of newest.values()) {
+        await this.record({
+          vector_store_id: vectorStoreId,
+          source_id: f.source_id,
+          source: f.source,
+          filename: f.filename,
+          content_hash: f.content_hash,
+          file_id: f.file_id,
+          version: f.version || 1,
+          bytes: f.bytes,
+          uploaded_at: f.created_at,
+          synced_at: now
+        });
+      }
+      await this.#run('COMMIT');
+    } catch (e) {
+      await this.#run('ROLLBACK');
+      throw e;
+    }
+    return newest.size;
+  }
+
+  /**
+   * Compare the manifest with the store.
+   * @param {string} vectorStoreId
+   * @param {Object[]} files - VectorStoreTarget#files()
+   * @returns {Promise<{missing: Object[], mismatched: Object[], unrecorded: Object[]}>}
+   *   rows whose file is no longer in the store, rows whose hash or version
+   *   differs from the file's attributes, and synced files no row points at
+   */
+  async diff(vectorStoreId, files) {
+    const rows = await this.all(vectorStoreId);
+    const byId = new Map(files.map((f) => [f.file_id, f]));
+    const recorded = new Set(rows.map((r) => r.vs_file_id));
+    const missing = [];
+    const mismatched = [];
+    for (const row of rows) {
+      const file = byId.get(row.vs_file_id);
+      if (!file) missing.push(row);
+      else if (file.source_id && (file.content_hash !== row.content_hash || file.version !== row.version)) mismatched.push({ row, file });
+    }
+    const unrecorded = files.filter((f) => f.source_id && !recorded.has(f.file_id));
+    return { missing, mismatched, unrecorded };
+  }
+
+  async close() {
+    await new Promise((resolve, reject) => this.db.close((err) => (err ? reject(err) : resolve())));
+  }
+
+  #recordUpload({ vector_store_id, file_id, source_id, version, filename, uploaded_at }) {
+    return this.#run(
+      'INSERT OR IGNORE INTO uploads (vector_store_id, file_id, source_id, version, filename, uploaded_at) VALUES (?, ?, ?, ?, ?, ?)',
+      [vector_store_id, file_id, source_id, version, filename ?? null, uploaded_at ?? null]
+    );
+  }
+
+  #run(sql, params = []) {
+    return new Promise((resolve, reject) => this.db.run(sql, params, (err) => (err ? reject(err) : resolve())));
+  }
+
+  #all(sql, params = []) {
+    return new Promise((resolve, reject) => this.db.all(sql, params, (err, rows) => (err ? reject(err) : resolve(rows))));
+  }
+}
+
+export default SyncManifest;
@@ -0,0 +1,263 @@
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import { glob } from 'glob';
+import { NotionMarkdown } from './notionMarkdown.mjs';
+import { extractText } from './documentText.mjs';
+
+/**
+ * Knowledge sync sources. A source lists documents; each document has a
+ * stable `id` (the key the vector store records it under), a `filename`, a
+ * `load()` returning its content, and optionally `skip` (reason it must not
+ * be synced) and `render(body, {version})` to wrap the content for upload.
+ * Sources may implement `report(doc, result)` to record the outcome.
+ */
+
+/**
+ * Files in knowledge/ that are for the server, not for customers: email and
+ * report templates, and the assistant's own instructions. Never uploaded
+ * unless a caller passes its own `ignore`.
+ */
+export const LOCAL_IGNORE = Object.freeze(['templates/**', 'system_instructions.txt']);
+
+/**
+ * Files under a local folder (knowledge/ by default).
+ */
+export class LocalFolderSource {
+  /**
+   * @param {Object} options
+   * @param {string} options.dir
+   * @param {string[]} [options.patterns] - globs relative to `dir`
+   * @param {string[]} [options.ignore] - globs relative to `dir` (default LOCAL_IGNORE)
+   * @param {string} [options.name]
+   */
+  constructor({ dir, patterns = ['**/*.{md,txt,pdf}'], ignore = [...LOCAL_IGNORE], name = 'local' }) {
+    this.dir = path.resolve(dir);
+    this.patterns = patterns;
+    this.ignore = ignore;
+    this.name = name;
+  }
+
+  async documents() {
+    const files = await glob(this.patterns, { cwd: this.dir, nodir: true, ignore: this.ignore, posix: true });
+    return files.sort().map((rel) => ({
+      id: `local:${rel}`,
+      source: this.name,
+      title: rel,
+      filename: path.basename(rel),
+      load: () => fs.readFile(path.join(this.dir, rel))
+    }));
+  }
+}
+
+/** Notion property names used by the knowledge databases (PROP_* envs override). */
+export const NOTION_PROPS = Object.freeze({
+  FILE_NAME: 'file_name',
+  INGEST: 'ingest',
+  CONTENT_SOURCE: 'content_source',
+  FILE_UPLOAD: 'file_upload',
+  TAGS: 'tags',
+  VERSION: 'file_version',
+  SOURCE_URL: 'source_url',
+  INDEXED_AT: 'indexed_at',
+  STATUS: 'last_sync_status',
+  ERROR: 'last_error',
+  HASH: 'content_hash',
+  VS_FILE_ID: 'vs_file_id'
+});
+
+const plain = (rich) => (Array.isArray(rich) ? rich.map((r) => r?.plain_text || '').join('') : String(rich || ''));
+
+/**
+ * Read a Notion property as a plain value.
+ * @param {Object} page
+ * @param {string} name
+ */
+export function notionProp(page, name) {
+  const p = page.properties?.[name];
+  if (!p) return undefined;
+  switch (p.type) {
+    case 'title': return plain(p.title);
+    case 'rich_text': return plain(p.rich_text);
+    case 'url': return p.url || '';
+    case 'select': return p.select?.name || '';
+    case 'multi_select': return p.multi_select?.map((o) => o.name) || [];
+    case 'checkbox': return !!p.checkbox;
+    case 'date': return p.date?.start || '';
+    case 'files': return p.files || [];
+    case 'number': return p.number;
+    default: return undefined;
+  }
+}
+
+const slug = (s) => String(s).replace(/[^\w.-]+/g, '_').replace(/^_+|_+$/g, '') || 'untitled';
+
+/**
+ * Base for sources backed by Notion knowledge databases: page listing,
+ * `ingest` handling and writing the sync outcome back to page properties.
+ */
+class NotionDatabaseSource {
+  /**
+   * @param {Object} options
+   * @param {import('@notionhq/client').Client} options.client
+   * @param {string[]} options.databaseIds
+   * @param {string} [options.name]
+   * @param {Object} [options.props] - overrides for NOTION_PROPS
+   */
+  constructor({ client, databaseIds, name = 'notion', props = {} }) {
+    this.notion = client;
+    this.databaseIds = databaseIds;
+    this.name = name;
+    this.props = { ...NOTION_PROPS, ...props };
+  }
+
+  async pages() {
+    const out = [];
+    for (const databaseId of this.databaseIds) {
+      let cursor;
+      do {
+        const r = await this.notion.databases.query({ database_id: databaseId, start_cursor: cursor });
+        out.push(...r.results);
+        cursor = r.has_more ? r.next_cursor : undefined;
+      } while (cursor);
+    }
+    return out;
+  }
+
+  /** Document fields shared by page and attachment documents. */
+  describe(page) {
+    const P = this.props;
+    const title = notionProp(page, P.FILE_NAME) || '(untitled)';
+    return {
+      source: this.name,
+      page_id: page.id,
+      title,
+      tags: notionProp(page, P.TAGS) || [],
+      label: notionProp(page, P.VERSION) || '',
+      source_url: notionProp(page, P.SOURCE_URL) || '',
+      skip: notionProp(page, P.INGEST) === false ? 'ingest is off' : undefined
+    };
+  }
+
+  isFileUpload(page) {
+    return String(notionProp(page, this.props.CONTENT_SOURCE) || '').toLowerCase() === 'file_upload'
+      && (notionProp(page, this.props.FILE_UPLOAD) || []).length > 0;
+  }
+
+  /**
+   * Write the outcome to the page (status, error, hash, file id). Best-effort:
+   * a missing property must not fail the sync.
+   * @param {Object} doc
+   * @param {Object} result - {outcome, error?, content_hash?, file_id?}
+   */
+  async report(doc, result) {
+    const P = this.props;
+    const text = (v) => ({ rich_text: v ? [{ type: 'text', text: { content: String(v).slice(0, 2000) } }] : [] });
+    const properties = {
+      [P.STATUS]: { select: { name: { skipped: 'skipped', error: 'error' }[result.outcome] || 'ok' } },
+      [P.ERROR]: text(result.error || doc.attachment_errors?.join('; ') || '')
+    };
+    if (result.outcome === 'uploaded' || result.outcome === 'replaced') {
+      properties[P.INDEXED_AT] = { date: { start: new Date().toISOString() } };
+      properties[P.HASH] = text(result.content_hash);
+      properties[P.VS_FILE_ID] = text(result.file_id);
+    }
+    try {
+      await this.notion.pages.update({ page_id: doc.page_id, properties });
+    } catch (e) {
+      console.warn(`[sync] could not update Notion page ${doc.page_id}: ${e.message}`);
+    }
+  }
+}
+
+/**
+ * Notion pages whose body is the content, rendered to Markdown with a small
+ * front-matter header for retrieval.
+ */
+export class NotionPagesSource extends NotionDatabaseSource {
+  async documents() {
+    return (await this.pages()).filter((page) => !this.isFileUpload(page)).map((page) => {
+      const doc = this.describe(page);
+      return {
+        ...doc,
+        id: `notion:${page.id}`,
+        filename: `${slug(doc.title)}.md`,
+        load: () => new NotionMarkdown({ client: this.notion }).pageToMarkdown(page.id),
+        render: (body, { version }) => Buffer.concat([Buffer.from(frontMatter(doc, version)), body])
+      };
+    });
+  }
+}
+
+/**
+ * Notion pages with `content_source = file_upload`: the attached files are
+ * the content. Each attachment is extracted in-process (lib/documentText.mjs);
+ * with several, each becomes a section named after the file. Attachments that
+ * fail are listed in `attachment_errors` (written to last_error) while the
+ * rest is still synced; the document fails only when none can be read.
+ */
+export class NotionFilesSource extends NotionDatabaseSource {
+  /**
+   * @param {Object} options - see NotionDatabaseSource
+   * @param {typeof fetch} [options.fetch]
+   */
+  constructor({ fetch: fetchImpl = globalThis.fetch, ...options }) {
+    super({ name: 'notion-files', ...options });
+    this.fetch = fetchImpl;
+  }
+
+  async documents() {
+    return (await this.pages()).filter((page) => this.isFileUpload(page)).map((page) => {
+      const doc = this.describe(page);
+      const files = notionProp(page, this.props.FILE_UPLOAD);
+      const entry = {
+        ...doc,
+        id: `notion-file:${page.id}`,
+        filename: `${slug(doc.title)}.md`,
+        attachment_errors: [],
+        render: (body, { version }) => Buffer.concat([Buffer.from(frontMatter(doc, version)), body])
+      };
+      entry.load = () => this.#extract(entry, files);
+      return entry;
+    });
+  }
+
+  async #extract(entry, files) {
+    const sections = [];
+    const errors = [];
+    for (const [i, file] of files.entries()) {
+      const name = file.name || `attachment ${i + 1}`;
+      try {
+        const text = await this.#download(file);
+        if (!text) throw new Error('No text content extracted');
+        sections.push(files.length > 1 ? `## ${name}\n\n${text}` : text);
+      } catch (e) {
+        errors.push(`${name}: ${e.message}`);
+      }
+    }
+    entry.attachment_errors = errors;
+    if (!sections.length) throw new Error(errors.join('; '));
+    return sections.join('\n\n');
+  }
+
+  async #download(file) {
+    const url = file?.external?.url || file?.file?.url;
+    if (!url) throw new Error('Attachment has no URL');
+    const res = await this.fetch(url);
+    if (!res.ok) throw new Error(`Download failed: ${res.status}`);
+    const content = Buffer.from(await res.arrayBuffer());
+    return extractText(content, { filename: file.name || url, contentType: res.headers?.get?.('content-type') || '' });
+  }
+}
+
+function frontMatter(doc, version) {
+  return [
+    '---',
+    `title: ${doc.title}`,
+    `version: ${doc.label || `v${version}`}`,
+    doc.tags.length ? `tags: ${doc.tags.join(', ')}` : null,
+    doc.source_url ? `source_url: ${doc.source_url}` : null,
+    `page_id: ${doc.page_id}`,
+    '---',
+    ''
+  ].filter((l) => l !== null).join('\n') + '\n';
+}
@@ -0,0 +1,150 @@
+import fs from 'node:fs';
+import path from 'node:path';
+
+/**
+ * Minimal Handlebars-style renderer for the message templates in
+ * knowledge/templates/. Supported:
+ *
+ *   {{name}} / {{sample.product}}   value lookup (missing values render as '')
+ *   {{#if x}}…{{else}}…{{/if}}      truthy check (empty arrays are falsy)
+ *   {{#each list}}…{{this}}…{{/each}}  loop; inside, names resolve on the item first
+ *
+ * Output is plain text/Markdown, so values are not HTML-escaped.
+ */
+
+const TAG = /\{\{\s*(#if|#each|else|\/if|\/each)?\s*([\w.]*)\s*\}\}/g;
+
+function lookup(scopes, name) {
+  if (name === 'this') return scopes[0];
+  for (const scope of scopes) {
+    let v = scope;
+    for (const part of name.split('.')) v = v == null ? undefined : v[part];
+    if (v !== undefined) return v;
+  }
+  return undefined;
+}
+
+const truthy = (v) => (Array.isArray(v) ? v.length > 0 : !!v);
+
+/**
+ * Parse a template into a tree of text, var, if and each nodes.
+ * @param {string} source
+ */
+function parse(source) {
+  const root = { children: [] };
+  const stack = [root];
+  let last = 0;
+  for (const m of source.matchAll(TAG)) {
+    const top = stack[stack.length - 1];
+    const target = top.inElse ? top.alternate : top.children;
+    if (m.index > last) target.push({ type: 'text', value: source.slice(last, m.index) });
+    last = m.index + m[0].length;
+    const [, keyword, name] = m;
+    if (!keyword) {
+      target.push({ type: 'var', name });
+    } else if (keyword === '#if' || keyword === '#each') {
+      const node = { type: keyword.slice(1), name, children: [], alternate: [] };
+      target.push(node);
+      stack.push(node);
+    } else if (keyword === 'else') {
+      if (top === root) throw new Error('{{else}} outside a block');
+      top.inElse = true;
+    } else {
+      const want = keyword.slice(1);
+      if (top.type !== want) throw new Error(`Unexpected {{/${want}}}`);
+      stack.pop();
+    }
+  }
+  if (stack.length > 1) throw new Error(`Unclosed {{#${stack[stack.length - 1].type}}}`);
+  const tail = source.slice(last);
+  if (tail) root.children.push({ type: 'text', value: tail });
+  return root.children;
+}
+
+function renderNodes(nodes, scopes) {
+  let out = '';
+  for (const node of nodes) {
+    if (node.type === 'text') out += node.value;
+    else if (node.type === 'var') out += lookup(scopes, node.name) ?? '';
+    else if (node.type === 'if') {
+      out += renderNodes(truthy(lookup(scopes, node.name)) ? node.children : node.alternate, scopes);
+    } else if (node.type === 'each') {
+      const list = lookup(scopes, node.name);
+      if (truthy(list)) {
+        for (const item of list) out += renderNodes(node.children, [item, ...scopes]);
+      } else {
+        out += renderNodes(node.alternate, scopes);
+      }
+    }
+  }
+  return out;
+}
+
+/**
+ * Render a template string.
+ * @param {string} source
+ * @param {Object} data
+ * @returns {string}
+ */
+export function renderTemplate(source, data = {}) {
+  return renderNodes(parse(source), [data]);
+}
+
+/**
+ * Split a `---` delimited front-matter block of `key: value` lines
+ * (e.g. `subject: …`) off the top of a template.
+ * @param {string} source
+ * @returns {{meta: Object, body: string}}
+ */
+export function splitFrontMatter(source) {
+  const m = /^---\r?\n([\s\S]*?)\r?\n---\r?\n?/.exec(source);
+  if (!m) return { meta: {}, body: source };
+  const meta = {};
+  for (const line of m[1].split(/\r?\n/)) {
+    const i = line.indexOf(':');
+    if (i > 0) meta[line.slice(0, i).trim()] = line.slice(i + 1).trim();
+  }
+  return { meta, body: source.slice(m[0].length) };
+}
+
+/**
+ * TemplateStore loads `<name>.md` templates from a directory. Each file has
+ * a front-matter block with at least `subject:`; both subject and body are
+ * rendered with the same data.
+ */
+export class TemplateStore {
+  /**
+   * @param {Object} options
+   * @param {string} options.dir - e.g. knowledge/templates
+   */
+  constructor({ dir }) {
+    this.dir = dir;
+  }
+
+  /**
+   * Names of the available templates.
+   * @returns {string[]}
+   */
+  list() {
+    if (!fs.existsSync(this.dir)) return [];
+    return fs.readdirSync(this.dir).filter((f) => f.endsWith('.md')).map((f) => f.slice(0, -3)).sort();
+  }
+
+  /**
+   * Render a template. Files are re-read each time so edits apply without a restart.
+   * @param {string} name
+   * @param {Object} data
+   * @returns {{subject: string, text: string, meta: Object}}
+   */
+  render(name, data) {
+    const file = path.join(this.dir, `${path.basename(name)}.md`);
+    const { meta, body } = splitFrontMatter(fs.readFileSync(file, 'utf8'));
+    return {
+      subject: renderTemplate(meta.subject || name, data).trim(),
+      text: renderTemplate(body, data).replace(/\n{3,}/g, '\n\n').trim() + '\n',
+      meta
+    };
+  }
+}
+
+export default TemplateStore;
@@ -0,0 +1,135 @@
+import { BACKENDS } from './conversationBackends.mjs';
+
+/**
+ * TenantRegistry maps incoming requests to an assistant + vector store pair.
+ *
+ * Tenants are read from the environment:
+ *   ASST_DEFAULT / VS_DEFAULT             -> tenant "default"
+ *   ASST_<NAME>  / VS_<NAME>              -> tenant "<name>" (lower-cased)
+ *   BACKEND_<NAME>=assistants|responses   -> conversation backend (default CONVERSATION_BACKEND,
+ *                                            else assistants); responses needs no assistant
+ *   TENANT_HOSTS=host.example.com=name,…  -> Host header routing
+ */
+export class TenantRegistry {
+  /**
+   * @param {Object} options
+   * @param {Array<{id: string, assistantId?: string, vectorStoreId?: string, backend?: string, hosts?: string[]}>} options.tenants
+   * @param {string} [options.defaultId] - tenant used when nothing else matches
+   */
+  constructor({ tenants = [], defaultId = 'default' } = {}) {
+    this.defaultId = defaultId;
+    this.tenants = new Map();
+    this.hosts = new Map();
+    for (const t of tenants) this.add(t);
+  }
+
+  /**
+   * Build a registry from process.env style variables.
+   * @param {Record<string, string|undefined>} env
+   * @returns {TenantRegistry}
+   */
+  static fromEnv(env = process.env) {
+    const tenants = new Map();
+    const ensure = (id) => {
+      if (!tenants.has(id)) tenants.set(id, { id, assistantId: '', vectorStoreId: '', backend: env.CONVERSATION_BACKEND || '', hosts: [] });
+      return tenants.get(id);
+    };
+
+    ensure('default');
+    for (const [key, value] of Object.entries(env)) {
+      const m = /^(ASST|VS|BACKEND)_([A-Z0-9_]+)$/.exec(key);
+      if (!m || !value) continue;
+      const t = ensure(m[2].toLowerCase());
+      if (m[1] === 'ASST') t.assistantId = value;
+      else if (m[1] === 'VS') t.vectorStoreId = value;
+      else t.backend = value;
+    }
+
+    for (const pair of (env.TENANT_HOSTS || '').split(',')) {
+      const [host, id] = pair.split('=').map((s) => (s || '').trim().toLowerCase());
+      if (host && id) ensure(id).hosts.push(host);
+    }
+
+    return new TenantRegistry({ tenants: [...tenants.values()] });
+  }
+
+  /**
+   * Register (or replace) a tenant.
+   * @param {{id: string, assistantId?: string, vectorStoreId?: string, backend?: string, hosts?: string[]}} tenant
+   * @throws {Error} on an unknown backend
+   */
+  add(tenant) {
+    const backend = String(tenant.backend || 'assistants').toLowerCase();
+    if (!BACKENDS.includes(backend)) {
+      throw new Error(`Unknown backend '${tenant.backend}' for tenant '${tenant.id}' (expected ${BACKENDS.join(' or ')})`);
+    }
+    const t = {
+      id: String(tenant.id).toLowerCase(),
+      assistantId: tenant.assistantId || '',
+      vectorStoreId: tenant.vectorStoreId || '',
+      backend,
+      hosts: (tenant.hosts || []).map((h) => h.toLowerCase())
+    };
+    this.tenants.set(t.id, t);
+    for (const h of t.hosts) this.hosts.set(h, t.id);
+    return t;
+  }
+
+  /**
+   * @param {string} id
+   * @returns {Object|undefined}
+   */
+  get(id) {
+    return id ? this.tenants.get(String(id).toLowerCase()) : undefined;
+  }
+
+  /** @returns {Object} the fallback tenant (always defined) */
+  get default() {
+    return this.get(this.defaultId) || { id: this.defaultId, assistantId: '', vectorStoreId: '', backend: 'assistants', hosts: [] };
+  }
+
+  /**
+   * Look up a tenant by its id or by one of the configured assistant ids.
+   * Unknown assistant ids are never accepted, so callers cannot point the
+   * server at arbitrary assistants.
+   * @param {string} value
+   */
+  byIdOrAssistant(value) {
+    if (!value) return undefined;
+    const byId = this.get(value);
+    if (byId) return byId;
+    for (const t of this.tenants.values()) {
+      if (t.assistantId && t.assistantId === value) return t;
+    }
+    return undefined;
+  }
+
+  /**
+   * Resolve the tenant for a request. Precedence: path segment, X-Assistant
+   * header, Host header, then the default tenant.
+   * @param {{segment?: string, header?: string, host?: string}} hints
+   * @returns {{tenant: Object, source: string}}
+   */
+  resolve({ segment, header, host } = {}) {
+    const fromSegment = this.get(segment);
+    if (fromSegment) return { tenant: fromSegment, source: 'path' };
+
+    const fromHeader = this.byIdOrAssistant(header);
+    if (fromHeader) return { tenant: fromHeader, source: 'header' };
+
+    const hostname = String(host || '').toLowerCase().replace(/:\d+$/, '');
+    const fromHost = this.get(this.hosts.get(hostname));
+    if (fromHost) return { tenant: fromHost, source: 'host' };
+
+    return { tenant: this.default, source: 'default' };
+  }
+
+  /** @returns {Array<Object>} all tenants, default first */
+  list() {
+    return [...this.tenants.values()].sort((a, b) =>
+      a.id === this.defaultId ? -1 : b.id === this.defaultId ? 1 : a.id.localeCompare(b.id)
+    );
+  }
+}
+
+export default TenantRegistry;
@@ -0,0 +1,207 @@
+/**
+ * Function-calling support for Assistants runs that stop in `requires_action`.
+ *
+ * Tools are registered by name with a JSON-schema for their arguments and
+ * either a local handler or nothing, in which case the call is forwarded to
+ * the configured backend (APP_BASE_URL) or the Make.com webhook
+ * (MAKE_WEBHOOK_URL), authenticated with BOT_APP_TOKEN.
+ */
+
+/**
+ * Validate a value against the subset of JSON Schema used by tool
+ * definitions: type, properties, required, additionalProperties, items,
+ * enum, minimum, maximum, minLength, maxLength and pattern.
+ * @param {Object} schema
+ * @param {*} value
+ * @param {string} [at] - path used in messages
+ * @returns {string[]} human-readable errors (empty when valid)
+ */
+export function validateSchema(schema, value, at = '$') {
+  if (!schema) return [];
+  const errors = [];
+  const types = [].concat(schema.type || []);
+  const typeOf = (v) => (v === null ? 'null' : Array.isArray(v) ? 'array' : Number.isInteger(v) ? 'integer' : typeof v);
+  const matches = (t) => typeOf(value) === t || (t === 'number' && typeOf(value) === 'integer');
+
+  if (types.length && !types.some(matches)) {
+    return [`${at} must be ${types.join(' or ')}`];
+  }
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push(`${at} must be one of: ${schema.enum.join(', ')}`);
+  }
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) errors.push(`${at} must be >= ${schema.minimum}`);
+    if (schema.maximum !== undefined && value > schema.maximum) errors.push(`${at} must be <= ${schema.maximum}`);
+  }
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) errors.push(`${at} must be at least ${schema.minLength} characters`);
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) errors.push(`${at} must be at most ${schema.maxLength} characters`);
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) errors.push(`${at} has an invalid format`);
+  }
+  if (typeOf(value) === 'array' && schema.items) {
+    value.forEach((v, i) => errors.push(...validateSchema(schema.items, v, `${at}[${i}]`)));
+  }
+  if (typeOf(value) === 'object') {
+    const props = schema.properties || {};
+    for (const key of schema.required || []) {
+      if (value[key] === undefined || value[key] === null || value[key] === '') errors.push(`${at}.${key} is required`);
+    }
+    for (const [key, v] of Object.entries(value)) {
+      if (props[key]) errors.push(...validateSchema(props[key], v, `${at}.${key}`));
+      else if (schema.additionalProperties === false) errors.push(`${at}.${key} is not allowed`);
+    }
+  }
+  return errors;
+}
+
+/**
+ * ToolRegistry holds the assistant's callable functions and dispatches
+ * tool calls from a run's `required_action`.
+ */
+export class ToolRegistry {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.appBaseUrl] - backend that serves POST /tools/:name (APP_BASE_URL)
+   * @param {string} [options.webhookUrl] - Make.com fallback (MAKE_WEBHOOK_URL)
+   * @param {string} [options.token] - bearer token for forwarded calls (BOT_APP_TOKEN)
+   * @param {import('./auditLog.mjs').AuditLog} [options.audit] - receives one `tool_call` entry per invocation
+   * @param {typeof fetch} [options.fetch] - injectable for tests
+   * @param {number} [options.timeoutMs] - per forwarded call
+   */
+  constructor({ appBaseUrl = '', webhookUrl = '', token = '', audit, fetch: fetchImpl, timeoutMs = 15000 } = {}) {
+    this.appBaseUrl = appBaseUrl.replace(/\/+$/, '');
+    this.webhookUrl = webhookUrl;
+    this.token = token;
+    this.audit = audit;
+    this.fetch = fetchImpl || globalThis.fetch;
+    this.timeoutMs = timeoutMs;
+    this.tools = new Map();
+  }
+
+  /**
+   * Register a tool.
+   * @param {string} name
+   * @param {Object} spec
+   * @param {string} spec.description
+   * @param {Object} spec.parameters - JSON schema for the arguments
+   * @param {(args: Object, context: Object) => Promise<Object>} [spec.handler] - omit to forward
+   * @returns {this}
+   */
+  register(name, { description = '', parameters = { type: 'object', properties: {} }, handler } = {}) {
+    this.tools.set(name, { name, description, parameters, handler });
+    return this;
+  }
+
+  /** @param {string} name */
+  has(name) {
+    return this.tools.has(name);
+  }
+
+  /**
+   * Function tool definitions in the shape the Assistants API expects.
+   * @returns {Array<{type: 'function', function: Object}>}
+   */
+  definitions() {
+    return [...this.tools.values()].map(({ name, description, parameters }) => ({
+      type: 'function',
+      function: { name, description, parameters }
+    }));
+  }
+
+  /**
+   * Run one tool. Never throws: failures come back as `{ ok: false, error }`
+   * so the model can explain or ask a follow-up question.
+   * @param {string} name
+   * @param {Object|string} rawArgs - parsed object or the JSON string from the run
+   * @param {Object} [context] - {tenant, thread_id, run_id}
+   * @returns {Promise<Object>}
+   */
+  async invoke(name, rawArgs, context = {}) {
+    const started = Date.now();
+    let args = rawArgs;
+    let result;
+    let via = 'local';
+
+    try {
+      if (typeof rawArgs === 'string') {
+        try {
+          args = rawArgs.trim() ? JSON.parse(rawArgs) : {};
+        } catch {
+          throw Object.assign(new Error('Arguments are not valid JSON'), { code: 'invalid_arguments' });
+        }
+      }
+      const tool = this.tools.get(name);
+      if (!tool) throw Object.assign(new Error(`Unknown tool '${name}'`), { code: 'unknown_tool' });
+
+      const errors = validateSchema(tool.parameters, args ?? {});
+      if (errors.length) {
+        result = { ok: false, error: 'invalid_arguments', details: errors };
+      } else if (tool.handler) {
+        result = await tool.handler(args ?? {}, context);
+      } else {
+        ({ via, result } = await this.#forward(name, args ?? {}, context));
+      }
+    } catch (e) {
+      result = { ok: false, error: e.code || 'tool_failed', message: e.message };
+    }
+
+    this.audit?.record('tool_call', {
+      tool: name,
+      arguments: args,
+      result,
+      ok: result?.ok !== false,
+      via,
+      duration_ms: Date.now() - started,
+      tenant: context.tenant,
+      thread_id: context.thread_id,
+      run_id: context.run_id
+    });
+    return result;
+  }
+
+  /**
+   * Execute every tool call of a `requires_action` run.
+   * @param {Array<{id: string, function: {name: string, arguments: string}}>} toolCalls
+   * @param {Object} [context]
+   * @returns {Promise<Array<{tool_call_id: string, output: string}>>}
+   */
+  async dispatch(toolCalls = [], context = {}) {
+    const outputs = [];
+    for (const call of toolCalls) {
+      const result = await this.invoke(call.function?.name, call.function?.arguments, context);
+      outputs.push({ tool_call_id: call.id, output: JSON.stringify(result ?? null) });
+    }
+    return outputs;
+  }
+
+  async #forward(name, args, context) {
+    const target = this.appBaseUrl
+      ? { via: 'app', url: `${this.appBaseUrl}/tools/${encodeURIComponent(name)}` }
+      : this.webhookUrl
+        ? { via: 'webhook', url: this.webhookUrl }
+        : null;
+    if (!target) {
+      throw Object.assign(new Error(`No handler for '${name}' and no APP_BASE_URL / MAKE_WEBHOOK_URL configured`), { code: 'not_configured' });
+    }
+
+    const res = await this.fetch(target.url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        Accept: 'application/json',
+        ...(this.token ? { Authorization: `Bearer ${this.token}` } : {})
+      },
+      body: JSON.stringify({ tool: name, arguments: args, context }),
+      signal: AbortSignal.timeout(this.timeoutMs)
+    });
+    const text = await res.text();
+    let body;
+    try { body = text ? JSON.parse(text) : {}; } catch { body = { text }; }
+    if (!res.ok) {
+      return { via: target.via, result: { ok: false, error: 'upstream_error', status: res.status, details: body } };
+    }
+    return { via: target.via, result: body };
+  }
+}
+
+export default ToolRegistry;
@@ -0,0 +1,203 @@
+/**
+ * Garbage collection for the knowledge vector store.
+ *
+ * The authoritative set is the current (highest) version of every document
+ * the configured sources still provide. Everything else the sync uploaded is
+ * garbage:
+ *
+ *   superseded  an older version of a live document
+ *   orphan      a version of a document its source no longer provides
+ *   unmanaged   a file without sync attributes (uploaded by hand or by the old
+ *               scripts); only collected when asked to
+ *
+ * Garbage is detached from the vector store. With `deleteFiles` the uploaded
+ * files are deleted from Files storage too, except the newest `keep - 1`
+ * previous versions of each live document, which stay for rollback. Files
+ * storage is shared by the whole project, so a file there that is no longer
+ * in the store is only deleted when the sync manifest recorded uploading it
+ * for this store; a same-named file may belong to another tenant's store.
+ * Files matching a protected pattern are never touched.
+ */
+
+/**
+ * Compile protected patterns (`*` wildcard, matched against the file id,
+ * source id and filename).
+ * @param {string[]} patterns
+ * @returns {(file: Object) => string|null} the matching pattern, if any
+ */
+export function protectedMatcher(patterns = []) {
+  const compiled = patterns.filter(Boolean).map((p) => [p, new RegExp(`^${p.split('*').map((s) => s.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*')}$`, 'i')]);
+  return (file) => {
+    for (const [pattern, re] of compiled) {
+      if ([file.file_id, file.source_id, file.filename].some((v) => v && re.test(v))) return pattern;
+    }
+    return null;
+  };
+}
+
+/**
+ * Work out what to remove. Touches nothing.
+ * @param {Object} input
+ * @param {Object[]} input.files - vector store files (VectorStoreTarget#files)
+ * @param {Object[]} [input.stored] - Files storage (VectorStoreTarget#storedFiles); needed for deleteFiles
+ * @param {Object[]} [input.uploaded] - files the sync uploaded for this store (SyncManifest#uploads);
+ *   only these are deleted from `stored`
+ * @param {Set<string>|string[]} input.documents - ids of documents the sources provide now
+ * @param {string[]} input.sources - names of the sources that were listed; files of other sources are left alone
+ * @param {Object} [options]
+ * @param {number} [options.keep] - versions of each live document kept (current included)
+ * @param {string[]} [options.protect] - protected patterns
+ * @param {boolean} [options.deleteFiles] - also delete from Files storage
+ * @param {boolean} [options.unmanaged] - also collect files without sync attributes
+ * @returns {{remove: Object[], kept: Object[], totals: Object}} entries are
+ *   {file_id, source_id, filename, version, reason, in_vector_store, delete_file}
+ */
+export function planGc({ files, stored = [], uploaded = [], documents, sources }, { keep = 1, protect = [], deleteFiles = false, unmanaged = false } = {}) {
+  const live = new Set(documents);
+  const names = new Set(sources);
+  const isProtected = protectedMatcher(protect);
+  const remove = [];
+  const kept = [];
+  const seen = new Set();
+
+  const decide = (file, reason, { inStore = true, retain = false } = {}) => {
+    seen.add(file.file_id);
+    const entry = {
+      file_id: file.file_id,
+      source_id: file.source_id || null,
+      filename: file.filename || null,
+      version: file.version || null,
+      reason,
+      in_vector_store: inStore
+    };
+    const pattern = isProtected(file);
+    if (pattern) return kept.push({ ...entry, kept_because: `protected (${pattern})` });
+    if (!inStore && (!deleteFiles || retain)) return kept.push({ ...entry, kept_because: retain ? `retention (keep ${keep})` : 'files are not deleted' });
+    remove.push({ ...entry, delete_file: deleteFiles && !retain });
+  };
+
+  // Managed files, grouped per document, newest version first
+  const groups = new Map();
+  for (const f of files) {
+    if (!f.source_id) continue;
+    if (!groups.has(f.source_id)) groups.set(f.source_id, []);
+    groups.get(f.source_id).push(f);
+  }
+  const current = new Map(); // source id of a live document -> its current version and the versions seen so far
+  for (const [sourceId, group] of groups) {
+    group.sort((a, b) => (b.version || 0) - (a.version || 0));
+    if (!names.has(group[0].source)) { group.forEach((f) => seen.add(f.file_id)); continue; }
+    if (live.has(sourceId)) {
+      seen.add(group[0].file_id);
+      const versions = [group[0].version];
+      for (const f of group.slice(1)) {
+        versions.push(f.version);
+        decide(f, 'superseded', { retain: versions.length <= keep });
+      }
+      current.set(sourceId, { current: group[0].version, versions });
+    } else {
+      for (const f of group) decide(f, 'orphan');
+    }
+  }
+
+  for (const f of files) {
+    if (seen.has(f.file_id)) continue;
+    seen.add(f.file_id);
+    if (unmanaged) decide(f, 'unmanaged');
+    else kept.push({ file_id: f.file_id, source_id: null, filename: f.filename || null, version: null, reason: 'unmanaged', in_vector_store: true, kept_because: 'unmanaged files are not collected' });
+  }
+
+  // Previous versions already detached by the sync but still in Files storage
+  if (deleteFiles) {
+    const ours = new Map(uploaded.map((u) => [u.file_id, u]));
+    const previous = stored
+      .filter((s) => !seen.has(s.file_id) && ours.has(s.file_id))
+      .map((s) => ({ ...s, source_id: ours.get(s.file_id).source_id, version: ours.get(s.file_id).version }))
+      .sort((a, b) => (b.version || 0) - (a.version || 0));
+    for (const f of previous) {
+      const doc = current.get(f.source_id);
+      if (!doc || f.version >= doc.current) continue;
+      doc.versions.push(f.version);
+      decide(f, 'superseded', { inStore: false, retain: doc.versions.length <= keep });
+    }
+  }
+
+  const totals = { removed: remove.length, kept: kept.length, superseded: 0, orphan: 0, unmanaged: 0, files_deleted: 0 };
+  for (const r of remove) {
+    totals[r.reason]++;
+    if (r.delete_file) totals.files_deleted++;
+  }
+  return { remove, kept, totals };
+}
+
+/**
+ * List the sources and the target and plan a GC over them. A source that
+ * lists no documents at all is taken to be misconfigured rather than emptied:
+ * its files are left alone and it is named in `ignored_sources`. Without a
+ * manifest, `deleteFiles` only deletes files it also detaches.
+ * @param {{sources: Object[], target: import('./vectorStoreTarget.mjs').VectorStoreTarget, manifest?: import('./syncManifest.mjs').SyncManifest}} input
+ * @param {Object} [options] - see planGc()
+ * @returns {Promise<{remove: Object[], kept: Object[], totals: Object, ignored_sources: string[]}>}
+ */
+export async function gcPlan({ sources, target, manifest }, options = {}) {
+  const documents = new Set();
+  const listed = [];
+  const ignored = [];
+  for (const source of sources) {
+    const docs = await source.documents();
+    (docs.length ? listed : ignored).push(source.name);
+    for (const doc of docs) documents.add(doc.id);
+  }
+  const files = await target.files();
+  const uploaded = options.deleteFiles && manifest ? await manifest.uploads(target.vectorStoreId) : [];
+  const stored = uploaded.length ? await target.storedFiles() : [];
+  return { ...planGc({ files, stored, uploaded, documents, sources: listed }, options), ignored_sources: ignored };
+}
+
+/**
+ * Execute a GC plan against the target. Collected orphans are also dropped
+ * from the sync manifest, when there is one.
+ * @param {{remove: Object[]}} plan - from planGc()
+ * @param {import('./vectorStoreTarget.mjs').VectorStoreTarget} target
+ * @param {{manifest?: import('./syncManifest.mjs').SyncManifest}} [options]
+ * @returns {Promise<{removed: Object[], failed: Object[]}>}
+ */
+export async function applyGc(plan, target, { manifest } = {}) {
+  const removed = [];
+  const failed = [];
+  for (const entry of plan.remove) {
+    try {
+      if (entry.in_vector_store) await target.remove(entry.file_id, { deleteFile: entry.delete_file });
+      else await target.deleteStoredFile(entry.file_id);
+      if (manifest && entry.reason === 'orphan' && (await manifest.get(target.vectorStoreId, entry.source_id))?.vs_file_id === entry.file_id) {
+        await manifest.remove(target.vectorStoreId, entry.source_id);
+      }
+      removed.push(entry);
+    } catch (e) {
+      failed.push({ ...entry, error: e.message });
+    }
+  }
+  return { removed, failed };
+}
+
+/**
+ * Human-readable GC report.
+ * @param {{remove: Object[], kept: Object[], totals: Object}} plan
+ * @param {{removed: Object[], failed: Object[]}} [result] - applyGc() result; a dry run when absent
+ * @returns {string}
+ */
+export function formatGcReport(plan, result) {
+  const name = (e) => [e.file_id, e.source_id, e.filename, e.version ? `v${e.version}` : null].filter(Boolean).join(' ');
+  const where = (e) => (e.in_vector_store ? (e.delete_file ? 'vector store + file' : 'vector store') : 'file');
+  const lines = [result ? 'Vector store GC' : 'Vector store GC (dry run; nothing removed)', ''];
+  const removed = result ? result.removed : plan.remove;
+  if (removed.length) {
+    lines.push(`${result ? 'Removed' : 'Would remove'} (${removed.length})`, ...removed.map((e) => `  - ${name(e)} [${e.reason}; ${where(e)}]`), '');
+  }
+  if (result?.failed.length) lines.push(`Failed (${result.failed.length})`, ...result.failed.map((e) => `  ! ${name(e)}: ${e.error}`), '');
+  if (plan.ignored_sources?.length) lines.push(`Ignored (listed no documents): ${plan.ignored_sources.join(', ')}`, '');
+  if (plan.kept.length) lines.push(`Kept (${plan.kept.length})`, ...plan.kept.map((e) => `  = ${name(e)} [${e.reason}; ${e.kept_because}]`), '');
+  const t = plan.totals;
+  lines.push(`${t.superseded} superseded, ${t.orphan} orphaned, ${t.unmanaged} unmanaged; ${t.files_deleted} in Files storage; ${t.kept} kept`);
+  return lines.join('\n');
+}
@@ -0,0 +1,138 @@
+import { toFile } from 'openai/uploads';
+
+/**
+ * VectorStoreTarget is where the knowledge sync puts documents: an OpenAI
+ * vector store. Every file it uploads carries attributes naming the source
+ * document (`source_id`), its `content_hash` and `version`, so the store
+ * itself records what has been synced.
+ */
+export class VectorStoreTarget {
+  /**
+   * @param {Object} options
+   * @param {import('openai').OpenAI} options.client
+   * @param {string} options.vectorStoreId
+   */
+  constructor({ client, vectorStoreId }) {
+    if (!vectorStoreId) throw new Error('vectorStoreId is required');
+    this.client = client;
+    this.vectorStoreId = vectorStoreId;
+  }
+
+  /**
+   * Files currently in the store.
+   * @returns {Promise<Object[]>} {file_id, source_id, source, content_hash, version, filename, status, bytes, created_at};
+   *   `source_id` is null for files the sync did not upload
+   */
+  async files() {
+    const out = [];
+    for await (const f of this.client.vectorStores.files.list(this.vectorStoreId, { limit: 100 })) {
+      const a = f.attributes || {};
+      out.push({
+        file_id: f.id,
+        source_id: a.source_id || null,
+        source: a.source || null,
+        content_hash: a.content_hash || null,
+        version: Number(a.version) || null,
+        filename: a.filename || null,
+        status: f.status,
+        bytes: f.usage_bytes,
+        created_at: f.created_at ? new Date(f.created_at * 1000).toISOString() : null
+      });
+    }
+    return out;
+  }
+
+  /**
+   * Synced files by source id. When a source has several files (an
+   * interrupted replace), the newest version wins.
+   * @param {Object[]} files - from files()
+   * @returns {Map<string, Object>}
+   */
+  state(files) {
+    const bySource = new Map();
+    for (const f of files) {
+      if (!f.source_id) continue;
+      const prev = bySource.get(f.source_id);
+      if (!prev || (f.version || 0) > (prev.version || 0)) bySource.set(f.source_id, f);
+    }
+    return bySource;
+  }
+
+  /**
+   * Upload content and attach it to the store, waiting for indexing.
+   * @param {Object} doc - {id, filename, source}
+   * @param {Buffer} content
+   * @param {{content_hash: string, version: number}} meta
+   * @returns {Promise<{file_id: string}>}
+   * @throws when the store fails to index the file
+   */
+  async upload(doc, content, { content_hash, version }) {
+    const file = await this.client.files.create({ file: await toFile(content, doc.filename), purpose: 'assistants' });
+    const attached = await this.client.vectorStores.files.createAndPoll(this.vectorStoreId, {
+      file_id: file.id,
+      attributes: { source_id: doc.id, source: doc.source, content_hash, version, filename: doc.filename.slice(0, 512) }
+    });
+    if (attached.status !== 'completed') {
+      throw new Error(`Indexing ${doc.filename} ${attached.status}: ${attached.last_error?.message || 'unknown error'}`);
+    }
+    return { file_id: file.id };
+  }
+
+  /**
+   * Detach a file from the store; the uploaded file itself is kept unless
+   * `deleteFile` is set.
+   * @param {string} fileId
+   * @param {{deleteFile?: boolean}} [options]
+   */
+  async remove(fileId, { deleteFile = false } = {}) {
+    await this.client.vectorStores.files.delete(fileId, { vector_store_id: this.vectorStoreId });
+    if (deleteFile) await this.client.files.delete(fileId);
+  }
+
+  /**
+   * Uploaded assistant files in Files storage, attached to this store or not.
+   * Files storage is project-wide: this lists other stores' files too.
+   * Previous versions detached by a replace live on here until collected.
+   * @returns {Promise<Object[]>} {file_id, filename, bytes, created_at}
+   */
+  async storedFiles() {
+    const out = [];
+    for await (const f of this.client.files.list({ purpose: 'assistants', limit: 10000 })) {
+      out.push({
+        file_id: f.id,
+        filename: f.filename,
+        bytes: f.bytes,
+        created_at: f.created_at ? new Date(f.created_at * 1000).toISOString() : null
+      });
+    }
+    return out;
+  }
+
+  /**
+   * Delete a file from Files storage (it must no longer be needed by the store).
+   * @param {string} fileId
+   */
+  async deleteStoredFile(fileId) {
+    await this.client.files.delete(fileId);
+  }
+
+  /**
+   * Make sure an assistant searches this store (adds file_search and the
+   * store id, keeping its other tools and stores).
+   * @param {string} assistantId
+   * @returns {Promise<boolean>} whether the assistant was changed
+   */
+  async attach(assistantId) {
+    const asst = await this.client.beta.assistants.retrieve(assistantId);
+    const tools = asst.tools || [];
+    const ids = asst.tool_resources?.file_search?.vector_store_ids || [];
+    if (ids.includes(this.vectorStoreId) && tools.some((t) => t.type === 'file_search')) return false;
+    await this.client.beta.assistants.update(assistantId, {
+      tools: tools.some((t) => t.type === 'file_search') ? tools : [...tools, { type: 'file_search' }],
+      tool_resources: { file_search: { vector_store_ids: [...new Set([...ids, this.vectorStoreId])] } }
+    });
+    return true;
+  }
+}
+
+export default VectorStoreTarget;
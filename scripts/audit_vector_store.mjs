@@ -1,90 +1,83 @@
+// scripts/audit_vector_store.mjs — compare knowledge/, the sync manifest and the vector store
+// ---------------------------------------------------
+// Usage: node scripts/audit_vector_store.mjs
+// Env:   OPENAI_API_KEY, VECTOR_STORE_ID (or VS_METAMORPHOSIS / VS_DEFAULT),
+//        KNOWLEDGE_DIR (default knowledge/), SYNC_LOCAL_GLOB, SYNC_MANIFEST (default .sync_manifest.sqlite)
+// Read-only: fix what it finds with npm run sync, npm run sync:gc or node scripts/sync.mjs --rebuild-manifest.
+
 import "dotenv/config";
-import OpenAI from "openai";
 import fs from "node:fs";
 import path from "node:path";
-import crypto from "node:crypto";
-import { globSync } from "glob";
+import OpenAI from "openai";
+import { ServiceLimiters } from "../lib/retry.mjs";
+import { VectorStoreTarget } from "../lib/vectorStoreTarget.mjs";
+import { SyncManifest } from "../lib/syncManifest.mjs";
+import { LocalFolderSource, LOCAL_IGNORE } from "../lib/syncSources.mjs";
+import { hashContent } from "../lib/knowledgeSync.mjs";
 
-const client = new OpenAI({ apiKey: process.env.OPENAI_API_KEY });
-const vectorStoreId = process.env.VS_METAMORPHOSIS || process.env.VS_DEFAULT;
+const client = new OpenAI({ apiKey: process.env.OPENAI_API_KEY, fetch: ServiceLimiters.fromEnv().for("openai").fetch, maxRetries: 0 });
+const vectorStoreId = process.env.VECTOR_STORE_ID || process.env.VS_METAMORPHOSIS || process.env.VS_DEFAULT;
 if (!vectorStoreId) {
-  console.error("❌ Set VS_METAMORPHOSIS or VS_DEFAULT in .env");
+  console.error("❌ Set VECTOR_STORE_ID (or VS_METAMORPHOSIS / VS_DEFAULT) in .env");
   process.exit(1);
 }
 
-const KB_DIR = path.resolve("knowledge");
-const pattern = `${KB_DIR.replace(/\\/g, "/")}/**/*.{md,txt,pdf}`;
-const local = globSync(pattern, { nodir: true }).sort();
-
-function sha1(filePath) {
-  const h = crypto.createHash("sha1");
-  h.update(fs.readFileSync(filePath));
-  return h.digest("hex");
-}
-
-function base(f) { return path.basename(f); }
+const MANIFEST = process.env.SYNC_MANIFEST || ".sync_manifest.sqlite";
+const source = new LocalFolderSource({
+  dir: path.resolve(process.env.KNOWLEDGE_DIR || "knowledge"),
+  patterns: (process.env.SYNC_LOCAL_GLOB || "**/*.{md,txt,pdf}").split(/\s+/).filter(Boolean),
+  ignore: [...LOCAL_IGNORE, ...(process.env.SYNC_LOCAL_IGNORE || "").split(/\s+/).filter(Boolean)],
+});
 
-async function listVSFilesAll() {
-  const out = [];
-  let after;
-  do {
-    const page = await client.vectorStores.files.list(vectorStoreId, {
-      limit: 100,
-      ...(after ? { after } : {}),
-    });
-    out.push(...page.data);
-    after = page.has_more ? page.last_id : undefined;
-  } while (after);
-  return out;
+function list(icon, title, rows) {
+  if (!rows.length) return console.log(`✅ ${title}: none`);
+  console.log(`${icon} ${title} (${rows.length}):`);
+  for (const r of rows) console.log(`   ${r}`);
 }
 
 async function main() {
-  console.log(`Local pattern: ${pattern}`);
-  console.log(`Local files: ${local.length}`);
+  const target = new VectorStoreTarget({ client, vectorStoreId });
+  const files = await target.files();
+  const state = target.state(files);
+  const docs = await source.documents();
+  console.log(`Local files: ${docs.length} in ${source.dir}`);
+  console.log(`Vector store files: ${files.length} in ${vectorStoreId}`);
 
-  const vsFiles = await listVSFilesAll();
-  console.log(`Vector store files: ${vsFiles.length}`);
+  const manifest = fs.existsSync(MANIFEST) ? await SyncManifest.open(MANIFEST) : null;
+  const rows = manifest ? await manifest.all(vectorStoreId) : [];
+  console.log(manifest ? `Manifest: ${rows.length} document(s) in ${MANIFEST}` : `Manifest: none at ${MANIFEST} (using file attributes only)`);
 
-  // Map VS file id -> filename via Files API
-  const vsMap = new Map();
-  for (const v of vsFiles) {
-    const meta = await client.files.retrieve(v.id);
-    vsMap.set(v.id, meta.filename);
+  // Local documents against what was last synced (manifest first, then file attributes)
+  const recorded = new Map(rows.map((r) => [r.source_id, r]));
+  const neverSynced = [];
+  const changed = [];
+  for (const doc of docs) {
+    const synced = recorded.get(doc.id) || state.get(doc.id);
+    if (!synced) neverSynced.push(doc.id);
+    else if (hashContent(await doc.load()) !== synced.content_hash) changed.push(`${doc.id} (synced v${synced.version})`);
   }
+  const localIds = new Set(docs.map((d) => d.id));
 
-  // Build sets by filename (most intuitive check)
-  const localSet = new Set(local.map(base));
-  const vsSet = new Set([...vsMap.values()]);
+  console.log("\n=== Local ===");
+  list("❌", "Never synced", neverSynced);
+  list("⚠️", "Changed since the last sync", changed);
 
-  const missingInVS = [...localSet].filter(x => !vsSet.has(x));
-  const extraInVS = [...vsSet].filter(x => !localSet.has(x));
-
-  // Optional: hash check to detect same filename but changed content
-  const localHashes = new Map(local.map(f => [base(f), sha1(f)]));
-
-  console.log("\n=== ID → filename in VS ===");
-  for (const [id, name] of vsMap.entries()) {
-    console.log(`${id}\t${name}`);
-  }
-
-  console.log("\n=== Diff ===");
-  if (missingInVS.length) {
-    console.log("❌ Missing in VS:", missingInVS);
-  } else {
-    console.log("✅ No filenames missing in VS");
-  }
-  if (extraInVS.length) {
-    console.log("⚠️ Present in VS but not locally:", extraInVS);
-  } else {
-    console.log("✅ No extras in VS");
+  if (manifest) {
+    const { missing, mismatched, unrecorded } = await manifest.diff(vectorStoreId, files);
+    console.log("\n=== Manifest ===");
+    list("❌", "Recorded but gone from the vector store", missing.map((r) => `${r.source_id} → ${r.vs_file_id}`));
+    list("⚠️", "Different from the file's attributes", mismatched.map(({ row, file }) =>
+      `${row.source_id}: manifest v${row.version} ${row.content_hash.slice(0, 15)}…, store v${file.version} ${String(file.content_hash).slice(0, 15)}…`));
+    list("⚠️", "Synced files not recorded (old versions, or run --rebuild-manifest)", unrecorded.map((f) => `${f.file_id} ${f.source_id} v${f.version}`));
+    await manifest.close();
   }
 
-  // (Optional) warn if you re-uploaded same filename but content changed
-  // We cannot compare hashes inside VS, but this at least flags local changes:
-  console.log("\n(Info) Local file hashes:");
-  for (const [name, hash] of localHashes.entries()) {
-    console.log(`${name}\t${hash}`);
-  }
+  console.log("\n=== Vector store ===");
+  list("⚠️", "Local documents gone from knowledge/", [...state.values()]
+    .filter((f) => f.source === source.name && !localIds.has(f.source_id))
+    .map((f) => `${f.file_id} ${f.source_id}`));
+  list("⚠️", "Not uploaded by the sync", files.filter((f) => !f.source_id).map((f) => f.file_id));
+  console.log("\nReview and remove stale versions/orphans with: npm run sync:gc (then --confirm)");
 }
 
 main().catch(e => {
@@ -1,7 +1,8 @@
 import "dotenv/config";
 import OpenAI from "openai";
+import { ServiceLimiters } from "../lib/retry.mjs";
 
-const client = new OpenAI({ apiKey: process.env.OPENAI_API_KEY });
+const client = new OpenAI({ apiKey: process.env.OPENAI_API_KEY, fetch: ServiceLimiters.fromEnv().for("openai").fetch, maxRetries: 0 });
 const vectorStoreId = process.env.VS_METAMORPHOSIS || process.env.VS_DEFAULT;
 
 if (!vectorStoreId) {
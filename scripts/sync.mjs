@@ -0,0 +1,224 @@
+// scripts/sync.mjs — sync knowledge into the OpenAI vector store (lib/knowledgeSync.mjs)
+// ---------------------------------------------------
+// Usage:
+//   node scripts/sync.mjs [--sources local,notion,notion-files] [--attach]
+//   node scripts/sync.mjs --plan [--json] [--out plan.json]     # dry run: show what would change
+//   node scripts/sync.mjs --apply plan.json                      # execute exactly that plan
+//   node scripts/sync.mjs --rebuild-manifest                     # re-create the manifest from the store
+//   node scripts/sync.mjs --gc [--keep N] [--protect a,b] [--delete-files] [--unmanaged] [--confirm]
+//
+//   --sources  which sources to sync (default: local, plus notion and notion-files when configured)
+//              local         files in KNOWLEDGE_DIR (default knowledge/) matching SYNC_LOCAL_GLOB
+//                            (space-separated globs, default **/*.{md,txt,pdf}); never templates/** or
+//                            system_instructions.txt (server-only), nor globs listed in SYNC_LOCAL_IGNORE
+//              notion        Notion knowledge pages, rendered to Markdown
+//              notion-files  Notion pages with content_source = file_upload (their attachments: PDF, DOCX,
+//                            XLSX, CSV, HTML or text, extracted in-process)
+//   --attach   make sure the assistant (ASST_METAMORPHOSIS / ASST_DEFAULT) searches the store
+//   --plan     list uploads, replacements, unchanged, skipped and orphaned files; changes nothing
+//   --json     print the plan as JSON instead of text
+//   --out      also write the plan JSON to a file, for review and --apply
+//   --apply    run a saved plan (same sources); items changed since planning are reported as errors
+//   --gc       garbage-collect the store (lib/vectorStoreGc.mjs): detach superseded versions and files
+//              whose source document is gone; a report only unless --confirm is given
+//     --keep N          versions of each document kept in Files storage, current included (default
+//                       SYNC_GC_KEEP or 1); the vector store only ever keeps the current version
+//     --protect a,b     never touch files whose id, source id or filename matches (`*` wildcard);
+//                       added to SYNC_GC_PROTECT
+//     --delete-files    also delete collected files from Files storage (previous versions no longer in the
+//                       store only when the manifest recorded uploading them for this store)
+//     --unmanaged       also collect files the sync did not upload (no source_id attribute)
+//     --confirm         actually remove (--json prints and --out writes the report as JSON)
+//   --rebuild-manifest  replace the manifest's rows for this store with the store's file attributes
+//
+// Env:
+//   OPENAI_API_KEY=sk-...
+//   VECTOR_STORE_ID=vs_...            # or VS_METAMORPHOSIS / VS_DEFAULT
+//   NOTION_TOKEN=ntn_...  NOTION_DB_ID=db_xxx,db_yyy
+//   # or NOTION_SOURCES='[{"name":"knowledge","token":"ntn_...","db_ids":["db_xxx"]}]'
+//   PROP_FILE_NAME, PROP_INGEST, …    # Notion property names, see NOTION_PROPS in lib/syncSources.mjs
+//   SYNC_MANIFEST=.sync_manifest.sqlite  # what was synced, per document (lib/syncManifest.mjs); "off" to
+//                                        # work from the store's file attributes alone
+//   NOTION_MAX_CONCURRENCY=3  OPENAI_MAX_CONCURRENCY=8  RETRY_MAX_RETRIES=4
+//                                        # OpenAI and Notion calls are retried on 429/5xx with backoff
+//                                        # (lib/retry.mjs); retry counts are printed at the end
+//
+// Before a sync, plan or apply, knowledge/products.csv and products_enriched.csv are validated
+// (lib/productCatalog.mjs); any row error stops the run before anything is uploaded.
+//
+// When spawned by the server (POST /api/admin/sync-knowledge) progress is sent over IPC as
+// { type: "sync", event, ...data, totals } messages. Per-document errors are reported (and written to
+// the Notion page's last_error) without failing the run.
+
+import dotenv from "dotenv";
+dotenv.config();
+import fs from "node:fs";
+import path from "node:path";
+import { parseArgs } from "node:util";
+import OpenAI from "openai";
+import { Client as Notion } from "@notionhq/client";
+import { KnowledgeSync, formatPlan } from "../lib/knowledgeSync.mjs";
+import { VectorStoreTarget } from "../lib/vectorStoreTarget.mjs";
+import { gcPlan, applyGc, formatGcReport } from "../lib/vectorStoreGc.mjs";
+import { SyncManifest } from "../lib/syncManifest.mjs";
+import { ProductCatalog, CatalogValidationError } from "../lib/productCatalog.mjs";
+import { LocalFolderSource, LOCAL_IGNORE, NotionPagesSource, NotionFilesSource, NOTION_PROPS } from "../lib/syncSources.mjs";
+import { ServiceLimiters } from "../lib/retry.mjs";
+
+const csv = (s) => (s || "").split(",").map((x) => x.trim()).filter(Boolean);
+
+const { values: args } = parseArgs({
+  options: {
+    sources: { type: "string" },
+    attach: { type: "boolean", default: false },
+    plan: { type: "boolean", default: false },
+    json: { type: "boolean", default: false },
+    out: { type: "string" },
+    apply: { type: "string" },
+    gc: { type: "boolean", default: false },
+    keep: { type: "string" },
+    protect: { type: "string" },
+    "delete-files": { type: "boolean", default: false },
+    unmanaged: { type: "boolean", default: false },
+    confirm: { type: "boolean", default: false },
+    "rebuild-manifest": { type: "boolean", default: false },
+  },
+});
+if ([args.plan, !!args.apply, args.gc, args["rebuild-manifest"]].filter(Boolean).length > 1) {
+  fail("--plan, --apply, --gc and --rebuild-manifest cannot be combined");
+}
+const keep = Number(args.keep ?? process.env.SYNC_GC_KEEP ?? 1);
+if (!Number.isInteger(keep) || keep < 1) fail("--keep must be a whole number of at least 1");
+
+const savedPlan = args.apply ? readPlan(args.apply) : null;
+const log = args.json ? console.error : console.log; // keep stdout pure JSON with --json
+
+/* ------------------------- config ------------------------- */
+
+const OPENAI_API_KEY = process.env.OPENAI_API_KEY || process.env.OPENAI_KEY;
+const VECTOR_STORE_ID = process.env.VECTOR_STORE_ID || process.env.VS_METAMORPHOSIS || process.env.VS_DEFAULT;
+if (!OPENAI_API_KEY) fail("Missing env: OPENAI_API_KEY");
+if (!VECTOR_STORE_ID) fail("Missing env: VECTOR_STORE_ID (or VS_METAMORPHOSIS / VS_DEFAULT)");
+
+const KNOWLEDGE_DIR = path.resolve(process.env.KNOWLEDGE_DIR || "knowledge");
+const limiters = ServiceLimiters.fromEnv(process.env);
+
+const notionDbs = process.env.NOTION_SOURCES
+  ? JSON.parse(process.env.NOTION_SOURCES)
+  : [{ name: "notion", token: process.env.NOTION_TOKEN, db_ids: csv(process.env.NOTION_DB_ID) }];
+const notionConfigured = notionDbs.filter((s) => s.token && s.db_ids?.length);
+
+const props = Object.fromEntries(
+  Object.keys(NOTION_PROPS).filter((k) => process.env[`PROP_${k}`]).map((k) => [k, process.env[`PROP_${k}`]])
+);
+
+const wanted = savedPlan
+  ? [...new Set(savedPlan.sources.map((name) => name.split(":")[0]))]
+  : args.sources ? csv(args.sources) : ["local", ...(notionConfigured.length ? ["notion", "notion-files"] : [])];
+const sources = [];
+for (const kind of wanted) {
+  if (kind === "local") {
+    sources.push(new LocalFolderSource({
+      dir: KNOWLEDGE_DIR,
+      patterns: (process.env.SYNC_LOCAL_GLOB || "**/*.{md,txt,pdf}").split(/\s+/).filter(Boolean),
+      ignore: [...LOCAL_IGNORE, ...(process.env.SYNC_LOCAL_IGNORE || "").split(/\s+/).filter(Boolean)],
+    }));
+  } else if (kind === "notion" || kind === "notion-files") {
+    if (!notionConfigured.length) fail(`--sources ${kind}: set NOTION_TOKEN and NOTION_DB_ID (or NOTION_SOURCES)`);
+    const Source = kind === "notion" ? NotionPagesSource : NotionFilesSource;
+    for (const s of notionConfigured) {
+      sources.push(new Source({ client: new Notion({ auth: s.token, fetch: limiters.for("notion").fetch }), databaseIds: s.db_ids, name: `${kind}:${s.name}`, props }));
+    }
+  } else {
+    fail(`Unknown source '${kind}' (expected local, notion, notion-files)`);
+  }
+}
+
+/* ------------------------- product data ------------------------- */
+
+if (!args.gc && !args["rebuild-manifest"]) {
+  try {
+    const catalog = ProductCatalog.fromFiles([path.join(KNOWLEDGE_DIR, "products.csv"), path.join(KNOWLEDGE_DIR, "products_enriched.csv")], { strict: true });
+    log(`[sync] product catalogue: ${catalog.products.length} product(s) valid`);
+  } catch (e) {
+    if (!(e instanceof CatalogValidationError)) throw e;
+    fail(e.message);
+  }
+}
+
+/* ------------------------- run ------------------------- */
+
+const openai = new OpenAI({ apiKey: OPENAI_API_KEY, fetch: limiters.for("openai").fetch, maxRetries: 0 });
+const target = new VectorStoreTarget({ client: openai, vectorStoreId: VECTOR_STORE_ID });
+const MANIFEST = process.env.SYNC_MANIFEST || ".sync_manifest.sqlite";
+const manifest = MANIFEST === "off" ? null : await SyncManifest.open(MANIFEST);
+
+const sync = new KnowledgeSync({
+  sources,
+  target,
+  manifest,
+  onProgress(event, data) {
+    if (event === "source") log(`[sync] ${data.source}: ${data.documents} document(s)`);
+    if (event === "document" && data.outcome === "error") console.error(`[sync] ERROR ${data.id} (${data.title}): ${data.error}`);
+    else if (event === "document" && data.outcome !== "unchanged") log(`[sync] ${data.outcome} ${data.id}${data.filename ? ` → ${data.filename}` : ""}`);
+    process.send?.({ type: "sync", event, ...data, retries: limiters.stats() });
+  },
+});
+
+log(`[sync] ${sources.map((s) => s.name).join(", ")} → vector store ${VECTOR_STORE_ID}${savedPlan ? ` (plan of ${savedPlan.created_at})` : ""}`);
+
+if (args["rebuild-manifest"]) {
+  if (!manifest) fail("--rebuild-manifest: SYNC_MANIFEST is off");
+  const rows = await manifest.rebuild(VECTOR_STORE_ID, await target.files());
+  console.log(`[sync] manifest ${MANIFEST}: ${rows} document(s) recorded from vector store ${VECTOR_STORE_ID}`);
+} else if (args.gc) {
+  const options = {
+    keep,
+    protect: [...csv(process.env.SYNC_GC_PROTECT), ...csv(args.protect)],
+    deleteFiles: args["delete-files"],
+    unmanaged: args.unmanaged,
+  };
+  if (options.deleteFiles && !manifest) {
+    console.warn("[sync] --delete-files: SYNC_MANIFEST is off, so only files detached now are deleted from Files storage");
+  }
+  const plan = await gcPlan({ sources, target, manifest }, options);
+  const result = args.confirm ? await applyGc(plan, target, { manifest }) : undefined;
+  const report = { vector_store_id: VECTOR_STORE_ID, created_at: new Date().toISOString(), applied: !!result, options, ...plan, ...result };
+  if (args.out) fs.writeFileSync(args.out, JSON.stringify(report, null, 2));
+  console.log(args.json ? JSON.stringify(report, null, 2) : formatGcReport(plan, result));
+  if (!result && plan.remove.length && !args.json) console.log("\nNothing was removed; run again with --confirm to remove.");
+  if (result?.failed.length) process.exitCode = 1;
+} else if (args.plan) {
+  const plan = await sync.plan();
+  if (args.out) fs.writeFileSync(args.out, JSON.stringify(plan, null, 2));
+  console.log(args.json ? JSON.stringify(plan, null, 2) : formatPlan(plan));
+  if (args.out && !args.json) console.log(`\nPlan written to ${args.out}; run it with: node scripts/sync.mjs --apply ${args.out}`);
+} else {
+  const { totals } = savedPlan ? await sync.apply(savedPlan) : await sync.run();
+
+  const assistantId = process.env.ASST_METAMORPHOSIS || process.env.ASST_DEFAULT;
+  if (args.attach) {
+    if (!assistantId) console.warn("[sync] --attach: no ASST_METAMORPHOSIS / ASST_DEFAULT set");
+    else if (await target.attach(assistantId)) console.log(`[sync] attached vector store to assistant ${assistantId}`);
+  }
+
+  console.log("[sync] Complete", totals);
+  process.send?.({ type: "sync", event: "complete", totals, retries: limiters.stats() });
+}
+await manifest?.close();
+for (const s of Object.values(limiters.stats())) {
+  if (s.retries || s.gave_up) log(`[sync] ${s.service}: ${s.requests} request(s), ${s.retries} retried (${s.throttled} rate-limited), ${s.gave_up} gave up`);
+}
+
+function readPlan(file) {
+  try {
+    return JSON.parse(fs.readFileSync(file, "utf8"));
+  } catch (e) {
+    fail(`--apply ${file}: ${e.message}`);
+  }
+}
+
+function fail(message) {
+  console.error(`[sync] ${message}`);
+  process.exit(1);
+}
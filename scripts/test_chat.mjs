@@ -3,6 +3,8 @@ import { spawn } from 'child_process';
 
 const PORT = 10000; // Same as in server.js
 const BASE_URL = `http://localhost:${PORT}/api`;
+// Anonymous tokens are only issued to pages on ALLOWED_ORIGINS
+const ORIGIN = `http://localhost:${PORT}`;
 
 async function main() {
   let serverProcess;
@@ -10,7 +12,10 @@ async function main() {
   try {
     console.log('Starting server...');
     // Use node to run server.js. The user is expected to have a .env file with the necessary secrets.
-    serverProcess = spawn('node', ['server.js'], { stdio: 'pipe' });
+    serverProcess = spawn('node', ['server.js'], {
+      stdio: 'pipe',
+      env: { ...process.env, ALLOWED_ORIGINS: [process.env.ALLOWED_ORIGINS, ORIGIN].filter(Boolean).join(',') }
+    });
 
     serverProcess.stdout.on('data', (data) => {
         console.log(`[SERVER STDOUT]: ${data}`);
@@ -25,9 +30,22 @@ async function main() {
 
     console.log('Server starting... Running tests...');
 
+    // 0. Get an API token (chat scope)
+    console.log('\n--- 0. Requesting an API token ---');
+    const tokenRes = await fetch(`${BASE_URL}/auth/token`, { method: 'POST', headers: { Origin: ORIGIN } });
+    const tokenData = await tokenRes.json();
+    if (!tokenRes.ok || !tokenData.token) {
+      throw new Error(`Failed to get token: ${JSON.stringify(tokenData)}`);
+    }
+    let token = tokenData.token;
+    console.log('✓ Got token');
+
     // 1. Start a new chat to get a thread_id
     console.log('\n--- 1. Starting a new chat ---');
-    const startRes = await fetch(`${BASE_URL}/threads`, { method: 'POST' });
+    const startRes = await fetch(`${BASE_URL}/threads`, {
+      method: 'POST',
+      headers: { Authorization: `Bearer ${token}` },
+    });
     if (!startRes.ok) {
         throw new Error(`Failed to start chat: ${startRes.status} ${startRes.statusText}`);
     }
@@ -36,6 +54,7 @@ async function main() {
       throw new Error(`Failed to start chat: ${JSON.stringify(startData)}`);
     }
     const thread_id = startData.id;
+    token = startData.token || token; // token bound to this thread
     console.log(`✓ Got thread_id: ${thread_id}`);
 
 
@@ -43,7 +62,7 @@ async function main() {
     console.log('\n--- 2. Sending first message (/api/run) ---');
     const askRes = await fetch(`${BASE_URL}/run`, {
       method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
+      headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${token}` },
       body: JSON.stringify({
         thread_id,
         message: 'Hello, what is the return policy?',
@@ -66,7 +85,7 @@ async function main() {
     console.log('\n--- 3. Sending follow-up message (/api/run) ---');
     const sendRes = await fetch(`${BASE_URL}/run`, {
         method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
+        headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${token}` },
         body: JSON.stringify({
             thread_id,
             message: 'Thanks! What about shipping?',
@@ -4,9 +4,35 @@
 
 import express from "express";
 import dotenv from "dotenv";
+import fs from "node:fs";
 import path from "node:path";
+import crypto from "node:crypto";
 import { fileURLToPath } from "node:url";
 import OpenAI from "openai";
+import { TenantRegistry } from "./lib/tenants.mjs";
+import { Auth, SCOPES } from "./lib/auth.mjs";
+import { AssistantRunner, RunError } from "./lib/assistantRuns.mjs";
+import { ResponsesRunner } from "./lib/responsesRuns.mjs";
+import { ConversationBackends, AssistantsBackend, ResponsesBackend } from "./lib/conversationBackends.mjs";
+import { wantsEventStream, openEventStream } from "./lib/sse.mjs";
+import { AuditLog } from "./lib/auditLog.mjs";
+import { ToolRegistry } from "./lib/tools.mjs";
+import { SamplesDB } from "./lib/notionSamples.mjs";
+import { createSampleRequestTool } from "./lib/sampleRequestTool.mjs";
+import { ContactsDB } from "./lib/notionContacts.mjs";
+import { createContactRequestTool, submitContactRequest } from "./lib/contactRequestTool.mjs";
+import { SampleLifecycle, ACTIONS as SAMPLE_ACTIONS } from "./lib/sampleLifecycle.mjs";
+import { SamplePolicy, loadPolicy, createEligibilityTool } from "./lib/samplePolicy.mjs";
+import { TemplateStore } from "./lib/templates.mjs";
+import { NotificationQueue, SampleNotifier, createTransport } from "./lib/notifications.mjs";
+import { ProductCatalog, formatCatalogError, parseProductQuery, createProductLookupTool } from "./lib/productCatalog.mjs";
+import { renderPackingSlips } from "./lib/packingSlip.mjs";
+import { Scheduler } from "./lib/scheduler.mjs";
+import { createKnowledgeSyncJob, createStaleSampleJob, createNightlyReportJob, createMonthlySampleReportJob } from "./lib/jobs.mjs";
+import { SampleReports, parseReportRange, metricsToCsv } from "./lib/sampleReports.mjs";
+import { SyncJobs, SyncBusyError } from "./lib/syncJobs.mjs";
+import { openConversationStore, MemoryConversationStore, parseConversationQuery } from "./lib/conversationStore.mjs";
+import { ServiceLimiters } from "./lib/retry.mjs";
 
 dotenv.config();
 
@@ -33,9 +59,243 @@ if (!OPENAI_KEY) {
 const DEFAULT_MODEL = process.env.OPENAI_MODEL || "gpt-4o-mini";
 const OPENAI_BASE = "https://api.openai.com/v1";
 const OPENAI_BEARER = `Bearer ${OPENAI_KEY}`;
-const ASST_DEFAULT = process.env.ASST_DEFAULT || ""; // assistant with vector-store attached
 
-const openai = new OpenAI({ apiKey: OPENAI_KEY });
+// Per-brand assistant + vector store pairs (ASST_<NAME> / VS_<NAME>, TENANT_HOSTS)
+const tenants = TenantRegistry.fromEnv(process.env);
+
+// API tokens (JWT). Without JWT_SECRET tokens only survive until restart.
+// Dev tokens are never issued in production, whatever DEV_TOKEN_ENABLED says.
+const PRODUCTION = process.env.NODE_ENV === "production";
+const DEV_TOKENS_REQUESTED = /^(1|true|yes)$/i.test(process.env.DEV_TOKEN_ENABLED || "");
+const auth = new Auth({
+  secret: process.env.JWT_SECRET,
+  ttlSeconds: Number(process.env.TOKEN_TTL_SECONDS) || 3600,
+  maxSessionSeconds: Number(process.env.SESSION_MAX_SECONDS) || 12 * 3600,
+  devTokens: DEV_TOKENS_REQUESTED && !PRODUCTION,
+});
+if (auth.ephemeral) console.warn("[auth] JWT_SECRET not set; using an ephemeral secret");
+if (DEV_TOKENS_REQUESTED && PRODUCTION) console.warn("[auth] DEV_TOKEN_ENABLED is ignored when NODE_ENV=production");
+const ADMIN_API_KEY = process.env.ADMIN_API_KEY || "";
+const ALLOWED_ORIGINS = (process.env.ALLOWED_ORIGINS || "").split(",").map((s) => s.trim()).filter(Boolean);
+if (!ALLOWED_ORIGINS.length) console.warn("[auth] ALLOWED_ORIGINS not set; anonymous chat tokens are refused");
+const PUBLIC_BASE_URL = (process.env.PUBLIC_BASE_URL || `http://localhost:${PORT}`).replace(/\/+$/, "");
+const ACTION_LINK_TTL = Number(process.env.ACTION_LINK_TTL_SECONDS) || 7 * 24 * 3600;
+
+// Retries with backoff and per-service concurrency caps for OpenAI and Notion calls (lib/retry.mjs);
+// counters at GET /api/admin/metrics
+const limiters = ServiceLimiters.fromEnv(process.env);
+const notionFetch = limiters.for("notion").fetch;
+
+const openai = new OpenAI({ apiKey: OPENAI_KEY, fetch: limiters.for("openai").fetch, maxRetries: 0 });
+
+// Audit trail (tool calls, …): in memory, plus JSONL when AUDIT_LOG_FILE is set. AUDIT_ECHO
+// also prints entries to stdout, with personal data (tool arguments, recipients) masked.
+const audit = new AuditLog({ file: process.env.AUDIT_LOG_FILE, echo: /^(1|true|yes)$/i.test(process.env.AUDIT_ECHO || "") });
+
+// Assistant function tools: local handlers, else forwarded to APP_BASE_URL / MAKE_WEBHOOK_URL
+const tools = new ToolRegistry({
+  appBaseUrl: process.env.APP_BASE_URL || "",
+  webhookUrl: process.env.MAKE_WEBHOOK_URL || "",
+  token: process.env.BOT_APP_TOKEN || "",
+  audit,
+});
+
+// Notion Samples DB (same envs as the Notion sync: NOTION_TOKEN_SAMPLES / NOTION_SAMPLES_DB_ID)
+const NOTION_SAMPLES_TOKEN = process.env.NOTION_TOKEN_SAMPLES || process.env.NOTION_TOKEN || "";
+const NOTION_SAMPLES_DB_ID = process.env.NOTION_SAMPLES_DB_ID || "";
+const samplesDb = NOTION_SAMPLES_TOKEN && NOTION_SAMPLES_DB_ID
+  ? new SamplesDB({ token: NOTION_SAMPLES_TOKEN, databaseId: NOTION_SAMPLES_DB_ID, fetch: notionFetch })
+  : null;
+
+// Product catalogue (knowledge/products*.csv): /api/products, the lookup_product tool and
+// SKU lookups on packing slips. Rows that fail validation are left out (the knowledge sync
+// refuses to run until they're fixed).
+const catalog = ProductCatalog.fromFiles([
+  path.join(__dirname, "knowledge", "products.csv"),
+  path.join(__dirname, "knowledge", "products_enriched.csv"),
+]);
+for (const e of catalog.errors) console.warn(`[catalog] ${formatCatalogError(e)}`);
+if (!catalog.products.length) console.warn("[catalog] no valid products; sample requests are not checked against the catalogue");
+tools.register("lookup_product", createProductLookupTool({ catalog }));
+
+// Outbound notifications rendered from knowledge/templates/*.md and sent through
+// SMTP (SMTP_HOST), a Make webhook (NOTIFY_WEBHOOK_URL) or the local OUTBOX_DIR
+const listEnv = (v) => String(v || "").split(",").map((s) => s.trim()).filter(Boolean);
+let notifications = null;
+try {
+  notifications = new NotificationQueue({ transport: createTransport(process.env), audit });
+} catch (e) {
+  console.error(`[notify] ${e.message}; notifications disabled`);
+}
+const sampleNotifier = notifications && new SampleNotifier({
+  templates: new TemplateStore({ dir: path.join(__dirname, "knowledge", "templates") }),
+  queue: notifications,
+  samplesDb,
+  from: process.env.NOTIFY_FROM || "Metamorphosis Skincare NZ <hello@metamorphosisskincare.co.nz>",
+  replyTo: process.env.NOTIFY_REPLY_TO,
+  opsEmails: listEnv(process.env.OPS_EMAIL),
+  approverEmails: listEnv(process.env.APPROVER_EMAILS),
+  links: (sample, opts) => sampleActionLinks(tenants.defaultId, sample.id, opts),
+  data: { link_ttl_days: Math.round(ACTION_LINK_TTL / 86400) },
+});
+
+const sampleLifecycle = samplesDb
+  ? new SampleLifecycle({ samplesDb, audit, onTransition: sampleNotifier?.onTransition })
+  : null;
+
+// Sample eligibility rules (versioned JSON in knowledge/). A broken policy file is fatal:
+// running without it would let every request through unchecked.
+const SAMPLE_POLICY_FILE = process.env.SAMPLE_POLICY_FILE || path.join(__dirname, "knowledge", "sample_policy.json");
+let samplePolicy = null;
+try {
+  samplePolicy = new SamplePolicy({ policy: loadPolicy(SAMPLE_POLICY_FILE), samplesDb });
+  tools.register("check_sample_eligibility", createEligibilityTool({ policy: samplePolicy }));
+} catch (e) {
+  if (e.code !== "ENOENT") {
+    console.error(`FATAL: ${SAMPLE_POLICY_FILE}: ${e.message}`);
+    process.exit(1);
+  }
+  console.warn(`[policy] ${SAMPLE_POLICY_FILE} not found; sample requests are not policy-checked`);
+}
+
+// Sample analytics over the Samples DB (/api/reports/samples, monthly report job)
+const sampleReports = samplesDb
+  ? new SampleReports({ samplesDb, catalog, countries: samplePolicy?.policy.countries })
+  : null;
+
+if (samplesDb) {
+  tools.register("submit_sample_request", createSampleRequestTool({ samplesDb, catalog, policy: samplePolicy, lifecycle: sampleLifecycle }));
+} else {
+  console.warn("[tools] submit_sample_request disabled (NOTION_SAMPLES_DB_ID not set)");
+}
+
+// Notion Contacts DB for callback requests (NOTION_TOKEN_CONTACTS / NOTION_CONTACTS_DB_ID)
+const NOTION_CONTACTS_TOKEN = process.env.NOTION_TOKEN_CONTACTS || process.env.NOTION_TOKEN || "";
+const NOTION_CONTACTS_DB_ID = process.env.NOTION_CONTACTS_DB_ID || "";
+const contactsDb = NOTION_CONTACTS_TOKEN && NOTION_CONTACTS_DB_ID
+  ? new ContactsDB({ token: NOTION_CONTACTS_TOKEN, databaseId: NOTION_CONTACTS_DB_ID, fetch: notionFetch })
+  : null;
+
+if (contactsDb) tools.register("submit_contact_request", createContactRequestTool({ contactsDb }));
+else console.warn("[tools] submit_contact_request disabled (NOTION_CONTACTS_DB_ID not set)");
+
+// RUN_TIMEOUT_SECONDS: runs still going after this are cancelled (tool calls included)
+const RUN_TIMEOUT_MS = (Number(process.env.RUN_TIMEOUT_SECONDS) || 120) * 1000;
+const runner = new AssistantRunner({ openai, tools, runTimeoutMs: RUN_TIMEOUT_MS });
+
+// Every chat turn, stored locally for the admin conversation endpoints
+// (CONVERSATIONS_DB: SQLite file, or "memory"). Put the file on persistent storage
+// (render.yaml: /var/data) or history is lost on every redeploy. Responses threads
+// live only in this store, so with any tenant on that backend it must be a file.
+const CONVERSATIONS_DB = process.env.CONVERSATIONS_DB || path.join(__dirname, ".conversations.sqlite");
+const RESPONSES_IN_USE = tenants.list().some((t) => t.backend === "responses");
+if (RESPONSES_IN_USE && CONVERSATIONS_DB === "memory") {
+  console.error("FATAL: CONVERSATIONS_DB=memory, but the responses backend keeps its threads there; use a file on persistent storage");
+  process.exit(1);
+}
+let conversations;
+try {
+  conversations = await openConversationStore(CONVERSATIONS_DB);
+} catch (e) {
+  if (RESPONSES_IN_USE) {
+    console.error(`FATAL: ${CONVERSATIONS_DB}: ${e.message} (the responses backend keeps its threads there)`);
+    process.exit(1);
+  }
+  console.warn(`[conversations] ${CONVERSATIONS_DB}: ${e.message}; keeping conversations in memory`);
+  conversations = new MemoryConversationStore();
+}
+
+// Conversation backends: Assistants threads and runs, or the Responses API with file_search for
+// tenants with BACKEND_<NAME>=responses (RESPONSES_MODEL, instructions from RESPONSES_INSTRUCTIONS_FILE).
+// A thread stays on the backend that created it; Responses threads are chained in the conversation store.
+const RESPONSES_INSTRUCTIONS_FILE = process.env.RESPONSES_INSTRUCTIONS_FILE || path.join(__dirname, "knowledge", "system_instructions.txt");
+let responsesInstructions = "";
+try {
+  responsesInstructions = fs.readFileSync(RESPONSES_INSTRUCTIONS_FILE, "utf8").trim();
+} catch (e) {
+  if (RESPONSES_IN_USE) console.warn(`[responses] ${RESPONSES_INSTRUCTIONS_FILE}: ${e.message}; running without instructions`);
+}
+const backends = new ConversationBackends({
+  assistants: new AssistantsBackend({ openai, runner }),
+  responses: new ResponsesBackend({
+    store: conversations,
+    runner: new ResponsesRunner({
+      openai,
+      tools,
+      model: process.env.RESPONSES_MODEL || DEFAULT_MODEL,
+      instructions: responsesInstructions,
+      runTimeoutMs: RUN_TIMEOUT_MS,
+    }),
+  }),
+});
+// Tenants answered on threads (an assistant, or the responses backend); the rest use plain chat completions
+const usesThreads = (tenant) => !!tenant.assistantId || tenant.backend === "responses";
+
+// Notion → vector store sync, run as one tracked background job at a time
+// (admin endpoint and the knowledge_sync schedule share the lock)
+const syncJobs = new SyncJobs({
+  script: path.resolve(__dirname, process.env.SYNC_SCRIPT || "scripts/sync.mjs"),
+  cwd: __dirname,
+  timeoutMs: (Number(process.env.SYNC_TIMEOUT_SECONDS) || 1800) * 1000,
+  audit,
+});
+
+// In-process scheduled jobs (node-cron). Each JOB_*_CRON takes a cron expression
+// in SCHEDULER_TIMEZONE, or "off" to leave the job manual-only (admin API).
+// SCHEDULER_STATE_FILE must be on persistent storage (render.yaml mounts a disk at
+// /var/data): the app directory is wiped on redeploy, which would lose last runs
+// and re-send reminders.
+const cronEnv = (name, fallback) => {
+  const v = (process.env[name] ?? fallback).trim();
+  return /^(off|false|0|)$/i.test(v) ? null : v;
+};
+const scheduler = new Scheduler({
+  stateFile: process.env.SCHEDULER_STATE_FILE || path.join(__dirname, ".scheduler_state.json"),
+  timezone: process.env.SCHEDULER_TIMEZONE || "Pacific/Auckland",
+  audit,
+});
+try {
+  scheduler.register("knowledge_sync", {
+    schedule: cronEnv("JOB_KNOWLEDGE_SYNC_CRON", "0 3 * * *"),
+    description: "Sync Notion knowledge into the vector store",
+    task: createKnowledgeSyncJob({ syncJobs }),
+  });
+  if (samplesDb && sampleNotifier) {
+    scheduler.register("stale_samples", {
+      schedule: cronEnv("JOB_STALE_SAMPLES_CRON", "0 9 * * 1-5"),
+      description: "Remind ops about samples dispatched but not delivered",
+      task: createStaleSampleJob({ samplesDb, notifier: sampleNotifier, days: Number(process.env.STALE_SAMPLE_DAYS) || 5 }),
+    });
+  } else {
+    console.warn("[scheduler] stale_samples disabled (needs the Samples DB and notifications)");
+  }
+  if (sampleNotifier) {
+    scheduler.register("nightly_report", {
+      schedule: cronEnv("JOB_NIGHTLY_REPORT_CRON", "30 23 * * *"),
+      description: "Email the daily sample and assistant activity report",
+      task: createNightlyReportJob({
+        samplesDb,
+        audit,
+        notifier: sampleNotifier,
+        recipients: listEnv(process.env.REPORT_EMAILS || process.env.OPS_EMAIL),
+      }),
+    });
+  }
+  if (sampleReports && sampleNotifier) {
+    scheduler.register("monthly_sample_report", {
+      schedule: cronEnv("JOB_MONTHLY_SAMPLE_REPORT_CRON", "0 8 1 * *"),
+      description: "Email last month's sample report (lead time, approvals, denials, SKUs, geography)",
+      task: createMonthlySampleReportJob({
+        reports: sampleReports,
+        notifier: sampleNotifier,
+        recipients: listEnv(process.env.REPORT_EMAILS || process.env.OPS_EMAIL),
+      }),
+    });
+  }
+} catch (e) {
+  console.error(`FATAL: ${e.message}`);
+  process.exit(1);
+}
 
 /* -------------------- App -------------------- */
 
@@ -50,8 +310,80 @@ app.use(express.text({ type: "text/plain", limit: "1mb" }));
 // Static UI (if present in /public)
 app.use(express.static(path.join(__dirname, "public")));
 
+// Tenant resolution: /api/:tenant/... segment > X-Assistant header > Host > default.
+// A matching path segment is stripped so the routes below serve every tenant.
+app.use((req, _res, next) => {
+  let segment;
+  for (const base of API_BASES) {
+    if (!req.path.startsWith(`${base}/`)) continue;
+    const [seg, ...rest] = req.path.slice(base.length + 1).split("/");
+    if (tenants.get(seg)) {
+      const q = req.url.indexOf("?");
+      segment = seg;
+      req.url = `${base}/${rest.join("/")}${q >= 0 ? req.url.slice(q) : ""}`;
+    }
+    break;
+  }
+  const { tenant, source } = tenants.resolve({
+    segment,
+    header: req.get("x-assistant"),
+    host: req.hostname,
+  });
+  req.tenant = tenant;
+  req.tenantSource = source;
+  next();
+});
+
 /* -------------------- Helpers -------------------- */
 
+// Anonymous token requests must come from a page on one of ALLOWED_ORIGINS; no list, no tokens
+function originAllowed(req) {
+  const origin = req.get("origin");
+  return !!origin && ALLOWED_ORIGINS.includes(origin);
+}
+
+function adminKeyValid(req) {
+  const key = req.get("x-api-key") || "";
+  if (!ADMIN_API_KEY || key.length !== ADMIN_API_KEY.length) return false;
+  return crypto.timingSafeEqual(Buffer.from(key), Buffer.from(ADMIN_API_KEY));
+}
+
+// Signed one-click URLs (e.g. for emails) that perform one action on one sample
+function sampleActionLinks(tenantId, sampleId, { approver, actions = ["approve", "reject"] } = {}) {
+  const prefix = tenantId === tenants.defaultId ? "/api" : `/api/${tenantId}`;
+  const paths = { packing_slip: "packing-slip.pdf" };
+  return Object.fromEntries(actions.map((action) => {
+    const { token } = auth.sign(
+      { tenant: tenantId, scopes: [SCOPES.APPROVER], sub: approver, act: { sample: sampleId, action } },
+      { ttlSeconds: ACTION_LINK_TTL }
+    );
+    return [action, `${PUBLIC_BASE_URL}${prefix}/samples/${encodeURIComponent(sampleId)}/${paths[action] || action}?token=${token}`];
+  }));
+}
+
+const escapeHtml = (v) => String(v ?? "").replace(/[&<>"']/g, (c) => `&#${c.charCodeAt(0)};`);
+
+// Re-issue the caller's token bound to a thread it just created
+function threadToken(req, threadId) {
+  if (!threadId || req.auth?.thread === threadId) return undefined;
+  return auth.sign({
+    tenant: req.auth?.tenant || req.tenant.id,
+    scopes: req.auth?.scopes,
+    thread: threadId,
+    sub: req.auth?.sub,
+    authTime: req.auth?.auth_time || req.auth?.iat,
+  }).token;
+}
+
+// Store a chat turn; a storage failure must not fail the chat
+async function recordTurn(turn) {
+  try {
+    await conversations.record(turn);
+  } catch (e) {
+    console.warn(`[conversations] could not record turn in ${turn.thread_id}: ${e.message}`);
+  }
+}
+
 // Fallback Chat Completions helper (legacy)
 async function chatComplete({ message, messages, model, system, temperature, top_p }) {
   let msgs = Array.isArray(messages) ? messages : [];
@@ -59,7 +391,7 @@ async function chatComplete({ message, messages, model, system, temperature, top
   if (!msgs.length && message) msgs.push({ role: "user", content: String(message) });
   if (!msgs.length) throw new Error("No input provided");
 
-  const r = await fetch(`${OPENAI_BASE}/chat/completions`, {
+  const r = await limiters.for("openai").fetch(`${OPENAI_BASE}/chat/completions`, {
     method: "POST",
     headers: {
       Authorization: OPENAI_BEARER,
@@ -88,38 +420,110 @@ async function chatComplete({ message, messages, model, system, temperature, top
   };
 }
 
-// Assistants API helper with vector-store aware assistant
-async function assistantComplete({ message, thread_id, system }) {
-  if (!ASST_DEFAULT) throw new Error("ASST_DEFAULT not configured");
-  const threadId =
-    thread_id || (await openai.beta.threads.create({})).id;
+// New thread on the tenant's backend
+async function createThread(tenant = tenants.default) {
+  return backends.for(tenant).createThread(tenant);
+}
+
+// Answer on a thread (the tenant's assistant, or the Responses API), searching its vector store.
+// Pass onEvent to stream the run (status/delta/citation events) instead of polling; aborting
+// signal cancels a streamed run.
+async function assistantComplete({ message, thread_id, system }, tenant = tenants.default, { onEvent, signal } = {}) {
   if (!message) throw new Error("message is required");
-  await openai.beta.threads.messages.create(threadId, {
-    role: "user",
-    content: message,
-  });
-  const run = await openai.beta.threads.runs.create(threadId, {
-    assistant_id: ASST_DEFAULT,
-    ...(system ? { instructions: String(system) } : {}),
-  });
-  let status = run.status;
-  while (status === "queued" || status === "in_progress") {
-    await new Promise((r) => setTimeout(r, 500));
-    const r2 = await openai.beta.threads.runs.retrieve(run.id, { thread_id: threadId });
-    status = r2.status;
+  const backend = backends.for(tenant, thread_id);
+  if (backend.name === "assistants" && !tenant.assistantId) throw new Error(`No assistant configured for tenant '${tenant.id}'`);
+  const threadId =
+    thread_id || (await backend.createThread(tenant)).id;
+  const started = Date.now();
+  await recordTurn({ thread_id: threadId, tenant: tenant.id, role: "user", text: message });
+  const out = await backend.run({ threadId, tenant, message, instructions: system, context: { tenant: tenant.id }, onEvent, signal });
+  await recordTurn({
+    thread_id: threadId,
+    tenant: tenant.id,
+    role: "assistant",
+    text: out.answer,
+    run_id: out.run_id,
+    latency_ms: Date.now() - started,
+    usage: out.usage,
+    citations: out.citations,
+  });
+  return { ...out, tenant: tenant.id, backend: backend.name };
+}
+
+// Status and error body for a failed chat turn; runs that didn't complete carry a
+// `code` (run_failed, run_timeout, ...) plus the run's last_error/incomplete_details
+function chatError(e, fallback = 500) {
+  if (e instanceof RunError) return [e.status, { ok: false, error: e.message, code: e.code, details: e.details }];
+  return [e?.status || e?.response?.status || fallback, { ok: false, error: e.message, details: e?.response?.data ?? null }];
+}
+
+// Answer over Server-Sent Events; the final `done` event carries the JSON reply body.
+// A client that disconnects mid-run has the run cancelled.
+async function streamCompletion(req, res, helper, args) {
+  const sse = openEventStream(res);
+  const disconnected = new AbortController();
+  res.on("close", () => disconnected.abort());
+  try {
+    let out;
+    if (helper === assistantComplete) {
+      out = await assistantComplete(args, req.tenant, { onEvent: (event, data) => sse.send(event, data), signal: disconnected.signal });
+    } else {
+      out = await helper(args, req.tenant);
+      sse.send("delta", { text: out.answer });
+    }
+    sse.send("done", { ok: true, ...out, token: threadToken(req, out.thread_id) });
+  } catch (e) {
+    console.error("stream error", e);
+    sse.send("error", chatError(e)[1]);
+  } finally {
+    sse.close();
   }
-  if (status !== "completed") {
-    throw new Error(`Run ${status}`);
+}
+
+
+// Sync job progress over SSE: the current state, then `progress` events and a final `done`
+function streamSyncJob(res, job) {
+  const sse = openEventStream(res);
+  sse.send("progress", job);
+  if (job.status !== "running") {
+    sse.send("done", job);
+    return sse.close();
   }
-  const messages = await openai.beta.threads.messages.list(threadId);
-  const latest = messages.data.find((m) => m.role === "assistant");
-  const answer = latest?.content
-    ?.map((c) => (c.type === "text" ? c.text.value : ""))
-    .join("\n")
-    .trim();
-  return { answer, thread_id: threadId, run_id: run.id, status };
+  const unsubscribe = syncJobs.subscribe(job.id, (event, update) => {
+    sse.send(event, update);
+    if (event === "done") { unsubscribe(); sse.close(); }
+  });
+  res.on("close", unsubscribe);
 }
 
+// Knowledge sync routes under `prefix`: each API base, and the bare /admin/sync-knowledge
+function mountSyncKnowledge(prefix) {
+  // Start a background job (202 + job id); 409 while one is running
+  app.post(`${prefix}/admin/sync-knowledge`, auth.require({ scope: SCOPES.ADMIN }), (req, res) => {
+    let job;
+    try {
+      job = syncJobs.start({ trigger: "api", actor: req.auth?.sub });
+    } catch (e) {
+      if (e instanceof SyncBusyError) return res.status(e.status).json({ ok: false, error: e.code, details: e.details });
+      throw e;
+    }
+    if (wantsEventStream(req)) return streamSyncJob(res, job);
+    const statusUrl = `${prefix}/admin/sync-knowledge/${job.id}`;
+    res.status(202).location(statusUrl).json({ ok: true, job_id: job.id, status_url: statusUrl, job });
+  });
+
+  app.get(`${prefix}/admin/sync-knowledge`, auth.require({ scope: SCOPES.ADMIN }), (req, res) => {
+    res.json({ ok: true, running: syncJobs.running?.id || null, jobs: syncJobs.list({ limit: Math.min(Number(req.query.limit) || 20, 20) }) });
+  });
+
+  // Job status as JSON, or live progress over SSE (Accept: text/event-stream; ?token= for EventSource)
+  app.get(`${prefix}/admin/sync-knowledge/:jobId`, auth.require({ scope: SCOPES.ADMIN }), (req, res) => {
+    const job = syncJobs.get(req.params.jobId);
+    if (!job) return res.status(404).json({ ok: false, error: "Unknown sync job" });
+    if (wantsEventStream(req, {})) return streamSyncJob(res, job);
+    res.json({ ok: true, job });
+  });
+}
 
 /* -------------------- Mount per-base API (both ENV_BASE and /api) -------------------- */
 
@@ -128,16 +532,280 @@ function mountApi(base) {
   app.get("/health", (_req, res) => res.status(200).send("ok"));
   app.get("/healthz", (_req, res) => res.json({ ok: true }));
 
+  // Mint short-lived tokens: admin key -> any scope/thread, valid token -> renewal (up to
+  // SESSION_MAX_SECONDS after it was first issued), anonymous web UI / embedder (Origin in
+  // ALLOWED_ORIGINS) -> chat scope for the resolved tenant
+  app.post(`${base}/auth/token`, (req, res) => {
+    const b = typeof req.body === "object" && req.body ? req.body : {};
+    let current = null;
+    try { current = auth.verify(Auth.tokenFromRequest(req)); } catch { /* anonymous */ }
+
+    if (adminKeyValid(req)) {
+      const tenant = b.tenant ? tenants.get(b.tenant) : req.tenant;
+      if (!tenant) return res.status(400).json({ ok: false, error: `Unknown tenant '${b.tenant}'` });
+      const scopes = (Array.isArray(b.scopes) ? b.scopes : [SCOPES.CHAT]).filter((s) => Object.values(SCOPES).includes(s));
+      return res.json({ ok: true, ...auth.sign({ tenant: tenant.id, scopes, thread: b.thread_id, sub: b.sub }) });
+    }
+    if (current) {
+      try {
+        return res.json({ ok: true, ...auth.renew(current) });
+      } catch (e) {
+        return res.status(e.status || 401).json({ ok: false, error: "Unauthorized", details: { reason: e.message } });
+      }
+    }
+    if (!originAllowed(req)) {
+      return res.status(403).json({ ok: false, error: "Origin not allowed", details: { origin: req.get("origin") } });
+    }
+    res.json({ ok: true, ...auth.sign({ tenant: req.tenant.id, scopes: [SCOPES.CHAT] }) });
+  });
+
+  // Dev convenience: unauthenticated chat-scoped tokens (DEV_TOKEN_ENABLED, outside production only).
+  // Never bound to an existing thread: the token is bound to the first thread it creates.
+  app.get(`${base}/auth/dev-token`, (req, res) => {
+    if (!auth.devTokens) return res.status(404).json({ ok: false, error: "Not Found" });
+    const tenant = req.query.tenant ? tenants.get(req.query.tenant) : req.tenant;
+    if (!tenant) return res.status(400).json({ ok: false, error: `Unknown tenant '${req.query.tenant}'` });
+    res.json({ ok: true, dev: true, ...auth.sign({ tenant: tenant.id, scopes: [SCOPES.CHAT] }) });
+  });
+
+  // Sample lifecycle (approver role). Emailed one-click links carry a token signed for
+  // one sample + action: GET shows a confirmation page, POST applies the transition.
+  const sampleAction = `${base}/samples/:id/:action(approve|reject|dispatch|fulfil)`;
+  const requireSampleAction = (req, res, next) => {
+    if (!sampleLifecycle) return res.status(503).json({ ok: false, error: "Samples DB is not configured" });
+    if (!Auth.canAct(req.auth, req.params.id, req.params.action))
+      return res.status(403).json({ ok: false, error: "Forbidden", details: { reason: "token does not allow this action" } });
+    next();
+  };
+
+  app.get(sampleAction, auth.require({ scope: SCOPES.APPROVER }), requireSampleAction, async (req, res) => {
+    const { id, action } = req.params;
+    const sample = await sampleLifecycle.samplesDb.get(id).catch(() => null);
+    const summary = sample ? `${sample.qty} × ${sample.product} to ${sample.recipient} (${sample.status})` : id;
+    res.type("html").send(`<!doctype html><meta charset="utf-8"><title>${escapeHtml(action)} sample</title>
+<body style="font:15px system-ui;max-width:560px;margin:40px auto">
+<h2 style="text-transform:capitalize">${escapeHtml(action)} sample request</h2><p>${escapeHtml(summary)}</p>
+<form method="post" action="?token=${encodeURIComponent(Auth.tokenFromRequest(req))}">
+${action === "reject" ? '<p><label>Reason<br><textarea name="reason" rows="3" style="width:100%"></textarea></label></p>' : ""}
+${action === "dispatch" ? '<p><label>Carrier<br><input name="carrier" style="width:100%"></label></p><p><label>Tracking number<br><input name="tracking" style="width:100%"></label></p>' : ""}
+<button type="submit" style="padding:8px 16px;text-transform:capitalize">${escapeHtml(action)}</button></form></body>`);
+  });
+
+  app.post(sampleAction, auth.require({ scope: SCOPES.APPROVER }), requireSampleAction, express.urlencoded({ extended: false }), async (req, res) => {
+    const { id, action } = req.params;
+    const b = typeof req.body === "object" && req.body ? req.body : {};
+    const wantsHtml = req.accepts(["json", "html"]) === "html";
+    try {
+      const sample = await sampleLifecycle.transition(id, action, {
+        actor: req.auth.sub || "approver",
+        reason: b.reason,
+        carrier: b.carrier,
+        tracking: b.tracking,
+      });
+      if (wantsHtml) return res.type("html").send(`<!doctype html><meta charset="utf-8"><p style="font:15px system-ui;margin:40px auto;max-width:560px">Sample ${escapeHtml(SAMPLE_ACTIONS[action])}.</p>`);
+      res.json({ ok: true, sample, allowed_actions: SampleLifecycle.allowedActions(sample.status) });
+    } catch (e) {
+      const status = e.status || e?.response?.status || (e.code === "object_not_found" ? 404 : 500);
+      if (status >= 500) console.error("sample transition error", e);
+      if (wantsHtml) return res.status(status).type("html").send(`<!doctype html><meta charset="utf-8"><p style="font:15px system-ui;margin:40px auto;max-width:560px">${escapeHtml(e.message)}</p>`);
+      res.status(status).json({ ok: false, error: e.message, code: e.code, details: e.details ?? null });
+    }
+  });
+
+  // Packing slips (PDF). The batch covers every approved request not yet dispatched,
+  // so the warehouse can print the day's slips in one go.
+  const sendPdf = (res, filename, buffer) =>
+    res.type("application/pdf").set("Content-Disposition", `inline; filename="${filename}"`).send(buffer);
+
+  app.get(`${base}/samples/packing-slips.pdf`, auth.require({ scope: SCOPES.APPROVER }), async (req, res) => {
+    if (!samplesDb) return res.status(503).json({ ok: false, error: "Samples DB is not configured" });
+    if (req.auth.act) return res.status(403).json({ ok: false, error: "Forbidden", details: { reason: "token does not allow this action" } });
+    try {
+      const samples = await samplesDb.listByStatus("approved");
+      sendPdf(res, `packing-slips-${new Date().toISOString().slice(0, 10)}.pdf`, renderPackingSlips(samples, { catalog, returnAddress: process.env.RETURN_ADDRESS }));
+    } catch (e) {
+      console.error("/samples/packing-slips.pdf error", e);
+      res.status(500).json({ ok: false, error: e.message });
+    }
+  });
+
+  app.get(`${base}/samples/:id/packing-slip.pdf`, auth.require({ scope: SCOPES.APPROVER }), async (req, res) => {
+    if (!samplesDb) return res.status(503).json({ ok: false, error: "Samples DB is not configured" });
+    if (!Auth.canAct(req.auth, req.params.id, "packing_slip"))
+      return res.status(403).json({ ok: false, error: "Forbidden", details: { reason: "token does not allow this action" } });
+    try {
+      const sample = await samplesDb.get(req.params.id);
+      sendPdf(res, `packing-slip-${req.params.id}.pdf`, renderPackingSlips([sample], { catalog, returnAddress: process.env.RETURN_ADDRESS }));
+    } catch (e) {
+      res.status(e.code === "object_not_found" ? 404 : 500).json({ ok: false, error: e.message });
+    }
+  });
+
+  app.get(`${base}/samples/:id`, auth.require({ scope: SCOPES.APPROVER }), async (req, res) => {
+    if (!samplesDb) return res.status(503).json({ ok: false, error: "Samples DB is not configured" });
+    if (req.auth.act && req.auth.act.sample !== req.params.id) return res.status(403).json({ ok: false, error: "Forbidden" });
+    try {
+      const sample = await samplesDb.get(req.params.id);
+      res.json({ ok: true, sample, allowed_actions: SampleLifecycle.allowedActions(sample.status) });
+    } catch (e) {
+      res.status(e.code === "object_not_found" ? 404 : 500).json({ ok: false, error: e.message });
+    }
+  });
+
+  // Approve/reject links for an approver (e.g. to paste into an email)
+  app.post(`${base}/samples/:id/links`, auth.require({ scope: SCOPES.ADMIN }), (req, res) => {
+    const b = typeof req.body === "object" && req.body ? req.body : {};
+    const actions = (Array.isArray(b.actions) ? b.actions : ["approve", "reject"]).filter((a) => ["approve", "reject", "dispatch", "fulfil", "packing_slip"].includes(a));
+    res.json({ ok: true, links: sampleActionLinks(req.tenant.id, req.params.id, { approver: b.approver, actions }) });
+  });
+
+  // Everything else under the base needs a chat-scoped token
+  app.use(base, auth.require({ scope: SCOPES.CHAT }));
+
   // Self-test (quick key/egress check)
-  app.post(`${base}/selftest`, async (_req, res) => {
+  app.post(`${base}/selftest`, auth.require({ scope: SCOPES.ADMIN }), async (req, res) => {
     try {
-      const helper = ASST_DEFAULT ? assistantComplete : chatComplete;
-      const out = await helper({ message: "Hello" });
+      const helper = usesThreads(req.tenant) ? assistantComplete : chatComplete;
+      const out = await helper({ message: "Hello" }, req.tenant);
       res.json({ ok: true, ...out });
     } catch (e) {
       console.error("/selftest error", e);
+      const [status, body] = chatError(e);
+      res.status(status).json(body);
+    }
+  });
+
+  // Product catalogue: ?q= (SKU, name, alias or words), category, skin_types (comma-separated),
+  // fragrance_free / oil_based / condom_compatible (true|false), min_price, max_price, limit
+  app.get(`${base}/products`, (req, res) => {
+    const { filter, errors } = parseProductQuery(req.query);
+    if (errors.length) return res.status(400).json({ ok: false, error: errors.join("; ") });
+    const products = catalog.search(filter);
+    const limit = Math.min(Number(req.query.limit) || 100, 500);
+    res.json({ ok: true, count: products.length, products: products.slice(0, limit) });
+  });
+
+  // One product by SKU (or name/alias)
+  app.get(`${base}/products/:sku`, (req, res) => {
+    const product = catalog.find(req.params.sku);
+    if (!product) return res.status(404).json({ ok: false, error: `Unknown product: ${req.params.sku}` });
+    res.json({ ok: true, product });
+  });
+
+  // Tool registry: definitions for the assistant config and recent audited calls
+  app.get(`${base}/admin/tools`, auth.require({ scope: SCOPES.ADMIN }), (req, res) => {
+    const limit = Math.min(Number(req.query.limit) || 50, 500);
+    res.json({ ok: true, tools: tools.definitions(), calls: audit.recent({ type: "tool_call", limit }) });
+  });
+
+  // Stored conversations, most recently active first: ?tenant=&from=&to= (ISO dates), limit, offset
+  app.get(`${base}/conversations`, auth.require({ scope: SCOPES.ADMIN }), async (req, res) => {
+    const { filter, errors } = parseConversationQuery(req.query);
+    if (errors.length) return res.status(400).json({ ok: false, error: errors.join("; ") });
+    try {
+      res.json({ ok: true, ...(await conversations.list(filter)) });
+    } catch (e) {
+      console.error("/conversations error", e);
+      res.status(500).json({ ok: false, error: e.message });
+    }
+  });
+
+  app.get(`${base}/conversations/:threadId`, auth.require({ scope: SCOPES.ADMIN }), async (req, res) => {
+    try {
+      const turns = await conversations.get(req.params.threadId);
+      if (!turns.length) return res.status(404).json({ ok: false, error: `No stored conversation for ${req.params.threadId}` });
+      res.json({ ok: true, thread_id: req.params.threadId, turns });
+    } catch (e) {
+      console.error("/conversations/:threadId error", e);
+      res.status(500).json({ ok: false, error: e.message });
+    }
+  });
+
+  // Sample metrics for requests created in ?from=&to= (default: this month so far), as JSON or CSV
+  app.get(`${base}/reports/samples`, auth.require({ scope: SCOPES.ADMIN }), async (req, res) => {
+    if (!sampleReports) return res.status(503).json({ ok: false, error: "Samples DB is not configured" });
+    const { range, errors } = parseReportRange(req.query);
+    if (errors.length) return res.status(400).json({ ok: false, error: errors.join("; ") });
+    try {
+      const metrics = await sampleReports.metrics(range);
+      if (req.query.format === "csv" || (!req.query.format && req.accepts(["json", "csv"]) === "csv")) {
+        res.type("text/csv").attachment(`sample-report-${range.from.slice(0, 10)}.csv`);
+        return res.send(metricsToCsv(metrics));
+      }
+      res.json({ ok: true, ...metrics });
+    } catch (e) {
+      console.error("/reports/samples error", e);
+      res.status(500).json({ ok: false, error: e.message });
+    }
+  });
+
+  // Monthly Markdown report (?month=YYYY-MM, default last month)
+  app.get(`${base}/reports/samples/monthly`, auth.require({ scope: SCOPES.ADMIN }), async (req, res) => {
+    if (!sampleReports) return res.status(503).json({ ok: false, error: "Samples DB is not configured" });
+    try {
+      const { markdown } = await sampleReports.monthly(req.query.month || undefined);
+      res.type("text/markdown").send(markdown);
+    } catch (e) {
+      const invalid = /^Invalid month/.test(e.message);
+      if (!invalid) console.error("/reports/samples/monthly error", e);
+      res.status(invalid ? 400 : 500).json({ ok: false, error: e.message });
+    }
+  });
+
+  app.get(`${base}/admin/notifications`, auth.require({ scope: SCOPES.ADMIN }), (req, res) => {
+    if (!notifications) return res.status(503).json({ ok: false, error: "Notifications are not configured" });
+    const limit = Math.min(Number(req.query.limit) || 50, 200);
+    res.json({
+      ok: true,
+      transport: notifications.transport.name,
+      jobs: notifications.list({ status: req.query.status || undefined, limit }),
+    });
+  });
+
+  // Outbound API calls per service: requests, retries, 429s, give-ups and what's in flight now
+  app.get(`${base}/admin/metrics`, auth.require({ scope: SCOPES.ADMIN }), (_req, res) => {
+    const last = syncJobs.list({ limit: 1 })[0];
+    res.json({ ok: true, services: limiters.stats(), last_sync: last ? { id: last.id, status: last.status, retries: last.retries } : null });
+  });
+
+  // Scheduled jobs: schedule, last/next run, and manual runs
+  app.get(`${base}/admin/jobs`, auth.require({ scope: SCOPES.ADMIN }), (req, res) => {
+    res.json({ ok: true, timezone: scheduler.timezone, jobs: scheduler.list() });
+  });
+
+  // Runs in the background (202) unless ?wait=1; a job that is already running is a 409
+  app.post(`${base}/admin/jobs/:name/run`, auth.require({ scope: SCOPES.ADMIN }), async (req, res) => {
+    const { name } = req.params;
+    if (!scheduler.has(name)) return res.status(404).json({ ok: false, error: `Unknown job '${name}'` });
+    const job = scheduler.list().find((j) => j.name === name);
+    if (job.running) return res.status(409).json({ ok: false, error: "already_running", running_since: job.running_since });
+
+    const run = scheduler.run(name, { trigger: `manual:${req.auth?.sub || "admin"}` });
+    if (!/^(1|true|yes)$/i.test(req.query.wait || "")) {
+      run.catch((e) => console.error(`[scheduler] ${name}`, e));
+      return res.status(202).json({ ok: true, job: name, status: "started" });
+    }
+    const outcome = await run;
+    if (outcome.status === "skipped") return res.status(409).json(outcome);
+    res.status(outcome.ok ? 200 : 500).json({ job: name, ...outcome });
+  });
+
+  mountSyncKnowledge(base);
+
+  // Push the registered function tools onto the tenant's assistant (keeps file_search etc.)
+  app.post(`${base}/admin/tools/sync`, auth.require({ scope: SCOPES.ADMIN }), async (req, res) => {
+    try {
+      if (!req.tenant.assistantId) return res.status(400).json({ ok: false, error: `No assistant configured for tenant '${req.tenant.id}'` });
+      const asst = await openai.beta.assistants.retrieve(req.tenant.assistantId);
+      const defs = tools.definitions();
+      const names = new Set(defs.map((d) => d.function.name));
+      const kept = (asst.tools || []).filter((t) => t.type !== "function" || !names.has(t.function?.name));
+      const updated = await openai.beta.assistants.update(req.tenant.assistantId, { tools: [...kept, ...defs] });
+      res.json({ ok: true, assistant_id: updated.id, tools: updated.tools.map((t) => t.function?.name || t.type) });
+    } catch (e) {
+      console.error("/admin/tools/sync error", e);
       res
-        .status(e?.response?.status || 500)
+        .status(e?.status || e?.response?.status || 500)
         .json({ ok: false, error: e.message, details: e?.response?.data ?? null });
     }
   });
@@ -147,39 +815,56 @@ function mountApi(base) {
     try {
       const body =
         typeof req.body === "string" ? { message: req.body } : (req.body || {});
-      const helper = ASST_DEFAULT ? assistantComplete : chatComplete;
-      const out = await helper(body);
-      res.json({ ok: true, ...out });
+      if (body.thread_id && !Auth.canAccessThread(req.auth, body.thread_id))
+        return res.status(403).json({ ok: false, error: "Forbidden", details: { reason: "token is not bound to this thread" } });
+      const helper = usesThreads(req.tenant) ? assistantComplete : chatComplete;
+      if (wantsEventStream(req, body)) return streamCompletion(req, res, helper, body);
+      const out = await helper(body, req.tenant);
+      res.json({ ok: true, ...out, token: threadToken(req, out.thread_id) });
     } catch (e) {
       console.error("/chat error", e);
-      res
-        .status(e?.response?.status || 400)
-        .json({ ok: false, error: e.message || "Bad Request", details: e?.response?.data ?? null });
+      const [status, body] = chatError(e, 400);
+      res.status(status).json({ ...body, error: body.error || "Bad Request" });
     }
   });
 
+  // Contact request form (web UI fallback for the submit_contact_request tool)
+  app.post(`${base}/contact`, async (req, res) => {
+    if (!contactsDb) return res.status(503).json({ ok: false, error: "Contact requests are not configured" });
+    const b = typeof req.body === "object" && req.body ? req.body : {};
+    const out = await submitContactRequest(contactsDb, b, {
+      source: "web_form",
+      tenant: req.tenant.id,
+      thread_id: req.auth?.thread,
+    });
+    const status = out.ok ? 200 : out.error === "record_failed" ? 502 : 400;
+    audit.record("contact_request", { ok: out.ok, source: "web_form", tenant: req.tenant.id, page_id: out.page_id, error: out.error });
+    res.status(status).json(out);
+  });
+
   // Legacy one-shot endpoint many UIs call
   app.post(`${base}/run`, async (req, res) => {
     try {
       const b = typeof req.body === "string" ? { message: req.body } : (req.body || {});
       const text = b.message || b.text || b.input;
       if (!text || !String(text).trim()) return res.status(400).json({ ok: false, error: "message is required" });
-      const helper = ASST_DEFAULT ? assistantComplete : chatComplete;
-      const out = await helper({ message: text, thread_id: b.thread_id, system: b.system });
-      res.json({ ok: true, ...out, mode: ASST_DEFAULT ? "assistant" : "chat" });
+      if (b.thread_id && !Auth.canAccessThread(req.auth, b.thread_id))
+        return res.status(403).json({ ok: false, error: "Forbidden", details: { reason: "token is not bound to this thread" } });
+      const helper = usesThreads(req.tenant) ? assistantComplete : chatComplete;
+      const out = await helper({ message: text, thread_id: b.thread_id, system: b.system }, req.tenant);
+      res.json({ ok: true, ...out, mode: usesThreads(req.tenant) ? "assistant" : "chat", token: threadToken(req, out.thread_id) });
     } catch (e) {
       console.error("/run error", e);
-      res
-        .status(e?.response?.status || 500)
-        .json({ ok: false, error: e.message, details: e?.response?.data ?? null });
+      const [status, body] = chatError(e);
+      res.status(status).json(body);
     }
   });
 
     // Threads API adapters
-    app.post(`${base}/threads`, async (_req, res) => {
+    app.post(`${base}/threads`, async (req, res) => {
       try {
-        const thread = await openai.beta.threads.create({});
-        res.json({ id: thread.id });
+        const thread = await createThread(req.tenant);
+        res.json({ id: thread.id, token: threadToken(req, thread.id) });
       } catch (e) {
         console.error("create thread error", e);
         res
@@ -195,15 +880,13 @@ function mountApi(base) {
         const b = typeof req.body === "string" ? { message: req.body } : (req.body || {});
         const text = b.message || b.text || b.input;
         if (!text) return res.status(400).json({ ok: false, error: "message is required" });
-        await openai.beta.threads.messages.create(threadId, {
-          role: "user",
-          content: text,
-        });
+        await backends.for(req.tenant, threadId).addMessage(threadId, text);
+        await recordTurn({ thread_id: threadId, tenant: req.tenant.id, role: "user", text });
         res.json({ ok: true, accepted: true, thread_id: threadId });
       } catch (e) {
         console.error("add message error", e);
         res
-          .status(e?.response?.status || 500)
+          .status(e?.status || e?.response?.status || 500)
           .json({ ok: false, error: e.message, details: e?.response?.data ?? null });
       }
     });
@@ -215,13 +898,27 @@ function mountApi(base) {
           return res.status(400).json({ ok: false, error: "threadId required" });
         const b = typeof req.body === "string" ? { message: req.body } : (req.body || {});
         const text = b.message || b.text || b.input || "Continue.";
-        const out = await assistantComplete({ message: text, thread_id: threadId, system: b.system });
+        const args = { message: text, thread_id: threadId, system: b.system };
+        if (wantsEventStream(req, b)) return streamCompletion(req, res, assistantComplete, args);
+        const out = await assistantComplete(args, req.tenant);
         res.json({ ok: true, ...out, status: "completed", mode: "assistant" });
       } catch (e) {
         console.error("run thread error", e);
+        const [status, body] = chatError(e);
+        res.status(status).json(body);
+      }
+    });
+
+    // Stop a run in progress (the web UI's Stop button); it moves to cancelling, then cancelled
+    app.post(`${base}/threads/:threadId/runs/:runId/cancel`, async (req, res) => {
+      try {
+        const run = await backends.for(req.tenant, req.params.threadId).cancel(req.params.threadId, req.params.runId);
+        res.json({ ok: true, run_id: run.id, status: run.status });
+      } catch (e) {
+        console.error("cancel run error", e);
         res
-          .status(e?.response?.status || 500)
-          .json({ ok: false, error: e.message, details: e?.response?.data ?? null });
+          .status(e?.status || e?.response?.status || 500)
+          .json({ ok: false, error: e.message, details: e?.error ?? e?.response?.data ?? null });
       }
     });
 
@@ -229,12 +926,12 @@ function mountApi(base) {
       try {
         const { threadId } = req.params;
         if (!threadId) return res.status(400).json({ ok: false, error: "threadId required" });
-        const messages = await openai.beta.threads.messages.list(threadId);
+        const messages = await backends.for(req.tenant, threadId).messages(threadId);
         res.json({ ok: true, data: messages.data, has_more: messages.has_more });
       } catch (e) {
         console.error("list messages error", e);
         res
-          .status(e?.response?.status || 500)
+          .status(e?.status || e?.response?.status || 500)
           .json({ ok: false, error: e.message, details: e?.response?.data ?? null });
       }
     });
@@ -245,16 +942,23 @@ function mountApi(base) {
   );
 }
 
+// Thread-scoped routes: the token must be bound to :threadId (admins excepted)
+app.param("threadId", (req, res, next) => auth.requireThread()(req, res, next));
+
 // Mount under both the env base and /api (covers misconfig and older clients)
 API_BASES.forEach((b) => mountApi(b));
+// Admin knowledge sync also at the root, as documented (POST /admin/sync-knowledge)
+mountSyncKnowledge("");
 
 /* -------------------- Non-API legacy fallbacks -------------------- */
 
+app.use("/threads", auth.require({ scope: SCOPES.CHAT }));
+
 // Provide root-level thread endpoints for older clients
-app.post("/threads", async (_req, res) => {
+app.post("/threads", async (req, res) => {
   try {
-    const thread = await openai.beta.threads.create({});
-    res.json({ id: thread.id });
+    const thread = await createThread(req.tenant);
+    res.json({ id: thread.id, token: threadToken(req, thread.id) });
   } catch (e) {
     console.error("create thread error", e);
     res
@@ -270,15 +974,13 @@ app.post("/threads/:threadId/messages", async (req, res) => {
     const b = typeof req.body === "string" ? { message: req.body } : (req.body || {});
     const text = b.message || b.text || b.input;
     if (!text) return res.status(400).json({ ok: false, error: "message is required" });
-    await openai.beta.threads.messages.create(threadId, {
-      role: "user",
-      content: text,
-    });
+    await backends.for(req.tenant, threadId).addMessage(threadId, text);
+    await recordTurn({ thread_id: threadId, tenant: req.tenant.id, role: "user", text });
     res.json({ ok: true, accepted: true, thread_id: threadId });
   } catch (e) {
     console.error("add message error", e);
     res
-      .status(e?.response?.status || 500)
+      .status(e?.status || e?.response?.status || 500)
       .json({ ok: false, error: e.message, details: e?.response?.data ?? null });
   }
 });
@@ -290,13 +992,14 @@ app.post("/threads/:threadId/runs", async (req, res) => {
       return res.status(400).json({ ok: false, error: "threadId required" });
     const b = typeof req.body === "string" ? { message: req.body } : (req.body || {});
     const text = b.message || b.text || b.input || "Continue.";
-    const out = await assistantComplete({ message: text, thread_id: threadId, system: b.system });
+    const args = { message: text, thread_id: threadId, system: b.system };
+    if (wantsEventStream(req, b)) return streamCompletion(req, res, assistantComplete, args);
+    const out = await assistantComplete(args, req.tenant);
     res.json({ ok: true, ...out, status: "completed", mode: "assistant" });
   } catch (e) {
     console.error("run thread error", e);
-    res
-      .status(e?.response?.status || 500)
-      .json({ ok: false, error: e.message, details: e?.response?.data ?? null });
+    const [status, body] = chatError(e);
+    res.status(status).json(body);
   }
 });
 
@@ -311,7 +1014,15 @@ app.get("/__diag/routes", (_req, res) => {
       m.handle.stack.forEach((h) => { if (h.route) routes.push({ method: Object.keys(h.route.methods)[0]?.toUpperCase(), path: h.route.path }); });
     }
   });
-  res.json({ ok: true, bases: API_BASES, routes });
+  const tenantList = tenants.list().map(({ id, assistantId, vectorStoreId, backend, hosts }) => ({
+    id,
+    backend,
+    assistant_id: assistantId || null,
+    vector_store_id: vectorStoreId || null,
+    hosts,
+    paths: API_BASES.map((b) => `${b}/${id}/*`),
+  }));
+  res.json({ ok: true, bases: API_BASES, tenants: tenantList, routes });
 });
 
 /* -------------------- SPA fallback -------------------- */
@@ -327,7 +1038,13 @@ app.get("*", (req, res, next) => {
 
 app.listen(PORT, () => {
   console.log(`Server running on port ${PORT}`);
-  if (ASST_DEFAULT) console.log(`[assistant] id=${ASST_DEFAULT}`);
-  else console.log(`[chat-only] model=${DEFAULT_MODEL}`);
+  for (const t of tenants.list()) {
+    if (t.backend === "responses") console.log(`[responses] tenant=${t.id} model=${process.env.RESPONSES_MODEL || DEFAULT_MODEL}${t.vectorStoreId ? ` vs=${t.vectorStoreId}` : ""}`);
+    else if (t.assistantId) console.log(`[assistant] tenant=${t.id} id=${t.assistantId}${t.vectorStoreId ? ` vs=${t.vectorStoreId}` : ""}`);
+    else console.log(`[chat-only] tenant=${t.id} model=${DEFAULT_MODEL}`);
+  }
   console.log(`API bases mounted at: ${API_BASES.join(", ")}`);
+  if (notifications) console.log(`[notify] transport=${notifications.transport.name}`);
+  scheduler.start();
+  for (const j of scheduler.list()) console.log(`[scheduler] ${j.name} ${j.schedule || "manual"}${j.next_run_at ? ` next=${j.next_run_at}` : ""}`);
 });
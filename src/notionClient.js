@@ -6,9 +6,11 @@ const __dirname = path.dirname(fileURLToPath(import.meta.url));
 config({ path: path.resolve(__dirname, "../.env") }); // adjust depth to your root
 
 import { Client } from "@notionhq/client";
+import { ServiceLimiters } from "../lib/retry.mjs";
 
 const NOTION_TOKEN = process.env.NOTION_TOKEN;
 if (!NOTION_TOKEN) throw new Error("NOTION_TOKEN missing");
 
-export const notion = new Client({ auth: NOTION_TOKEN });
+// Retries 429/5xx with backoff and caps concurrent requests (lib/retry.mjs)
+export const notion = new Client({ auth: NOTION_TOKEN, fetch: ServiceLimiters.fromEnv().for("notion").fetch });
 
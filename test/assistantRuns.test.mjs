@@ -0,0 +1,308 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { AssistantRunner, RunError } from '../lib/assistantRuns.mjs';
+import { ToolRegistry } from '../lib/tools.mjs';
+
+const assistantMessage = {
+  role: 'assistant',
+  content: [{
+    type: 'text',
+    text: {
+      value: 'Use it daily.【4:0†faq.md】',
+      annotations: [{ type: 'file_citation', text: '【4:0†faq.md】', file_citation: { file_id: 'file-faq' } }]
+    }
+  }]
+};
+
+const requiredAction = {
+  type: 'submit_tool_outputs',
+  submit_tool_outputs: {
+    tool_calls: [{ id: 'call_1', type: 'function', function: { name: 'echo', arguments: '{"text":"hi"}' } }]
+  }
+};
+
+function createMockOpenAI({ statuses = ['in_progress', 'completed'], streamEvents = [], resumedEvents = [], runFields = {} } = {}) {
+  const calls = { messages: [], runs: [], retrieves: 0, submitted: [], cancelled: [] };
+  let i = 0;
+  return {
+    calls,
+    files: {
+      async retrieve(id) { return { id, filename: id === 'file-faq' ? 'faq.md' : 'other.md' }; }
+    },
+    beta: {
+      threads: {
+        messages: {
+          async create(threadId, body) { calls.messages.push({ threadId, ...body }); return { id: 'msg_user' }; },
+          async list() { return { data: [assistantMessage] }; }
+        },
+        runs: {
+          async create(threadId, body) { calls.runs.push({ threadId, ...body }); return { id: 'run_1', status: 'queued' }; },
+          async retrieve(runId, { thread_id }) {
+            calls.retrieves++;
+            const status = statuses[Math.min(i++, statuses.length - 1)];
+            return {
+              id: runId,
+              thread_id,
+              status,
+              usage: status === 'completed' ? { total_tokens: 42 } : null,
+              ...(status === 'requires_action' ? { required_action: requiredAction } : {}),
+              ...runFields
+            };
+          },
+          async cancel(runId, { thread_id }) {
+            calls.cancelled.push({ runId, thread_id });
+            return { id: runId, thread_id, status: 'cancelling' };
+          },
+          async submitToolOutputs(runId, body) {
+            calls.submitted.push({ runId, ...body });
+            return { id: runId, status: 'in_progress' };
+          },
+          submitToolOutputsStream(runId, body) {
+            calls.submitted.push({ runId, ...body, stream: true });
+            return (async function* () { yield* resumedEvents; })();
+          },
+          stream(threadId, body) {
+            calls.runs.push({ threadId, ...body, stream: true });
+            return (async function* () { yield* streamEvents; })();
+          }
+        }
+      }
+    }
+  };
+}
+
+test('complete() polls until completed and returns answer with citations', async () => {
+  const openai = createMockOpenAI();
+  const runner = new AssistantRunner({ openai, pollIntervalMs: 1 });
+  const out = await runner.complete({ threadId: 'thread_1', assistantId: 'asst_1', message: 'Hi' });
+
+  assert.equal(out.answer, 'Use it daily.【4:0†faq.md】');
+  assert.equal(out.status, 'completed');
+  assert.equal(out.run_id, 'run_1');
+  assert.deepEqual(out.usage, { total_tokens: 42 });
+  assert.deepEqual(out.citations, [{ file_id: 'file-faq', quote: '【4:0†faq.md】', filename: 'faq.md' }]);
+  assert.equal(openai.calls.runs[0].assistant_id, 'asst_1');
+  assert.equal(openai.calls.retrieves, 2);
+});
+
+test('complete() throws on a non-completed terminal status', async () => {
+  const openai = createMockOpenAI({ statuses: ['failed'] });
+  const runner = new AssistantRunner({ openai, pollIntervalMs: 1 });
+  await assert.rejects(
+    runner.complete({ threadId: 't', assistantId: 'a', message: 'Hi' }),
+    /Run failed/
+  );
+});
+
+test('complete() reports each terminal status with its own code and the run\'s error details', async () => {
+  const cases = [
+    ['failed', { last_error: { code: 'rate_limit_exceeded', message: 'Rate limit reached' } }, 'run_failed', 502, 'Run failed: Rate limit reached'],
+    ['incomplete', { incomplete_details: { reason: 'max_completion_tokens' } }, 'run_incomplete', 502, 'Run incomplete: max_completion_tokens'],
+    ['expired', {}, 'run_expired', 504, 'Run expired'],
+    ['cancelled', {}, 'run_cancelled', 409, 'Run cancelled']
+  ];
+  for (const [status, runFields, code, httpStatus, message] of cases) {
+    const runner = new AssistantRunner({ openai: createMockOpenAI({ statuses: [status], runFields }), pollIntervalMs: 1 });
+    await assert.rejects(runner.complete({ threadId: 't', assistantId: 'a', message: 'Hi' }), (e) => {
+      assert.ok(e instanceof RunError);
+      assert.deepEqual([e.code, e.status, e.message], [code, httpStatus, message]);
+      assert.deepEqual(e.details, {
+        run_id: 'run_1',
+        thread_id: 't',
+        run_status: status,
+        last_error: runFields.last_error ?? null,
+        incomplete_details: runFields.incomplete_details ?? null
+      });
+      return true;
+    });
+  }
+});
+
+test('complete() cancels a run that outlives the deadline', async () => {
+  const openai = createMockOpenAI({ statuses: ['in_progress'] });
+  const runner = new AssistantRunner({ openai, pollIntervalMs: 5, runTimeoutMs: 30 });
+  await assert.rejects(runner.complete({ threadId: 't', assistantId: 'a', message: 'Hi' }), (e) => {
+    assert.equal(e.code, 'run_timeout');
+    assert.equal(e.status, 504);
+    assert.equal(e.message, 'Run timed out after 0s and was cancelled');
+    assert.equal(e.details.run_status, 'cancelling');
+    return true;
+  });
+  assert.deepEqual(openai.calls.cancelled, [{ runId: 'run_1', thread_id: 't' }]);
+});
+
+test('cancel() asks OpenAI to cancel the run', async () => {
+  const openai = createMockOpenAI();
+  const run = await new AssistantRunner({ openai }).cancel('thread_1', 'run_7');
+  assert.equal(run.status, 'cancelling');
+  assert.deepEqual(openai.calls.cancelled, [{ runId: 'run_7', thread_id: 'thread_1' }]);
+});
+
+test('stream() forwards status, delta and citation events', async () => {
+  const streamEvents = [
+    { event: 'thread.run.created', data: { id: 'run_9', status: 'queued' } },
+    { event: 'thread.run.in_progress', data: { id: 'run_9', status: 'in_progress' } },
+    { event: 'thread.run.step.created', data: { id: 'step_1' } },
+    { event: 'thread.message.delta', data: { delta: { content: [{ type: 'text', text: { value: 'Use it ' } }] } } },
+    { event: 'thread.message.delta', data: { delta: { content: [{ type: 'text', text: { value: 'daily.' } }] } } },
+    { event: 'thread.message.completed', data: assistantMessage },
+    { event: 'thread.run.completed', data: { id: 'run_9', status: 'completed', usage: { total_tokens: 7 } } }
+  ];
+  const openai = createMockOpenAI({ streamEvents });
+  const runner = new AssistantRunner({ openai });
+  const events = [];
+  const out = await runner.stream({
+    threadId: 'thread_1',
+    assistantId: 'asst_1',
+    message: 'Hi',
+    onEvent: (event, data) => events.push([event, data])
+  });
+
+  assert.deepEqual(events.filter(([e]) => e === 'delta').map(([, d]) => d.text), ['Use it ', 'daily.']);
+  assert.deepEqual(events.filter(([e]) => e === 'status').map(([, d]) => d.status), ['queued', 'in_progress', 'completed']);
+  assert.equal(events.find(([e]) => e === 'citation')[1].filename, 'faq.md');
+  assert.equal(out.run_id, 'run_9');
+  assert.deepEqual(out.usage, { total_tokens: 7 });
+  assert.equal(openai.calls.messages[0].content, 'Hi');
+});
+
+test('stream() rejects when the run does not complete', async () => {
+  const openai = createMockOpenAI({
+    streamEvents: [{ event: 'thread.run.failed', data: { id: 'run_2', status: 'failed', last_error: { code: 'server_error', message: 'Boom' } } }]
+  });
+  const runner = new AssistantRunner({ openai });
+  await assert.rejects(
+    runner.stream({ threadId: 't', assistantId: 'a', message: 'Hi', onEvent: () => {} }),
+    (e) => e.code === 'run_failed' && e.message === 'Run failed: Boom' && e.details.last_error.code === 'server_error'
+  );
+});
+
+test('stream() aborts and cancels a run that outlives the deadline', async () => {
+  const openai = createMockOpenAI();
+  openai.beta.threads.runs.stream = () => {
+    let release;
+    const aborted = new Promise((r) => { release = r; });
+    const events = (async function* () {
+      yield { event: 'thread.run.in_progress', data: { id: 'run_3', status: 'in_progress' } };
+      await aborted;
+    })();
+    events.abort = release;
+    return events;
+  };
+  const runner = new AssistantRunner({ openai, runTimeoutMs: 20 });
+  await assert.rejects(
+    runner.stream({ threadId: 't', assistantId: 'a', message: 'Hi', onEvent: () => {} }),
+    (e) => e.code === 'run_timeout' && e.details.run_id === 'run_3'
+  );
+  assert.deepEqual(openai.calls.cancelled, [{ runId: 'run_3', thread_id: 't' }]);
+});
+
+test('complete() dispatches requires_action tool calls and resumes the run', async () => {
+  const openai = createMockOpenAI({ statuses: ['requires_action', 'completed'] });
+  const tools = new ToolRegistry().register('echo', {
+    parameters: { type: 'object', properties: { text: { type: 'string' } } },
+    handler: async ({ text }, ctx) => ({ ok: true, text, tenant: ctx.tenant, run: ctx.run_id })
+  });
+  const runner = new AssistantRunner({ openai, tools, pollIntervalMs: 1 });
+  const out = await runner.complete({
+    threadId: 'thread_1', assistantId: 'a', message: 'Hi', context: { tenant: 'metamorphosis' }
+  });
+
+  assert.equal(out.status, 'completed');
+  assert.equal(openai.calls.submitted.length, 1);
+  assert.equal(openai.calls.submitted[0].thread_id, 'thread_1');
+  assert.deepEqual(JSON.parse(openai.calls.submitted[0].tool_outputs[0].output), {
+    ok: true, text: 'hi', tenant: 'metamorphosis', run: 'run_1'
+  });
+});
+
+test('complete() fails requires_action runs when no tools are configured', async () => {
+  const openai = createMockOpenAI({ statuses: ['requires_action'] });
+  const runner = new AssistantRunner({ openai, pollIntervalMs: 1 });
+  await assert.rejects(
+    runner.complete({ threadId: 't', assistantId: 'a', message: 'Hi' }),
+    (e) => e.code === 'run_requires_action' && /requires_action \(echo\)/.test(e.message)
+  );
+  assert.equal(openai.calls.cancelled.length, 1, 'a run left in requires_action would block the thread');
+});
+
+test('complete() stops after maxToolRounds', async () => {
+  const openai = createMockOpenAI({ statuses: ['requires_action'] });
+  openai.beta.threads.runs.submitToolOutputs = async (runId) => ({ id: runId, status: 'requires_action', required_action: requiredAction });
+  const tools = new ToolRegistry().register('echo', { handler: async () => ({ ok: true }) });
+  const runner = new AssistantRunner({ openai, tools, pollIntervalMs: 1, maxToolRounds: 2 });
+  await assert.rejects(
+    runner.complete({ threadId: 't', assistantId: 'a', message: 'Hi' }),
+    /exceeded 2 tool rounds/
+  );
+});
+
+test('stream() submits tool outputs and continues with the resumed stream', async () => {
+  const openai = createMockOpenAI({
+    streamEvents: [
+      { event: 'thread.run.requires_action', data: { id: 'run_5', status: 'requires_action', required_action: requiredAction } }
+    ],
+    resumedEvents: [
+      { event: 'thread.message.completed', data: assistantMessage },
+      { event: 'thread.run.completed', data: { id: 'run_5', status: 'completed', usage: null } }
+    ]
+  });
+  const tools = new ToolRegistry().register('echo', { handler: async () => ({ ok: true }) });
+  const runner = new AssistantRunner({ openai, tools });
+  const events = [];
+  const out = await runner.stream({
+    threadId: 'thread_1', assistantId: 'a', message: 'Hi', onEvent: (e, d) => events.push([e, d])
+  });
+
+  assert.equal(out.status, 'completed');
+  assert.equal(openai.calls.submitted[0].runId, 'run_5');
+  assert.deepEqual(events.find(([e]) => e === 'tool')[1], { name: 'echo', tool_call_id: 'call_1' });
+  assert.equal(events.find(([e]) => e === 'tool_result')[1].ok, true);
+});
+
+test('stream() aborts the resumed stream when the deadline passes during tool calls', async () => {
+  const openai = createMockOpenAI({
+    streamEvents: [
+      { event: 'thread.run.requires_action', data: { id: 'run_6', status: 'requires_action', required_action: requiredAction } }
+    ]
+  });
+  let resumedAborted = false;
+  openai.beta.threads.runs.submitToolOutputsStream = (runId, body) => {
+    openai.calls.submitted.push({ runId, ...body });
+    const events = (async function* () {
+      yield { event: 'thread.run.completed', data: { id: runId, status: 'completed' } };
+    })();
+    events.abort = () => { resumedAborted = true; };
+    return events;
+  };
+  const tools = new ToolRegistry().register('echo', { handler: () => new Promise((r) => setTimeout(() => r({ ok: true }), 40)) });
+  const runner = new AssistantRunner({ openai, tools, runTimeoutMs: 10 });
+  await assert.rejects(
+    runner.stream({ threadId: 't', assistantId: 'a', message: 'Hi', onEvent: () => {} }),
+    (e) => e.code === 'run_timeout' && e.details.run_id === 'run_6'
+  );
+  assert.equal(resumedAborted, true);
+  assert.deepEqual(openai.calls.cancelled, [{ runId: 'run_6', thread_id: 't' }]);
+});
+
+test('stream() cancels the run when the client disconnects', async () => {
+  const openai = createMockOpenAI();
+  const disconnected = new AbortController();
+  openai.beta.threads.runs.stream = () => {
+    let release;
+    const aborted = new Promise((r) => { release = r; });
+    const events = (async function* () {
+      yield { event: 'thread.run.in_progress', data: { id: 'run_7', status: 'in_progress' } };
+      disconnected.abort();
+      await aborted;
+    })();
+    events.abort = release;
+    return events;
+  };
+  const runner = new AssistantRunner({ openai });
+  await assert.rejects(
+    runner.stream({ threadId: 't', assistantId: 'a', message: 'Hi', onEvent: () => {}, signal: disconnected.signal }),
+    (e) => e.code === 'run_cancelled' && e.details.run_id === 'run_7'
+  );
+  assert.deepEqual(openai.calls.cancelled, [{ runId: 'run_7', thread_id: 't' }]);
+});
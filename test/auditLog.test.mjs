@@ -0,0 +1,46 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { AuditLog } from '../lib/auditLog.mjs';
+
+test('keeps a bounded buffer and returns newest entries first', () => {
+  const log = new AuditLog({ limit: 2 });
+  log.record('a', { n: 1 });
+  log.record('b', { n: 2 });
+  log.record('a', { n: 3 });
+  assert.deepEqual(log.recent().map((e) => e.n), [3, 2]);
+  assert.deepEqual(log.recent({ type: 'a' }).map((e) => e.n), [3]);
+  assert.deepEqual(log.recent({ where: (e) => e.n < 3 }).map((e) => e.n), [2]);
+});
+
+test('appends JSON lines when a file is configured', () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'audit-'));
+  const file = path.join(dir, 'nested', 'audit.log');
+  const log = new AuditLog({ file });
+  log.record('tool_call', { tool: 'echo' });
+  const lines = fs.readFileSync(file, 'utf8').trim().split('\n').map((l) => JSON.parse(l));
+  assert.equal(lines[0].type, 'tool_call');
+  assert.equal(lines[0].tool, 'echo');
+  assert.ok(lines[0].ts);
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test('masks personal data in echoed lines but keeps it in the entry', (t) => {
+  const lines = [];
+  t.mock.method(console, 'info', (...args) => lines.push(args.join(' ')));
+  const log = new AuditLog({ echo: true });
+  const entry = log.record('tool_call', {
+    tool: 'submit_sample_request',
+    arguments: { recipient: 'Dr Jane Smith', address: '12 Quay Street' },
+    result: { ok: true },
+    ok: true,
+    thread_id: 'thread_1'
+  });
+  assert.deepEqual(lines, ['[audit] tool_call {"tool":"submit_sample_request","arguments":"[redacted]","result":"[redacted]","ok":true,"thread_id":"thread_1"}']);
+  assert.equal(entry.arguments.recipient, 'Dr Jane Smith');
+
+  new AuditLog().record('tool_call', { tool: 'x' });
+  assert.equal(lines.length, 1, 'echo is off by default');
+});
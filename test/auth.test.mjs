@@ -0,0 +1,107 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { Auth, SCOPES } from '../lib/auth.mjs';
+
+function run(middleware, req) {
+  let status = 200;
+  let body = null;
+  let nextCalled = false;
+  const res = {
+    status(code) { status = code; return this; },
+    json(payload) { body = payload; return this; }
+  };
+  middleware(req, res, () => { nextCalled = true; });
+  return { status, body, nextCalled };
+}
+
+function request({ token, tenant = 'default', params = {} } = {}) {
+  return {
+    get: (h) => (h.toLowerCase() === 'authorization' && token ? `Bearer ${token}` : undefined),
+    query: {},
+    params,
+    tenant: { id: tenant }
+  };
+}
+
+test('signs and verifies tenant, scopes and thread claims', () => {
+  const auth = new Auth({ secret: 's3cret' });
+  const { token, claims } = auth.sign({ tenant: 'metamorphosis', thread: 'thread_1' });
+  const verified = auth.verify(token);
+  assert.equal(verified.tenant, 'metamorphosis');
+  assert.deepEqual(verified.scopes, [SCOPES.CHAT]);
+  assert.equal(verified.thread, 'thread_1');
+  assert.deepEqual(claims.scopes, verified.scopes);
+});
+
+test('rejects tokens signed with another secret', () => {
+  const token = new Auth({ secret: 'a' }).sign().token;
+  assert.throws(() => new Auth({ secret: 'b' }).verify(token));
+});
+
+test('reads token from bearer header or query', () => {
+  assert.equal(Auth.tokenFromRequest({ get: () => 'Bearer abc', query: {} }), 'abc');
+  assert.equal(Auth.tokenFromRequest({ get: () => undefined, query: { token: 'xyz' } }), 'xyz');
+  assert.equal(Auth.tokenFromRequest({ get: () => undefined, query: {} }), '');
+});
+
+test('require() returns 401 without a token and 403 without scope', () => {
+  const auth = new Auth({ secret: 's' });
+  assert.equal(run(auth.require(), request()).status, 401);
+
+  const chat = auth.sign({ scopes: [SCOPES.CHAT] }).token;
+  const r = run(auth.require({ scope: SCOPES.ADMIN }), request({ token: chat }));
+  assert.equal(r.status, 403);
+  assert.equal(r.nextCalled, false);
+});
+
+test('require() rejects a token minted for another tenant unless admin', () => {
+  const auth = new Auth({ secret: 's' });
+  const chat = auth.sign({ tenant: 'default' }).token;
+  assert.equal(run(auth.require(), request({ token: chat, tenant: 'metamorphosis' })).status, 403);
+
+  const admin = auth.sign({ tenant: 'default', scopes: [SCOPES.ADMIN] }).token;
+  const req = request({ token: admin, tenant: 'metamorphosis' });
+  assert.equal(run(auth.require(), req).nextCalled, true);
+  assert.equal(req.auth.tenant, 'default');
+});
+
+test('requireThread() only allows the bound thread', () => {
+  const auth = new Auth({ secret: 's' });
+  const claims = auth.verify(auth.sign({ thread: 'thread_a' }).token);
+
+  const own = run(auth.requireThread(), { auth: claims, params: { threadId: 'thread_a' } });
+  assert.equal(own.nextCalled, true);
+
+  const other = run(auth.requireThread(), { auth: claims, params: { threadId: 'thread_b' } });
+  assert.equal(other.status, 403);
+
+  const admin = { scopes: [SCOPES.ADMIN] };
+  assert.equal(Auth.canAccessThread(admin, 'thread_b'), true);
+});
+
+test('canAct() limits link tokens to the signed sample and action', () => {
+  const link = { scopes: [SCOPES.APPROVER], act: { sample: 'page-1', action: 'approve' } };
+  assert.equal(Auth.canAct(link, 'page-1', 'approve'), true);
+  assert.equal(Auth.canAct(link, 'page-1', 'reject'), false);
+  assert.equal(Auth.canAct(link, 'page-2', 'approve'), false);
+  assert.equal(Auth.canAct({ scopes: [SCOPES.APPROVER] }, 'page-2', 'reject'), true);
+  assert.equal(Auth.canAct({ scopes: [SCOPES.CHAT] }, 'page-1', 'approve'), false);
+});
+
+test('renew() keeps the session start and never extends past maxSessionSeconds', () => {
+  const auth = new Auth({ secret: 's', ttlSeconds: 3600, maxSessionSeconds: 7200 });
+  const now = Math.floor(Date.now() / 1000);
+
+  const renewed = auth.renew(auth.verify(auth.sign({ thread: 'thread_a' }).token));
+  const claims = auth.verify(renewed.token);
+  assert.equal(claims.thread, 'thread_a');
+  assert.ok(claims.exp - now >= 3599);
+
+  const late = auth.verify(auth.renew({ ...claims, auth_time: now - 7000 }).token);
+  assert.equal(late.auth_time, now - 7000);
+  assert.ok(late.exp <= now - 7000 + 7200, 'capped at the end of the session');
+
+  assert.throws(() => auth.renew({ ...claims, auth_time: now - 7200 }), (e) => e.status === 401 && /Session expired/.test(e.message));
+  const legacy = { tenant: 'default', scopes: [SCOPES.CHAT], iat: now - 8000 };
+  assert.throws(() => auth.renew(legacy), /Session expired/, 'tokens without auth_time count from iat');
+});
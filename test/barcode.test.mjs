@@ -0,0 +1,16 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { code128, code128Values } from '../lib/barcode.mjs';
+
+test('adds start B, checksum and stop symbols', () => {
+  // 104 + 48*1 + 42*2 + 42*3 + 17*4 + 18*5 + 19*6 + 35*7 = 879; 879 % 103 = 55
+  assert.deepEqual(code128Values('PJJ123C'), [104, 48, 42, 42, 17, 18, 19, 35, 55, 106]);
+  assert.throws(() => code128Values('tab\there'), /cannot encode/);
+});
+
+test('every symbol is 11 modules wide and the stop is 13', () => {
+  const widths = code128('ab12');
+  assert.equal(widths.length, 6 * 6 + 7);
+  assert.equal(widths.reduce((a, b) => a + b, 0), 11 * 6 + 13);
+  assert.ok(widths.every((w) => w >= 1 && w <= 4));
+});
@@ -0,0 +1,85 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { ContactsDB } from '../lib/notionContacts.mjs';
+import {
+  CONTACT_REASONS,
+  addBusinessDays,
+  createContactRequestTool,
+  normalisePhone,
+  submitContactRequest,
+  validateContactRequest
+} from '../lib/contactRequestTool.mjs';
+
+function createMockClient({ fail = false } = {}) {
+  const created = [];
+  return {
+    created,
+    databases: { async query() { return { results: [] }; } },
+    pages: {
+      async create({ properties }) {
+        if (fail) throw new Error('Notion is down');
+        created.push(properties);
+        return { id: 'c0ffee-01' };
+      },
+      async update({ page_id }) { return { id: page_id }; }
+    }
+  };
+}
+
+const valid = {
+  first_name: 'Sam',
+  last_name: 'Lee',
+  phone: '021 555 1234',
+  reason: 'symptom_advice',
+  summary: 'Persistent itching, wants advice.'
+};
+
+test('covers the seven contact scenarios', () => {
+  assert.equal(CONTACT_REASONS.length, 7);
+});
+
+test('validates email, phone and reason', () => {
+  const out = validateContactRequest({ ...valid, email: 'not-an-email', phone: 'call me', reason: 'other' });
+  assert.equal(out.error, 'invalid_fields');
+  assert.equal(out.invalid.length, 3);
+  assert.equal(normalisePhone('+64 (21) 555-1234'), '+64215551234');
+  assert.equal(normalisePhone('123'), '');
+});
+
+test('requires names, a way to reach them and a summary', () => {
+  const out = validateContactRequest({ reason: 'complaint' });
+  assert.deepEqual(out.missing, ['first_name', 'last_name', 'email_or_phone', 'summary']);
+  assert.match(out.message, /email address or phone number/);
+});
+
+test('skips weekends when computing the callback date', () => {
+  // Friday 2025-08-15 + 2 business days -> Tuesday 2025-08-19
+  assert.equal(addBusinessDays(new Date('2025-08-15T10:00:00Z'), 2), '2025-08-19');
+});
+
+test('stores the request and returns the callback promise', async () => {
+  const mock = createMockClient();
+  const db = new ContactsDB({ databaseId: 'db', client: mock });
+  const out = await submitContactRequest(db, valid, {
+    source: 'web_form', tenant: 'default', now: new Date('2025-08-15T10:00:00Z')
+  });
+  assert.equal(out.ok, true);
+  assert.equal(out.url, 'https://www.notion.so/c0ffee01');
+  assert.equal(out.callback_due, '2025-08-19');
+  assert.equal(mock.created[0]['Phone'].phone_number, '0215551234');
+  assert.equal(mock.created[0]['Source'].select.name, 'web_form');
+});
+
+test('tool handler passes thread context and reports Notion failures', async () => {
+  const ok = createMockClient();
+  const tool = createContactRequestTool({ contactsDb: new ContactsDB({ databaseId: 'db', client: ok }) });
+  await tool.handler(valid, { tenant: 'metamorphosis', thread_id: 'thread_9' });
+  assert.equal(ok.created[0]['Thread'].rich_text[0].text.content, 'thread_9');
+
+  const failing = createContactRequestTool({
+    contactsDb: new ContactsDB({ databaseId: 'db', client: createMockClient({ fail: true }) })
+  });
+  const out = await failing.handler(valid);
+  assert.equal(out.error, 'record_failed');
+  assert.match(out.message, /0800 223 288/);
+});
@@ -0,0 +1,114 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { AssistantsBackend, ResponsesBackend, ConversationBackends, RESPONSES_THREAD_PREFIX } from '../lib/conversationBackends.mjs';
+import { MemoryConversationStore } from '../lib/conversationStore.mjs';
+
+const tenant = { id: 'metamorphosis', assistantId: 'asst_1', vectorStoreId: 'vs_1', backend: 'responses' };
+
+// Stands in for ResponsesRunner: records each run and answers with the next response id
+function fakeRunner() {
+  const runs = [];
+  return {
+    runs,
+    async run(args) {
+      runs.push(args);
+      if (args.input.some((i) => i.content === 'fail')) throw new Error('Run failed');
+      const id = `resp_${runs.length}`;
+      return { answer: `Answer ${runs.length}`, citations: [], usage: null, run_id: id, response_id: id, status: 'completed' };
+    },
+    cancel: (runId, { threadId }) => ({ id: runId, thread_id: threadId, status: 'cancelling' })
+  };
+}
+
+test('responses threads chain each run to the previous response and send queued messages with it', async () => {
+  const store = new MemoryConversationStore();
+  const runner = fakeRunner();
+  const backend = new ResponsesBackend({ runner, store });
+
+  const { id } = await backend.createThread(tenant);
+  assert.ok(id.startsWith(RESPONSES_THREAD_PREFIX));
+  assert.ok(backend.owns(id));
+
+  await backend.addMessage(id, 'I have sensitive skin.');
+  const first = await backend.run({ threadId: id, tenant, message: 'Which balm suits me?', context: { tenant: tenant.id } });
+  assert.deepEqual(first, { answer: 'Answer 1', citations: [], usage: null, thread_id: id, run_id: 'resp_1', status: 'completed' });
+  assert.deepEqual(runner.runs[0], {
+    input: [{ role: 'user', content: 'I have sensitive skin.' }, { role: 'user', content: 'Which balm suits me?' }],
+    previousResponseId: null,
+    vectorStoreId: 'vs_1',
+    instructions: undefined,
+    threadId: id,
+    context: { tenant: 'metamorphosis' },
+    onEvent: undefined,
+    signal: undefined
+  });
+
+  await assert.rejects(backend.run({ threadId: id, tenant, message: 'fail' }), /Run failed/);
+  await backend.run({ threadId: id, tenant, message: 'And the price?' });
+  assert.equal(runner.runs[2].previousResponseId, 'resp_1', 'a failed run does not move the chain');
+  assert.deepEqual((await store.getThread(id)).last_response_id, 'resp_3');
+
+  await assert.rejects(backend.run({ threadId: `${RESPONSES_THREAD_PREFIX}unknown`, tenant, message: 'Hi' }), (e) => e.status === 404);
+  assert.deepEqual(await backend.cancel(id, 'resp_9'), { id: 'resp_9', thread_id: id, status: 'cancelling' });
+});
+
+test('responses threads list their stored turns as thread messages, newest first', async () => {
+  const store = new MemoryConversationStore();
+  const backend = new ResponsesBackend({ runner: fakeRunner(), store });
+  const { id } = await backend.createThread(tenant);
+  await store.record({ thread_id: id, role: 'user', text: 'Hello', created_at: '2026-03-01T09:00:00.000Z' });
+  await store.record({ thread_id: id, role: 'assistant', text: 'Hi there', run_id: 'resp_1', created_at: '2026-03-01T09:00:02.000Z' });
+
+  const { data, has_more } = await backend.messages(id);
+  assert.equal(has_more, false);
+  assert.deepEqual(data.map((m) => [m.role, m.content[0].text.value, m.run_id, m.created_at]), [
+    ['assistant', 'Hi there', 'resp_1', 1772355602],
+    ['user', 'Hello', null, 1772355600]
+  ]);
+});
+
+test('assistants backend drives threads and runs through the AssistantRunner', async () => {
+  const calls = [];
+  const openai = {
+    beta: {
+      threads: {
+        create: async (body) => { calls.push(['create', body]); return { id: 'thread_abc' }; },
+        messages: {
+          create: async (threadId, body) => { calls.push(['message', threadId, body]); },
+          list: async (threadId) => ({ data: [{ id: 'msg_1', thread_id: threadId }], has_more: false })
+        }
+      }
+    }
+  };
+  const runner = {
+    complete: async (args) => { calls.push(['complete', args]); return { answer: 'ok' }; },
+    stream: async (args) => { calls.push(['stream', args.threadId]); return { answer: 'ok' }; },
+    cancel: async (threadId, runId) => ({ id: runId, status: 'cancelling' })
+  };
+  const backend = new AssistantsBackend({ openai, runner });
+
+  assert.deepEqual(await backend.createThread(tenant), { id: 'thread_abc' });
+  await backend.addMessage('thread_abc', 'Hi');
+  await backend.run({ threadId: 'thread_abc', tenant, message: 'Hello', instructions: 'Short answers', context: { tenant: tenant.id } });
+  await backend.run({ threadId: 'thread_abc', tenant, message: 'Hello', onEvent: () => {} });
+  assert.deepEqual(calls, [
+    ['create', { tool_resources: { file_search: { vector_store_ids: ['vs_1'] } } }],
+    ['message', 'thread_abc', { role: 'user', content: 'Hi' }],
+    ['complete', { threadId: 'thread_abc', assistantId: 'asst_1', message: 'Hello', instructions: 'Short answers', context: { tenant: 'metamorphosis' } }],
+    ['stream', 'thread_abc']
+  ]);
+  assert.deepEqual(await backend.messages('thread_abc'), { data: [{ id: 'msg_1', thread_id: 'thread_abc' }], has_more: false });
+  await assert.rejects(backend.run({ threadId: 'thread_abc', tenant: { id: 'bare' }, message: 'Hi' }), /No assistant configured for tenant 'bare'/);
+});
+
+test('a thread stays on the backend that created it; new threads follow the tenant', () => {
+  const assistants = new AssistantsBackend({ openai: {}, runner: {} });
+  const responses = new ResponsesBackend({ runner: fakeRunner(), store: new MemoryConversationStore() });
+  const backends = new ConversationBackends({ assistants, responses });
+
+  assert.equal(backends.for(tenant), responses);
+  assert.equal(backends.for({ ...tenant, backend: 'assistants' }), assistants);
+  assert.equal(backends.for(tenant, 'thread_abc'), assistants, 'existing Assistants threads keep working after a switch');
+  assert.equal(backends.for({ ...tenant, backend: 'assistants' }, `${RESPONSES_THREAD_PREFIX}1`), responses);
+  assert.throws(() => new ConversationBackends({ assistants }).for(tenant), /responses backend, which is not configured/);
+});
@@ -0,0 +1,116 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { MemoryConversationStore, SqliteConversationStore, parseConversationQuery } from '../lib/conversationStore.mjs';
+
+const stores = {
+  memory: async () => new MemoryConversationStore(),
+  sqlite: () => SqliteConversationStore.open(':memory:')
+};
+
+async function seed(store) {
+  const turn = (thread_id, tenant, role, text, created_at, extra = {}) => store.record({ thread_id, tenant, role, text, created_at, ...extra });
+  await turn('thread_a', 'metamorphosis', 'user', 'Is the lip balm condom compatible?', '2026-03-01T09:00:00.000Z');
+  await turn('thread_a', 'metamorphosis', 'assistant', 'No, it is oil based.', '2026-03-01T09:00:04.000Z', {
+    run_id: 'run_1',
+    latency_ms: 4012,
+    usage: { prompt_tokens: 900, completion_tokens: 40, total_tokens: 940 },
+    citations: [{ file_id: 'file_1', filename: 'products.md', quote: 'oil based' }]
+  });
+  await turn('thread_b', 'other', 'user', 'Do you ship to Australia?', '2026-03-02T10:00:00.000Z');
+  await turn('thread_c', 'metamorphosis', 'user', 'Samples for my clinic', '2026-03-03T11:00:00.000Z');
+  await turn('thread_a', 'metamorphosis', 'user', 'What about Aqua Silk?', '2026-03-04T08:00:00.000Z');
+}
+
+for (const [kind, open] of Object.entries(stores)) {
+  test(`${kind}: records turns and returns a thread in order`, async () => {
+    const store = await open();
+    try {
+      await seed(store);
+      const turns = await store.get('thread_a');
+      assert.deepEqual(turns.map((t) => [t.role, t.text]), [
+        ['user', 'Is the lip balm condom compatible?'],
+        ['assistant', 'No, it is oil based.'],
+        ['user', 'What about Aqua Silk?']
+      ]);
+      assert.deepEqual(turns[1], {
+        thread_id: 'thread_a',
+        tenant: 'metamorphosis',
+        role: 'assistant',
+        text: 'No, it is oil based.',
+        run_id: 'run_1',
+        latency_ms: 4012,
+        usage: { prompt_tokens: 900, completion_tokens: 40, total_tokens: 940 },
+        citations: [{ file_id: 'file_1', filename: 'products.md', quote: 'oil based' }],
+        created_at: '2026-03-01T09:00:04.000Z'
+      });
+      assert.equal(turns[0].usage, null);
+      assert.deepEqual(turns[0].citations, []);
+      assert.deepEqual(await store.get('nope'), []);
+      await assert.rejects(store.record({ role: 'user', text: 'hi' }), /thread_id is required/);
+      await assert.rejects(store.record({ thread_id: 't', role: 'system', text: 'hi' }), /Unknown role/);
+    } finally {
+      await store.close();
+    }
+  });
+
+  test(`${kind}: lists conversations by recent activity with tenant, date and paging filters`, async () => {
+    const store = await open();
+    try {
+      await seed(store);
+      const all = await store.list();
+      assert.deepEqual(all.conversations.map((c) => c.thread_id), ['thread_a', 'thread_c', 'thread_b']);
+      assert.deepEqual(all.conversations[0], {
+        thread_id: 'thread_a',
+        tenant: 'metamorphosis',
+        started_at: '2026-03-01T09:00:00.000Z',
+        last_at: '2026-03-04T08:00:00.000Z',
+        turns: 3,
+        first_message: 'Is the lip balm condom compatible?'
+      });
+      assert.equal(all.has_more, false);
+
+      const ids = async (filter) => (await store.list(filter)).conversations.map((c) => c.thread_id);
+      assert.deepEqual(await ids({ tenant: 'metamorphosis' }), ['thread_a', 'thread_c']);
+      assert.deepEqual(await ids(parseConversationQuery({ from: '2026-03-02', to: '2026-03-02' }).filter), ['thread_a', 'thread_b']);
+      assert.deepEqual(await ids({ from: '2026-03-03T00:00:00.000Z' }), ['thread_a', 'thread_c']);
+
+      const first = await store.list({ limit: 2 });
+      assert.deepEqual([first.has_more, first.next_offset], [true, 2]);
+      const second = await store.list({ limit: 2, offset: first.next_offset });
+      assert.deepEqual(second, { conversations: [all.conversations[2]], has_more: false, next_offset: null });
+    } finally {
+      await store.close();
+    }
+  });
+
+  test(`${kind}: keeps thread state for backends that chain responses`, async () => {
+    const store = await open();
+    try {
+      assert.equal(await store.getThread('thread_resp_1'), null);
+      const created = await store.saveThread({ thread_id: 'thread_resp_1', tenant: 'metamorphosis', backend: 'responses' });
+      assert.deepEqual(
+        { ...created, created_at: undefined, updated_at: undefined },
+        { thread_id: 'thread_resp_1', tenant: 'metamorphosis', backend: 'responses', last_response_id: null, pending: [], created_at: undefined, updated_at: undefined }
+      );
+
+      await store.saveThread({ ...created, pending: ['First question', 'And another'] });
+      await store.saveThread({ ...(await store.getThread('thread_resp_1')), last_response_id: 'resp_2', pending: [] });
+      const saved = await store.getThread('thread_resp_1');
+      assert.equal(saved.last_response_id, 'resp_2');
+      assert.deepEqual(saved.pending, []);
+      assert.equal(saved.created_at, created.created_at);
+      await assert.rejects(store.saveThread({ thread_id: 'thread_resp_2' }), /backend is required/);
+    } finally {
+      await store.close();
+    }
+  });
+}
+
+test('parses list query parameters', () => {
+  assert.deepEqual(parseConversationQuery({ tenant: 'metamorphosis', from: '2026-03-01', to: '2026-03-31', limit: '1000', offset: '-3' }), {
+    filter: { tenant: 'metamorphosis', from: '2026-03-01T00:00:00.000Z', to: '2026-04-01T00:00:00.000Z', limit: 500, offset: 0 },
+    errors: []
+  });
+  assert.deepEqual(parseConversationQuery({ from: 'last tuesday' }).errors, ['from: "last tuesday" is not a date']);
+  assert.deepEqual(parseConversationQuery({}).filter, { limit: 50, offset: 0 });
+});
@@ -0,0 +1,59 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import ExcelJS from 'exceljs';
+import { extractText, detectFormat, markdownTable, ExtractionError } from '../lib/documentText.mjs';
+import { PdfDocument } from '../lib/pdf.mjs';
+
+const FIXTURES = path.join(path.dirname(fileURLToPath(import.meta.url)), 'fixtures', 'documents');
+
+test('detects the format from MIME type, extension or content', () => {
+  assert.equal(detectFormat({ contentType: 'application/pdf' }), 'pdf');
+  assert.equal(detectFormat({ contentType: 'binary/octet-stream', filename: 'Guide.DOCX' }), 'docx');
+  assert.equal(detectFormat({ filename: 'https://s3/prices.xlsx?X-Amz-Signature=abc' }), 'xlsx');
+  assert.equal(detectFormat({ content: Buffer.from('%PDF-1.4 ...') }), 'pdf');
+  assert.equal(detectFormat({ contentType: 'text/x-log' }), 'text');
+  assert.equal(detectFormat({ contentType: 'image/png', filename: 'logo.png' }), null);
+});
+
+test('extracts PDF text page by page', async () => {
+  const pdf = new PdfDocument({ title: 'Returns' });
+  pdf.addPage();
+  pdf.text('Returns within 30 days', 50, 50);
+  pdf.text('Unopened items only', 50, 70);
+  pdf.addPage();
+  pdf.text('Contact ops', 50, 50);
+  assert.equal(await extractText(pdf.toBuffer(), { filename: 'returns.pdf' }), 'Returns within 30 days\nUnopened items only\n\nContact ops');
+});
+
+test('converts DOCX and HTML to Markdown', async () => {
+  const docx = fs.readFileSync(path.join(FIXTURES, 'storage_guide.docx'));
+  assert.equal(await extractText(docx, { filename: 'storage_guide.docx' }),
+    '# Storage guide\n\nKeep below **25°C** and out of direct sunlight.\n\n| Product   | Shelf life |\n| --------- | ---------- |\n| Aqua Silk | 24 months  |');
+  const html = '<html><body><h2>FAQ</h2><p>Ships <em>daily</em>.</p><script>track()</script></body></html>';
+  assert.equal(await extractText(Buffer.from(html), { contentType: 'text/html; charset=utf-8' }), '## FAQ\n\nShips _daily_.');
+});
+
+test('renders spreadsheets and CSV as Markdown tables', async () => {
+  const workbook = new ExcelJS.Workbook();
+  workbook.addWorksheet('Lubricants').addRows([['SKU', 'Price'], ['MET-001', 14.5], ['MET-002', 'n/a | TBC']]);
+  workbook.addWorksheet('Empty');
+  workbook.addWorksheet('Notes').addRows([['Updated'], ['2025-07-01']]);
+  const xlsx = Buffer.from(await workbook.xlsx.writeBuffer());
+  assert.equal(await extractText(xlsx, { filename: 'range.xlsx' }),
+    '## Lubricants\n\n| SKU | Price |\n| --- | --- |\n| MET-001 | 14.5 |\n| MET-002 | n/a \\| TBC |\n\n## Notes\n\n| Updated |\n| --- |\n| 2025-07-01 |');
+
+  const csv = Buffer.from('\uFEFFsku,notes\r\nMET-001,"multi\nline"\r\n\r\n');
+  assert.equal(await extractText(csv, { contentType: 'text/csv' }), '| sku | notes |\n| --- | --- |\n| MET-001 | multi<br>line |');
+  assert.equal(markdownTable([]), '');
+});
+
+test('plain text passes through; unreadable files raise ExtractionError', async () => {
+  assert.equal(await extractText(Buffer.from('\uFEFF  Hello\n'), { filename: 'a.txt' }), 'Hello');
+  await assert.rejects(extractText(Buffer.from('GIF89a'), { filename: 'a.gif', contentType: 'image/gif' }),
+    (e) => e instanceof ExtractionError && e.code === 'unsupported_format' && /image\/gif \(a\.gif\)/.test(e.message));
+  await assert.rejects(extractText(Buffer.from('%PDF-1.4 truncated'), { filename: 'broken.pdf' }),
+    (e) => e.code === 'extraction_failed' && /^Could not read PDF broken\.pdf: /.test(e.message));
+});
@@ -0,0 +1,128 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { runNodeScript, createKnowledgeSyncJob, createStaleSampleJob, createNightlyReportJob, createMonthlySampleReportJob } from '../lib/jobs.mjs';
+import { SampleNotifier } from '../lib/notifications.mjs';
+import { TemplateStore } from '../lib/templates.mjs';
+import { AuditLog } from '../lib/auditLog.mjs';
+
+const templatesDir = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', 'knowledge', 'templates');
+
+function notifier(opsEmails = ['ops@example.com']) {
+  const queued = [];
+  const queue = { enqueue: (msg) => { queued.push(msg); return { done: Promise.resolve({}) }; } };
+  const n = new SampleNotifier({ templates: new TemplateStore({ dir: templatesDir }), queue, from: 'bot@example.com', opsEmails });
+  return { n, queued };
+}
+
+const sample = (id, status, dispatched) => ({
+  id, status, product: 'Lip Balm', qty: 2, recipient: `Dr ${id}`, url: `https://notion.so/${id}`,
+  carrier: 'NZ Post', tracking: `TR${id}`, timestamps: dispatched ? { dispatched } : {}, updated_at: dispatched
+});
+
+test('stale sample job reminds ops once per overdue sample', async () => {
+  let dispatched = [
+    sample('a', 'dispatched', '2025-08-01T00:00:00Z'),
+    sample('b', 'dispatched', '2025-08-12T00:00:00Z')
+  ];
+  const samplesDb = { listByStatus: async (status) => (status === 'dispatched' ? dispatched : []) };
+  const { n, queued } = notifier();
+  const task = createStaleSampleJob({ samplesDb, notifier: n, days: 5 });
+  const data = {};
+
+  const first = await task({ data, now: new Date('2025-08-14T00:00:00Z') });
+  assert.deepEqual(first, { dispatched: 2, stale: 1, notified: ['a'] });
+  assert.equal(queued.length, 1);
+  assert.deepEqual(queued[0].to, ['ops@example.com']);
+  assert.match(queued[0].subject, /^1 sample\(s\) dispatched over 5 days ago/);
+  assert.match(queued[0].text, /2 × Lip Balm to Dr a — dispatched 2025-08-01 \(13 days\), NZ Post TRa/);
+
+  const second = await task({ data, now: new Date('2025-08-15T00:00:00Z') });
+  assert.equal(second.stale, 0);
+  assert.equal(queued.length, 1);
+
+  // 'a' was fulfilled, so it is forgotten; 'b' is now overdue
+  dispatched = [dispatched[1]];
+  const third = await task({ data, now: new Date('2025-08-18T00:00:00Z') });
+  assert.deepEqual(third.notified, ['b']);
+  assert.deepEqual(data.reminded, ['b']);
+});
+
+test('stale sample job sends nothing without ops recipients', async () => {
+  const samplesDb = { listByStatus: async () => [sample('a', 'dispatched', '2025-08-01T00:00:00Z')] };
+  const { n, queued } = notifier([]);
+  const data = {};
+  const result = await createStaleSampleJob({ samplesDb, notifier: n })({ data, now: new Date('2025-08-14T00:00:00Z') });
+  assert.equal(result.stale, 1);
+  assert.deepEqual(result.notified, []);
+  assert.equal(queued.length, 0);
+  assert.deepEqual(data.reminded, []);
+});
+
+test('nightly report counts new samples, backlog and audit events', async () => {
+  const now = new Date();
+  const samplesDb = {
+    listSince: async (since) => {
+      assert.equal(now - since, 24 * 60 * 60 * 1000);
+      return [sample('a', 'approved'), sample('b', 'needs_approval'), sample('c', 'approved')];
+    },
+    listByStatus: async (status) => (status === 'approved' ? [sample('a'), sample('c')] : [])
+  };
+  const audit = new AuditLog();
+  audit.record('tool_call', { tool: 'x' });
+  audit.record('tool_call', { tool: 'y' });
+  audit.record('notification_failed', {});
+  const { n, queued } = notifier();
+
+  const report = await createNightlyReportJob({ samplesDb, audit, notifier: n, recipients: ['boss@example.com'] })({ data: {}, now });
+  assert.equal(report.new_samples, 3);
+  assert.deepEqual(report.by_status, [{ name: 'approved', count: 2 }, { name: 'needs_approval', count: 1 }]);
+  assert.deepEqual(report.backlog, { needs_approval: 0, approved: 2, dispatched: 0 });
+  assert.deepEqual(report.events, [{ name: 'tool_call', count: 2 }, { name: 'notification_failed', count: 1 }]);
+  assert.equal(queued[0].to[0], 'boss@example.com');
+  assert.match(queued[0].text, /- Approved, waiting for dispatch: 2/);
+  assert.match(queued[0].text, /- tool_call: 2/);
+});
+
+test('runNodeScript returns output and rejects on a non-zero exit', async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'jobs-'));
+  const ok = path.join(dir, 'ok.mjs');
+  const bad = path.join(dir, 'bad.mjs');
+  fs.writeFileSync(ok, "process.send?.({ step: 1 }); console.log('synced 3 files');\n");
+  fs.writeFileSync(bad, "console.error('missing NOTION_TOKEN'); process.exit(2);\n");
+
+  const messages = [];
+  const result = await runNodeScript(ok, { cwd: dir, onMessage: (m) => messages.push(m) });
+  assert.equal(result.output, 'synced 3 files\n');
+  assert.deepEqual(messages, [{ step: 1 }]);
+  await assert.rejects(runNodeScript(bad, { cwd: dir }), /exited with 2: missing NOTION_TOKEN/);
+});
+
+test('knowledge sync job runs through the sync tracker and fails with it', async () => {
+  const results = [{ status: 'succeeded', progress: { uploaded: 2 } }, { status: 'failed', error: 'Missing env: OPENAI_API_KEY' }];
+  const triggers = [];
+  const syncJobs = {
+    start({ trigger }) {
+      triggers.push(trigger);
+      return { done: Promise.resolve({ id: `j${triggers.length}`, ...results.shift() }) };
+    }
+  };
+  const task = createKnowledgeSyncJob({ syncJobs });
+  assert.deepEqual(await task({ trigger: 'cron' }), { job_id: 'j1', uploaded: 2 });
+  await assert.rejects(task({ trigger: 'manual' }), /Missing env/);
+  assert.deepEqual(triggers, ['scheduler:cron', 'scheduler:manual']);
+});
+
+test('monthly report job emails last month\'s Markdown report', async () => {
+  const { n, queued } = notifier();
+  const reports = {
+    monthly: async () => ({ month: '2026-03', metrics: { requests: 4, approval: { rate: 0.5 } }, markdown: '# Sample requests: March 2026\n\n- Requests: 4 (16 units)\n' })
+  };
+  const result = await createMonthlySampleReportJob({ reports, notifier: n, recipients: ['boss@example.com'] })({ data: {}, now: new Date() });
+  assert.deepEqual(result, { month: '2026-03', requests: 4, approval_rate: 0.5, sent_to: 1 });
+  assert.equal(queued[0].subject, 'Monthly sample report 2026-03: 4 request(s)');
+  assert.match(queued[0].text, /^# Sample requests: March 2026\n\n- Requests: 4 \(16 units\)\n/);
+});
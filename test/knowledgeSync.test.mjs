@@ -0,0 +1,180 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { KnowledgeSync, hashContent, versionedFilename, formatPlan } from '../lib/knowledgeSync.mjs';
+import { SyncManifest } from '../lib/syncManifest.mjs';
+
+function fakeTarget(existing = []) {
+  const calls = { upload: [], remove: [] };
+  let n = 0;
+  return {
+    calls,
+    vectorStoreId: 'vs_1',
+    async files() { return existing; },
+    state: (files) => new Map(files.filter((f) => f.source_id).map((f) => [f.source_id, f])),
+    async upload(doc, content, meta) {
+      calls.upload.push({ id: doc.id, filename: doc.filename, content: content.toString(), ...meta });
+      return { file_id: `file-new${++n}` };
+    },
+    async remove(fileId) { calls.remove.push(fileId); }
+  };
+}
+
+const doc = (id, text, extra = {}) => ({ id, source: 'test', title: id, filename: `${id}.md`, load: async () => text, ...extra });
+
+test('hashContent and versionedFilename', () => {
+  assert.equal(hashContent('abc'), 'sha256:ba7816bf8f01cfea414140de5dae2223b00361a396177a9cb410ff61f20015ad');
+  assert.equal(hashContent(Buffer.from('abc')), hashContent('abc'));
+  assert.equal(versionedFilename('faq.md', 3), 'faq_v3.md');
+  assert.equal(versionedFilename('README', 1), 'README_v1');
+});
+
+test('uploads new documents, replaces changed ones and skips unchanged by hash', async () => {
+  const target = fakeTarget([
+    { source_id: 'same', file_id: 'file-same', content_hash: hashContent('same text'), version: 2 },
+    { source_id: 'changed', file_id: 'file-old', content_hash: hashContent('old text'), version: 1 }
+  ]);
+  const reported = [];
+  const source = {
+    name: 'test',
+    documents: async () => [doc('new', 'new text'), doc('same', 'same text'), doc('changed', 'new version')],
+    report: async (d, result) => reported.push([d.id, result.outcome])
+  };
+  const events = [];
+  const sync = new KnowledgeSync({ sources: [source], target, onProgress: (e, d) => events.push([e, d.outcome || d.documents]) });
+
+  const { totals, results } = await sync.run();
+  assert.deepEqual(totals, { scanned: 3, uploaded: 1, replaced: 1, unchanged: 1, skipped: 0, errored: 0 });
+  assert.deepEqual(target.calls.upload.map((u) => [u.id, u.filename, u.version]), [['new', 'new_v1.md', 1], ['changed', 'changed_v2.md', 2]]);
+  assert.equal(target.calls.upload[1].content_hash, hashContent('new version'));
+  assert.deepEqual(target.calls.remove, ['file-old']);
+  assert.equal(results[2].replaced_file_id, 'file-old');
+  assert.deepEqual(results[1], { id: 'same', source: 'test', title: 'same', outcome: 'unchanged', content_hash: hashContent('same text'), file_id: 'file-same', version: 2 });
+  assert.deepEqual(reported, [['new', 'uploaded'], ['same', 'unchanged'], ['changed', 'replaced']]);
+  assert.deepEqual(events, [['source', 3], ['document', 'uploaded'], ['document', 'unchanged'], ['document', 'replaced']]);
+});
+
+test('records skips and per-document errors without stopping', async () => {
+  const target = fakeTarget([{ source_id: 'broken', file_id: 'file-keep', content_hash: 'sha256:x', version: 1 }]);
+  target.upload = async () => { throw new Error('Indexing b.md failed: unsupported file'); };
+  const source = {
+    name: 'test',
+    documents: async () => [
+      doc('off', 'x', { skip: 'ingest is off' }),
+      doc('empty', '  \n'),
+      doc('broken', 'new text'),
+      doc('off', 'duplicate id is ignored')
+    ]
+  };
+
+  const { totals, results } = await new KnowledgeSync({ sources: [source], target }).run();
+  assert.deepEqual(totals, { scanned: 3, uploaded: 0, replaced: 0, unchanged: 0, skipped: 1, errored: 2 });
+  assert.equal(results[0].reason, 'ingest is off');
+  assert.equal(results[1].error, 'No text content extracted');
+  assert.match(results[2].error, /unsupported file/);
+  assert.deepEqual(target.calls.remove, [], 'the previous file stays when the new upload fails');
+});
+
+test('render wraps the upload without affecting the hash', async () => {
+  const target = fakeTarget();
+  const source = {
+    name: 'notion',
+    documents: async () => [doc('p1', 'Body', { render: (body, { version }) => Buffer.concat([Buffer.from(`v${version}\n`), body]) })]
+  };
+  await new KnowledgeSync({ sources: [source], target }).run();
+  assert.equal(target.calls.upload[0].content, 'v1\nBody');
+  assert.equal(target.calls.upload[0].content_hash, hashContent('Body'));
+});
+
+function planFixture() {
+  const target = fakeTarget([
+    { file_id: 'file-same', source_id: 'same', source: 'test', content_hash: hashContent('same text'), version: 1 },
+    { file_id: 'file-old', source_id: 'changed', source: 'test', content_hash: hashContent('old'), version: 1 },
+    { file_id: 'file-gone', source_id: 'deleted', source: 'test', content_hash: 'sha256:x', version: 4 },
+    { file_id: 'file-other', source_id: 'notion:p9', source: 'notion', content_hash: 'sha256:y', version: 1 },
+    { file_id: 'file-manual', source_id: null, filename: null }
+  ]);
+  const texts = { new: 'new text', same: 'same text', changed: 'new version' };
+  const reported = [];
+  const source = {
+    name: 'test',
+    documents: async () => [
+      ...Object.keys(texts).map((id) => doc(id, null, { load: async () => texts[id] })),
+      doc('off', 'x', { skip: 'ingest is off' })
+    ],
+    report: async (d, result) => reported.push([d.id, result.outcome])
+  };
+  return { target, texts, reported, sync: new KnowledgeSync({ sources: [source], target }) };
+}
+
+test('plan lists every action and orphan without touching anything', async () => {
+  const { target, reported, sync } = planFixture();
+  const plan = await sync.plan();
+
+  assert.deepEqual(plan.items.map((i) => [i.id, i.action]), [['new', 'upload'], ['same', 'unchanged'], ['changed', 'replace'], ['off', 'skip']]);
+  assert.deepEqual(plan.items[2], {
+    id: 'changed', source: 'test', title: 'changed', action: 'replace', content_hash: hashContent('new version'),
+    version: 2, filename: 'changed_v2.md', bytes: 11, previous_file_id: 'file-old', previous_version: 1
+  });
+  assert.deepEqual(plan.orphans, [
+    { file_id: 'file-gone', source_id: 'deleted', filename: null, reason: 'source_missing' },
+    { file_id: 'file-manual', source_id: null, filename: null, reason: 'unmanaged' }
+  ]);
+  assert.deepEqual(plan.totals, { upload: 1, replace: 1, unchanged: 1, skip: 1, error: 0, orphaned: 2 });
+  assert.deepEqual(target.calls, { upload: [], remove: [] });
+  assert.deepEqual(reported, []);
+
+  const text = formatPlan(plan);
+  assert.match(text, /^Sync plan for vector store vs_1 \(/);
+  assert.match(text, /Upload \(1\)\n  \+ new → new_v1\.md/);
+  assert.match(text, /Replace \(1\)\n  ~ changed → changed_v2\.md \(removes file-old\)/);
+  assert.match(text, /Skipped \(1\)\n  - off \(ingest is off\)/);
+  assert.match(text, /\? file-gone deleted \(source document is gone\)\n  \? file-manual \(not uploaded by the sync\)/);
+  assert.match(text, /1 to upload, 1 to replace, 1 unchanged, 1 skipped, 0 errors, 2 orphaned$/);
+});
+
+test('apply executes exactly a saved plan', async () => {
+  const { target, reported, sync } = planFixture();
+  const saved = JSON.parse(JSON.stringify(await sync.plan()));
+  saved.items = saved.items.filter((i) => i.id !== 'new'); // reviewer dropped an item
+
+  const { totals } = await sync.apply(saved);
+  assert.deepEqual(totals, { scanned: 3, uploaded: 0, replaced: 1, unchanged: 1, skipped: 1, errored: 0 });
+  assert.deepEqual(target.calls.upload.map((u) => [u.id, u.filename, u.version]), [['changed', 'changed_v2.md', 2]]);
+  assert.deepEqual(target.calls.remove, ['file-old']);
+  assert.deepEqual(reported, [['same', 'unchanged'], ['changed', 'replaced'], ['off', 'skipped']]);
+
+  await assert.rejects(sync.apply({ ...saved, vector_store_id: 'vs_2' }), /Plan is for vector store vs_2/);
+  await assert.rejects(sync.apply({ items: [] }), /Unsupported sync plan format/);
+});
+
+test('apply refuses items that changed since the plan', async () => {
+  const { target, texts, sync } = planFixture();
+  const plan = JSON.parse(JSON.stringify(await sync.plan()));
+  texts.new = 'edited after review';
+  (await target.files())[1].file_id = 'file-someone-else';
+
+  const { totals, results } = await sync.apply(plan);
+  assert.equal(totals.errored, 2);
+  assert.equal(results.find((r) => r.id === 'new').error, 'Content changed since the plan was made');
+  assert.equal(results.find((r) => r.id === 'changed').error, 'Vector store changed since the plan was made');
+  assert.deepEqual(target.calls.upload, []);
+});
+
+test('consults and updates the manifest', async () => {
+  const manifest = await SyncManifest.open(':memory:');
+  await manifest.record({ vector_store_id: 'vs_1', source_id: 'same', filename: 'same_v4.md', content_hash: hashContent('same text'), file_id: 'file-same', version: 4, bytes: 9, uploaded_at: '2025-01-01T00:00:00.000Z' });
+  await manifest.record({ vector_store_id: 'vs_1', source_id: 'lost', content_hash: hashContent('lost text'), file_id: 'file-lost', version: 1 });
+  // file-same has no attributes (uploaded before attributes existed); file-lost was removed from the store
+  const target = fakeTarget([{ source_id: null, file_id: 'file-same' }]);
+  const source = { name: 'test', documents: async () => [doc('same', 'same text'), doc('lost', 'lost text')] };
+
+  const { totals } = await new KnowledgeSync({ sources: [source], target, manifest }).run();
+  assert.deepEqual(totals, { scanned: 2, uploaded: 1, replaced: 0, unchanged: 1, skipped: 0, errored: 0 });
+  assert.deepEqual(target.calls.upload.map((u) => u.id), ['lost']);
+
+  const same = await manifest.get('vs_1', 'same');
+  assert.deepEqual([same.version, same.filename, same.bytes, same.uploaded_at], [4, 'same_v4.md', 9, '2025-01-01T00:00:00.000Z']);
+  const lost = await manifest.get('vs_1', 'lost');
+  assert.deepEqual([lost.file_id, lost.vs_file_id, lost.version, lost.filename, lost.bytes], ['file-new1', 'file-new1', 1, 'lost_v1.md', 9]);
+  await manifest.close();
+});
@@ -0,0 +1,130 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import {
+  NotificationQueue, SampleNotifier, OutboxTransport, WebhookTransport, SmtpTransport, createTransport
+} from '../lib/notifications.mjs';
+import { TemplateStore } from '../lib/templates.mjs';
+import { AuditLog } from '../lib/auditLog.mjs';
+
+const templatesDir = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', 'knowledge', 'templates');
+
+function flakyTransport(failures, { transient = true } = {}) {
+  const sent = [];
+  let calls = 0;
+  return {
+    name: 'fake',
+    sent,
+    async send(message) {
+      calls++;
+      if (calls <= failures) {
+        const e = new Error(`boom ${calls}`);
+        e.transient = transient;
+        throw e;
+      }
+      sent.push(message);
+      return { message_id: `<m${calls}@test>` };
+    }
+  };
+}
+
+test('retries transient failures with backoff, then records the message id', async () => {
+  const audit = new AuditLog();
+  const transport = flakyTransport(2);
+  const queue = new NotificationQueue({ transport, audit, baseDelayMs: 1 });
+  const job = queue.enqueue({ to: 'ops@example.com', subject: 'Hi', text: 'x', template: 'ops_email' });
+
+  assert.deepEqual(await job.done, { message_id: '<m3@test>' });
+  await queue.idle();
+  assert.equal(job.status, 'sent');
+  assert.equal(job.attempts, 3);
+  assert.equal(audit.recent({ type: 'notification_sent' })[0].message_id, '<m3@test>');
+  assert.equal(JSON.parse(JSON.stringify(queue.list()))[0].message, undefined);
+});
+
+test('gives up on permanent failures and after maxAttempts', async () => {
+  const audit = new AuditLog();
+  const permanent = new NotificationQueue({ transport: flakyTransport(1, { transient: false }), audit, baseDelayMs: 1 });
+  const a = permanent.enqueue({ to: 'x@example.com', subject: 's', text: 't' });
+  await assert.rejects(a.done, /boom 1/);
+  assert.equal(a.attempts, 1);
+
+  const exhausted = new NotificationQueue({ transport: flakyTransport(9), audit, maxAttempts: 2, baseDelayMs: 1 });
+  const b = exhausted.enqueue({ to: 'x@example.com', subject: 's', text: 't' });
+  await assert.rejects(b.done, /boom 2/);
+  await exhausted.idle();
+  assert.equal(b.status, 'failed');
+  assert.equal(audit.recent({ type: 'notification_failed' }).length, 2);
+});
+
+test('outbox transport writes .eml files', async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'outbox-'));
+  try {
+    const out = await new OutboxTransport({ dir }).send({ from: 'a@example.com', to: 'b@example.com', subject: 'S', text: 'T', template: 'ops_email' });
+    assert.match(path.basename(out.file), /-ops_email-[0-9a-f]{6}\.eml$/);
+    assert.match(fs.readFileSync(out.file, 'utf8'), new RegExp(`Message-ID: ${out.message_id}`));
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('webhook transport posts JSON and classifies errors', async () => {
+  const calls = [];
+  const fetch = async (url, init) => {
+    calls.push({ url, init });
+    return calls.length === 1
+      ? { ok: true, status: 200, text: async () => '{"message_id":"make-1"}' }
+      : { ok: false, status: 400, text: async () => 'bad' };
+  };
+  const transport = new WebhookTransport({ url: 'https://hook.example/x', token: 't', fetch });
+  assert.deepEqual(await transport.send({ to: 'a@example.com', subject: 'S', text: 'T' }), { message_id: 'make-1' });
+  assert.equal(calls[0].init.headers.Authorization, 'Bearer t');
+  assert.equal(JSON.parse(calls[0].init.body).event, 'notification');
+  await assert.rejects(() => transport.send({}), (e) => e.status === 400 && e.transient === false);
+});
+
+test('createTransport picks the transport from the environment', () => {
+  assert.ok(createTransport({ SMTP_HOST: 'smtp.example.com' }) instanceof SmtpTransport);
+  assert.ok(createTransport({ NOTIFY_WEBHOOK_URL: 'https://hook.example/x' }) instanceof WebhookTransport);
+  assert.equal(createTransport({ OUTBOX_DIR: '/tmp/o' }).dir, '/tmp/o');
+  assert.throws(() => createTransport({ NOTIFY_TRANSPORT: 'pigeon' }), /Unknown NOTIFY_TRANSPORT/);
+});
+
+test('SampleNotifier sends per-transition templates and records message ids', async () => {
+  const transport = flakyTransport(0);
+  const queue = new NotificationQueue({ transport, baseDelayMs: 1 });
+  const updates = [];
+  let stored = '';
+  const samplesDb = {
+    async get() { return { message_ids: stored }; },
+    async update(id, patch) { stored = patch.message_ids; updates.push({ id, patch }); }
+  };
+  const notifier = new SampleNotifier({
+    templates: new TemplateStore({ dir: templatesDir }),
+    queue,
+    samplesDb,
+    from: 'hello@example.com',
+    opsEmails: ['ops@example.com'],
+    approverEmails: ['boss@example.com', 'deputy@example.com'],
+    links: (sample, { approver, actions }) => Object.fromEntries(actions.map((a) => [a, `https://x/${sample.id}/${a}?for=${approver}`]))
+  });
+  const sample = { id: 'p1', product: 'OLB-15', qty: 2, recipient: 'Harbour Medical', address: '12 Quay Street, Auckland 1010', email: 'jo@example.com' };
+
+  const notices = notifier.onTransition(sample, { to: 'needs_approval' });
+  assert.equal(notices.length, 2);
+  const approved = notifier.onTransition(sample, { to: 'approved' });
+  assert.deepEqual(approved.map((j) => j.template), ['ops_email', 'customer_confirmation']);
+  assert.deepEqual(notifier.onTransition(sample, { to: 'fulfilled' }), []);
+
+  await queue.idle();
+  await notifier.recording;
+  assert.match(transport.sent[1].text, /https:\/\/x\/p1\/approve\?for=deputy@example\.com/);
+  assert.equal(transport.sent[3].to, 'jo@example.com');
+  assert.equal(updates.length, 4);
+  assert.deepEqual(stored.split('\n').map((l) => l.split(' ').slice(1).join(' ')), [
+    'approver_notice <m1@test>', 'approver_notice <m2@test>', 'ops_email <m3@test>', 'customer_confirmation <m4@test>'
+  ]);
+});
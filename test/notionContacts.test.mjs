@@ -0,0 +1,52 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { ContactsDB } from '../lib/notionContacts.mjs';
+
+function createMockClient({ existingHash } = {}) {
+  const state = { created: null, updated: null };
+  return {
+    state,
+    databases: {
+      async query({ filter }) {
+        return { results: filter.rich_text.equals === existingHash ? [{ id: 'page1' }] : [] };
+      }
+    },
+    pages: {
+      async create({ properties }) { state.created = properties; return { id: 'new-page' }; },
+      async update({ page_id, properties }) { state.updated = { page_id, properties }; return { id: page_id }; }
+    }
+  };
+}
+
+const contact = {
+  first_name: 'Aroha',
+  last_name: 'Ngata',
+  email: 'aroha@example.co.nz',
+  phone: '+6421555123',
+  reason: 'health_question',
+  summary: 'Asked whether the balm is safe during breastfeeding.'
+};
+
+test('creates a contact page with typed properties', async () => {
+  const mock = createMockClient();
+  const db = new ContactsDB({ databaseId: 'db', client: mock });
+  const id = await db.upsert({ ...contact, callback_due: '2025-08-20' });
+  assert.equal(id, 'new-page');
+  const p = mock.state.created;
+  assert.equal(p['Name'].title[0].text.content, 'Aroha Ngata');
+  assert.equal(p['Email'].email, 'aroha@example.co.nz');
+  assert.equal(p['Phone'].phone_number, '+6421555123');
+  assert.equal(p['Reason'].select.name, 'health_question');
+  assert.equal(p['Callback Due'].date.start, '2025-08-20');
+});
+
+test('dedupes on who and why, not on the summary wording', async () => {
+  const hash = ContactsDB.hash(contact);
+  assert.equal(hash, ContactsDB.hash({ ...contact, summary: 'Different words', email: 'AROHA@example.co.nz' }));
+  assert.notEqual(hash, ContactsDB.hash({ ...contact, reason: 'complaint' }));
+
+  const mock = createMockClient({ existingHash: hash });
+  const db = new ContactsDB({ databaseId: 'db', client: mock });
+  assert.equal(await db.upsert(contact), 'page1');
+  assert.equal(mock.state.updated.page_id, 'page1');
+});
@@ -0,0 +1,59 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { NotionMarkdown, blocksToMarkdown, richTextToMarkdown } from '../lib/notionMarkdown.mjs';
+
+const FIXTURES = path.join(path.dirname(fileURLToPath(import.meta.url)), 'fixtures', 'notion');
+
+// Serves recorded API responses: {blocks: {id: [page, …]}, databases: {id: db}, queries: {id: [page, …]}}
+function recordedNotion(fixture) {
+  const paged = (pages, cursor) => (cursor ? pages[pages.findIndex((p) => p.next_cursor === cursor) + 1] : pages[0]);
+  return {
+    blocks: { children: { list: async ({ block_id, start_cursor }) => paged(fixture.blocks[block_id] || [{ results: [], has_more: false }], start_cursor) } },
+    databases: {
+      async retrieve({ database_id }) {
+        if (!fixture.databases?.[database_id]) throw new Error('Could not find database');
+        return fixture.databases[database_id];
+      },
+      query: async ({ database_id, start_cursor }) => paged(fixture.queries[database_id], start_cursor)
+    }
+  };
+}
+
+// Compares with <name>.md next to the fixture; UPDATE_SNAPSHOTS=1 rewrites it
+function assertSnapshot(name, actual) {
+  const file = path.join(FIXTURES, `${name}.md`);
+  if (process.env.UPDATE_SNAPSHOTS || !fs.existsSync(file)) fs.writeFileSync(file, actual);
+  assert.equal(actual, fs.readFileSync(file, 'utf8'));
+}
+
+for (const name of fs.readdirSync(FIXTURES).filter((f) => f.endsWith('.json')).map((f) => f.slice(0, -5))) {
+  test(`renders recorded page ${name}`, async () => {
+    const fixture = JSON.parse(fs.readFileSync(path.join(FIXTURES, `${name}.json`), 'utf8'));
+    const md = await new NotionMarkdown({ client: recordedNotion(fixture) }).pageToMarkdown(fixture.page_id);
+    assertSnapshot(name, md);
+  });
+}
+
+test('rich text annotations hug the text and adjacent runs merge', () => {
+  const t = (content, annotations = {}, href = null) => ({ type: 'text', plain_text: content, annotations, href });
+  assert.equal(richTextToMarkdown([t('a '), t('bold ', { bold: true }), t('run', { bold: true }), t(' and '), t('link', { italic: true }, 'https://x')]),
+    'a **bold run** and [*link*](https://x)');
+  assert.equal(richTextToMarkdown([{ type: 'equation', equation: { expression: 'e=mc^2' }, plain_text: 'e=mc^2' }]), '$e=mc^2$');
+  assert.equal(richTextToMarkdown(undefined), '');
+});
+
+test('numbering restarts after any other block', () => {
+  const item = (text) => ({ type: 'numbered_list_item', numbered_list_item: { rich_text: [{ plain_text: text }] } });
+  const md = blocksToMarkdown([item('a'), item('b'), { type: 'divider', divider: {} }, item('c')]);
+  assert.equal(md, '1. a\n2. b\n\n---\n\n1. c');
+});
+
+test('names the child database that could not be read', async () => {
+  const notion = recordedNotion({
+    blocks: { page: [{ results: [{ id: 'db-1', type: 'child_database', child_database: { title: 'Linked view' } }], has_more: false }] }
+  });
+  await assert.rejects(new NotionMarkdown({ client: notion }).pageToMarkdown('page'), /Child database "Linked view": Could not find database/);
+});
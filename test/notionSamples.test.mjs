@@ -42,16 +42,84 @@ test('creates new page when hash not found', async () => {
   assert.ok(mock._getState().queryFilter.rich_text.equals);
 });
 
-test('updates page when hash exists', async () => {
+test('returns the existing page unchanged when hash exists', async () => {
   const mock = createMockClient();
   const db = new SamplesDB({ token: 'x', databaseId: 'db', client: mock });
-  // Force hash to match existing-hash
-  const sample = { requester: 'Bob', product: 'Lotion' };
-  const hash = SamplesDB.hash(sample);
-  // Monkey patch find to simulate existing
+  const sample = { requester: 'Bob', product: 'Lotion', status: 'intake' };
+  // Monkey patch find to simulate an existing page, e.g. one already approved
   mock.databases.query = async () => ({ results: [{ id: 'page1' }] });
   const id = await db.upsert(sample);
   assert.equal(id, 'page1');
-  assert.equal(mock._getState().updated.page_id, 'page1');
-  assert.ok(mock._getState().updated.properties['Content Hash']);
+  assert.equal(mock._getState().updated, null, 'status and timestamps are left alone');
+  assert.equal(mock._getState().created, null);
+});
+
+test('update writes status, timestamp and history properties', async () => {
+  const mock = createMockClient();
+  const db = new SamplesDB({ token: 'x', databaseId: 'db', client: mock });
+  await db.update('page1', {
+    status: 'approved',
+    approver: 'ops@example.com',
+    timestamps: { approved: '2025-08-01T09:00:00.000Z' },
+    history: 'x'.repeat(2100) + 'tail'
+  });
+  const { page_id, properties } = mock._getState().updated;
+  assert.equal(page_id, 'page1');
+  assert.equal(properties['Status'].select.name, 'approved');
+  assert.equal(properties['Approved At'].date.start, '2025-08-01T09:00:00.000Z');
+  assert.ok(properties['History'].rich_text[0].text.content.endsWith('tail'));
+  assert.equal(properties['Requester'], undefined);
+});
+
+test('fromPage reads properties back into a sample', () => {
+  const rt = (s) => ({ rich_text: [{ plain_text: s }] });
+  const sample = SamplesDB.fromPage({
+    id: 'page1',
+    properties: {
+      'Requester': { title: [{ plain_text: 'Alice' }] },
+      'Product': rt('OLB-15'),
+      'Qty': { number: 2 },
+      'Status': { select: { name: 'needs_approval' } },
+      'Needs Approval At': { date: { start: '2025-08-01' } }
+    }
+  });
+  assert.equal(sample.requester, 'Alice');
+  assert.equal(sample.product, 'OLB-15');
+  assert.equal(sample.qty, 2);
+  assert.equal(sample.status, 'needs_approval');
+  assert.equal(sample.timestamps.needs_approval, '2025-08-01');
+});
+
+test('listSince pages through samples created after a date', async () => {
+  const calls = [];
+  const page = (id) => ({ id, properties: { 'Recipient': { rich_text: [{ plain_text: 'Harbour Medical' }] }, 'Qty': { number: 1 } } });
+  const client = {
+    databases: {
+      async query(args) {
+        calls.push(args);
+        return args.start_cursor
+          ? { results: [page('p2')], has_more: false }
+          : { results: [page('p1')], has_more: true, next_cursor: 'c1' };
+      }
+    }
+  };
+  const db = new SamplesDB({ token: 'x', databaseId: 'db', client });
+  const samples = await db.listSince(new Date('2025-01-01T00:00:00Z'));
+  assert.deepEqual(samples.map((s) => s.id), ['p1', 'p2']);
+  assert.equal(samples[0].recipient, 'Harbour Medical');
+  assert.equal(calls[0].filter.created_time.on_or_after, '2025-01-01T00:00:00.000Z');
+  assert.equal(calls[1].start_cursor, 'c1');
+});
+
+test('listBetween filters on created time within the range', async () => {
+  let query;
+  const client = { databases: { async query(args) { query = args; return { results: [], has_more: false }; } } };
+  const db = new SamplesDB({ token: 'x', databaseId: 'db', client });
+  assert.deepEqual(await db.listBetween('2026-03-01', '2026-04-01T00:00:00Z'), []);
+  assert.deepEqual(query.filter, {
+    and: [
+      { timestamp: 'created_time', created_time: { on_or_after: '2026-03-01T00:00:00.000Z' } },
+      { timestamp: 'created_time', created_time: { before: '2026-04-01T00:00:00.000Z' } }
+    ]
+  });
 });
@@ -0,0 +1,44 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import zlib from 'node:zlib';
+import { renderPackingSlips, requestCode } from '../lib/packingSlip.mjs';
+import { ProductCatalog } from '../lib/productCatalog.mjs';
+
+function pageTexts(buffer) {
+  const pdf = buffer.toString('latin1');
+  return [...pdf.matchAll(/stream\n([\s\S]*?)\nendstream/g)].map((m) =>
+    [...zlib.inflateSync(Buffer.from(m[1], 'latin1')).toString('latin1').matchAll(/\((.*?)\) Tj/g)].map((t) => t[1]).join('\n'));
+}
+
+const catalog = new ProductCatalog([{ sku: 'OLB-15', name: 'The Other Lips Balm 15 ml', aliases: 'lip balm;OLB', size_ml: '15' }]);
+const sample = {
+  id: '1f2e3d4c-aaaa-bbbb-cccc-1234567890ab',
+  status: 'approved',
+  product: 'lip balm',
+  qty: 5,
+  recipient: 'Dr Jane Smith, Harbour Medical',
+  address: '12 Quay Street, Auckland 1010',
+  purpose: 'GP practice',
+  notes: 'Leave at reception\nthread: thread_abc'
+};
+
+test('renders one page per sample with catalogue SKU, barcode text and notes', () => {
+  const buf = renderPackingSlips([sample, { ...sample, id: 'p2', product: 'Mystery Cream', qty: 1 }], { catalog, now: new Date('2025-08-20T00:00:00Z') });
+  const [first, second] = pageTexts(buf);
+
+  assert.match(buf.toString('latin1'), /\/Count 2/);
+  assert.match(first, /PACKING SLIP/);
+  assert.match(first, /^OLB-15$/m);
+  assert.match(first, /The Other Lips Balm 15 ml/);
+  assert.match(first, new RegExp(`^${requestCode(sample)}$`, 'm'));
+  assert.match(first, /Date: 2025-08-20/);
+  assert.match(first, /Leave at reception/);
+  assert.doesNotMatch(first, /thread_abc/);
+  assert.match(second, /^-$/m);
+  assert.match(second, /Mystery Cream/);
+});
+
+test('an empty batch still produces a printable page', () => {
+  const [page] = pageTexts(renderPackingSlips([], { now: new Date('2025-08-20T00:00:00Z') }));
+  assert.match(page, /No approved sample requests are waiting for dispatch \\\(2025-08-20\\\)/);
+});
@@ -0,0 +1,41 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import zlib from 'node:zlib';
+import { PdfDocument, wrapText, textWidth, winAnsi } from '../lib/pdf.mjs';
+
+/** Decompressed content streams of a PDF buffer. */
+function contents(buffer) {
+  const pdf = buffer.toString('latin1');
+  return [...pdf.matchAll(/stream\n([\s\S]*?)\nendstream/g)]
+    .map((m) => zlib.inflateSync(Buffer.from(m[1], 'latin1')).toString('latin1'));
+}
+
+test('writes a well-formed document with a valid xref table', () => {
+  const doc = new PdfDocument({ title: 'Test' });
+  doc.text('Page one (draft)', 50, 60, { font: 'bold' });
+  doc.addPage().text('Page two', 50, 60).rect(50, 100, 10, 20).line(50, 130, 200, 130);
+  const buf = doc.toBuffer();
+  const pdf = buf.toString('latin1');
+
+  assert.ok(pdf.startsWith('%PDF-1.4'));
+  assert.match(pdf, /\/Count 2/);
+  const xrefAt = Number(/startxref\n(\d+)/.exec(pdf)[1]);
+  assert.equal(pdf.slice(xrefAt, xrefAt + 4), 'xref');
+  const offsets = pdf.slice(xrefAt).split('\n').filter((l) => / 00000 n $/.test(l)).map((l) => Number(l.slice(0, 10)));
+  offsets.forEach((o, i) => assert.ok(pdf.startsWith(`${i + 1} 0 obj`, o), `object ${i + 1}`));
+
+  const [one, two] = contents(buf);
+  assert.match(one, /\/F2 10 Tf 50 781.89 Td \(Page one \\\(draft\\\)\) Tj/);
+  assert.match(two, /50 721.89 10 20 re f/);
+});
+
+test('encodes text as WinAnsi', () => {
+  assert.deepEqual(winAnsi('A×ā€'), [65, 0xd7, 97, 0x80]);
+  assert.deepEqual(winAnsi('中'), [63]);
+});
+
+test('measures and wraps text with Helvetica metrics', () => {
+  assert.equal(textWidth('Hello', 10), 22.78);
+  assert.deepEqual(wrapText('one two three four', textWidth('one two three', 10), 10), ['one two three', 'four']);
+  assert.deepEqual(wrapText('a\n\nb', 100, 10), ['a', '', 'b']);
+});
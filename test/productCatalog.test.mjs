@@ -0,0 +1,154 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import {
+  ProductCatalog, CatalogValidationError, parseProductCsv, validateProducts, formatCatalogError,
+  parseProductQuery, createProductLookupTool
+} from '../lib/productCatalog.mjs';
+
+test('finds products by SKU, name or alias and merges later files', () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'catalog-'));
+  try {
+    const base = path.join(dir, 'products.csv');
+    const enriched = path.join(dir, 'products_enriched.csv');
+    fs.writeFileSync(base, 'sku,name,aliases,size_ml\nOLB-15,The Other Lips Balm,lip balm;OLB,15\n');
+    fs.writeFileSync(enriched, 'sku,name,price,skin_type,skin_types,oil_based,condom_compatible\nOLB-15,,34.90,dry,sensitive;dry,true,false\n');
+    const catalog = ProductCatalog.fromFiles([base, enriched, path.join(dir, 'missing.csv')]);
+
+    assert.equal(catalog.find('olb-15').price, 34.9);
+    assert.equal(catalog.find('olb-15').size_ml, 15);
+    assert.deepEqual(catalog.find('olb-15').skin_types, ['dry', 'sensitive']);
+    assert.deepEqual(catalog.find('olb-15').aliases, ['lip balm', 'OLB']);
+    assert.deepEqual(catalog.errors, []);
+    assert.equal(catalog.find('The other  lips balm').sku, 'OLB-15');
+    assert.equal(catalog.find('Lip Balm').name, 'The Other Lips Balm');
+    assert.equal(catalog.find('nope'), null);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+const csv = (lines) => lines.join('\n') + '\n';
+
+test('types cells per schema and reports bad cells and columns by row', () => {
+  const { rows, errors } = parseProductCsv(csv([
+    'SKU,name,fragrance_free,price,colour',
+    'AQ-50,Aqua Silk,Yes,$14.50,blue',
+    'AQ-100,Aqua Silk 100,maybe,-1,',
+    'bad sku!,Broken,,,'
+  ]), { file: 'knowledge/products.csv' });
+  assert.deepEqual(rows[0], { row: 1, sku: 'AQ-50', name: 'Aqua Silk', fragrance_free: true, price: 14.5 });
+  assert.deepEqual(errors.map(formatCatalogError), [
+    'products.csv colour: unknown column',
+    'products.csv row 2 (AQ-100) fragrance_free: "maybe" is not true/false',
+    'products.csv row 2 (AQ-100) price: must be at least 0',
+    'products.csv row 3 (bad sku!) sku: "bad sku!" is not valid'
+  ]);
+
+  const quoted = parseProductCsv('"sku,name,aliases"\n');
+  assert.deepEqual(quoted.errors.map((e) => [e.field, e.message]), [
+    ['sku,name,aliases', 'unknown column'],
+    ['sku', 'required column is missing']
+  ]);
+});
+
+test('applies cross-field rules and alias uniqueness, leaving invalid products out', () => {
+  const parse = (lines, file) => ({ file, ...parseProductCsv(csv(lines), { file }) });
+  const { products, errors } = validateProducts([
+    parse([
+      'sku,name,aliases,oil_based,condom_compatible,fragrance_free,key_ingredients',
+      'OLB-15,The Other Lips Balm,lip balm,true,,true,Pumpkin seed oil;Shea butter',
+      'AQ-50,Aqua Silk,silk,false,true,true,Aloe;Parfum',
+      'VO-100,Velvet Oil,lip balm,,,,',
+      'VO-100,Velvet Oil again,,,,,',
+      'CO-30,Coconut Balm,,true,,,'
+    ], 'products.csv'),
+    parse(['sku,condom_compatible', 'OLB-15,yes', 'NEW-1,'], 'products_enriched.csv')
+  ]);
+  assert.deepEqual(errors.map(formatCatalogError), [
+    'products.csv row 4 (VO-100) sku: is duplicated in this file',
+    'products_enriched.csv row 1 (OLB-15) condom_compatible: oil_based products must be condom_compatible=false (oil degrades latex)',
+    'products.csv row 2 (AQ-50) fragrance_free: fragrance_free products cannot list fragrance or parfum in key_ingredients',
+    'products.csv row 4 (VO-100) oil_based: is required',
+    'products.csv row 4 (VO-100) condom_compatible: is required',
+    'products.csv row 5 (CO-30) condom_compatible: is required',
+    'products.csv row 5 (CO-30) condom_compatible: oil_based products must be condom_compatible=false (oil degrades latex)',
+    'products_enriched.csv row 2 (NEW-1) name: is required',
+    'products_enriched.csv row 2 (NEW-1) oil_based: is required',
+    'products_enriched.csv row 2 (NEW-1) condom_compatible: is required',
+    'products.csv row 4 (VO-100) aliases: "lip balm" also names OLB-15'
+  ]);
+  assert.deepEqual(products, []);
+  assert.equal(errors[1].rule, 'oil_based_not_condom_compatible');
+});
+
+test('strict loading throws with every row error', () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'catalog-'));
+  try {
+    const file = path.join(dir, 'products.csv');
+    fs.writeFileSync(file, csv(['sku,name,oil_based,condom_compatible', 'OLB-15,Balm,true,true', 'AQ-50,Aqua,false,true', 'VO-100,Velvet Oil,yes,no']));
+    const lenient = ProductCatalog.fromFiles([file]);
+    assert.deepEqual(lenient.products.map((p) => p.sku), ['AQ-50', 'VO-100']);
+    assert.equal(lenient.errors.length, 1);
+    assert.throws(() => ProductCatalog.fromFiles([file], { strict: true }), (e) =>
+      e instanceof CatalogValidationError && e.code === 'invalid_product_data' && e.details.errors.length === 1
+      && /products\.csv row 1 \(OLB-15\) condom_compatible: oil_based products must be condom_compatible=false/.test(e.message));
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('the shipped product CSVs are valid', () => {
+  const dir = path.join(path.dirname(new URL(import.meta.url).pathname), '..', 'knowledge');
+  const catalog = ProductCatalog.fromFiles([path.join(dir, 'products.csv'), path.join(dir, 'products_enriched.csv')], { strict: true });
+  assert.ok(Array.isArray(catalog.products));
+});
+
+const products = () => new ProductCatalog([
+  { sku: 'OLB-15', name: 'The Other Lips Balm', aliases: ['lip balm'], category: 'Balm', skin_types: ['dry', 'sensitive'], key_ingredients: ['Shea butter'], fragrance_free: true, oil_based: true, condom_compatible: false, price: 34.9 },
+  { sku: 'AQ-50', name: 'Aqua Silk', aliases: ['silk'], category: 'Lubricant', skin_types: ['sensitive'], key_ingredients: ['Aloe vera'], fragrance_free: true, oil_based: false, condom_compatible: true, price: 14.5 },
+  { sku: 'VO-100', name: 'Velvet Oil', category: 'Lubricant', key_ingredients: ['Rosehip oil'], fragrance_free: false, oil_based: true, condom_compatible: null }
+], { sources: ['products.csv', 'products_enriched.csv'] });
+
+test('searches by alias, words and attribute filters', () => {
+  const catalog = products();
+  const skus = (filter) => catalog.search(filter).map((p) => p.sku);
+  assert.deepEqual(skus({}), ['OLB-15', 'AQ-50', 'VO-100']);
+  assert.deepEqual(skus({ q: 'Lip Balm' }), ['OLB-15']);
+  assert.deepEqual(skus({ q: 'oil' }), ['VO-100']);
+  assert.deepEqual(skus({ category: 'lubricant', fragrance_free: true }), ['AQ-50']);
+  assert.deepEqual(skus({ condom_compatible: false }), ['OLB-15'], 'unknown is not false');
+  assert.deepEqual(skus({ skin_types: ['Dry', 'oily'] }), ['OLB-15']);
+  assert.deepEqual(skus({ min_price: 10, max_price: 20 }), ['AQ-50']);
+  assert.deepEqual(skus({ max_price: 100 }), ['OLB-15', 'AQ-50'], 'no price, no match');
+});
+
+test('parses query strings and typed tool arguments into a filter', () => {
+  assert.deepEqual(parseProductQuery({ q: ' balm ', skin_type: 'dry, sensitive', fragrance_free: 'yes', min_price: '10', max_price: '', limit: '5' }), {
+    filter: { q: 'balm', skin_types: ['dry', 'sensitive'], fragrance_free: true, min_price: 10 },
+    errors: []
+  });
+  assert.deepEqual(parseProductQuery({ skin_types: ['dry'], condom_compatible: false, max_price: 20 }).filter, { skin_types: ['dry'], condom_compatible: false, max_price: 20 });
+  assert.deepEqual(parseProductQuery({ oil_based: 'maybe', min_price: '30', max_price: '20' }).errors, [
+    'oil_based: "maybe" is not true/false',
+    'min_price: must not be more than max_price'
+  ]);
+});
+
+test('lookup_product returns exact attributes with the source to cite', async () => {
+  const tool = createProductLookupTool({ catalog: products() });
+  const one = await tool.handler({ product: 'the other lips balm' });
+  assert.equal(one.ok, true);
+  assert.equal(one.product.condom_compatible, false);
+  assert.equal(one.source, 'products.csv, products_enriched.csv');
+
+  const list = await tool.handler({ fragrance_free: true, limit: 1 });
+  assert.equal(list.count, 2);
+  assert.deepEqual(list.products.map((p) => p.sku), ['OLB-15']);
+
+  assert.deepEqual(await tool.handler({ product: 'velvet' }), { ok: true, count: 1, products: [products().find('VO-100')], source: 'products.csv, products_enriched.csv' });
+  assert.equal((await tool.handler({ product: 'massage candle' })).error, 'No product matches "massage candle"');
+  assert.equal((await tool.handler({ oil_based: 'sometimes' })).ok, false);
+});
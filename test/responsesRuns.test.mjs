@@ -0,0 +1,178 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { ResponsesRunner } from '../lib/responsesRuns.mjs';
+import { ToolRegistry } from '../lib/tools.mjs';
+
+function message(text, annotations = []) {
+  return { type: 'message', role: 'assistant', content: [{ type: 'output_text', text, annotations }] };
+}
+
+function functionCall(call_id, name, args) {
+  return { type: 'function_call', call_id, name, arguments: JSON.stringify(args) };
+}
+
+// responses.create returns the queued responses in order (streamed as events when stream: true)
+function createMockOpenAI(responses) {
+  const calls = [];
+  const openai = {
+    calls,
+    responses: {
+      async create(body, options = {}) {
+        calls.push(body);
+        const response = { usage: { input_tokens: 10, output_tokens: 5, total_tokens: 15 }, ...responses.shift() };
+        if (typeof response.hang === 'function') return response.hang(options.signal);
+        if (!body.stream) return response;
+        return (async function* () {
+          yield { type: 'response.created', response: { id: response.id, status: 'in_progress' } };
+          for (const item of response.output || []) {
+            if (item.type === 'function_call') yield { type: 'response.output_item.added', item };
+            for (const c of item.content || []) yield { type: 'response.output_text.delta', delta: c.text };
+          }
+          yield { type: `response.${response.status}`, response };
+        })();
+      }
+    }
+  };
+  return openai;
+}
+
+function echoTools() {
+  const tools = new ToolRegistry();
+  tools.register('lookup_product', {
+    description: 'Find a product',
+    parameters: { type: 'object', properties: { product: { type: 'string' } }, required: ['product'] },
+    handler: async ({ product }, context) => ({ ok: true, sku: product.toUpperCase(), thread: context.thread_id })
+  });
+  return tools;
+}
+
+test('answers with file_search over the vector store, chained to the previous response', async () => {
+  const openai = createMockOpenAI([{
+    id: 'resp_2',
+    status: 'completed',
+    output: [
+      { type: 'file_search_call', id: 'fs_1', status: 'completed' },
+      message('It is oil-based.', [
+        { type: 'file_citation', file_id: 'file_1', filename: 'faq.md', index: 3 },
+        { type: 'file_citation', file_id: 'file_1', filename: 'faq.md', index: 9 }
+      ])
+    ]
+  }]);
+  const runner = new ResponsesRunner({ openai, model: 'gpt-4o-mini', instructions: 'Be kind.' });
+  const out = await runner.run({
+    input: [{ role: 'user', content: 'Is the balm oil-based?' }],
+    previousResponseId: 'resp_1',
+    vectorStoreId: 'vs_1',
+    threadId: 'thread_resp_a'
+  });
+
+  assert.deepEqual(openai.calls[0], {
+    model: 'gpt-4o-mini',
+    input: [{ role: 'user', content: 'Is the balm oil-based?' }],
+    instructions: 'Be kind.',
+    tools: [{ type: 'file_search', vector_store_ids: ['vs_1'] }],
+    previous_response_id: 'resp_1',
+    store: true
+  });
+  assert.deepEqual(out, {
+    answer: 'It is oil-based.',
+    citations: [{ file_id: 'file_1', filename: 'faq.md', quote: '' }],
+    usage: { input_tokens: 10, output_tokens: 5, total_tokens: 15 },
+    run_id: 'resp_2',
+    response_id: 'resp_2',
+    status: 'completed'
+  });
+});
+
+test('dispatches function calls and chains their outputs until the model answers', async () => {
+  const openai = createMockOpenAI([
+    { id: 'resp_1', status: 'completed', output: [functionCall('call_1', 'lookup_product', { product: 'olb-15' })] },
+    { id: 'resp_2', status: 'completed', output: [message('Found it.')] }
+  ]);
+  const runner = new ResponsesRunner({ openai, model: 'm', tools: echoTools() });
+  const out = await runner.run({ input: 'Tell me about OLB-15', threadId: 'thread_resp_a', context: { tenant: 'default' } });
+
+  assert.deepEqual(openai.calls[0].tools, [{
+    type: 'function',
+    name: 'lookup_product',
+    description: 'Find a product',
+    parameters: { type: 'object', properties: { product: { type: 'string' } }, required: ['product'] },
+    strict: false
+  }]);
+  assert.equal(openai.calls[1].previous_response_id, 'resp_1');
+  assert.deepEqual(openai.calls[1].input, [{
+    type: 'function_call_output',
+    call_id: 'call_1',
+    output: JSON.stringify({ ok: true, sku: 'OLB-15', thread: 'thread_resp_a' })
+  }]);
+  assert.equal(out.answer, 'Found it.');
+  assert.equal(out.run_id, 'resp_1');
+  assert.equal(out.response_id, 'resp_2');
+  assert.deepEqual(out.usage, { input_tokens: 20, output_tokens: 10, total_tokens: 30 });
+});
+
+test('streams status, delta, tool and citation events', async () => {
+  const openai = createMockOpenAI([
+    { id: 'resp_1', status: 'completed', output: [functionCall('call_1', 'lookup_product', { product: 'aq-50' })] },
+    { id: 'resp_2', status: 'completed', output: [message('Aqua Silk.', [{ type: 'file_citation', file_id: 'file_2', filename: 'products.csv', index: 0 }])] }
+  ]);
+  const runner = new ResponsesRunner({ openai, model: 'm', tools: echoTools() });
+  const events = [];
+  const out = await runner.run({ input: 'AQ-50?', threadId: 't', onEvent: (event, data) => events.push([event, data]) });
+
+  assert.equal(openai.calls[0].stream, true);
+  assert.deepEqual(events, [
+    ['status', { status: 'in_progress', run_id: 'resp_1' }],
+    ['tool', { name: 'lookup_product', tool_call_id: 'call_1' }],
+    ['status', { status: 'completed', run_id: 'resp_1' }],
+    ['tool_result', { name: 'lookup_product', tool_call_id: 'call_1', ok: true }],
+    ['status', { status: 'in_progress', run_id: 'resp_2' }],
+    ['delta', { text: 'Aqua Silk.' }],
+    ['status', { status: 'completed', run_id: 'resp_2' }],
+    ['citation', { file_id: 'file_2', filename: 'products.csv', quote: '' }]
+  ]);
+  assert.equal(out.answer, 'Aqua Silk.');
+});
+
+test('raises run errors with the response\'s error details', async () => {
+  const runner = new ResponsesRunner({
+    openai: createMockOpenAI([
+      { id: 'resp_1', status: 'incomplete', incomplete_details: { reason: 'max_output_tokens' }, output: [] },
+      { id: 'resp_2', status: 'failed', error: { code: 'server_error', message: 'Boom' }, output: [] },
+      { id: 'resp_3', status: 'completed', output: [functionCall('call_1', 'lookup_product', {})] }
+    ]),
+    model: 'm'
+  });
+  await assert.rejects(runner.run({ input: 'Hi', threadId: 't' }), (e) =>
+    e.code === 'run_incomplete' && e.message === 'Run incomplete: max_output_tokens' && e.details.thread_id === 't');
+  await assert.rejects(runner.run({ input: 'Hi', threadId: 't' }), (e) =>
+    e.code === 'run_failed' && e.status === 502 && e.details.last_error.code === 'server_error');
+  await assert.rejects(runner.run({ input: 'Hi', threadId: 't' }), (e) =>
+    e.code === 'run_requires_action' && /requires_action \(lookup_product\)/.test(e.message));
+});
+
+test('times out and can be cancelled by run id', async () => {
+  const hang = (signal) => new Promise((resolve, reject) => signal.addEventListener('abort', () => reject(new Error('aborted'))));
+  const slow = new ResponsesRunner({ openai: createMockOpenAI([{ hang }]), model: 'm', runTimeoutMs: 20 });
+  await assert.rejects(slow.run({ input: 'Hi', threadId: 't' }), (e) => e.code === 'run_timeout' && e.status === 504);
+
+  const openai = createMockOpenAI([{ id: 'resp_1', status: 'completed', output: [functionCall('call_1', 'lookup_product', { product: 'x' })] }, { hang }]);
+  const runner = new ResponsesRunner({ openai, model: 'm', tools: echoTools() });
+  const running = runner.run({ input: 'Hi', threadId: 't', onEvent: () => {} });
+  while (openai.calls.length < 2) await new Promise((r) => setImmediate(r));
+  assert.throws(() => runner.cancel('resp_1', { threadId: 'other' }), (e) => e.status === 404, 'a run of another thread');
+  assert.deepEqual(runner.cancel('resp_1', { threadId: 't' }), { id: 'resp_1', status: 'cancelling' });
+  await assert.rejects(running, (e) => e.code === 'run_cancelled' && e.details.run_id === 'resp_1');
+  assert.throws(() => runner.cancel('resp_1'), (e) => e.status === 404);
+});
+
+test('cancels the run when the caller aborts its signal', async () => {
+  const hang = (signal) => new Promise((resolve, reject) => signal.addEventListener('abort', () => reject(new Error('aborted'))));
+  const openai = createMockOpenAI([{ hang }]);
+  const runner = new ResponsesRunner({ openai, model: 'm' });
+  const disconnected = new AbortController();
+  const running = runner.run({ input: 'Hi', threadId: 't', signal: disconnected.signal });
+  while (openai.calls.length < 1) await new Promise((r) => setImmediate(r));
+  disconnected.abort();
+  await assert.rejects(running, (e) => e.code === 'run_cancelled');
+});
@@ -0,0 +1,168 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { ServiceLimiter, ServiceLimiters, classify, retryAfterMs, backoffDelay } from '../lib/retry.mjs';
+
+const quiet = { warn() {} };
+
+function response(status, headers = {}) {
+  return new Response(status === 204 ? null : JSON.stringify({ status }), { status, headers });
+}
+
+test('classifies statuses and network errors as retryable or fatal', () => {
+  for (const status of [408, 409, 429, 500, 502, 503, 504]) assert.equal(classify({ status }), 'retryable', String(status));
+  for (const status of [400, 401, 403, 404, 422, 501]) assert.equal(classify({ status }), 'fatal', String(status));
+  assert.equal(classify(Object.assign(new Error('socket hang up'), { code: 'ECONNRESET' })), 'retryable');
+  assert.equal(classify(new TypeError('fetch failed', { cause: { code: 'UND_ERR_SOCKET' } })), 'retryable');
+  assert.equal(classify(new TypeError('fetch failed')), 'retryable');
+  assert.equal(classify(Object.assign(new Error('aborted'), { name: 'AbortError' })), 'fatal');
+  assert.equal(classify(new Error('Invalid property')), 'fatal');
+
+  const unsafe = { idempotent: false };
+  for (const status of [425, 429, 503]) assert.equal(classify({ status }, unsafe), 'retryable', String(status));
+  for (const status of [408, 409, 500, 502, 504]) assert.equal(classify({ status }, unsafe), 'fatal', String(status));
+  assert.equal(classify(new TypeError('fetch failed', { cause: { code: 'ECONNREFUSED' } }), unsafe), 'retryable');
+  assert.equal(classify(Object.assign(new Error('socket hang up'), { code: 'ECONNRESET' }), unsafe), 'fatal');
+  assert.equal(classify(new TypeError('fetch failed'), unsafe), 'fatal');
+});
+
+test('reads Retry-After as milliseconds, seconds or an HTTP date', () => {
+  const now = Date.parse('2026-03-01T00:00:00Z');
+  assert.equal(retryAfterMs(new Headers({ 'retry-after-ms': '250', 'retry-after': '9' }), now), 250);
+  assert.equal(retryAfterMs(new Headers({ 'retry-after': '2' }), now), 2000);
+  assert.equal(retryAfterMs({ 'retry-after': 'Sun, 01 Mar 2026 00:00:05 GMT' }, now), 5000);
+  assert.equal(retryAfterMs(new Headers({ 'retry-after': 'soon' }), now), null);
+  assert.equal(retryAfterMs(undefined, now), null);
+});
+
+test('backs off exponentially with full jitter, up to the cap', () => {
+  const options = { baseDelayMs: 100, maxDelayMs: 1000 };
+  assert.equal(backoffDelay(0, { ...options, random: () => 1 }), 100);
+  assert.equal(backoffDelay(3, { ...options, random: () => 1 }), 800);
+  assert.equal(backoffDelay(10, { ...options, random: () => 1 }), 1000);
+  assert.equal(backoffDelay(3, { ...options, random: () => 0.5 }), 400);
+});
+
+test('retries 429 and 5xx responses, honouring Retry-After, then returns the success', async () => {
+  const replies = [response(429, { 'retry-after': '3' }), response(503), response(200)];
+  const slept = [];
+  const limiter = new ServiceLimiter({
+    service: 'notion',
+    fetch: async () => replies.shift(),
+    sleep: async (ms) => { slept.push(ms); },
+    random: () => 0.5,
+    baseDelayMs: 100,
+    logger: quiet
+  });
+  const res = await limiter.fetch('https://api.notion.com/v1/pages/abc', { method: 'PATCH' });
+  assert.equal(res.status, 200);
+  assert.deepEqual(slept, [3000, 100]);
+  assert.deepEqual(limiter.stats(), {
+    service: 'notion', requests: 1, retries: 2, throttled: 1, gave_up: 0, fatal: 0, in_flight: 0, queued: 0, max_concurrent: 4
+  });
+});
+
+test('returns fatal responses at once and the last response when retries run out', async () => {
+  let calls = 0;
+  const logged = [];
+  const limiter = new ServiceLimiter({
+    service: 'openai',
+    maxRetries: 2,
+    fetch: async (url) => { calls++; return response(url.endsWith('/bad') ? 400 : 500); },
+    sleep: async () => {},
+    random: () => 1,
+    baseDelayMs: 100,
+    logger: { warn: (line) => logged.push(line) }
+  });
+  assert.equal((await limiter.fetch('https://api.openai.com/v1/bad', { method: 'POST' })).status, 400);
+  assert.equal(calls, 1);
+  assert.equal((await limiter.fetch('https://api.openai.com/v1/files')).status, 500);
+  assert.equal(calls, 4);
+  assert.deepEqual(logged, [
+    '[retry] openai GET /v1/files: HTTP 500; retry 1/2 in 100ms',
+    '[retry] openai GET /v1/files: HTTP 500; retry 2/2 in 200ms',
+    '[retry] openai GET /v1/files: HTTP 500; giving up after 3 attempt(s)'
+  ]);
+  const { retries, gave_up, fatal } = limiter.stats();
+  assert.deepEqual({ retries, gave_up, fatal }, { retries: 2, gave_up: 1, fatal: 1 });
+});
+
+test('never resends a POST the server may have processed', async () => {
+  const replies = { '/v1/threads': [response(500), response(200)], '/v1/responses': [response(503), response(200)] };
+  let calls = 0;
+  const limiter = new ServiceLimiter({
+    service: 'openai',
+    fetch: async (url) => { calls++; return replies[new URL(url).pathname].shift(); },
+    sleep: async () => {},
+    logger: quiet
+  });
+  assert.equal((await limiter.fetch('https://api.openai.com/v1/threads', { method: 'POST' })).status, 500);
+  assert.equal(calls, 1);
+  assert.equal((await limiter.fetch('https://api.openai.com/v1/responses', { method: 'post' })).status, 200);
+  assert.equal(calls, 3);
+
+  const dropped = new ServiceLimiter({
+    service: 'notion',
+    fetch: async () => { calls++; throw Object.assign(new Error('socket hang up'), { code: 'ECONNRESET' }); },
+    sleep: async () => {},
+    logger: quiet
+  });
+  await assert.rejects(dropped.fetch('https://api.notion.com/v1/pages', { method: 'POST' }), /socket hang up/);
+  assert.equal(calls, 4);
+});
+
+test('retries dropped connections but rethrows fatal errors', async () => {
+  const attempts = [];
+  const limiter = new ServiceLimiter({ service: 'notion', sleep: async () => {}, logger: quiet });
+  const out = await limiter.run(async (attempt) => {
+    attempts.push(attempt);
+    if (attempt < 2) throw Object.assign(new Error('socket hang up'), { code: 'ECONNRESET' });
+    return 'ok';
+  });
+  assert.equal(out, 'ok');
+  assert.deepEqual(attempts, [0, 1, 2]);
+  await assert.rejects(limiter.run(async () => { throw new Error('validation_error'); }), /validation_error/);
+  assert.equal(limiter.stats().fatal, 1);
+});
+
+test('gives up rather than wait longer than maxRetryAfterMs', async () => {
+  const limiter = new ServiceLimiter({
+    service: 'openai',
+    maxRetryAfterMs: 1000,
+    fetch: async () => response(429, { 'retry-after': '3600' }),
+    sleep: async () => assert.fail('should not wait an hour'),
+    logger: quiet
+  });
+  assert.equal((await limiter.fetch('https://api.openai.com/v1/responses', { method: 'POST' })).status, 429);
+  assert.equal(limiter.stats().gave_up, 1);
+});
+
+test('caps concurrent calls per service and hands slots to waiting calls', async () => {
+  const limiter = new ServiceLimiter({ service: 'notion', maxConcurrent: 2, logger: quiet });
+  let running = 0;
+  let peak = 0;
+  const releases = [];
+  const calls = [1, 2, 3, 4, 5].map(() => limiter.run(async () => {
+    running++;
+    peak = Math.max(peak, running);
+    await new Promise((r) => releases.push(r));
+    running--;
+  }));
+  await new Promise((r) => setImmediate(r));
+  assert.deepEqual([limiter.stats().in_flight, limiter.stats().queued], [2, 3]);
+  while (releases.length || running) {
+    releases.shift()?.();
+    await new Promise((r) => setImmediate(r));
+  }
+  await Promise.all(calls);
+  assert.equal(peak, 2);
+  assert.deepEqual([limiter.stats().in_flight, limiter.stats().queued], [0, 0]);
+});
+
+test('shares one limiter per service, configured from the environment', () => {
+  const limiters = ServiceLimiters.fromEnv({ NOTION_MAX_CONCURRENCY: '1', RETRY_MAX_RETRIES: '0' });
+  assert.equal(limiters.for('notion'), limiters.for('notion'));
+  assert.equal(limiters.for('notion').maxConcurrent, 1);
+  assert.equal(limiters.for('openai').maxConcurrent, 8);
+  assert.equal(limiters.for('openai').maxRetries, 0);
+  assert.deepEqual(Object.keys(limiters.stats()), ['notion', 'openai']);
+});
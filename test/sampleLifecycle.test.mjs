@@ -0,0 +1,100 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { SampleLifecycle, TransitionError, canTransition } from '../lib/sampleLifecycle.mjs';
+import { AuditLog } from '../lib/auditLog.mjs';
+
+function createMockDb(sample) {
+  const updates = [];
+  return {
+    updates,
+    async get(id) { return { id, timestamps: {}, history: '', ...sample }; },
+    async update(id, patch) { updates.push({ id, patch }); }
+  };
+}
+
+const now = () => new Date('2025-08-01T09:00:00Z');
+
+test('approves a sample awaiting approval', async () => {
+  const db = createMockDb({ status: 'needs_approval', history: '2025-07-31T10:00:00.000Z intake -> needs_approval by policy' });
+  const audit = new AuditLog();
+  const lifecycle = new SampleLifecycle({ samplesDb: db, audit, now });
+
+  const out = await lifecycle.transition('page-1', 'approve', { actor: 'ops@example.com' });
+
+  assert.equal(out.status, 'approved');
+  const { patch } = db.updates[0];
+  assert.equal(patch.status, 'approved');
+  assert.equal(patch.approver, 'ops@example.com');
+  assert.deepEqual(patch.timestamps, { approved: '2025-08-01T09:00:00.000Z' });
+  assert.match(patch.history, /by policy\n2025-08-01T09:00:00.000Z needs_approval -> approved by ops@example.com$/);
+
+  const [entry] = audit.recent({ type: 'sample_transition' });
+  assert.equal(entry.from, 'needs_approval');
+  assert.equal(entry.to, 'approved');
+});
+
+test('records carrier and tracking on dispatch', async () => {
+  const db = createMockDb({ status: 'approved' });
+  const lifecycle = new SampleLifecycle({ samplesDb: db, now });
+  await lifecycle.transition('page-1', 'dispatch', { actor: 'warehouse', carrier: 'NZ Post', tracking: 'NZ123' });
+  assert.equal(db.updates[0].patch.carrier, 'NZ Post');
+  assert.equal(db.updates[0].patch.tracking, 'NZ123');
+});
+
+test('refuses transitions the state machine does not allow', async () => {
+  const db = createMockDb({ status: 'rejected' });
+  const lifecycle = new SampleLifecycle({ samplesDb: db, now });
+  await assert.rejects(
+    () => lifecycle.transition('page-1', 'dispatch'),
+    (e) => e instanceof TransitionError && e.status === 409 && e.details.from === 'rejected'
+  );
+  await assert.rejects(() => lifecycle.transition('page-1', 'teleport'), TransitionError);
+  assert.equal(db.updates.length, 0);
+});
+
+test('lists allowed actions per state', () => {
+  assert.deepEqual(SampleLifecycle.allowedActions('intake'), ['submit', 'approve', 'reject']);
+  assert.deepEqual(SampleLifecycle.allowedActions('approved'), ['dispatch']);
+  assert.deepEqual(SampleLifecycle.allowedActions('fulfilled'), []);
+  assert.equal(canTransition('dispatched', 'approved'), false);
+});
+
+test('calls onTransition with the updated sample and survives hook errors', async () => {
+  const seen = [];
+  const db = createMockDb({ status: 'intake' });
+  const lifecycle = new SampleLifecycle({
+    samplesDb: db,
+    now,
+    onTransition(sample, transition) {
+      seen.push({ status: sample.status, ...transition });
+      throw new Error('mail is down');
+    }
+  });
+  const out = await lifecycle.transition('page-1', 'submit', { actor: 'policy' });
+  assert.equal(out.status, 'needs_approval');
+  assert.deepEqual(seen, [{ status: 'needs_approval', action: 'submit', from: 'intake', to: 'needs_approval', actor: 'policy' }]);
+});
+
+test('serialises concurrent transitions of one sample so a double approval notifies once', async () => {
+  let stored = { id: 'page-1', status: 'needs_approval', timestamps: {}, history: '' };
+  const db = {
+    async get() { await new Promise((r) => setImmediate(r)); return { ...stored }; },
+    async update(id, patch) { await new Promise((r) => setImmediate(r)); stored = { ...stored, ...patch }; }
+  };
+  const notified = [];
+  const lifecycle = new SampleLifecycle({ samplesDb: db, now, onTransition: (sample, t) => notified.push(t.to) });
+
+  const [first, second] = await Promise.allSettled([
+    lifecycle.transition('page-1', 'approve', { actor: 'ops@example.com' }),
+    lifecycle.transition('page-1', 'approve', { actor: 'ops@example.com' })
+  ]);
+  assert.equal(first.status, 'fulfilled');
+  assert.equal(second.status, 'rejected');
+  assert.ok(second.reason instanceof TransitionError);
+  assert.match(second.reason.message, /Cannot approve a sample that is approved/);
+  assert.deepEqual(notified, ['approved']);
+  assert.equal(lifecycle.pending.size, 0);
+
+  await lifecycle.transition('page-1', 'dispatch', { actor: 'warehouse' });
+  assert.deepEqual(notified, ['approved', 'dispatched']);
+});
@@ -0,0 +1,96 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import {
+  SamplePolicy, evaluatePolicy, loadPolicy, validatePolicy, countryOf, practiceOf, formatPolicyResult
+} from '../lib/samplePolicy.mjs';
+
+const policyFile = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', 'knowledge', 'sample_policy.json');
+const policy = loadPolicy(policyFile);
+const now = new Date('2025-08-20T00:00:00Z');
+
+const request = {
+  product: 'OLB-15',
+  qty: 2,
+  recipient: 'Dr Jane Smith, Harbour Medical',
+  address: '12 Quay Street, Auckland 1010, New Zealand',
+  purpose: 'GP practice'
+};
+
+test('allows a small GP request with no history', () => {
+  const out = evaluatePolicy(policy, request, { now });
+  assert.deepEqual(out, { decision: 'allowed', reasons: [], rule_ids: [], policy_version: policy.version });
+});
+
+test('counts earlier samples to the same practice within the period', () => {
+  const history = [
+    { recipient: 'Dr Ann Lee, Harbour Medical', qty: 4, status: 'fulfilled', created_at: '2025-03-01T00:00:00Z' },
+    { recipient: 'Dr Ann Lee, harbour  medical', qty: 5, status: 'rejected', created_at: '2025-04-01T00:00:00Z' },
+    { recipient: 'Harbour Medical', qty: 5, status: 'fulfilled', created_at: '2024-01-01T00:00:00Z' },
+    { recipient: 'Dr Bo Chan, Kauri Clinic', qty: 5, status: 'approved', created_at: '2025-08-01T00:00:00Z' }
+  ];
+  const out = evaluatePolicy(policy, request, { history, now });
+  assert.equal(out.decision, 'needs_approval');
+  assert.deepEqual(out.rule_ids, ['practice.period_limit']);
+  assert.equal(out.reasons[0], 'harbour medical would receive 6 sample units within 365 days (limit 5).');
+});
+
+test('the most restrictive rule wins and every hit is reported', () => {
+  const out = evaluatePolicy(policy, { ...request, qty: 25, address: '1 George St, Sydney NSW 2000, Australia' }, { now });
+  assert.equal(out.decision, 'denied');
+  assert.deepEqual(out.rule_ids, ['country.restricted', 'qty.max_per_request', 'qty.approval_threshold', 'practice.period_limit']);
+  assert.match(out.reasons[0], /Samples to AU need approval/);
+  assert.match(formatPolicyResult(out), /^denied \(policy [\d-]+\) \[country\.restricted, /);
+});
+
+test('denies excluded products and unlisted countries', () => {
+  const custom = validatePolicy({
+    ...policy,
+    rules: policy.rules.map((r) => (r.id === 'product.excluded' ? { ...r, products: ['Gift Set'] } : r))
+  });
+  const out = evaluatePolicy(custom, { ...request, product: 'gift set', country: 'us' }, { now });
+  assert.equal(out.decision, 'denied');
+  assert.deepEqual(out.rule_ids, ['product.excluded', 'country.restricted']);
+  assert.equal(out.reasons[1], 'Samples cannot be shipped to US.');
+});
+
+test('sends addresses without a recognised country for approval instead of assuming NZ', () => {
+  const out = evaluatePolicy(policy, { ...request, address: '221B Baker Street, London NW1 6XE' }, { now });
+  assert.equal(out.decision, 'needs_approval');
+  assert.deepEqual(out.rule_ids, ['country.restricted']);
+  assert.equal(out.reasons[0], 'Samples to an address without a recognised country need approval.');
+  assert.equal(evaluatePolicy(policy, { ...request, address: '' }, { now }).decision, 'needs_approval');
+  assert.throws(() => validatePolicy({ ...policy, countries: { ...policy.countries, default: 'NZ' } }), /countries\.default is not supported/);
+});
+
+test('reads country and practice from free text', () => {
+  const { countries } = policy;
+  assert.equal(countryOf('12 Quay Street, Auckland 1010', countries), null);
+  assert.equal(countryOf('12 Quay Street, Auckland 1010, NZ', countries), 'NZ');
+  assert.equal(countryOf('5 King St\nMelbourne VIC 3000\nAustralia', countries), 'AU');
+  assert.equal(countryOf('8 Aurora Tce, Wellington, New Zealand', countries), 'NZ');
+  assert.equal(countryOf('8 Aurora Tce, Wellington New Zealand 6011, Attn: reception', countries), 'NZ');
+  assert.equal(practiceOf('Dr Jane Smith,  Harbour   Medical'), 'harbour medical');
+  assert.equal(practiceOf('Kauri Clinic'), 'kauri clinic');
+});
+
+test('rejects malformed policies', () => {
+  assert.throws(() => validatePolicy({ version: '1', rules: [{ id: 'x', type: 'nope', decision: 'allowed' }] }), /type must be one of.*decision must be/);
+  assert.throws(() => validatePolicy({ rules: [] }), /version is required/);
+});
+
+test('check() loads history from the Samples DB for the longest period', async () => {
+  let since;
+  const samplesDb = {
+    async listSince(d) {
+      since = d;
+      return [{ recipient: 'Harbour Medical', qty: 4, status: 'approved', created_at: '2025-08-01T00:00:00Z' }];
+    }
+  };
+  const engine = new SamplePolicy({ policy, samplesDb, now: () => now });
+  const out = await engine.check(request);
+  assert.equal(since.toISOString(), '2024-08-20T00:00:00.000Z');
+  assert.equal(out.decision, 'needs_approval');
+  assert.equal(SamplePolicy.toFields(out).approval_needed, true);
+});
@@ -0,0 +1,109 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { ProductCatalog } from '../lib/productCatalog.mjs';
+import {
+  SampleReports, sampleMetrics, metricsToCsv, renderMonthlyReport, parseReportRange, monthRange, previousMonth, rejectionOf
+} from '../lib/sampleReports.mjs';
+
+const catalog = new ProductCatalog([
+  { sku: 'OLB-15', name: 'The Other Lips Balm', aliases: ['lip balm'], price: 34.9 },
+  { sku: 'AQ-50', name: 'Aqua Silk', price: 14.5 }
+]);
+const countries = { aliases: { NZ: ['new zealand'], AU: ['australia'] } };
+
+const samples = [
+  {
+    id: 's1', status: 'fulfilled', product: 'lip balm', qty: 2, address: '1 Queen St, Auckland, New Zealand',
+    created_at: '2026-03-02T00:00:00.000Z',
+    timestamps: { approved: '2026-03-02T12:00:00.000Z', dispatched: '2026-03-03T00:00:00.000Z', fulfilled: '2026-03-06T00:00:00.000Z' }
+  },
+  {
+    id: 's2', status: 'dispatched', product: 'AQ-50', qty: 1, address: '9 George St, Sydney, Australia', approval_needed: true,
+    created_at: '2026-03-05T00:00:00.000Z',
+    timestamps: { needs_approval: '2026-03-05T00:00:00.000Z', approved: '2026-03-07T00:00:00.000Z', dispatched: '2026-03-08T00:00:00.000Z' }
+  },
+  {
+    id: 's3', status: 'rejected', product: 'OLB-15', qty: 12, address: 'Wellington, New Zealand',
+    created_at: '2026-03-10T00:00:00.000Z', timestamps: { rejected: '2026-03-10T00:00:00.000Z' },
+    history: '2026-03-10T00:00:00.000Z intake -> rejected by policy: Requests are limited to 10 units.'
+  },
+  {
+    id: 's4', status: 'rejected', product: 'Massage candle', qty: 1, address: 'Perth, Australia', approval_needed: true,
+    created_at: '2026-03-20T00:00:00.000Z', timestamps: { needs_approval: '2026-03-20T00:00:00.000Z', rejected: '2026-03-21T00:00:00.000Z' },
+    history: '2026-03-20T00:00:00.000Z intake -> needs_approval by policy: Samples to AU need approval.\n2026-03-21T00:00:00.000Z needs_approval -> rejected by ops@example.nz',
+    approver: 'ops@example.nz'
+  },
+  { id: 's5', status: 'needs_approval', product: 'lip balm', qty: 1, address: '', created_at: '2026-04-01T00:00:00.000Z', timestamps: {} }
+];
+
+test('computes lead times, approval rate, denials, SKUs, cost and geography for a range', () => {
+  const m = sampleMetrics(samples, { ...monthRange('2026-03'), catalog, countries });
+  assert.equal(m.requests, 4);
+  assert.equal(m.units, 16);
+  assert.deepEqual(m.by_status, [{ name: 'rejected', count: 2 }, { name: 'fulfilled', count: 1 }, { name: 'dispatched', count: 1 }]);
+  assert.deepEqual(m.approval, { decided: 4, approved: 2, rejected: 2, rate: 0.5, auto_approved: 1, reviewed: 2 });
+  assert.deepEqual(m.denials, {
+    count: 2,
+    by_policy: 1,
+    by_approver: 1,
+    reasons: [{ name: 'Requests are limited to 10 units.', count: 1 }, { name: '(no reason given)', count: 1 }]
+  });
+  assert.deepEqual(m.lead_time_days.approval, { count: 2, mean: 1.3, median: 1.3, p90: 2, max: 2 });
+  assert.deepEqual(m.lead_time_days.delivery, { count: 1, mean: 4, median: 4, p90: 4, max: 4 });
+  assert.deepEqual(m.skus, [
+    { sku: 'OLB-15', name: 'The Other Lips Balm', requests: 2, units: 14, cost: 488.6 },
+    { sku: 'AQ-50', name: 'Aqua Silk', requests: 1, units: 1, cost: 14.5 },
+    { sku: null, name: 'Massage candle', requests: 1, units: 1, cost: null }
+  ]);
+  assert.deepEqual(m.geography, [{ country: 'AU', requests: 2, units: 2 }, { country: 'NZ', requests: 2, units: 14 }]);
+  assert.deepEqual(m.cost, { total: 503.1, unpriced_units: 1 });
+
+  const empty = sampleMetrics([], monthRange('2026-02'));
+  assert.equal(empty.approval.rate, null);
+  assert.equal(empty.lead_time_days.dispatch.median, null);
+});
+
+test('reads who rejected a sample and why from its history', () => {
+  assert.deepEqual(rejectionOf(samples[2]), { by: 'policy', reason: 'Requests are limited to 10 units.' });
+  assert.deepEqual(rejectionOf(samples[3]), { by: 'ops@example.nz', reason: '' });
+  assert.deepEqual(rejectionOf({ approver: 'jo' }), { by: 'jo', reason: '' });
+});
+
+test('parses report ranges and months', () => {
+  const now = new Date('2026-03-15T10:00:00Z');
+  assert.deepEqual(parseReportRange({}, now), { range: { from: '2026-03-01T00:00:00.000Z', to: '2026-03-15T10:00:00.000Z' }, errors: [] });
+  assert.deepEqual(parseReportRange({ from: '2026-01-01', to: '2026-01-31' }, now).range, { from: '2026-01-01T00:00:00.000Z', to: '2026-02-01T00:00:00.000Z' });
+  assert.deepEqual(parseReportRange({ from: 'soon' }, now).errors, ['from: "soon" is not a date']);
+  assert.deepEqual(parseReportRange({ from: '2026-03-10', to: '2026-03-01' }, now).errors, ['from: must be before to']);
+  assert.deepEqual(monthRange('2025-12'), { from: '2025-12-01T00:00:00.000Z', to: '2026-01-01T00:00:00.000Z' });
+  assert.throws(() => monthRange('2025-13'), /Invalid month/);
+  assert.equal(previousMonth(new Date('2026-01-10T00:00:00Z')), '2025-12');
+});
+
+test('writes metrics as metric,key,value CSV', () => {
+  const csv = metricsToCsv(sampleMetrics(samples, { ...monthRange('2026-03'), catalog, countries })).split('\r\n');
+  assert.equal(csv[0], 'metric,key,value');
+  assert.ok(csv.includes('approval,rate,0.5'));
+  assert.ok(csv.includes('denial_reason,Requests are limited to 10 units.,1'));
+  assert.ok(csv.includes('sku_cost,Massage candle,'));
+  assert.ok(csv.includes('lead_time_days.delivery,median,4'));
+  assert.ok(csv.includes('country_requests,AU,2'));
+});
+
+test('renders the monthly Markdown report from the Samples DB', async () => {
+  const calls = [];
+  const samplesDb = { async listBetween(from, to) { calls.push([from, to]); return samples; } };
+  const reports = new SampleReports({ samplesDb, catalog, countries, now: () => new Date('2026-04-02T00:00:00Z') });
+  const { month, metrics, markdown } = await reports.monthly();
+  assert.equal(month, '2026-03');
+  assert.deepEqual(calls, [['2026-03-01T00:00:00.000Z', '2026-04-01T00:00:00.000Z']]);
+  assert.equal(metrics.requests, 4);
+  assert.equal(markdown, renderMonthlyReport(metrics, { month: '2026-03' }));
+  assert.match(markdown, /^# Sample requests: March 2026\n/);
+  assert.match(markdown, /- Approval rate: 50% of 4 decided \(1 auto-approved, 2 reviewed\)/);
+  assert.match(markdown, /- Estimated product cost: \$503\.10 \(1 unit\(s\) without a catalogue price\)/);
+  assert.match(markdown, /## Top SKUs\n\n\| SKU \| Product \| Requests \| Units \| Cost \|\n\|.*\n\| OLB-15 \| The Other Lips Balm \| 2 \| 14 \| \$488\.60 \|/);
+  assert.match(markdown, /\| Requests are limited to 10 units\. \| 1 \|/);
+  assert.match(markdown, /- To delivery: 4 \(mean 4, p90 4, n=1\)/);
+  assert.match(renderMonthlyReport(sampleMetrics([], monthRange('2026-02')), { month: '2026-02' }), /## Top SKUs\n\nNo requests\./);
+});
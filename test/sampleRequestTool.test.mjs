@@ -0,0 +1,153 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { SamplesDB } from '../lib/notionSamples.mjs';
+import { createSampleRequestTool, validateSampleRequest } from '../lib/sampleRequestTool.mjs';
+import { ToolRegistry } from '../lib/tools.mjs';
+import { SamplePolicy } from '../lib/samplePolicy.mjs';
+import { ProductCatalog } from '../lib/productCatalog.mjs';
+
+function createMockClient({ fail = false } = {}) {
+  const created = [];
+  return {
+    created,
+    databases: {
+      async query() { return { results: [] }; }
+    },
+    pages: {
+      async create({ properties }) {
+        if (fail) throw new Error('Notion is down');
+        created.push(properties);
+        return { id: 'abcd-1234' };
+      },
+      async update({ page_id }) { return { id: page_id }; }
+    }
+  };
+}
+
+const catalog = new ProductCatalog([
+  { sku: 'OLB-15', name: 'The Other Lips Balm', aliases: ['lip balm'] },
+  { sku: 'AQ-50', name: 'Aqua Silk Lubricant' }
+]);
+
+const complete = {
+  product: 'OLB-15',
+  qty: 2,
+  recipient: 'Dr Jane Smith, Harbour Medical',
+  address: '12 Quay Street, Auckland 1010',
+  purpose: 'GP practice',
+  deadline: '2025-09-01'
+};
+
+test('asks for missing address and SKU instead of writing', async () => {
+  const mock = createMockClient();
+  const tool = createSampleRequestTool({ samplesDb: new SamplesDB({ databaseId: 'db', client: mock }), catalog });
+  const out = await tool.handler({ recipient: 'Jane', qty: 1 });
+
+  assert.equal(out.ok, false);
+  assert.equal(out.error, 'missing_fields');
+  assert.deepEqual(out.missing, ['product', 'address']);
+  assert.match(out.message, /product or SKU, shipping address/);
+  assert.equal(mock.created.length, 0);
+});
+
+test('rejects malformed quantity and deadline', () => {
+  const out = validateSampleRequest({ ...complete, qty: 0, deadline: 'next friday' });
+  assert.equal(out.error, 'invalid_fields');
+  assert.equal(out.invalid.length, 2);
+});
+
+test('refuses products that are not in the catalogue and records known ones by SKU', async () => {
+  const mock = createMockClient();
+  const tool = createSampleRequestTool({ samplesDb: new SamplesDB({ databaseId: 'db', client: mock }), catalog });
+  const out = await tool.handler({ ...complete, product: 'Aqua Silk' });
+  assert.equal(out.ok, false);
+  assert.equal(out.error, 'invalid_fields');
+  assert.deepEqual(out.invalid, ['product "Aqua Silk" is not in the product catalogue']);
+  assert.deepEqual(out.suggestions, ['AQ-50 (Aqua Silk Lubricant)']);
+  assert.match(out.message, /Products that may be meant: AQ-50/);
+  assert.equal(mock.created.length, 0);
+
+  assert.equal(validateSampleRequest({ ...complete, product: 'Lip Balm' }, { catalog }).sample.product, 'OLB-15');
+  assert.throws(() => createSampleRequestTool({ samplesDb: null }), /catalog is required/);
+});
+
+test('takes any product while the catalogue has no products', () => {
+  const out = validateSampleRequest({ ...complete, product: 'Aqua Silk' }, { catalog: new ProductCatalog([]) });
+  assert.equal(out.ok, true);
+  assert.equal(out.sample.product, 'Aqua Silk');
+});
+
+test('writes the record through SamplesDB and returns id and URL', async () => {
+  const mock = createMockClient();
+  const tool = createSampleRequestTool({ samplesDb: new SamplesDB({ databaseId: 'db', client: mock }), catalog });
+  const out = await tool.handler(complete, { thread_id: 'thread_1' });
+
+  assert.equal(out.ok, true);
+  assert.equal(out.page_id, 'abcd-1234');
+  assert.equal(out.url, 'https://www.notion.so/abcd1234');
+  const props = mock.created[0];
+  assert.equal(props['Status'].select.name, 'intake');
+  assert.equal(props['Qty'].number, 2);
+  assert.equal(props['Requester'].title[0].text.content, complete.recipient);
+  assert.equal(props['Deadline'].date.start, '2025-09-01');
+  assert.match(props['Notes'].rich_text[0].text.content, /thread: thread_1/);
+});
+
+test('stores the policy decision and moves the record on', async () => {
+  const mock = createMockClient();
+  const samplesDb = new SamplesDB({ databaseId: 'db', client: mock });
+  samplesDb.listSince = async () => [];
+  const policy = new SamplePolicy({
+    samplesDb,
+    policy: { version: 'v1', rules: [{ id: 'qty.threshold', type: 'max_qty', max: 1, decision: 'needs_approval', reason: 'Over {max}.' }] }
+  });
+  const transitions = [];
+  const lifecycle = {
+    async transition(id, action, input) {
+      transitions.push({ id, action, input });
+      return { status: 'needs_approval' };
+    }
+  };
+  const tool = createSampleRequestTool({ samplesDb, catalog, policy, lifecycle });
+  const out = await tool.handler(complete);
+
+  assert.equal(out.status, 'needs_approval');
+  assert.deepEqual(out.policy.rule_ids, ['qty.threshold']);
+  const props = mock.created[0];
+  assert.equal(props['Policy Result'].rich_text[0].text.content, 'needs_approval (policy v1) [qty.threshold] Over 1.');
+  assert.equal(props['Approval Needed'].checkbox, true);
+  assert.deepEqual(transitions, [{ id: 'abcd-1234', action: 'submit', input: { actor: 'policy', reason: 'Over 1.' } }]);
+});
+
+test('reports the current status when a resubmitted sample has already moved on', async () => {
+  const samplesDb = { upsert: async () => 'page1' };
+  const policy = { check: async () => ({ decision: 'allowed', policy_version: 'v1', reasons: [], rule_ids: [] }) };
+  const lifecycle = {
+    async transition() {
+      throw Object.assign(new Error('Cannot approve a sample that is dispatched'), { code: 'invalid_transition', details: { from: 'dispatched' } });
+    }
+  };
+  const tool = createSampleRequestTool({ samplesDb, catalog, policy, lifecycle });
+  const out = await tool.handler(complete);
+  assert.equal(out.ok, true);
+  assert.equal(out.status, 'dispatched');
+});
+
+test('returns the draft when Notion fails', async () => {
+  const tool = createSampleRequestTool({
+    samplesDb: new SamplesDB({ databaseId: 'db', client: createMockClient({ fail: true }) }),
+    catalog
+  });
+  const out = await tool.handler(complete);
+  assert.equal(out.ok, false);
+  assert.equal(out.error, 'record_failed');
+  assert.equal(out.draft.product, 'OLB-15');
+});
+
+test('registers as a function tool without required fields', () => {
+  const tool = createSampleRequestTool({ samplesDb: null, catalog });
+  const reg = new ToolRegistry().register('submit_sample_request', tool);
+  const [def] = reg.definitions();
+  assert.equal(def.function.name, 'submit_sample_request');
+  assert.equal(def.function.parameters.required, undefined);
+});
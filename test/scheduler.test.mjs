@@ -0,0 +1,107 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { Scheduler } from '../lib/scheduler.mjs';
+import { AuditLog } from '../lib/auditLog.mjs';
+
+function fakeCron() {
+  const tasks = [];
+  return {
+    tasks,
+    validate: (expr) => expr.split(' ').length === 5,
+    schedule(expr, fn, options) {
+      const task = { expr, fn, options, stopped: false, stop() { this.stopped = true; }, getNextRun: () => new Date('2025-08-15T15:00:00Z') };
+      tasks.push(task);
+      return task;
+    }
+  };
+}
+
+function tmpState() {
+  return path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'sched-')), 'state.json');
+}
+
+test('schedules jobs with a cron expression and reports next run', () => {
+  const cron = fakeCron();
+  const scheduler = new Scheduler({ cron, timezone: 'Pacific/Auckland' })
+    .register('sync', { schedule: '0 3 * * *', task: async () => ({}) })
+    .register('manual', { schedule: null, task: async () => ({}) });
+
+  assert.throws(() => scheduler.register('bad', { schedule: 'never', task: async () => {} }), /invalid cron/);
+  assert.throws(() => scheduler.register('sync', { schedule: null, task: async () => {} }), /already registered/);
+
+  scheduler.start();
+  assert.equal(cron.tasks.length, 1);
+  assert.deepEqual(cron.tasks[0].options, { timezone: 'Pacific/Auckland', name: 'sync' });
+  const [sync, manual] = scheduler.list();
+  assert.equal(sync.scheduled, true);
+  assert.equal(sync.next_run_at, '2025-08-15T15:00:00.000Z');
+  assert.equal(manual.scheduled, false);
+  assert.equal(manual.next_run_at, null);
+
+  scheduler.stop();
+  assert.equal(cron.tasks[0].stopped, true);
+  assert.equal(scheduler.list()[0].scheduled, false);
+});
+
+test('skips a run while the same job is still running', async () => {
+  const audit = new AuditLog();
+  let release;
+  let calls = 0;
+  const scheduler = new Scheduler({ cron: fakeCron(), audit }).register('slow', {
+    schedule: null,
+    task: () => { calls++; return new Promise((resolve) => { release = resolve; }); }
+  });
+
+  const first = scheduler.run('slow', { trigger: 'cron' });
+  assert.equal(scheduler.list()[0].running, true);
+  const second = await scheduler.run('slow');
+  assert.deepEqual({ ok: second.ok, status: second.status, error: second.error }, { ok: false, status: 'skipped', error: 'already_running' });
+
+  release({ done: true });
+  assert.deepEqual((await first).result, { done: true });
+  assert.equal(calls, 1);
+  assert.equal(audit.recent({ type: 'job_skipped' }).length, 1);
+  await assert.rejects(scheduler.run('missing'), /Unknown job/);
+});
+
+test('persists last-run state and job data across instances', async () => {
+  const stateFile = tmpState();
+  let now = new Date('2025-08-14T03:00:00Z');
+  const clock = () => now;
+  const task = async ({ data }) => { data.count = (data.count || 0) + 1; return { count: data.count }; };
+
+  const a = new Scheduler({ cron: fakeCron(), stateFile, now: clock }).register('count', { schedule: null, task });
+  await a.run('count', { trigger: 'cron' });
+
+  now = new Date('2025-08-15T03:00:00Z');
+  const b = new Scheduler({ cron: fakeCron(), stateFile, now: clock }).register('count', { schedule: null, task });
+  const outcome = await b.run('count');
+  assert.deepEqual(outcome.result, { count: 2 });
+
+  const [job] = b.list();
+  assert.equal(job.runs, 2);
+  assert.equal(job.last_trigger, 'manual');
+  assert.equal(job.last_run_at, '2025-08-15T03:00:00.000Z');
+  assert.equal(job.last_status, 'ok');
+  assert.equal(job.data, undefined);
+  assert.equal(JSON.parse(fs.readFileSync(stateFile, 'utf8')).jobs.count.data.count, 2);
+});
+
+test('records failures without throwing', async () => {
+  const audit = new AuditLog();
+  const scheduler = new Scheduler({ cron: fakeCron(), audit }).register('broken', {
+    schedule: null,
+    task: async () => { throw new Error('Notion is down'); }
+  });
+
+  const outcome = await scheduler.run('broken');
+  assert.equal(outcome.ok, false);
+  assert.equal(outcome.status, 'failed');
+  const [job] = scheduler.list();
+  assert.equal(job.last_error, 'Notion is down');
+  assert.equal(job.last_success_at, undefined);
+  assert.equal(audit.recent({ type: 'job_run' })[0].status, 'failed');
+});
@@ -0,0 +1,85 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import net from 'node:net';
+import { sendMail, buildMime, encodeHeader, SmtpError } from '../lib/smtp.mjs';
+
+/** Tiny SMTP server: records commands and answers with canned replies. */
+function fakeServer({ rejectRcpt = false } = {}) {
+  const commands = [];
+  let data = '';
+  const server = net.createServer((socket) => {
+    let inData = false;
+    let buf = '';
+    socket.write('220 fake ESMTP\r\n');
+    socket.on('data', (chunk) => {
+      buf += chunk.toString();
+      let i;
+      while ((i = buf.indexOf('\r\n')) >= 0) {
+        const line = buf.slice(0, i);
+        buf = buf.slice(i + 2);
+        if (inData) {
+          if (line === '.') { inData = false; socket.write('250 2.0.0 queued as X1\r\n'); } else data += `${line}\n`;
+          continue;
+        }
+        commands.push(line);
+        if (line.startsWith('EHLO')) socket.write('250-fake\r\n250-AUTH LOGIN PLAIN\r\n250 8BITMIME\r\n');
+        else if (line.startsWith('AUTH PLAIN')) socket.write('235 ok\r\n');
+        else if (line.startsWith('RCPT') && rejectRcpt) socket.write('550 no such user\r\n');
+        else if (line === 'DATA') { inData = true; socket.write('354 go\r\n'); }
+        else if (line === 'QUIT') { socket.write('221 bye\r\n'); socket.end(); }
+        else socket.write('250 ok\r\n');
+      }
+    });
+  });
+  return new Promise((resolve) => server.listen(0, '127.0.0.1', () => resolve({
+    port: server.address().port, commands, data: () => data, close: () => server.close()
+  })));
+}
+
+const message = {
+  from: 'Metamorphosis <hello@example.com>',
+  to: ['ops@example.com', 'Jo <jo@example.com>'],
+  subject: 'Sample dispatch: 2 × OLB-15',
+  text: 'Hello\n.leading dot\n'
+};
+
+test('delivers a message with AUTH PLAIN', async () => {
+  const srv = await fakeServer();
+  try {
+    const out = await sendMail({ host: '127.0.0.1', port: srv.port, user: 'u', pass: 'p', name: 'test' }, message);
+    assert.match(out.messageId, /^<[\w-]+@example\.com>$/);
+    assert.deepEqual(srv.commands, [
+      'EHLO test',
+      `AUTH PLAIN ${Buffer.from('\0u\0p').toString('base64')}`,
+      'MAIL FROM:<hello@example.com>',
+      'RCPT TO:<ops@example.com>',
+      'RCPT TO:<jo@example.com>',
+      'DATA',
+      'QUIT'
+    ]);
+    assert.match(srv.data(), /^Subject: =\?UTF-8\?B\?/m);
+    assert.match(srv.data(), new RegExp(`^Message-ID: ${out.messageId}$`, 'm'));
+  } finally {
+    srv.close();
+  }
+});
+
+test('permanent rejections are not transient', async () => {
+  const srv = await fakeServer({ rejectRcpt: true });
+  try {
+    await assert.rejects(
+      () => sendMail({ host: '127.0.0.1', port: srv.port }, message),
+      (e) => e instanceof SmtpError && e.code === 550 && e.transient === false
+    );
+  } finally {
+    srv.close();
+  }
+});
+
+test('builds base64 text bodies and encodes headers', () => {
+  const { raw } = buildMime({ ...message, messageId: '<m1@example.com>' });
+  const body = raw.split('\r\n\r\n')[1].replace(/\r\n/g, '');
+  assert.equal(Buffer.from(body, 'base64').toString('utf8'), message.text);
+  assert.equal(encodeHeader('plain'), 'plain');
+  assert.equal(encodeHeader('a\r\nBcc: x'), 'a Bcc: x');
+});
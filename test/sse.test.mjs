@@ -0,0 +1,38 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { wantsEventStream, openEventStream } from '../lib/sse.mjs';
+
+function createMockResponse() {
+  const chunks = [];
+  return {
+    chunks,
+    headers: {},
+    ended: false,
+    status(code) { this.code = code; return this; },
+    set(h) { Object.assign(this.headers, h); return this; },
+    write(chunk) { chunks.push(chunk); },
+    end() { this.ended = true; },
+    on() {}
+  };
+}
+
+test('detects stream requests from body or Accept header', () => {
+  const req = (accept) => ({ get: () => accept });
+  assert.equal(wantsEventStream(req(''), { stream: true }), true);
+  assert.equal(wantsEventStream(req('text/event-stream'), {}), true);
+  assert.equal(wantsEventStream(req('application/json'), { stream: false }), false);
+  assert.equal(wantsEventStream(req(undefined), 'plain text body'), false);
+});
+
+test('writes named events and stops after close', () => {
+  const res = createMockResponse();
+  const sse = openEventStream(res, { heartbeatMs: 0 });
+  sse.send('delta', { text: 'Hi' });
+  sse.close();
+  sse.send('delta', { text: 'ignored' });
+
+  assert.equal(res.headers['Content-Type'], 'text/event-stream; charset=utf-8');
+  assert.deepEqual(res.chunks, ['event: delta\ndata: {"text":"Hi"}\n\n']);
+  assert.equal(res.ended, true);
+  assert.equal(sse.closed, true);
+});
@@ -0,0 +1,68 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { SyncJobs, SyncBusyError } from '../lib/syncJobs.mjs';
+import { AuditLog } from '../lib/auditLog.mjs';
+
+// Fake runNodeScript: the test drives the IPC messages and the exit
+function fakeRun() {
+  const calls = [];
+  const run = (script, { onMessage }) => new Promise((resolve, reject) => {
+    calls.push({ script, send: onMessage, exit: (output) => resolve({ code: 0, output }), fail: (e) => reject(e) });
+  });
+  return { run, calls };
+}
+
+const totals = (scanned, uploaded, skipped, errored) => ({ scanned, uploaded, replaced: 0, unchanged: 0, skipped, errored });
+
+test('tracks progress from script messages and finishes the job', async () => {
+  const audit = new AuditLog();
+  const { run, calls } = fakeRun();
+  const syncJobs = new SyncJobs({ script: 'sync.mjs', audit, run });
+  const job = syncJobs.start({ actor: 'editor' });
+  const seen = [];
+  syncJobs.subscribe(job.id, (event, j) => seen.push([event, { ...j.progress }]));
+
+  assert.equal(syncJobs.running, job);
+  calls[0].send({ type: 'sync', event: 'source', source: 'notion:knowledge', documents: 3, totals: totals(0, 0, 0, 0) });
+  assert.deepEqual(job.current, { source: 'notion:knowledge', documents: 3 });
+  calls[0].send({ type: 'sync', event: 'document', id: 'notion:p1', title: 'FAQ', outcome: 'uploaded', totals: totals(1, 1, 0, 0) });
+  calls[0].send({ type: 'sync', event: 'document', id: 'notion:p2', title: 'Old', outcome: 'error', error: 'No text content extracted', totals: totals(2, 1, 0, 1) });
+  calls[0].send({ type: 'other' });
+  calls[0].send({ type: 'sync', event: 'complete', totals: totals(2, 1, 0, 1), retries: { notion: { service: 'notion', requests: 9, retries: 2 } } });
+  calls[0].exit('[sync] Complete\n');
+
+  const finished = await job.done;
+  assert.equal(finished.status, 'succeeded');
+  assert.deepEqual(finished.progress, totals(2, 1, 0, 1));
+  assert.deepEqual(finished.errors, [{ id: 'notion:p2', title: 'Old', error: 'No text content extracted' }]);
+  assert.equal(finished.output_tail, '[sync] Complete');
+  assert.equal(finished.current, null);
+  assert.deepEqual(finished.retries, { notion: { service: 'notion', requests: 9, retries: 2 } });
+  assert.deepEqual(seen.map(([e]) => e), ['progress', 'progress', 'progress', 'progress', 'done']);
+  assert.equal(syncJobs.running, null);
+  assert.equal(syncJobs.get(job.id), job);
+  assert.equal(audit.recent({ type: 'knowledge_sync_finished' })[0].uploaded, 1);
+  assert.equal(audit.recent({ type: 'knowledge_sync_finished' })[0].retries, 2);
+});
+
+test('allows one sync at a time', async () => {
+  const { run, calls } = fakeRun();
+  const syncJobs = new SyncJobs({ script: 'sync.mjs', run });
+  const first = syncJobs.start();
+
+  assert.throws(() => syncJobs.start(), (e) => e instanceof SyncBusyError && e.status === 409 && e.details.job_id === first.id);
+  assert.equal(calls.length, 1);
+
+  const err = new Error('sync.mjs exited with 1: Missing env: OPENAI_API_KEY');
+  err.output = 'Missing env: OPENAI_API_KEY';
+  calls[0].fail(err);
+  const failed = await first.done;
+  assert.equal(failed.status, 'failed');
+  assert.match(failed.error, /OPENAI_API_KEY/);
+
+  const second = syncJobs.start();
+  assert.notEqual(second.id, first.id);
+  assert.deepEqual(syncJobs.list().map((j) => j.id), [second.id, first.id]);
+  calls[1].exit('');
+  await second.done;
+});
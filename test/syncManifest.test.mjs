@@ -0,0 +1,74 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { SyncManifest } from '../lib/syncManifest.mjs';
+
+const file = (file_id, source_id, version, content_hash = `sha256:${file_id}`) => ({
+  file_id, source_id, source: source_id ? 'local' : null, content_hash: source_id ? content_hash : null,
+  version, filename: source_id ? `${file_id}.md` : null, bytes: 12, created_at: '2025-08-14T00:00:00.000Z'
+});
+
+test('records documents per store and persists them', async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'manifest-'));
+  const db = path.join(dir, 'nested', 'manifest.sqlite');
+  let manifest = await SyncManifest.open(db);
+  await manifest.record({ vector_store_id: 'vs_1', source_id: 'local:a.md', content_hash: 'sha256:1', file_id: 'file-a1', version: 1 });
+  await manifest.record({ vector_store_id: 'vs_1', source_id: 'local:a.md', content_hash: 'sha256:2', file_id: 'file-a2', version: 2, bytes: 5 });
+  await manifest.record({ vector_store_id: 'vs_2', source_id: 'local:a.md', content_hash: 'sha256:1', file_id: 'file-b1', version: 1 });
+  await manifest.close();
+
+  manifest = await SyncManifest.open(db);
+  const row = await manifest.get('vs_1', 'local:a.md');
+  assert.equal(row.file_id, 'file-a2');
+  assert.equal(row.vs_file_id, 'file-a2');
+  assert.equal(row.version, 2);
+  assert.equal(row.bytes, 5);
+  assert.match(row.synced_at, /^\d{4}-/);
+  assert.equal((await manifest.all('vs_2')).length, 1);
+
+  await manifest.remove('vs_1', 'local:a.md');
+  assert.equal(await manifest.get('vs_1', 'local:a.md'), null);
+  await manifest.close();
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test('rebuilds from the store and diffs against it', async () => {
+  const manifest = await SyncManifest.open(':memory:');
+  await manifest.record({ vector_store_id: 'vs_1', source_id: 'stale', content_hash: 'sha256:x', file_id: 'file-gone', version: 1 });
+  await manifest.record({ vector_store_id: 'vs_2', source_id: 'other', content_hash: 'sha256:x', file_id: 'file-x', version: 1 });
+
+  const files = [file('file-a1', 'local:a.md', 1), file('file-a2', 'local:a.md', 2), file('file-b1', 'local:b.md', 1), file('file-manual', null, null)];
+  assert.equal(await manifest.rebuild('vs_1', files), 2);
+  const rows = await manifest.all('vs_1');
+  assert.deepEqual(rows.map((r) => [r.source_id, r.vs_file_id, r.version, r.content_hash, r.uploaded_at]), [
+    ['local:a.md', 'file-a2', 2, 'sha256:file-a2', '2025-08-14T00:00:00.000Z'],
+    ['local:b.md', 'file-b1', 1, 'sha256:file-b1', '2025-08-14T00:00:00.000Z']
+  ]);
+  assert.equal((await manifest.all('vs_2')).length, 1, 'other stores are untouched');
+
+  await manifest.record({ vector_store_id: 'vs_1', source_id: 'local:c.md', content_hash: 'sha256:c', file_id: 'file-c1', version: 1 });
+  const changed = [file('file-a2', 'local:a.md', 2, 'sha256:edited'), file('file-a1', 'local:a.md', 1), file('file-manual', null, null)];
+  const { missing, mismatched, unrecorded } = await manifest.diff('vs_1', changed);
+  assert.deepEqual(missing.map((r) => r.source_id), ['local:b.md', 'local:c.md']);
+  assert.deepEqual(mismatched.map(({ row, file }) => [row.content_hash, file.content_hash]), [['sha256:file-a2', 'sha256:edited']]);
+  assert.deepEqual(unrecorded.map((f) => f.file_id), ['file-a1']);
+  await manifest.close();
+});
+
+test('remembers every file uploaded for a store, replaced versions included', async () => {
+  const manifest = await SyncManifest.open(':memory:');
+  await manifest.record({ vector_store_id: 'vs_1', source_id: 'local:faq.md', content_hash: 'sha256:a', file_id: 'file-a1', version: 1 });
+  await manifest.record({ vector_store_id: 'vs_1', source_id: 'local:faq.md', content_hash: 'sha256:b', file_id: 'file-a2', version: 2 });
+  await manifest.record({ vector_store_id: 'vs_2', source_id: 'local:faq.md', content_hash: 'sha256:x', file_id: 'file-x1', version: 1 });
+  await manifest.rebuild('vs_1', [file('file-a3', 'local:faq.md', 3), file('file-manual', null, null)]);
+
+  assert.deepEqual((await manifest.uploads('vs_1')).map((u) => [u.file_id, u.source_id, u.version]), [
+    ['file-a3', 'local:faq.md', 3],
+    ['file-a2', 'local:faq.md', 2],
+    ['file-a1', 'local:faq.md', 1]
+  ]);
+  assert.deepEqual((await manifest.uploads('vs_2')).map((u) => u.file_id), ['file-x1']);
+  await manifest.close();
+});
@@ -0,0 +1,159 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { LocalFolderSource, NotionPagesSource, NotionFilesSource, notionProp } from '../lib/syncSources.mjs';
+
+const rich = (text) => [{ plain_text: text }];
+
+function page(id, { title, ingest, contentSource, files = [], tags = [] } = {}) {
+  return {
+    id,
+    properties: {
+      file_name: { type: 'title', title: rich(title || id) },
+      ...(ingest === undefined ? {} : { ingest: { type: 'checkbox', checkbox: ingest } }),
+      content_source: { type: 'select', select: contentSource ? { name: contentSource } : null },
+      file_upload: { type: 'files', files },
+      tags: { type: 'multi_select', multi_select: tags.map((name) => ({ name })) }
+    }
+  };
+}
+
+function fakeNotion(pages, blocks = {}) {
+  const calls = [];
+  return {
+    calls,
+    databases: {
+      async query({ database_id, start_cursor }) {
+        calls.push(['query', database_id, start_cursor]);
+        // two result pages to exercise pagination
+        return start_cursor
+          ? { results: pages.slice(1), has_more: false }
+          : { results: pages.slice(0, 1), has_more: pages.length > 1, next_cursor: 'c2' };
+      }
+    },
+    blocks: { children: { list: async ({ block_id }) => ({ results: blocks[block_id] || [], has_more: false }) } },
+    pages: { async update(args) { calls.push(['update', args]); } }
+  };
+}
+
+test('local folder source lists matching files with stable ids', async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'kb-'));
+  fs.mkdirSync(path.join(dir, 'templates'));
+  fs.writeFileSync(path.join(dir, 'faq.md'), '# FAQ');
+  fs.writeFileSync(path.join(dir, 'templates', 'ops.md'), 'ops');
+  fs.writeFileSync(path.join(dir, 'policy.json'), '{}');
+  fs.writeFileSync(path.join(dir, 'system_instructions.txt'), 'You are…');
+
+  const docs = await new LocalFolderSource({ dir, ignore: [] }).documents();
+  assert.deepEqual(docs.map((d) => [d.id, d.filename]), [
+    ['local:faq.md', 'faq.md'],
+    ['local:system_instructions.txt', 'system_instructions.txt'],
+    ['local:templates/ops.md', 'ops.md']
+  ]);
+  assert.equal((await docs[0].load()).toString(), '# FAQ');
+
+  const filtered = await new LocalFolderSource({ dir, ignore: ['templates/**'] }).documents();
+  assert.deepEqual(filtered.map((d) => d.id), ['local:faq.md', 'local:system_instructions.txt']);
+});
+
+test('local folder source leaves templates and system instructions out by default', async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'kb-'));
+  fs.mkdirSync(path.join(dir, 'templates'));
+  fs.writeFileSync(path.join(dir, 'faq.md'), '# FAQ');
+  fs.writeFileSync(path.join(dir, 'templates', 'customer_confirmation.md'), 'Hi {{name}}');
+  fs.writeFileSync(path.join(dir, 'system_instructions.txt'), 'You are…');
+
+  const docs = await new LocalFolderSource({ dir }).documents();
+  assert.deepEqual(docs.map((d) => d.id), ['local:faq.md']);
+});
+
+test('notion pages source renders page blocks and honours ingest', async () => {
+  const notion = fakeNotion([
+    page('p1', { title: 'Returns Policy', tags: ['policy'] }),
+    page('p2', { title: 'Draft', ingest: false }),
+    page('p3', { title: 'Brochure', contentSource: 'file_upload', files: [{ file: { url: 'https://files/b.txt' } }] })
+  ], {
+    p1: [
+      { type: 'heading_2', heading_2: { rich_text: rich('Returns') } },
+      { id: 'b2', type: 'bulleted_list_item', bulleted_list_item: { rich_text: rich('Within 30 days') }, has_children: true }
+    ],
+    b2: [{ type: 'paragraph', paragraph: { rich_text: rich('Unopened only') } }]
+  });
+  const source = new NotionPagesSource({ client: notion, databaseIds: ['db1'], name: 'notion:kb' });
+
+  const docs = await source.documents();
+  assert.deepEqual(docs.map((d) => [d.id, d.filename, d.skip]), [['notion:p1', 'Returns_Policy.md', undefined], ['notion:p2', 'Draft.md', 'ingest is off']]);
+  const body = Buffer.from(await docs[0].load());
+  assert.equal(body.toString(), '## Returns\n\n- Within 30 days\n\n  Unopened only');
+  assert.equal(docs[0].render(body, { version: 2 }).toString(),
+    '---\ntitle: Returns Policy\nversion: v2\ntags: policy\npage_id: p1\n---\n\n## Returns\n\n- Within 30 days\n\n  Unopened only');
+  assert.deepEqual(notion.calls.slice(0, 2), [['query', 'db1', undefined], ['query', 'db1', 'c2']]);
+});
+
+test('notion files source extracts every attachment and records the ones that fail', async () => {
+  const files = [
+    { name: 'brochure.txt', type: 'file', file: { url: 'https://files/b.txt' } },
+    { name: 'prices.csv', type: 'external', external: { url: 'https://files/prices' } },
+    { name: 'logo.png', type: 'file', file: { url: 'https://files/logo.png' } },
+    { name: 'gone.pdf', type: 'file', file: { url: 'https://files/gone.pdf' } }
+  ];
+  const notion = fakeNotion([
+    page('p1', { title: 'Plain page' }),
+    page('p3', { title: 'Brochure', contentSource: 'file_upload', files })
+  ]);
+  const bodies = {
+    'https://files/b.txt': ['Brochure text', 'text/plain'],
+    'https://files/prices': ['sku,price\nMET-001,14.50\n', 'text/csv; charset=utf-8'],
+    'https://files/logo.png': ['\x89PNG', 'image/png']
+  };
+  const fetched = [];
+  const fetch = async (url) => {
+    fetched.push(url);
+    return bodies[url] ? new Response(bodies[url][0], { headers: { 'content-type': bodies[url][1] } }) : new Response('', { status: 403 });
+  };
+  const docs = await new NotionFilesSource({ client: notion, databaseIds: ['db1'], fetch }).documents();
+
+  assert.deepEqual(docs.map((d) => [d.id, d.source]), [['notion-file:p3', 'notion-files']]);
+  assert.equal(await docs[0].load(),
+    '## brochure.txt\n\nBrochure text\n\n## prices.csv\n\n| sku | price |\n| --- | --- |\n| MET-001 | 14.50 |');
+  assert.deepEqual(fetched, files.map((f) => f.file?.url || f.external.url));
+  assert.deepEqual(docs[0].attachment_errors, ['logo.png: Unsupported file type image/png (logo.png)', 'gone.pdf: Download failed: 403']);
+
+  const source = new NotionFilesSource({ client: notion, databaseIds: [] });
+  await source.report(docs[0], { outcome: 'replaced', content_hash: 'sha256:abc', file_id: 'file-9' });
+  const [, update] = notion.calls.at(-1);
+  assert.equal(update.properties.last_error.rich_text[0].text.content, docs[0].attachment_errors.join('; '));
+
+  const failing = new NotionFilesSource({ client: fakeNotion([page('p3', { contentSource: 'file_upload', files: [{ name: 'a.pdf', file: { url: 'u' } }] })]), databaseIds: ['db1'], fetch: async () => new Response('', { status: 403 }) });
+  await assert.rejects((await failing.documents())[0].load(), /a.pdf: Download failed: 403/);
+});
+
+test('report writes the outcome back to the page', async () => {
+  const notion = fakeNotion([]);
+  const source = new NotionPagesSource({ client: notion, databaseIds: [], props: { STATUS: 'Sync Status' } });
+  await source.report({ page_id: 'p1' }, { outcome: 'replaced', content_hash: 'sha256:abc', file_id: 'file-9' });
+  await source.report({ page_id: 'p2' }, { outcome: 'error', error: 'No text content extracted' });
+
+  const [[, uploaded], [, failed]] = notion.calls;
+  assert.equal(uploaded.page_id, 'p1');
+  assert.deepEqual(uploaded.properties['Sync Status'], { select: { name: 'ok' } });
+  assert.equal(uploaded.properties.content_hash.rich_text[0].text.content, 'sha256:abc');
+  assert.equal(uploaded.properties.vs_file_id.rich_text[0].text.content, 'file-9');
+  assert.ok(uploaded.properties.indexed_at.date.start);
+  assert.deepEqual(failed.properties['Sync Status'], { select: { name: 'error' } });
+  assert.equal(failed.properties.last_error.rich_text[0].text.content, 'No text content extracted');
+  assert.equal(failed.properties.content_hash, undefined);
+
+  notion.pages.update = async () => { throw new Error('Could not find property'); };
+  await source.report({ page_id: 'p3' }, { outcome: 'unchanged' });
+});
+
+test('notionProp reads the common property types', () => {
+  const p = page('p1', { title: 'T', ingest: true, tags: ['a', 'b'] });
+  assert.equal(notionProp(p, 'file_name'), 'T');
+  assert.equal(notionProp(p, 'ingest'), true);
+  assert.deepEqual(notionProp(p, 'tags'), ['a', 'b']);
+  assert.equal(notionProp(p, 'missing'), undefined);
+});
@@ -0,0 +1,44 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { renderTemplate, splitFrontMatter, TemplateStore } from '../lib/templates.mjs';
+
+const templatesDir = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', 'knowledge', 'templates');
+
+test('renders values, conditionals and loops', () => {
+  const out = renderTemplate(
+    'Hi {{ name }}!{{#if vip}} (VIP){{else}} (guest){{/if}}\n{{#each items}}- {{sku}} × {{qty}} for {{name}}\n{{/each}}{{#each none}}x{{else}}no extras{{/each}}',
+    { name: 'Jo', vip: false, items: [{ sku: 'OLB-15', qty: 2 }, { sku: 'OLB-50', qty: 1 }], none: [] }
+  );
+  assert.equal(out, 'Hi Jo! (guest)\n- OLB-15 × 2 for Jo\n- OLB-50 × 1 for Jo\nno extras');
+  assert.equal(renderTemplate('{{a.b.c}}|{{missing}}|{{#each xs}}{{this}},{{/each}}', { a: { b: { c: 0 } }, xs: [1, 2] }), '0||1,2,');
+});
+
+test('reports unbalanced blocks', () => {
+  assert.throws(() => renderTemplate('{{#if x}}open'), /Unclosed \{\{#if\}\}/);
+  assert.throws(() => renderTemplate('{{#if x}}a{{/each}}'), /Unexpected \{\{\/each\}\}/);
+});
+
+test('splits front matter from the body', () => {
+  const { meta, body } = splitFrontMatter('---\nsubject: Hello {{name}}\nlang: en\n---\nBody\n');
+  assert.deepEqual(meta, { subject: 'Hello {{name}}', lang: 'en' });
+  assert.equal(body, 'Body\n');
+});
+
+test('every shipped template renders with a sample', () => {
+  const store = new TemplateStore({ dir: templatesDir });
+  assert.deepEqual(store.list(), ['approver_notice', 'customer_confirmation', 'monthly_sample_report', 'nightly_report', 'ops_email', 'stale_samples_reminder']);
+  const sample = { id: 'p1', url: 'https://www.notion.so/p1', product: 'OLB-15', qty: 2, recipient: 'Harbour Medical', address: '12 Quay Street, Auckland 1010', policy_result: 'needs_approval' };
+  const links = { approve: 'https://x/approve', reject: 'https://x/reject', dispatch: 'https://x/dispatch' };
+  const report = { date: '2025-08-14', new_samples: 1, by_status: [{ name: 'approved', count: 1 }], backlog: { approved: 1 }, events: [] };
+  for (const name of store.list()) {
+    const { subject, text } = store.render(name, { sample, links, link_ttl_days: 7, samples: [sample], count: 1, days: 5, report, month: '2025-08', markdown: '| OLB-15 | 2 |' });
+    assert.ok(subject && !subject.includes('{{'), name);
+    assert.ok(!text.includes('{{'), name);
+    if (name !== 'nightly_report') assert.match(text, /OLB-15/);
+  }
+  const notice = store.render('approver_notice', { sample, links, link_ttl_days: 7 });
+  assert.equal(notice.subject, 'Approval needed: 2 × OLB-15 for Harbour Medical');
+  assert.match(notice.text, /Approve: https:\/\/x\/approve\nReject: https:\/\/x\/reject/);
+});
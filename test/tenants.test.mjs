@@ -0,0 +1,62 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { TenantRegistry } from '../lib/tenants.mjs';
+
+const env = {
+  ASST_DEFAULT: 'asst_default',
+  VS_DEFAULT: 'vs_default',
+  ASST_METAMORPHOSIS: 'asst_meta',
+  VS_METAMORPHOSIS: 'vs_meta',
+  TENANT_HOSTS: 'metamorphosis.assist.maximisedai.com=metamorphosis',
+  OPENAI_API_KEY: 'sk-ignored'
+};
+
+test('builds tenants from ASST_/VS_ env pairs', () => {
+  const reg = TenantRegistry.fromEnv(env);
+  assert.deepEqual(reg.list().map((t) => t.id), ['default', 'metamorphosis']);
+  assert.equal(reg.get('metamorphosis').assistantId, 'asst_meta');
+  assert.equal(reg.get('metamorphosis').vectorStoreId, 'vs_meta');
+});
+
+test('reads each tenant\'s conversation backend, defaulting to assistants', () => {
+  const reg = TenantRegistry.fromEnv({ ...env, VS_TRIAL: 'vs_trial', BACKEND_TRIAL: 'Responses' });
+  assert.equal(reg.get('metamorphosis').backend, 'assistants');
+  assert.equal(reg.get('trial').backend, 'responses');
+  assert.equal(reg.get('trial').assistantId, '');
+  assert.equal(TenantRegistry.fromEnv({ ...env, CONVERSATION_BACKEND: 'responses' }).get('metamorphosis').backend, 'responses');
+  assert.throws(() => TenantRegistry.fromEnv({ ...env, BACKEND_METAMORPHOSIS: 'completions' }), /Unknown backend 'completions' for tenant 'metamorphosis'/);
+});
+
+test('resolves by path segment before header and host', () => {
+  const reg = TenantRegistry.fromEnv(env);
+  const r = reg.resolve({
+    segment: 'metamorphosis',
+    header: 'default',
+    host: 'other.example.com'
+  });
+  assert.equal(r.tenant.id, 'metamorphosis');
+  assert.equal(r.source, 'path');
+});
+
+test('resolves X-Assistant by tenant id or configured assistant id only', () => {
+  const reg = TenantRegistry.fromEnv(env);
+  assert.equal(reg.resolve({ header: 'asst_meta' }).tenant.id, 'metamorphosis');
+  assert.equal(reg.resolve({ header: 'METAMORPHOSIS' }).tenant.id, 'metamorphosis');
+  const unknown = reg.resolve({ header: 'asst_someone_else' });
+  assert.equal(unknown.tenant.id, 'default');
+  assert.equal(unknown.source, 'default');
+});
+
+test('resolves by host, ignoring port', () => {
+  const reg = TenantRegistry.fromEnv(env);
+  const r = reg.resolve({ host: 'Metamorphosis.assist.maximisedai.com:443' });
+  assert.equal(r.tenant.id, 'metamorphosis');
+  assert.equal(r.source, 'host');
+});
+
+test('falls back to an empty default tenant', () => {
+  const reg = TenantRegistry.fromEnv({});
+  const r = reg.resolve({ host: 'localhost' });
+  assert.equal(r.tenant.id, 'default');
+  assert.equal(r.tenant.assistantId, '');
+});
@@ -0,0 +1,107 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { ToolRegistry, validateSchema } from '../lib/tools.mjs';
+import { AuditLog } from '../lib/auditLog.mjs';
+
+const echoSchema = {
+  type: 'object',
+  properties: {
+    text: { type: 'string', minLength: 1 },
+    times: { type: 'integer', minimum: 1, maximum: 3 }
+  },
+  required: ['text'],
+  additionalProperties: false
+};
+
+function createMockFetch(status = 200, body = { ok: true, forwarded: true }) {
+  const calls = [];
+  const fetch = async (url, init) => {
+    calls.push({ url, init, body: JSON.parse(init.body) });
+    return { ok: status < 400, status, text: async () => JSON.stringify(body) };
+  };
+  return { fetch, calls };
+}
+
+test('validateSchema reports required, type, range and extra properties', () => {
+  assert.deepEqual(validateSchema(echoSchema, { text: 'hi', times: 2 }), []);
+  const errors = validateSchema(echoSchema, { times: 9, extra: true });
+  assert.ok(errors.includes('$.text is required'));
+  assert.ok(errors.includes('$.times must be <= 3'));
+  assert.ok(errors.includes('$.extra is not allowed'));
+  assert.deepEqual(validateSchema(echoSchema, 'nope'), ['$ must be object']);
+});
+
+test('invokes local handlers with parsed arguments and audits the call', async () => {
+  const audit = new AuditLog();
+  const reg = new ToolRegistry({ audit }).register('echo', {
+    parameters: echoSchema,
+    handler: async ({ text, times = 1 }, ctx) => ({ ok: true, text: text.repeat(times), tenant: ctx.tenant })
+  });
+
+  const out = await reg.invoke('echo', '{"text":"ab","times":2}', { tenant: 'default', thread_id: 't1', run_id: 'r1' });
+  assert.deepEqual(out, { ok: true, text: 'abab', tenant: 'default' });
+
+  const [entry] = audit.recent({ type: 'tool_call' });
+  assert.equal(entry.tool, 'echo');
+  assert.deepEqual(entry.arguments, { text: 'ab', times: 2 });
+  assert.equal(entry.ok, true);
+  assert.equal(entry.via, 'local');
+  assert.equal(entry.run_id, 'r1');
+});
+
+test('returns structured errors instead of throwing', async () => {
+  const reg = new ToolRegistry().register('echo', {
+    parameters: echoSchema,
+    handler: async () => { throw new Error('boom'); }
+  });
+
+  assert.equal((await reg.invoke('missing', '{}')).error, 'unknown_tool');
+  assert.equal((await reg.invoke('echo', '{not json')).error, 'invalid_arguments');
+  assert.deepEqual((await reg.invoke('echo', '{}')).details, ['$.text is required']);
+  assert.deepEqual(await reg.invoke('echo', { text: 'x' }), { ok: false, error: 'tool_failed', message: 'boom' });
+});
+
+test('forwards handler-less tools to APP_BASE_URL with the bot token', async () => {
+  const { fetch, calls } = createMockFetch();
+  const reg = new ToolRegistry({
+    appBaseUrl: 'https://app.example.com/',
+    webhookUrl: 'https://hook.make.com/abc',
+    token: 'bot-token',
+    fetch
+  }).register('remote', { parameters: { type: 'object' } });
+
+  const out = await reg.invoke('remote', { a: 1 }, { tenant: 'default' });
+  assert.deepEqual(out, { ok: true, forwarded: true });
+  assert.equal(calls[0].url, 'https://app.example.com/tools/remote');
+  assert.equal(calls[0].init.headers.Authorization, 'Bearer bot-token');
+  assert.deepEqual(calls[0].body, { tool: 'remote', arguments: { a: 1 }, context: { tenant: 'default' } });
+});
+
+test('falls back to MAKE_WEBHOOK_URL and surfaces upstream failures', async () => {
+  const { fetch, calls } = createMockFetch(502, { message: 'bad gateway' });
+  const audit = new AuditLog();
+  const reg = new ToolRegistry({ webhookUrl: 'https://hook.make.com/abc', fetch, audit })
+    .register('remote', { parameters: { type: 'object' } });
+
+  const out = await reg.invoke('remote', {});
+  assert.equal(calls[0].url, 'https://hook.make.com/abc');
+  assert.equal(out.error, 'upstream_error');
+  assert.equal(out.status, 502);
+  assert.equal(audit.recent()[0].via, 'webhook');
+  assert.equal(audit.recent()[0].ok, false);
+});
+
+test('dispatch() maps tool calls to tool outputs', async () => {
+  const reg = new ToolRegistry().register('echo', {
+    parameters: echoSchema,
+    handler: async ({ text }) => ({ ok: true, text })
+  });
+  const outputs = await reg.dispatch([
+    { id: 'call_1', function: { name: 'echo', arguments: '{"text":"a"}' } },
+    { id: 'call_2', function: { name: 'nope', arguments: '{}' } }
+  ]);
+  assert.equal(outputs[0].tool_call_id, 'call_1');
+  assert.deepEqual(JSON.parse(outputs[0].output), { ok: true, text: 'a' });
+  assert.equal(JSON.parse(outputs[1].output).error, 'unknown_tool');
+  assert.equal(reg.definitions()[0].function.name, 'echo');
+});
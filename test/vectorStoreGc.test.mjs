@@ -0,0 +1,133 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { planGc, gcPlan, applyGc, formatGcReport, protectedMatcher } from '../lib/vectorStoreGc.mjs';
+import { SyncManifest } from '../lib/syncManifest.mjs';
+
+const vs = (file_id, source_id, version, source = 'local') => ({
+  file_id, source_id, source: source_id ? source : null, version, filename: source_id ? `${source_id.split(':')[1].replace('.md', '')}_v${version}.md` : null
+});
+
+const FILES = [
+  vs('file-faq3', 'local:faq.md', 3),
+  vs('file-faq2', 'local:faq.md', 2),
+  vs('file-old1', 'local:old.md', 1),
+  vs('file-page1', 'notion:p1', 1, 'notion:kb'),
+  { file_id: 'file-manual', source_id: null, source: null, version: null, filename: null }
+];
+
+test('detaches superseded versions and orphans, leaving other sources and unmanaged files', () => {
+  const plan = planGc({ files: FILES, documents: ['local:faq.md'], sources: ['local'] });
+  assert.deepEqual(plan.remove.map((r) => [r.file_id, r.reason, r.in_vector_store, r.delete_file]), [
+    ['file-faq2', 'superseded', true, false],
+    ['file-old1', 'orphan', true, false]
+  ]);
+  assert.deepEqual(plan.kept.map((k) => [k.file_id, k.kept_because]), [['file-manual', 'unmanaged files are not collected']]);
+  assert.deepEqual(plan.totals, { removed: 2, kept: 1, superseded: 1, orphan: 1, unmanaged: 0, files_deleted: 0 });
+
+  const withUnmanaged = planGc({ files: FILES, documents: ['local:faq.md'], sources: ['local'] }, { unmanaged: true });
+  assert.deepEqual(withUnmanaged.remove.map((r) => r.file_id), ['file-faq2', 'file-old1', 'file-manual']);
+});
+
+test('retention keeps previous versions in Files storage and protection keeps files entirely', () => {
+  const stored = [
+    { file_id: 'file-faq1', filename: 'faq_v1.md' },
+    { file_id: 'file-faq0', filename: 'faq_v0.md' },
+    { file_id: 'file-other', filename: 'notes.md' },
+    { file_id: 'file-faq3', filename: 'faq_v3.md' }
+  ];
+  const uploaded = [
+    { file_id: 'file-faq3', source_id: 'local:faq.md', version: 3 },
+    { file_id: 'file-faq1', source_id: 'local:faq.md', version: 1 },
+    { file_id: 'file-faq0', source_id: 'local:faq.md', version: 0 }
+  ];
+  const plan = planGc({ files: FILES, stored, uploaded, documents: ['local:faq.md'], sources: ['local'] }, { keep: 2, deleteFiles: true, protect: ['local:old*'] });
+  assert.deepEqual(plan.remove.map((r) => [r.file_id, r.reason, r.in_vector_store, r.delete_file]), [
+    ['file-faq2', 'superseded', true, false], // detached, but kept as the one previous version
+    ['file-faq1', 'superseded', false, true],
+    ['file-faq0', 'superseded', false, true]
+  ]);
+  assert.equal(plan.remove[1].source_id, 'local:faq.md');
+  assert.deepEqual(plan.kept.map((k) => [k.file_id, k.kept_because]), [
+    ['file-old1', 'protected (local:old*)'],
+    ['file-manual', 'unmanaged files are not collected']
+  ]);
+  assert.equal(plan.totals.files_deleted, 2);
+});
+
+test('never deletes stored files this store\'s sync did not upload, whatever their name', async () => {
+  const manifest = await SyncManifest.open(':memory:');
+  await manifest.record({ vector_store_id: 'vs_1', source_id: 'local:faq.md', content_hash: 'sha256:a', file_id: 'file-faq1', version: 1 });
+  await manifest.record({ vector_store_id: 'vs_1', source_id: 'local:faq.md', content_hash: 'sha256:c', file_id: 'file-faq3', version: 3 });
+  // Another tenant's store, synced from its own knowledge/faq.md
+  await manifest.record({ vector_store_id: 'vs_2', source_id: 'local:faq.md', content_hash: 'sha256:x', file_id: 'file-b-faq1', version: 1 });
+
+  const target = {
+    vectorStoreId: 'vs_1',
+    async files() { return FILES; },
+    async storedFiles() {
+      return [
+        { file_id: 'file-faq1', filename: 'faq_v1.md' },
+        { file_id: 'file-b-faq1', filename: 'faq_v1.md' },
+        { file_id: 'file-b-faq2', filename: 'faq_v2.md' }
+      ];
+    }
+  };
+  const sources = [{ name: 'local', async documents() { return [{ id: 'local:faq.md' }]; } }];
+  const plan = await gcPlan({ sources, target, manifest }, { deleteFiles: true });
+  assert.deepEqual(plan.remove.map((r) => [r.file_id, r.in_vector_store, r.delete_file]), [
+    ['file-faq2', true, true],
+    ['file-old1', true, true],
+    ['file-faq1', false, true]
+  ]);
+
+  const withoutManifest = await gcPlan({ sources, target }, { deleteFiles: true });
+  assert.deepEqual(withoutManifest.remove.map((r) => r.file_id), ['file-faq2', 'file-old1']);
+  await manifest.close();
+});
+
+test('protected patterns match file id, source id or filename', () => {
+  const match = protectedMatcher(['file-keep', '*_policy_v*.md']);
+  assert.equal(match({ file_id: 'file-keep' }), 'file-keep');
+  assert.equal(match({ file_id: 'x', filename: 'Returns_Policy_v4.md' }), '*_policy_v*.md');
+  assert.equal(match({ file_id: 'x', source_id: 'local:a.md' }), null);
+});
+
+test('gcPlan ignores sources that list nothing; applyGc reports failures per file', async () => {
+  const calls = [];
+  const target = {
+    async files() { return FILES; },
+    async storedFiles() { throw new Error('not needed'); },
+    async remove(id, options) {
+      if (id === 'file-old1') throw new Error('boom');
+      calls.push(['remove', id, options]);
+    }
+  };
+  const sources = [
+    { name: 'local', async documents() { return [{ id: 'local:faq.md' }]; } },
+    { name: 'notion:kb', async documents() { return []; } }
+  ];
+  const plan = await gcPlan({ sources, target });
+  assert.deepEqual(plan.ignored_sources, ['notion:kb']);
+  assert.deepEqual(plan.remove.map((r) => r.file_id), ['file-faq2', 'file-old1']);
+
+  const result = await applyGc(plan, target);
+  assert.deepEqual(calls, [['remove', 'file-faq2', { deleteFile: false }]]);
+  assert.deepEqual(result.failed.map((f) => [f.file_id, f.error]), [['file-old1', 'boom']]);
+
+  const report = formatGcReport(plan, result);
+  assert.match(report, /Removed \(1\)\n {2}- file-faq2 local:faq.md faq_v2.md v2 \[superseded; vector store\]/);
+  assert.match(report, /! file-old1 .*: boom/);
+  assert.match(report, /Ignored \(listed no documents\): notion:kb/);
+  assert.match(formatGcReport(plan), /dry run; nothing removed/);
+});
+
+test('applyGc drops collected orphans from the manifest', async () => {
+  const manifest = await SyncManifest.open(':memory:');
+  await manifest.record({ vector_store_id: 'vs_1', source_id: 'local:old.md', content_hash: 'sha256:o', file_id: 'file-old1', version: 1 });
+  await manifest.record({ vector_store_id: 'vs_1', source_id: 'local:faq.md', content_hash: 'sha256:f', file_id: 'file-faq3', version: 3 });
+  const target = { vectorStoreId: 'vs_1', async remove() {} };
+  const plan = planGc({ files: FILES, documents: ['local:faq.md'], sources: ['local'] });
+  await applyGc(plan, target, { manifest });
+  assert.deepEqual((await manifest.all('vs_1')).map((r) => r.source_id), ['local:faq.md']);
+  await manifest.close();
+});
@@ -0,0 +1,104 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { VectorStoreTarget } from '../lib/vectorStoreTarget.mjs';
+
+function fakeOpenAI(files = [], { indexStatus = 'completed' } = {}) {
+  const calls = [];
+  return {
+    calls,
+    files: {
+      async create({ file, purpose }) {
+        calls.push(['files.create', file.name, purpose, Buffer.from(await file.arrayBuffer()).toString()]);
+        return { id: 'file-1' };
+      },
+      async delete(id) { calls.push(['files.delete', id]); },
+      async *list(query) {
+        calls.push(['files.list', query.purpose]);
+        yield { id: 'file-a1', filename: 'a_v1.md', bytes: 10, created_at: 1755129600 };
+      }
+    },
+    vectorStores: {
+      files: {
+        async *list(vsId, query) {
+          calls.push(['list', vsId, query.limit]);
+          yield* files;
+        },
+        async createAndPoll(vsId, body) {
+          calls.push(['createAndPoll', vsId, body]);
+          return { id: body.file_id, status: indexStatus, last_error: indexStatus === 'failed' ? { message: 'unsupported file' } : null };
+        },
+        async delete(fileId, params) { calls.push(['vs.delete', fileId, params]); }
+      }
+    },
+    beta: {
+      assistants: {
+        async retrieve() { return { tools: [{ type: 'code_interpreter' }], tool_resources: { file_search: { vector_store_ids: ['vs_other'] } } }; },
+        async update(id, body) { calls.push(['assistants.update', id, body]); }
+      }
+    }
+  };
+}
+
+test('reads state from file attributes, newest version per source', async () => {
+  const client = fakeOpenAI([
+    { id: 'file-a1', status: 'completed', usage_bytes: 10, created_at: 1755129600, attributes: { source_id: 'local:a.md', content_hash: 'sha256:1', version: 1 } },
+    { id: 'file-a2', status: 'completed', attributes: { source_id: 'local:a.md', content_hash: 'sha256:2', version: 2 } },
+    { id: 'file-manual', status: 'completed', attributes: {} }
+  ]);
+  const target = new VectorStoreTarget({ client, vectorStoreId: 'vs_1' });
+
+  const files = await target.files();
+  assert.equal(files.length, 3);
+  assert.deepEqual(files[0], {
+    file_id: 'file-a1', source_id: 'local:a.md', source: null, content_hash: 'sha256:1', version: 1, filename: null,
+    status: 'completed', bytes: 10, created_at: '2025-08-14T00:00:00.000Z'
+  });
+  assert.equal(files[2].source_id, null);
+
+  const state = target.state(files);
+  assert.deepEqual([...state.keys()], ['local:a.md']);
+  assert.equal(state.get('local:a.md').file_id, 'file-a2');
+  assert.throws(() => new VectorStoreTarget({ client }), /vectorStoreId/);
+});
+
+test('uploads with source attributes and fails on indexing errors', async () => {
+  const client = fakeOpenAI();
+  const target = new VectorStoreTarget({ client, vectorStoreId: 'vs_1' });
+  const doc = { id: 'notion:p1', source: 'notion:knowledge', filename: 'FAQ_v2.md' };
+
+  assert.deepEqual(await target.upload(doc, Buffer.from('# FAQ'), { content_hash: 'sha256:abc', version: 2 }), { file_id: 'file-1' });
+  assert.deepEqual(client.calls[0], ['files.create', 'FAQ_v2.md', 'assistants', '# FAQ']);
+  assert.deepEqual(client.calls[1], ['createAndPoll', 'vs_1', {
+    file_id: 'file-1',
+    attributes: { source_id: 'notion:p1', source: 'notion:knowledge', content_hash: 'sha256:abc', version: 2, filename: 'FAQ_v2.md' }
+  }]);
+
+  const failing = new VectorStoreTarget({ client: fakeOpenAI([], { indexStatus: 'failed' }), vectorStoreId: 'vs_1' });
+  await assert.rejects(failing.upload(doc, Buffer.from('x'), { content_hash: 'h', version: 1 }), /Indexing FAQ_v2.md failed: unsupported file/);
+});
+
+test('removes files and attaches the store to an assistant once', async () => {
+  const client = fakeOpenAI();
+  const target = new VectorStoreTarget({ client, vectorStoreId: 'vs_1' });
+  await target.remove('file-1');
+  await target.remove('file-2', { deleteFile: true });
+  assert.deepEqual(client.calls, [
+    ['vs.delete', 'file-1', { vector_store_id: 'vs_1' }],
+    ['vs.delete', 'file-2', { vector_store_id: 'vs_1' }],
+    ['files.delete', 'file-2']
+  ]);
+
+  assert.equal(await target.attach('asst_1'), true);
+  assert.deepEqual(client.calls.at(-1), ['assistants.update', 'asst_1', {
+    tools: [{ type: 'code_interpreter' }, { type: 'file_search' }],
+    tool_resources: { file_search: { vector_store_ids: ['vs_other', 'vs_1'] } }
+  }]);
+});
+
+test('lists and deletes files in Files storage', async () => {
+  const client = fakeOpenAI();
+  const target = new VectorStoreTarget({ client, vectorStoreId: 'vs_1' });
+  assert.deepEqual(await target.storedFiles(), [{ file_id: 'file-a1', filename: 'a_v1.md', bytes: 10, created_at: '2025-08-14T00:00:00.000Z' }]);
+  await target.deleteStoredFile('file-a1');
+  assert.deepEqual(client.calls, [['files.list', 'assistants'], ['files.delete', 'file-a1']]);
+});